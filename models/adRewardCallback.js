@@ -0,0 +1,21 @@
+module.exports = (sequelize, DataTypes) => {
+  // Server-to-server rewarded-ad callback, verified by HMAC; the player's claim-ad-reward redeems it once
+  const AdRewardCallback = sequelize.define('AdRewardCallback', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    transactionId: { type: DataTypes.STRING(128), allowNull: false }, // ad network's id, unique per rewarded view
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    adType: { type: DataTypes.STRING(32), allowNull: true },
+    signedAt: { type: DataTypes.DATE, allowNull: false }, // timestamp the ad network signed
+    claimedAt: { type: DataTypes.DATE, allowNull: true },
+    coinsAwarded: { type: DataTypes.INTEGER, defaultValue: 0 },
+    coinTransactionId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true }
+  }, {
+    tableName: 'ad_reward_callbacks',
+    indexes: [
+      { unique: true, fields: ['transactionId'] },
+      { fields: ['userId', 'claimedAt'] }
+    ]
+  });
+
+  return AdRewardCallback;
+};
@@ -1,10 +1,19 @@
 module.exports = (sequelize, DataTypes) => {
+  // Coin ledger: one row per balance change, written by utils/wallet.js in the same transaction as users.coins
   const CoinTransaction = sequelize.define('CoinTransaction', {
     id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
     userId: { type: DataTypes.BIGINT.UNSIGNED },
     amount: { type: DataTypes.INTEGER },
-    reason: { type: DataTypes.STRING }
-  }, { tableName: 'coin_transactions' });
+    reason: { type: DataTypes.STRING },
+    balanceAfter: { type: DataTypes.INTEGER, allowNull: true }, // users.coins right after this entry (null on legacy rows)
+    idempotencyKey: { type: DataTypes.STRING(128), allowNull: true } // retried requests with the same key apply once
+  }, {
+    tableName: 'coin_transactions',
+    indexes: [
+      { unique: true, fields: ['idempotencyKey'] },
+      { fields: ['userId'] }
+    ]
+  });
 
   return CoinTransaction;
 };
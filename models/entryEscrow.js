@@ -0,0 +1,23 @@
+module.exports = (sequelize, DataTypes) => {
+  // Entry coins held for one player's seat in one game: paid out when the game finishes, refunded if it is aborted
+  const EntryEscrow = sequelize.define('EntryEscrow', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false }, // no FK: escrow outlives a deleted room until refunded
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    amount: { type: DataTypes.INTEGER, allowNull: false },
+    status: { type: DataTypes.ENUM('held', 'paid_out', 'refunded'), defaultValue: 'held' },
+    debitTransactionId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false }, // ledger entry that took the coins
+    refundTransactionId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true },
+    reason: { type: DataTypes.STRING(64), allowNull: true }, // why it was settled, e.g. game_finished, room_closed
+    settledAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'entry_escrows',
+    indexes: [
+      { unique: true, fields: ['debitTransactionId'] },
+      { fields: ['roomId', 'status'] },
+      { fields: ['status', 'createdAt'] }
+    ]
+  });
+
+  return EntryEscrow;
+};
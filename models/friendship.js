@@ -0,0 +1,18 @@
+module.exports = (sequelize, DataTypes) => {
+  // Friend request / friendship between two users. One row per pair: requester -> addressee; declined or removed rows are deleted
+  const Friendship = sequelize.define('Friendship', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    requesterId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    addresseeId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    status: { type: DataTypes.ENUM('pending', 'accepted'), defaultValue: 'pending' },
+    acceptedAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'friendships',
+    indexes: [
+      { unique: true, fields: ['requesterId', 'addresseeId'] },
+      { fields: ['addresseeId', 'status'] }
+    ]
+  });
+
+  return Friendship;
+};
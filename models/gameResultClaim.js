@@ -0,0 +1,16 @@
+module.exports = (sequelize, DataTypes) => {
+  // One game result already applied to one user's totals in one ledger, so a repeated endGame cannot count it twice
+  const GameResultClaim = sequelize.define('GameResultClaim', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    ledger: { type: DataTypes.STRING(32), allowNull: false }, // 'player_stats', 'leaderboard', 'skill_rating'
+    gameKey: { type: DataTypes.STRING(64), allowNull: false }, // roomId:gameStartedAt ms, as in game_reward keys
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false }
+  }, {
+    tableName: 'game_result_claims',
+    indexes: [
+      { unique: true, fields: ['ledger', 'gameKey', 'userId'] }
+    ]
+  });
+
+  return GameResultClaim;
+};
@@ -13,6 +13,22 @@ const Report = require("./report")(sequelize, DataTypes);
 const Language = require("./language")(sequelize, DataTypes);
 const Keyword = require("./keyword")(sequelize, DataTypes);
 const Translation = require("./translation")(sequelize, DataTypes);
+const RoundReplay = require("./roundReplay")(sequelize, DataTypes);
+const WordStat = require("./wordStat")(sequelize, DataTypes);
+const PlayerStat = require("./playerStat")(sequelize, DataTypes);
+const LeaderboardEntry = require("./leaderboardEntry")(sequelize, DataTypes);
+const SeasonStanding = require("./seasonStanding")(sequelize, DataTypes);
+const SkillRating = require("./skillRating")(sequelize, DataTypes);
+const EntryEscrow = require("./entryEscrow")(sequelize, DataTypes);
+const AdRewardCallback = require("./adRewardCallback")(sequelize, DataTypes);
+const UserAchievement = require("./userAchievement")(sequelize, DataTypes);
+const Friendship = require("./friendship")(sequelize, DataTypes);
+const RoomInvite = require("./roomInvite")(sequelize, DataTypes);
+const UserBlock = require("./userBlock")(sequelize, DataTypes);
+const ModerationRecord = require("./moderationRecord")(sequelize, DataTypes);
+const ModerationStrike = require("./moderationStrike")(sequelize, DataTypes);
+const PhaseJob = require("./phaseJob")(sequelize, DataTypes);
+const GameResultClaim = require("./gameResultClaim")(sequelize, DataTypes);
 
 // ===================================
 // ASSOCIATIONS
@@ -58,6 +74,49 @@ Message.belongsTo(User, { foreignKey: "userId" });
 User.hasMany(CoinTransaction, { foreignKey: "userId" });
 CoinTransaction.belongsTo(User, { foreignKey: "userId" });
 
+// User-PlayerStat One-to-One (lifetime stats)
+User.hasOne(PlayerStat, { foreignKey: "userId", as: "stats" });
+PlayerStat.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// User-Leaderboard (live season entries and archived standings)
+User.hasMany(LeaderboardEntry, { foreignKey: "userId" });
+LeaderboardEntry.belongsTo(User, { foreignKey: "userId", as: "user" });
+User.hasMany(SeasonStanding, { foreignKey: "userId" });
+SeasonStanding.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// User-SkillRating One-to-One (matchmaking rating)
+User.hasOne(SkillRating, { foreignKey: "userId", as: "skillRating" });
+SkillRating.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// User-EntryEscrow (room entry coins held until a game finishes or is aborted)
+User.hasMany(EntryEscrow, { foreignKey: "userId" });
+EntryEscrow.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// User-AdRewardCallback (verified rewarded-ad views)
+User.hasMany(AdRewardCallback, { foreignKey: "userId" });
+AdRewardCallback.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// User-UserAchievement (unlocked achievements)
+User.hasMany(UserAchievement, { foreignKey: "userId", as: "achievements" });
+UserAchievement.belongsTo(User, { foreignKey: "userId", as: "user" });
+
+// Friends (requester -> addressee) and room invites between them
+Friendship.belongsTo(User, { foreignKey: "requesterId", as: "requester" });
+Friendship.belongsTo(User, { foreignKey: "addresseeId", as: "addressee" });
+RoomInvite.belongsTo(User, { foreignKey: "fromUserId", as: "fromUser" });
+RoomInvite.belongsTo(User, { foreignKey: "toUserId", as: "toUser" });
+RoomInvite.belongsTo(Room, { foreignKey: "roomId", as: "room", constraints: false }); // invites outlive deleted rooms until they expire
+
+// User-UserBlock (per-user block list across all rooms)
+User.hasMany(UserBlock, { foreignKey: "blockerId", as: "blocks" });
+UserBlock.belongsTo(User, { foreignKey: "blockedId", as: "blocked" });
+
+// User moderation (account-level restrictions and the strikes behind them)
+User.hasOne(ModerationRecord, { foreignKey: "userId", as: "moderation" });
+ModerationRecord.belongsTo(User, { foreignKey: "userId", as: "user" });
+User.hasMany(ModerationStrike, { foreignKey: "userId", as: "strikes" });
+ModerationStrike.belongsTo(User, { foreignKey: "userId", as: "user" });
+
 // ===================================
 // KEYWORD/TRANSLATION STRUCTURE (Core Fix Area)
 // ===================================
@@ -92,6 +151,10 @@ Keyword.belongsToMany(Theme, {
   as: "themes_m2m", // Renamed alias
 });
 
+// Word difficulty stats (no FK constraint: stats must not block deleting a keyword)
+Keyword.hasMany(WordStat, { foreignKey: "keywordId", as: "stats", constraints: false });
+WordStat.belongsTo(Keyword, { foreignKey: "keywordId", as: "keyword", constraints: false });
+
 module.exports = {
   sequelize,
   User,
@@ -106,4 +169,20 @@ module.exports = {
   Language,
   Keyword,
   Translation,
+  RoundReplay,
+  WordStat,
+  PlayerStat,
+  LeaderboardEntry,
+  SeasonStanding,
+  SkillRating,
+  EntryEscrow,
+  AdRewardCallback,
+  UserAchievement,
+  Friendship,
+  RoomInvite,
+  UserBlock,
+  ModerationRecord,
+  ModerationStrike,
+  PhaseJob,
+  GameResultClaim,
 };
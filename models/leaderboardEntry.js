@@ -0,0 +1,22 @@
+module.exports = (sequelize, DataTypes) => {
+  // Live standing of one user in one leaderboard season ('all', weekly '2026-W42', monthly '2026-10')
+  const LeaderboardEntry = sequelize.define('LeaderboardEntry', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    season: { type: DataTypes.STRING(16), allowNull: false },
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    country: { type: DataTypes.STRING(2), allowNull: true }, // ISO-2 from the user's profile at their last game
+    points: { type: DataTypes.INTEGER, defaultValue: 0 }, // placement points earned this season (not the Elo skill rating)
+    gamesPlayed: { type: DataTypes.INTEGER, defaultValue: 0 },
+    gamesWon: { type: DataTypes.INTEGER, defaultValue: 0 },
+    lastGameAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'leaderboard_entries',
+    indexes: [
+      { unique: true, fields: ['season', 'userId'] },
+      { fields: ['season', 'points'] },
+      { fields: ['season', 'country', 'points'] }
+    ]
+  });
+
+  return LeaderboardEntry;
+};
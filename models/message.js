@@ -4,7 +4,8 @@ module.exports = (sequelize, DataTypes) => {
     roomId: { type: DataTypes.BIGINT.UNSIGNED },
     userId: { type: DataTypes.BIGINT.UNSIGNED },
     content: { type: DataTypes.TEXT, allowNull: false },
-    type: { type: DataTypes.STRING, defaultValue: 'text' } // 'text' or 'system'
+    type: { type: DataTypes.STRING, defaultValue: 'text' }, // 'text' or 'system'
+    channel: { type: DataTypes.STRING, defaultValue: 'all' } // 'all' or 'guessed' (drawer + players who solved the round)
   }, { tableName: 'messages' });
 
   return Message;
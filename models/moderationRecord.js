@@ -0,0 +1,25 @@
+module.exports = (sequelize, DataTypes) => {
+  // Account-level moderation state across all rooms: current restrictions (each ends at its own time) and the appeal
+  const ModerationRecord = sequelize.define('ModerationRecord', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    activeStrikes: { type: DataTypes.INTEGER, defaultValue: 0 }, // strikes inside the decay window when last updated
+    chatMutedUntil: { type: DataTypes.DATE, allowNull: true },
+    drawingBannedUntil: { type: DataTypes.DATE, allowNull: true },
+    suspendedUntil: { type: DataTypes.DATE, allowNull: true }, // account ban: no API or socket access until then
+    lastStrikeAt: { type: DataTypes.DATE, allowNull: true },
+    appealStatus: { type: DataTypes.ENUM('none', 'pending', 'approved', 'rejected'), defaultValue: 'none' },
+    appealMessage: { type: DataTypes.TEXT, allowNull: true },
+    appealedAt: { type: DataTypes.DATE, allowNull: true },
+    appealResolvedAt: { type: DataTypes.DATE, allowNull: true },
+    appealNote: { type: DataTypes.STRING(500), allowNull: true } // moderator's answer
+  }, {
+    tableName: 'moderation_records',
+    indexes: [
+      { unique: true, fields: ['userId'] },
+      { fields: ['appealStatus'] }
+    ]
+  });
+
+  return ModerationRecord;
+};
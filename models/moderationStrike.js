@@ -0,0 +1,21 @@
+module.exports = (sequelize, DataTypes) => {
+  // One confirmed strike against a user (room report penalty or moderator), counted while inside the decay window
+  const ModerationStrike = sequelize.define('ModerationStrike', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    source: { type: DataTypes.ENUM('room_report', 'moderator'), allowNull: false },
+    sourceKey: { type: DataTypes.STRING(128), allowNull: true }, // e.g. report:12:ban, so one penalty never counts twice
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true },
+    reportType: { type: DataTypes.STRING(16), allowNull: true },
+    reason: { type: DataTypes.STRING(255), allowNull: true },
+    overturnedAt: { type: DataTypes.DATE, allowNull: true } // set when an appeal is approved
+  }, {
+    tableName: 'moderation_strikes',
+    indexes: [
+      { unique: true, fields: ['sourceKey'] },
+      { fields: ['userId', 'createdAt'] }
+    ]
+  });
+
+  return ModerationStrike;
+};
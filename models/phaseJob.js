@@ -0,0 +1,23 @@
+module.exports = (sequelize, DataTypes) => {
+  // A due phase transition of a playing room (at most one per room and phase); run by sockets/phaseScheduler
+  const PhaseJob = sequelize.define('PhaseJob', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    phase: { type: DataTypes.STRING(32), allowNull: false }, // handler name: a room phase, or 'hint'
+    fireAt: { type: DataTypes.DATE(3), allowNull: false },
+    attempt: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // runs started so far
+    status: { type: DataTypes.ENUM('pending', 'running', 'failed'), allowNull: false, defaultValue: 'pending' },
+    lockedBy: { type: DataTypes.STRING(128), allowNull: true }, // claim token of the node running it
+    lockedUntil: { type: DataTypes.DATE(3), allowNull: true }, // after this a running job is claimable again
+    lastError: { type: DataTypes.STRING(512), allowNull: true },
+    payload: { type: DataTypes.JSON, allowNull: true } // e.g. { phaseEndTime } so a stale job does nothing
+  }, {
+    tableName: 'phase_jobs',
+    indexes: [
+      { unique: true, fields: ['roomId', 'phase'] },
+      { fields: ['status', 'fireAt'] }
+    ]
+  });
+
+  return PhaseJob;
+};
@@ -0,0 +1,26 @@
+module.exports = (sequelize, DataTypes) => {
+  // Lifetime per-user game statistics (RoomParticipant.score is per game and reset in the lobby)
+  const PlayerStat = sequelize.define('PlayerStat', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    gamesPlayed: { type: DataTypes.INTEGER, defaultValue: 0 },
+    gamesWon: { type: DataTypes.INTEGER, defaultValue: 0 }, // 1st place (team games: member of the winning team)
+    podiumFinishes: { type: DataTypes.INTEGER, defaultValue: 0 }, // top 3 in 1v1 games
+    teamGamesPlayed: { type: DataTypes.INTEGER, defaultValue: 0 },
+    teamGamesWon: { type: DataTypes.INTEGER, defaultValue: 0 },
+    correctGuesses: { type: DataTypes.INTEGER, defaultValue: 0 },
+    totalGuessTimeMs: { type: DataTypes.BIGINT, defaultValue: 0 }, // drawing start -> correct guess, summed
+    currentGuessStreak: { type: DataTypes.INTEGER, defaultValue: 0 }, // turns guessed in a row; a missed turn resets it
+    bestGuessStreak: { type: DataTypes.INTEGER, defaultValue: 0 },
+    drawingsMade: { type: DataTypes.INTEGER, defaultValue: 0 }, // drawing turns that reached reveal
+    drawingsGuessed: { type: DataTypes.INTEGER, defaultValue: 0 }, // of those, turns at least one player guessed
+    lastPlayedAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'player_stats',
+    indexes: [
+      { unique: true, fields: ['userId'] }
+    ]
+  });
+
+  return PlayerStat;
+};
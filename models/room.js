@@ -36,6 +36,12 @@ module.exports = (sequelize, DataTypes) => {
     maxPointsPerRound: { type: DataTypes.INTEGER, defaultValue: 20 }, // Max points per round
     
     maxPlayers: { type: DataTypes.INTEGER, defaultValue: 5 }, // Default 5, can be incremented up to 15 in lobby
+
+    // Per-room timing and game length (null = global default from PHASE_DURATIONS / no round limit)
+    drawingTime: { type: DataTypes.INTEGER, allowNull: true }, // seconds
+    wordChoiceTime: { type: DataTypes.INTEGER, allowNull: true }, // seconds
+    maxRounds: { type: DataTypes.INTEGER, allowNull: true }, // game ends after this many full drawer rotations
+    wordOptionsCount: { type: DataTypes.INTEGER, defaultValue: 3 }, // words offered to the drawer
     voiceEnabled: { type: DataTypes.BOOLEAN, defaultValue: false },
     isPublic: { type: DataTypes.BOOLEAN, defaultValue: false }, // Default private
     
@@ -54,13 +60,30 @@ module.exports = (sequelize, DataTypes) => {
         this.setDataValue('usedWords', Array.isArray(val) ? val : []);
       },
     },
+    // Owner-uploaded word list (private rooms only), mixed into word options at customWordsMix percent
+    customWords: {
+      type: DataTypes.JSON,
+      defaultValue: [],
+      get() {
+        const value = this.getDataValue('customWords');
+        return Array.isArray(value) ? value : [];
+      },
+      set(val) {
+        this.setDataValue('customWords', Array.isArray(val) ? val : []);
+      },
+    },
+    customWordsMix: { type: DataTypes.INTEGER, defaultValue: 100 }, // 0-100: share of options taken from customWords
     currentWordOptions: { type: DataTypes.JSON, allowNull: true }, // 3 word choices for drawer
+    currentWordOptionsMeta: { type: DataTypes.JSON, allowNull: true }, // [{ word, keywordId, languageCode, difficulty, multiplier }]
+    currentWordMeta: { type: DataTypes.JSON, allowNull: true }, // entry of currentWordOptionsMeta the drawer picked
     currentDrawerId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true },
     currentRound: { type: DataTypes.INTEGER, defaultValue: 0 },
     roundStartTime: { type: DataTypes.DATE, allowNull: true },
+    gameStartedAt: { type: DataTypes.DATE, allowNull: true }, // Set on start_game; groups round replays per game
     roundPhase: { type: DataTypes.STRING, allowNull: true }, // 'selecting_drawer', 'choosing_word', 'drawing', 'reveal', 'interval'
     roundPhaseEndTime: { type: DataTypes.DATE, allowNull: true },
     roundRemainingTime: { type: DataTypes.INTEGER, defaultValue: 80 }, // Drawing time in seconds
+    completedRotations: { type: DataTypes.INTEGER, defaultValue: 0 }, // full rotations (everyone drew) this game
     drawerPointerIndex: {
   type: DataTypes.INTEGER,
   defaultValue: 0,
@@ -0,0 +1,20 @@
+module.exports = (sequelize, DataTypes) => {
+  // Invite from a player in a room to a friend; pushed live via invite_to_room and listed over REST until it expires
+  const RoomInvite = sequelize.define('RoomInvite', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    fromUserId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    toUserId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    status: { type: DataTypes.ENUM('pending', 'accepted', 'declined'), defaultValue: 'pending' },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    respondedAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'room_invites',
+    indexes: [
+      { fields: ['toUserId', 'status', 'expiresAt'] },
+      { fields: ['roomId', 'fromUserId', 'toUserId'] }
+    ]
+  });
+
+  return RoomInvite;
+};
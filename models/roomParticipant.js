@@ -8,6 +8,9 @@ module.exports = (sequelize, DataTypes) => {
     team: { type: DataTypes.STRING, allowNull: true }, // 'orange' or 'blue'
     
     isDrawer: { type: DataTypes.BOOLEAN, defaultValue: false },
+
+    // Watches the game without playing: never draws, guesses, pays entry or counts as a player (sockets/spectators)
+    isSpectator: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
     score: { type: DataTypes.INTEGER, defaultValue: 0 }, // Points in current game
 
     points_updated_at: { 
@@ -25,6 +28,12 @@ module.exports = (sequelize, DataTypes) => {
     
     // Track entry payment
     hasPaidEntry: { type: DataTypes.BOOLEAN, defaultValue: false },
+
+    // When the player entered the current game: the room's gameStartedAt at start_game, later for a mid-game join
+    gameJoinedAt: { type: DataTypes.DATE, allowNull: true },
+
+    // Correct guesses this player scored in the current game (team mode: the guess that won the turn for the team)
+    correctGuessCount: { type: DataTypes.INTEGER, defaultValue: 0 },
     
     //  If I continuously misses my chance,player has to be eliminated  after he miss his 3 chances
     eliminationCount: { 
@@ -0,0 +1,27 @@
+module.exports = (sequelize, DataTypes) => {
+  // One row per drawing turn: strokes, guesses and phase changes as a time-indexed event stream
+  const RoundReplay = sequelize.define('RoundReplay', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false }, // no FK: replays outlive deleted rooms
+    roomCode: { type: DataTypes.STRING, allowNull: true },
+    round: { type: DataTypes.INTEGER, allowNull: false },
+    gameStartedAt: { type: DataTypes.DATE, allowNull: true }, // tells apart games played in the same room
+    drawerId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true },
+    playerIds: { type: DataTypes.JSON, defaultValue: [] }, // players in the game when the turn ended: who may view the replay
+    word: { type: DataTypes.STRING, allowNull: true },
+    startedAt: { type: DataTypes.DATE, allowNull: false },
+    endedAt: { type: DataTypes.DATE, allowNull: true },
+    endReason: { type: DataTypes.STRING, allowNull: true }, // 'reveal', 'drawer_left', 'aborted', 'room_closed'
+    // [{ t, type, data }] where t = ms since startedAt; type = stroke | clear_canvas | incorrect_guess | correct_guess | phase_change
+    events: { type: DataTypes.JSON, defaultValue: [] },
+    eventCount: { type: DataTypes.INTEGER, defaultValue: 0 }
+  }, {
+    tableName: 'round_replays',
+    indexes: [
+      { fields: ['roomId', 'round'] },
+      { fields: ['drawerId'] }
+    ]
+  });
+
+  return RoundReplay;
+};
@@ -0,0 +1,23 @@
+module.exports = (sequelize, DataTypes) => {
+  // Final standings of a closed weekly/monthly season, written once by the rollover job
+  const SeasonStanding = sequelize.define('SeasonStanding', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    season: { type: DataTypes.STRING(16), allowNull: false },
+    scope: { type: DataTypes.STRING(8), allowNull: false }, // 'global' or an ISO-2 country code
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    rank: { type: DataTypes.INTEGER, allowNull: false },
+    points: { type: DataTypes.INTEGER, defaultValue: 0 },
+    gamesPlayed: { type: DataTypes.INTEGER, defaultValue: 0 },
+    gamesWon: { type: DataTypes.INTEGER, defaultValue: 0 },
+    coinsAwarded: { type: DataTypes.INTEGER, defaultValue: 0 }
+  }, {
+    tableName: 'season_standings',
+    indexes: [
+      { unique: true, fields: ['season', 'scope', 'userId'] },
+      { fields: ['season', 'scope', 'rank'] },
+      { fields: ['userId'] }
+    ]
+  });
+
+  return SeasonStanding;
+};
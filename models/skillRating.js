@@ -0,0 +1,19 @@
+module.exports = (sequelize, DataTypes) => {
+  // Per-user Elo skill rating, updated from every finished game's rankings
+  const SkillRating = sequelize.define('SkillRating', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    rating: { type: DataTypes.INTEGER, defaultValue: 1200 },
+    peakRating: { type: DataTypes.INTEGER, defaultValue: 1200 },
+    gamesRated: { type: DataTypes.INTEGER, defaultValue: 0 }, // provisional (bigger swings) while below the threshold
+    lastRatedAt: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'skill_ratings',
+    indexes: [
+      { unique: true, fields: ['userId'] },
+      { fields: ['rating'] }
+    ]
+  });
+
+  return SkillRating;
+};
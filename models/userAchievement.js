@@ -0,0 +1,18 @@
+module.exports = (sequelize, DataTypes) => {
+  // An achievement a user unlocked (catalog in utils/achievements.js); each one unlocks once per user
+  const UserAchievement = sequelize.define('UserAchievement', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    userId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    achievementKey: { type: DataTypes.STRING(64), allowNull: false },
+    unlockedAt: { type: DataTypes.DATE, allowNull: false },
+    coinsAwarded: { type: DataTypes.INTEGER, defaultValue: 0 },
+    roomId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: true } // room it was earned in (null for e.g. login streaks)
+  }, {
+    tableName: 'user_achievements',
+    indexes: [
+      { unique: true, fields: ['userId', 'achievementKey'] }
+    ]
+  });
+
+  return UserAchievement;
+};
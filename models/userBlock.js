@@ -0,0 +1,16 @@
+module.exports = (sequelize, DataTypes) => {
+  // blockerId no longer sees blockedId's chat/guesses, and matching keeps the two out of the same public room
+  const UserBlock = sequelize.define('UserBlock', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    blockerId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    blockedId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false }
+  }, {
+    tableName: 'user_blocks',
+    indexes: [
+      { unique: true, fields: ['blockerId', 'blockedId'] },
+      { fields: ['blockedId'] }
+    ]
+  });
+
+  return UserBlock;
+};
@@ -0,0 +1,24 @@
+module.exports = (sequelize, DataTypes) => {
+  // Per keyword + language play statistics; difficulty is recomputed from them after every drawing turn
+  const WordStat = sequelize.define('WordStat', {
+    id: { type: DataTypes.BIGINT.UNSIGNED, primaryKey: true, autoIncrement: true },
+    keywordId: { type: DataTypes.BIGINT.UNSIGNED, allowNull: false },
+    languageCode: { type: DataTypes.STRING(10), allowNull: false }, // language of the word that was shown
+    timesOffered: { type: DataTypes.INTEGER, defaultValue: 0 }, // appeared in word_options
+    timesChosen: { type: DataTypes.INTEGER, defaultValue: 0 }, // picked by the drawer
+    turnsPlayed: { type: DataTypes.INTEGER, defaultValue: 0 }, // drawing turns that reached reveal
+    guessOpportunities: { type: DataTypes.INTEGER, defaultValue: 0 }, // eligible guessers summed over turns
+    correctGuesses: { type: DataTypes.INTEGER, defaultValue: 0 },
+    totalGuessTimeFraction: { type: DataTypes.DOUBLE, defaultValue: 0 }, // sum of (time to guess / drawing time)
+    difficultyScore: { type: DataTypes.DOUBLE, allowNull: true }, // 0 (instant, everyone) .. 1 (nobody); null = not enough data
+    difficulty: { type: DataTypes.STRING(10), allowNull: true } // 'easy', 'medium', 'hard'
+  }, {
+    tableName: 'word_stats',
+    indexes: [
+      { unique: true, fields: ['keywordId', 'languageCode'] },
+      { fields: ['difficulty'] }
+    ]
+  });
+
+  return WordStat;
+};
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const { recordCallback, isAdRewardError } = require("../utils/adRewards");
+
+// Rewarded-ad verification callback, called server-to-server by the ad network (no user auth: the HMAC signature is the auth)
+// GET /api/ads/callback?user_id=&transaction_id=&timestamp=&ad_type=&signature=
+router.get("/callback", async (req, res) => {
+  try {
+    const { transactionId, duplicate } = await recordCallback(req.query);
+    console.log(`📺 Verified ad callback ${transactionId} for user ${req.query.user_id}${duplicate ? " (repeat)" : ""}`);
+    res.json({ success: true, transactionId, duplicate });
+  } catch (err) {
+    if (isAdRewardError(err)) {
+      console.warn(`⚠️ Rejected ad callback ${req.query.transaction_id || "?"}: ${err.code}`);
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error("Ad callback error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+module.exports = router;
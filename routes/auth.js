@@ -1,8 +1,9 @@
 const express = require("express");
 const router = express.Router();
-const { User, CoinTransaction, Token } = require("../models");
+const { User, Token, sequelize } = require("../models");
 const { sign, authMiddleware } = require("../utils/auth");
 const { normalizeCountryCode } = require("../utils/countryCode");
+const { credit } = require("../utils/wallet");
 
 const coinsForRegisteredUsers = 1000;
 const coinsForGuestUsers = 1000;
@@ -20,38 +21,42 @@ router.post("/signup", async (req, res) => {
       if (provider === "guest") {
         // Normalize country to ISO-2 code (supports backward compatibility)
         const normalizedCountry = country ? normalizeCountryCode(country) : null;
-        user = await User.create({
-          provider,
-          name,
-          avatar,
-          coins: coinsForGuestUsers,
-          language,
-          country: normalizedCountry,
+        user = await sequelize.transaction(async (t) => {
+          const created = await User.create({
+            provider,
+            name,
+            avatar,
+            coins: 0,
+            language,
+            country: normalizedCountry,
+          }, { transaction: t });
+          await credit(created.id, coinsForGuestUsers, "signup_bonus", {
+            transaction: t,
+            idempotencyKey: `signup_bonus:${created.id}`,
+          });
+          return created;
         });
         isNew = true;
-        await CoinTransaction.create({
-          userId: user.id,
-          amount: coinsForGuestUsers,
-          reason: "signup_bonus",
-        });
       } else {
         // Normalize country to ISO-2 code (supports backward compatibility)
         const normalizedCountry = country ? normalizeCountryCode(country) : null;
-        user = await User.create({
-          provider,
-          providerId,
-          name,
-          avatar,
-          coins: coinsForRegisteredUsers,
-          language,
-          country: normalizedCountry,
+        user = await sequelize.transaction(async (t) => {
+          const created = await User.create({
+            provider,
+            providerId,
+            name,
+            avatar,
+            coins: 0,
+            language,
+            country: normalizedCountry,
+          }, { transaction: t });
+          await credit(created.id, coinsForRegisteredUsers, "signup_bonus", {
+            transaction: t,
+            idempotencyKey: `signup_bonus:${created.id}`,
+          });
+          return created;
         });
         isNew = true;
-        await CoinTransaction.create({
-          userId: user.id,
-          amount: coinsForRegisteredUsers,
-          reason: "signup_bonus",
-        });
       }
     }
 
@@ -0,0 +1,112 @@
+const express = require("express");
+const router = express.Router();
+const { User } = require("../models");
+const {
+  isFriendsError,
+  listFriends,
+  listRequests,
+  sendRequest,
+  respondToRequest,
+  removeFriend,
+} = require("../utils/friends");
+const { listPendingInvites, respondToInvite } = require("../utils/roomInvites");
+
+function sendError(res, err, label) {
+  if (isFriendsError(err)) {
+    return res.status(err.status).json({ error: err.code, message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  res.status(500).json({ error: "server_error", message: err.message });
+}
+
+// Friends with presence (offline / online / in_lobby / in_game)
+router.get("/", async (req, res) => {
+  try {
+    const friends = await listFriends(req.user.id);
+    res.json({ friends });
+  } catch (err) {
+    sendError(res, err, "Friends list");
+  }
+});
+
+// Pending friend requests: { incoming, outgoing }
+router.get("/requests", async (req, res) => {
+  try {
+    res.json(await listRequests(req.user.id));
+  } catch (err) {
+    sendError(res, err, "Friend requests");
+  }
+});
+
+// Send a friend request. Body: { userId }. Accepts instead if that user already asked you.
+router.post("/requests", async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) return res.status(404).json({ error: "not_found" });
+    const { status, request } = await sendRequest(req.app.locals.io, user, req.body.userId);
+    console.log(`🤝 User ${user.id} -> ${req.body.userId} friend request (${status})`);
+    res.json({ success: true, status, requestId: request.id });
+  } catch (err) {
+    sendError(res, err, "Friend request");
+  }
+});
+
+router.post("/requests/:id/accept", async (req, res) => {
+  try {
+    await respondToRequest(req.app.locals.io, req.user.id, req.params.id, true);
+    res.json({ success: true, status: "accepted" });
+  } catch (err) {
+    sendError(res, err, "Accept friend request");
+  }
+});
+
+router.post("/requests/:id/decline", async (req, res) => {
+  try {
+    await respondToRequest(req.app.locals.io, req.user.id, req.params.id, false);
+    res.json({ success: true, status: "declined" });
+  } catch (err) {
+    sendError(res, err, "Decline friend request");
+  }
+});
+
+// Pending room invites (fallback for invites missed while offline)
+router.get("/invites", async (req, res) => {
+  try {
+    const invites = await listPendingInvites(req.user.id);
+    res.json({ invites });
+  } catch (err) {
+    sendError(res, err, "Room invites");
+  }
+});
+
+// Accept returns the room to join with the normal join flow
+router.post("/invites/:id/accept", async (req, res) => {
+  try {
+    const result = await respondToInvite(req.app.locals.io, req.user.id, req.params.id, true);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, "Accept room invite");
+  }
+});
+
+router.post("/invites/:id/decline", async (req, res) => {
+  try {
+    await respondToInvite(req.app.locals.io, req.user.id, req.params.id, false);
+    res.json({ success: true, accepted: false });
+  } catch (err) {
+    sendError(res, err, "Decline room invite");
+  }
+});
+
+// Remove a friend (or withdraw a pending request with that user)
+router.delete("/:userId", async (req, res) => {
+  try {
+    const removed = await removeFriend(req.user.id, req.params.userId);
+    if (!removed) return res.status(404).json({ error: "not_found" });
+    res.json({ success: true });
+  } catch (err) {
+    sendError(res, err, "Remove friend");
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { authMiddleware } = require("../utils/auth");
+const { authMiddleware, authMiddlewareAllowSuspended } = require("../utils/auth");
 const wordRoutes = require("./words");
 
 const authRoutes = require("./auth");
@@ -9,16 +9,28 @@ const roomRoutes = require("./rooms");
 const themeRoutes = require("./themes");
 const reportRoutes = require("./reports");
 const agoraRoutes = require("./agora");
+const leaderboardRoutes = require("./leaderboards");
+const adRoutes = require("./ads");
+const friendRoutes = require("./friends");
+const moderationRoutes = require("./moderation");
 
 // Auth routes don't need authentication middleware
 router.use("/auth", authRoutes);
 
+// Ad network server-to-server callbacks are signed, not user-authenticated
+router.use("/ads", adRoutes);
+
 // Protected routes - require authentication
 router.use("/users", authMiddleware, userRoutes);
 router.use("/rooms", authMiddleware, roomRoutes);
 router.use("/themes", authMiddleware, themeRoutes);
 router.use("/report", authMiddleware, reportRoutes);
 router.use("/agora", authMiddleware, agoraRoutes);
+router.use("/leaderboards", authMiddleware, leaderboardRoutes);
+router.use("/friends", authMiddleware, friendRoutes);
+
+// Suspended accounts can still check their restrictions and appeal
+router.use("/moderation", authMiddlewareAllowSuspended, moderationRoutes);
 
 router.use("/words", wordRoutes);
 
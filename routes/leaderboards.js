@@ -0,0 +1,103 @@
+const express = require("express");
+const router = express.Router();
+const { User } = require("../models");
+const { normalizeCountryCode } = require("../utils/countryCode");
+const {
+  PERIODS,
+  getLeaderboard,
+  getUserStanding,
+  getSeasonStandings,
+} = require("../utils/leaderboards");
+
+function parsePaging(query) {
+  return {
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 100),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0),
+  };
+}
+
+/**
+ * Resolve ?country= to an ISO-2 code: omitted = global, "me" = the caller's profile country.
+ * @returns {Promise<{ country: string|null, error?: object }>}
+ */
+async function resolveCountry(req) {
+  const raw = req.query.country;
+  if (raw === undefined || raw === "" || raw === "global") return { country: null };
+  if (raw === "me") {
+    const user = await User.findByPk(req.user.id, { attributes: ["id", "country"] });
+    const country = normalizeCountryCode(user?.country);
+    if (!country) {
+      return { country: null, error: { error: "country_not_set", message: "Set a country on your profile to see your country board" } };
+    }
+    return { country };
+  }
+  const country = normalizeCountryCode(raw);
+  if (!country) {
+    return { country: null, error: { error: "invalid_country", message: "country must be an ISO-2 code, 'me' or 'global'" } };
+  }
+  return { country };
+}
+
+// Current season board with the caller's own rank (protected by global middleware)
+// Query: ?period=all|weekly|monthly&country=IN|me|global&limit=50&offset=0
+router.get("/", async (req, res) => {
+  try {
+    const period = req.query.period || "all";
+    if (!PERIODS.includes(period)) {
+      return res.status(400).json({ error: "invalid_period", message: `period must be one of ${PERIODS.join(", ")}` });
+    }
+    const { country, error } = await resolveCountry(req);
+    if (error) return res.status(400).json(error);
+
+    const { limit, offset } = parsePaging(req.query);
+    const board = await getLeaderboard({ period, country, limit, offset });
+    const me = await getUserStanding(req.user.id, { period, country });
+
+    res.json({ period, country, limit, offset, ...board, me });
+  } catch (err) {
+    console.error("Leaderboard error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Caller's rank in every current season, globally and in their country (protected by global middleware)
+router.get("/me", async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id, { attributes: ["id", "country"] });
+    if (!user) return res.status(404).json({ error: "not_found" });
+    const country = normalizeCountryCode(user.country);
+
+    const standings = {};
+    for (const period of PERIODS) {
+      standings[period] = {
+        global: await getUserStanding(user.id, { period }),
+        country: country ? await getUserStanding(user.id, { period, country }) : null,
+      };
+    }
+    res.json({ userId: user.id, country, standings });
+  } catch (err) {
+    console.error("Leaderboard (me) error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Archived final standings of a closed season, e.g. /seasons/2026-W42?country=IN (protected by global middleware)
+router.get("/seasons/:season", async (req, res) => {
+  try {
+    const { season } = req.params;
+    if (!/^\d{4}-(W\d{2}|\d{2})$/.test(season)) {
+      return res.status(400).json({ error: "invalid_season", message: "season must look like 2026-W42 or 2026-10" });
+    }
+    const { country, error } = await resolveCountry(req);
+    if (error) return res.status(400).json(error);
+
+    const { limit, offset } = parsePaging(req.query);
+    const standings = await getSeasonStandings(season, { country, limit, offset });
+    res.json({ country, limit, offset, ...standings });
+  } catch (err) {
+    console.error("Season standings error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require("express");
+const router = express.Router();
+const { User } = require("../models");
+const {
+  isModerationError,
+  getStatus,
+  recordStrike,
+  submitAppeal,
+  listPendingAppeals,
+  resolveAppeal,
+} = require("../utils/moderation");
+
+function sendError(res, err, label) {
+  if (isModerationError(err)) {
+    return res.status(err.status).json({ error: err.code, message: err.message });
+  }
+  console.error(`${label} error:`, err);
+  res.status(500).json({ error: "server_error", message: err.message });
+}
+
+function isAdmin(req) {
+  const providedSecret = req.headers["x-admin-secret"];
+  return !!providedSecret && providedSecret === process.env.ADMIN_SECRET;
+}
+
+// Own strikes and restrictions (reachable while suspended)
+router.get("/me", async (req, res) => {
+  try {
+    res.json(await getStatus(req.user.id));
+  } catch (err) {
+    sendError(res, err, "Moderation status");
+  }
+});
+
+// Appeal the latest strike. Body: { message }
+router.post("/appeal", async (req, res) => {
+  try {
+    const status = await submitAppeal(req.user.id, req.body.message);
+    console.log(`📨 User ${req.user.id} appealed their latest strike`);
+    res.json({ success: true, ...status });
+  } catch (err) {
+    sendError(res, err, "Moderation appeal");
+  }
+});
+
+// Admin: pending appeals, oldest first. Query: limit, offset
+router.get("/appeals", async (req, res) => {
+  try {
+    if (!isAdmin(req)) return res.status(401).json({ error: "Unauthorized! Locked out." });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    res.json(await listPendingAppeals({ limit, offset }));
+  } catch (err) {
+    sendError(res, err, "Moderation appeals");
+  }
+});
+
+// Admin: approve (overturn latest strike, lift restrictions) or reject an appeal. Body: { approve, note? }
+router.post("/appeals/:userId/resolve", async (req, res) => {
+  try {
+    if (!isAdmin(req)) return res.status(401).json({ error: "Unauthorized! Locked out." });
+    if (typeof req.body.approve !== "boolean") {
+      return res.status(400).json({ error: "approve_required", message: "approve must be true or false" });
+    }
+    const status = await resolveAppeal(req.app.locals.io, req.params.userId, {
+      approve: req.body.approve,
+      note: req.body.note,
+    });
+    console.log(`⚖️ Appeal of user ${req.params.userId} ${req.body.approve ? "approved" : "rejected"}`);
+    res.json({ success: true, ...status });
+  } catch (err) {
+    sendError(res, err, "Resolve appeal");
+  }
+});
+
+// Admin: record a strike directly. Body: { userId, reason }
+router.post("/strikes", async (req, res) => {
+  try {
+    if (!isAdmin(req)) return res.status(401).json({ error: "Unauthorized! Locked out." });
+    const { userId, reason } = req.body;
+    const user = userId ? await User.findByPk(userId, { attributes: ["id"] }) : null;
+    if (!user) return res.status(404).json({ error: "not_found", message: "User not found" });
+    if (!reason) return res.status(400).json({ error: "reason_required", message: "reason is required" });
+
+    const { status } = await recordStrike(req.app.locals.io, user.id, {
+      source: "moderator",
+      reason: String(reason).slice(0, 255),
+    });
+    res.json({ success: true, userId: user.id, ...status });
+  } catch (err) {
+    sendError(res, err, "Moderator strike");
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,31 @@
 const express = require("express");
 const router = express.Router();
-const { Report, Room, RoomParticipant, User, sequelize } = require("../models");
+const { Report, Room, RoomParticipant, User, RoundReplay, sequelize } = require("../models");
 const { abortDrawerForUser } = require("../sockets/roundPhases");
 const { deleteRoom } = require("../utils/cleanRoom");
+const { recordStrike } = require("../utils/moderation");
 
 /**
- * After removing a participant, decide if the room should be closed.
+ * Count a confirmed room penalty as a strike on the user's account (escalates to mutes / drawing bans / suspension).
+ * The room penalty already happened, so a failure here is logged and does not fail the report.
+ * @param {string} penalty - removed | abort | ban (one strike per report and penalty)
+ */
+async function recordAccountStrike(io, report, roomId, penalty) {
+	try {
+		await recordStrike(io, report.userToBlockId, {
+			source: "room_report",
+			sourceKey: `report:${report.id}:${penalty}`,
+			roomId,
+			reportType: report.reportType,
+			reason: `room_${penalty}`,
+		});
+	} catch (err) {
+		console.error(`Moderation strike error (report ${report.id}):`, err?.message ?? err);
+	}
+}
+
+/**
+ * After removing a participant, decide if the room should be closed. Spectators do not count.
  * - 1v1: close if <= 1 member left (can't play alone).
  * - team_vs_team: close if any team has < 2 active members (need at least 2 per team).
  * @param {object} room - Room model instance (with gameMode)
@@ -14,12 +34,13 @@ const { deleteRoom } = require("../utils/cleanRoom");
  */
 function shouldCloseRoomAfterRemoval(room, activeParticipants) {
 	if (!room || !activeParticipants) return false;
-	const count = activeParticipants.length;
+	const players = activeParticipants.filter((p) => !p.isSpectator);
+	const count = players.length;
 	if (count === 0) return true;
 	const gameMode = (room.gameMode || "1v1").toLowerCase();
 	if (gameMode === "team_vs_team") {
 		const byTeam = {};
-		for (const p of activeParticipants) {
+		for (const p of players) {
 			const t = p.team || "unknown";
 			byTeam[t] = (byTeam[t] || 0) + 1;
 		}
@@ -36,6 +57,29 @@ function shouldCloseRoomAfterRemoval(room, activeParticipants) {
 	return count <= 1;
 }
 
+/** room_participants payload after a removal: players and spectators listed separately (as the socket layer does). */
+function participantsPayload(activeParticipants) {
+	const base = (p) => ({
+		id: p.userId,
+		name: p.user ? p.user.name : "Guest",
+		avatar: p.user ? p.user.avatar : null,
+		socketId: p.socketId,
+	});
+	return {
+		participants: activeParticipants
+			.filter((p) => !p.isSpectator)
+			.map((p) => ({
+				...base(p),
+				coins: p.user ? p.user.coins : 0,
+				score: p.score,
+				team: p.team,
+				isDrawer: p.isDrawer,
+				hasPaidEntry: p.hasPaidEntry,
+			})),
+		spectators: activeParticipants.filter((p) => p.isSpectator).map(base),
+	};
+}
+
 // POST /report - Report a user in a room
 router.post("/", async (req, res) => {
 	const logTag = "Report";
@@ -61,6 +105,10 @@ router.post("/", async (req, res) => {
 		if (!reportingUserParticipant) {
 			return res.status(404).json({ error: "You are not in this room" });
 		}
+		// Reports are votes of the players; spectators can still block a user
+		if (reportingUserParticipant.isSpectator) {
+			return res.status(403).json({ error: "Spectators cannot report players" });
+		}
 
 		const targetUserParticipant = await RoomParticipant.findOne({
 			where: { roomId, userId: userToBlockId, isActive: true },
@@ -122,8 +170,9 @@ router.post("/", async (req, res) => {
 			throw err;
 		}
 
+		// Share of the players (spectators do not count)
 		const activeParticipantsCount = await RoomParticipant.count({
-			where: { roomId, isActive: true }
+			where: { roomId, isActive: true, isSpectator: false }
 		});
 
 		const reportPercentage = (newReportCount / activeParticipantsCount) * 100;
@@ -155,14 +204,12 @@ router.post("/", async (req, res) => {
 
 				if (io) {
 					if (userSocketId) {
-						const userSocket = io.sockets.sockets.get(userSocketId);
-						if (userSocket) {
-							userSocket.leave(room.code);
-							userSocket.emit("user_banned", {
-								message: `You have been removed from this room due to reports. You cannot re-join`,
-								roomId: roomId,
-							});
-						}
+						// Through the adapter: the socket may be connected to another node
+						io.in(userSocketId).socketsLeave(room.code);
+						io.to(userSocketId).emit("user_banned", {
+							message: `You have been removed from this room due to reports. You cannot re-join`,
+							roomId: roomId,
+						});
 					}
 					io.to(room.code).emit("user_banned_from_room", {
 						message: `${userName} has been removed from the room due to reports`,
@@ -173,24 +220,13 @@ router.post("/", async (req, res) => {
 						where: { roomId, isActive: true },
 						include: [{ model: User, as: "user", attributes: ["id", "name", "avatar", "coins"] }],
 					});
-					io.to(room.code).emit("room_participants", {
-						participants: activeParticipants.map((p) => ({
-							id: p.userId,
-							name: p.user ? p.user.name : "Guest",
-							avatar: p.user ? p.user.avatar : null,
-							coins: p.user ? p.user.coins : 0,
-							score: p.score,
-							team: p.team,
-							isDrawer: p.isDrawer,
-							socketId: p.socketId,
-							hasPaidEntry: p.hasPaidEntry,
-						})),
-					});
+					io.to(room.code).emit("room_participants", participantsPayload(activeParticipants));
 					// If not enough members left (1v1: <=1; team_vs_team: any team < 2), close room
 					if (io && shouldCloseRoomAfterRemoval(room, activeParticipants)) {
 						await deleteRoom(io, room);
 					}
 				}
+				await recordAccountStrike(io, report, roomId, "removed");
 				return res.json({
 					success: true,
 					message: "User reported and removed from room.",
@@ -209,6 +245,7 @@ router.post("/", async (req, res) => {
 					aborted = await abortDrawerForUser(io, room, userToBlockId);
 					console.log(`[${logTag}] reportType=drawing first strike: abortDrawerForUser=${aborted}`);
 				}
+				await recordAccountStrike(io, report, roomId, "abort");
 				return res.json({
 					success: true,
 					message: aborted
@@ -236,14 +273,12 @@ router.post("/", async (req, res) => {
 			if (io) {
 				// If user is connected via socket, kick them
 				if (userSocketId) {
-					const userSocket = io.sockets.sockets.get(userSocketId);
-					if (userSocket) {
-						userSocket.leave(room.code);
-						userSocket.emit("user_banned", {
-							message: `You have been banned from this room due to multiple reports. You cannot re-join`,
-							roomId: roomId,
-						});
-					}
+					// Through the adapter: the socket may be connected to another node
+					io.in(userSocketId).socketsLeave(room.code);
+					io.to(userSocketId).emit("user_banned", {
+						message: `You have been banned from this room due to multiple reports. You cannot re-join`,
+						roomId: roomId,
+					});
 				}
 
 				io.to(room.code).emit("user_banned_from_room", {
@@ -262,19 +297,7 @@ router.post("/", async (req, res) => {
 						},
 					],
 				});
-				io.to(room.code).emit("room_participants", {
-					participants: activeParticipants.map((p) => ({
-						id: p.userId,
-						name: p.user ? p.user.name : "Guest",
-						avatar: p.user ? p.user.avatar : null,
-						coins: p.user ? p.user.coins : 0,
-						score: p.score,
-						team: p.team,
-						isDrawer: p.isDrawer,
-						socketId: p.socketId,
-						hasPaidEntry: p.hasPaidEntry,
-					})),
-				});
+				io.to(room.code).emit("room_participants", participantsPayload(activeParticipants));
 				// If not enough members left (1v1: <=1; team_vs_team: any team < 2), close room
 				if (io && shouldCloseRoomAfterRemoval(room, activeParticipants)) {
 					await deleteRoom(io, room);
@@ -284,6 +307,7 @@ router.post("/", async (req, res) => {
 			console.log(
 				`[${logTag}] reportType=drawing second strike: user ${userToBlockId} banned from room ${roomId} (${newReportCount} reports)`
 			);
+			await recordAccountStrike(io, report, roomId, "ban");
 
 			return res.json({
 				success: true,
@@ -307,5 +331,35 @@ router.post("/", async (req, res) => {
 	}
 });
 
+// GET /report/replays?roomId=&userId= - Moderators: list persisted drawing turns of a reported drawer (x-admin-secret)
+router.get("/replays", async (req, res) => {
+	try {
+		const providedSecret = req.headers["x-admin-secret"];
+		if (!providedSecret || providedSecret !== process.env.ADMIN_SECRET) {
+			return res.status(401).json({ error: "Unauthorized! Locked out." });
+		}
+
+		const userId = parseInt(String(req.query.userId), 10);
+		if (!Number.isFinite(userId)) {
+			return res.status(400).json({ error: "userId is required and must be a valid number" });
+		}
+		const where = { drawerId: userId };
+		const roomId = req.query.roomId != null ? parseInt(String(req.query.roomId), 10) : NaN;
+		if (Number.isFinite(roomId)) where.roomId = roomId;
+
+		const replays = await RoundReplay.findAll({
+			where,
+			attributes: ["id", "roomId", "round", "word", "startedAt", "endedAt", "endReason", "eventCount"],
+			order: [["startedAt", "DESC"]],
+			limit: 50,
+		});
+
+		return res.json({ success: true, replays });
+	} catch (err) {
+		console.error("Report replays error:", err);
+		res.status(500).json({ error: "server_error", message: err.message });
+	}
+});
+
 module.exports = router;
 
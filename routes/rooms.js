@@ -6,18 +6,148 @@ const {
 	User,
 	Theme,
 	Word,
+	RoundReplay,
 	sequelize,
 } = require("../models");
 const { Op } = require("sequelize");
 const { normalizeCountryCode, validateCountryCode } = require("../utils/countryCode");
 const { deleteRoom } = require("../utils/cleanRoom");
+const { refundRoom } = require("../utils/entryEscrow");
+const { getAvoidIds } = require("../utils/blocks");
 const { checkAndEndGameIfInsufficientPlayers } = require('../sockets/roundPhases');
+const { getOverdueJobs, retryJob } = require("../sockets/phaseScheduler");
+const { renderSvg, renderPng } = require("../utils/canvasRenderer");
+const { getPhaseDuration, validateRoomTimingSettings } = require("../sockets/gameHelpers");
+const { validateCustomWordSettings } = require("../utils/customWords");
+const { BAND_STEP_MS, getRatings, ratingBand, touchSearch, endSearch } = require("../utils/skillRating");
+const { debit, isWalletError } = require("../utils/wallet");
+const { addSpectator, countPlayers } = require("../sockets/spectators");
+const { admitLateJoiner } = require("../sockets/lateJoin");
 
 // Generate unique room code
 function generateRoomCode() {
 	return Math.random().toString(36).slice(2, 7).toUpperCase();
 }
 
+/**
+ * Charge a new participant's room entry through the wallet (once per user and room).
+ * Sends the 400 insufficient_coins response itself when the balance no longer covers it.
+ * @returns {Promise<number|null>} null if a response was sent, otherwise the balance after the charge (0 for free rooms)
+ */
+async function chargeRoomEntry(res, userId, room) {
+	if (!(room.entryPoints > 0)) return 0; // free room
+	try {
+		const { balance } = await debit(userId, room.entryPoints, "room_entry", {
+			idempotencyKey: `room_entry:${room.id}:${userId}`,
+		});
+		console.log(
+			`💰 Deducted ${room.entryPoints} coins from user ${userId}. Remaining: ${balance}`,
+		);
+		return balance;
+	} catch (err) {
+		if (isWalletError(err) && err.code === "insufficient_coins") {
+			res.status(400).json({
+				error: "insufficient_coins",
+				message: `You need ${room.entryPoints} coins to join this room`,
+				required: room.entryPoints,
+				current: err.details.current,
+			});
+			return null;
+		}
+		throw err;
+	}
+}
+
+/**
+ * Public rooms never seat two players where one blocked the other (private rooms are joined by shared code, so they are exempt).
+ * Sends the 403 response itself when the room holds someone the user must avoid.
+ * @returns {Promise<boolean>} true if a response was sent
+ */
+async function rejectIfBlockedInPublicRoom(res, userId, room) {
+	if (!room.isPublic) return false;
+	const avoid = await getAvoidIds(userId);
+	if (avoid.size === 0) return false;
+	const seated = await RoomParticipant.findAll({
+		where: { roomId: room.id, isActive: true },
+		attributes: ["userId"],
+	});
+	if (!seated.some((p) => avoid.has(String(p.userId)))) return false;
+	res.status(403).json({
+		error: "blocked_player_in_room",
+		message: "This room has a player you blocked or who blocked you",
+	});
+	return true;
+}
+
+/**
+ * Join as spectator (body spectate: true): public rooms only, also when full or playing; no seat and no entry fee.
+ * A user who already plays in the room keeps their seat. Sends the response itself.
+ */
+async function respondSpectatorJoin(res, userId, room) {
+	if (await rejectIfBlockedInPublicRoom(res, userId, room)) return;
+	const { participant, error } = await addSpectator(room, userId);
+	if (error) {
+		return res.status(error.error === "you_are_banned" ? 403 : 400).json(error);
+	}
+	res.json({
+		success: true,
+		room: {
+			id: room.id,
+			code: room.isPublic ? undefined : room.code,
+			name: room.name,
+			roomType: room.roomType,
+			language: room.language,
+			category: room.category,
+			voiceEnabled: room.voiceEnabled,
+			status: room.status,
+			maxPlayers: room.maxPlayers,
+			participantCount: await countPlayers(room.id),
+		},
+		participant: {
+			id: participant.id,
+			team: participant.team,
+			score: participant.score,
+			isSpectator: participant.isSpectator,
+		},
+	});
+}
+
+/**
+ * Joining a playing room enters its game right away (entry held, catch-up score, queued as drawer; see sockets/lateJoin).
+ * Sends the 400 response itself and gives the seat up again when the entry cannot be held.
+ * @returns {Promise<object|null>} null if a response was sent, otherwise the admission ({ admitted, score, turnsBefore })
+ */
+async function admitIfPlaying(req, res, room, participant) {
+	const admission = await admitLateJoiner(req.app.locals.io, room, participant);
+	if (!admission.error) return admission;
+	participant.isActive = false;
+	await participant.save();
+	res.status(400).json(admission.error);
+	return null;
+}
+
+// Room fields GET /:roomId returns. The answer (currentWord, word options and their meta) and the custom word
+// pool are left out; the current drawer gets the word fields and the owner the custom words.
+const ROOM_DETAIL_FIELDS = [
+	"id", "code", "name", "ownerId", "gameMode", "language", "script", "country", "category",
+	"entryPoints", "targetPoints", "maxPointsPerRound", "maxPlayers", "drawingTime", "wordChoiceTime",
+	"maxRounds", "wordOptionsCount", "voiceEnabled", "isPublic", "status", "customWordsMix",
+	"currentDrawerId", "currentRound", "roundStartTime", "gameStartedAt", "roundPhase", "roundPhaseEndTime",
+	"roundRemainingTime", "completedRotations", "themeId", "createdAt", "updatedAt",
+	"owner", "participants", "theme",
+];
+const DRAWER_ROOM_FIELDS = ["currentWord", "currentWordMeta", "currentWordOptions", "currentWordOptionsMeta"];
+
+function roomDetailsPayload(room, viewerId) {
+	const roomJson = room.toJSON();
+	const fields = [...ROOM_DETAIL_FIELDS];
+	if (String(viewerId) === String(room.currentDrawerId)) fields.push(...DRAWER_ROOM_FIELDS);
+	const payload = Object.fromEntries(fields.filter((f) => f in roomJson).map((f) => [f, roomJson[f]]));
+	if (String(viewerId) === String(room.ownerId)) payload.customWords = room.customWords;
+	else payload.customWordsCount = room.customWords.length;
+	return payload;
+}
+
 // Assign team randomly for team_vs_team mode
 function assignTeamRandomly(existingParticipants) {
 	const teamACount = existingParticipants.filter((p) => p.team === "A").length;
@@ -119,6 +249,17 @@ router.post("/:roomId/update-settings", async (req, res) => {
 			maxPlayers,
 		} = req.body;
 
+		const timing = validateRoomTimingSettings(req.body);
+		if (timing.error) {
+			return res.status(400).json(timing.error);
+		}
+		const customWordSettings = validateCustomWordSettings(req.body, {
+			isPublic: isPublic !== undefined ? isPublic : room.isPublic,
+		});
+		if (customWordSettings.error) {
+			return res.status(400).json(customWordSettings.error);
+		}
+
 		// Update room settings
 		if (gameMode !== undefined) room.gameMode = gameMode;
 		if (language !== undefined) room.language = language;
@@ -156,6 +297,8 @@ router.post("/:roomId/update-settings", async (req, res) => {
 			// Enforce maximum limit of 15 players
 			room.maxPlayers = Math.min(Math.max(maxPlayers, 2), 15);
 		}
+		room.set(timing.values);
+		room.set(customWordSettings.values);
 
 		await room.save();
 
@@ -177,6 +320,12 @@ router.post("/:roomId/update-settings", async (req, res) => {
 				voiceEnabled: room.voiceEnabled,
 				isPublic: room.isPublic,
 				maxPlayers: room.maxPlayers,
+				drawingTime: getPhaseDuration(room, "drawing"),
+				wordChoiceTime: getPhaseDuration(room, "choosing_word"),
+				maxRounds: room.maxRounds,
+				wordOptionsCount: room.wordOptionsCount,
+				customWords: room.customWords, // owner-only response, so the full list is fine here
+				customWordsMix: room.customWordsMix,
 				status: room.status,
 			},
 		});
@@ -186,6 +335,57 @@ router.post("/:roomId/update-settings", async (req, res) => {
 	}
 });
 
+// UPLOAD CUSTOM WORD LIST (Only owner, private rooms, before game starts) - Protected by global middleware
+// Body: JSON { words: [...] | "one\nper\nline", mix?: 0-100 } or a text/plain file with one word per line.
+router.put(
+	"/:roomId/custom-words",
+	express.text({ type: "text/plain", limit: "100kb" }),
+	async (req, res) => {
+		try {
+			const room = await Room.findByPk(req.params.roomId);
+			if (!room) {
+				return res.status(404).json({ error: "room_not_found" });
+			}
+			if (room.ownerId !== req.user.id) {
+				return res.status(403).json({ error: "only_owner_can_update" });
+			}
+			if (room.status !== "lobby" && room.status !== "waiting") {
+				return res
+					.status(400)
+					.json({ error: "cannot_update_after_game_started" });
+			}
+
+			const isTextUpload = typeof req.body === "string";
+			const { values, error } = validateCustomWordSettings(
+				{
+					customWords: isTextUpload ? req.body : req.body?.words,
+					customWordsMix: isTextUpload ? req.query.mix : req.body?.mix,
+				},
+				room,
+			);
+			if (error) {
+				return res.status(400).json(error);
+			}
+			if (values.customWords === undefined) {
+				return res.status(400).json({ error: "invalid_custom_words", message: "words is required" });
+			}
+
+			room.set(values);
+			await room.save();
+			console.log(`📝 Room ${room.id} custom word list set (${room.customWords.length} words, mix ${room.customWordsMix}%)`);
+
+			res.json({
+				success: true,
+				customWords: room.customWords,
+				customWordsMix: room.customWordsMix,
+			});
+		} catch (err) {
+			console.error("Custom words upload error:", err);
+			res.status(500).json({ error: "server_error", message: err.message });
+		}
+	},
+);
+
 // UPDATE TEAM SELECTION (For team_vs_team mode) - Protected by global middleware
 router.post("/:roomId/select-team", async (req, res) => {
 	try {
@@ -244,7 +444,7 @@ router.post("/:roomId/select-team", async (req, res) => {
 // JOIN ROOM BY CODE - Protected by global middleware
 router.post("/join", async (req, res) => {
 	try {
-		const { code, team } = req.body;
+		const { code, team, spectate } = req.body;
 
 		if (!code) {
 			return res.status(400).json({ error: "code_required" });
@@ -256,13 +456,15 @@ router.post("/join", async (req, res) => {
 			return res.status(404).json({ error: "room_not_found" });
 		}
 
-		// Check if room is full
-		const participantCount = await RoomParticipant.count({
-			where: { roomId: room.id, isActive: true },
-		});
+		if (spectate === true || spectate === "true") {
+			return respondSpectatorJoin(res, req.user.id, room);
+		}
+
+		// Check if room is full (spectators take no seat)
+		const participantCount = await countPlayers(room.id);
 
 		if (participantCount >= room.maxPlayers) {
-			return res.status(400).json({ error: "room_full" });
+			return res.status(400).json({ error: "room_full", canSpectate: room.isPublic });
 		}
 
 		// Check if user has enough coins
@@ -292,14 +494,15 @@ router.post("/join", async (req, res) => {
 			}
 			// Reactivate if was inactive; do not set hasPaidEntry so owner pays only at start_game
 			participant.isActive = true;
+			// A spectator takes the free seat in the lobby; during a game they keep watching
+			if (participant.isSpectator && (room.status === "lobby" || room.status === "waiting")) {
+				participant.isSpectator = false;
+			}
 			await participant.save();
 		} else {
+			if (await rejectIfBlockedInPublicRoom(res, req.user.id, room)) return;
 			// New participant: deduct coins once
-			user.coins -= room.entryPoints;
-			await user.save();
-			console.log(
-				`💰 Deducted ${room.entryPoints} coins from user ${req.user.id}. Remaining: ${user.coins}`,
-			);
+			if ((await chargeRoomEntry(res, req.user.id, room)) === null) return;
 
 			// Assign team if team mode (gameMode: 'team' or 'team_vs_team')
 			let assignedTeam = null;
@@ -309,7 +512,7 @@ router.post("/join", async (req, res) => {
 				} else {
 					// Auto-assign to balance teams
 					const participants = await RoomParticipant.findAll({
-						where: { roomId: room.id, isActive: true },
+						where: { roomId: room.id, isActive: true, isSpectator: false },
 					});
 					assignedTeam = assignTeamRandomly(participants);
 				}
@@ -324,10 +527,11 @@ router.post("/join", async (req, res) => {
 			});
 		}
 
+		const admission = await admitIfPlaying(req, res, room, participant);
+		if (!admission) return;
+
 		// Get updated participant count after join
-		const updatedParticipantCount = await RoomParticipant.count({
-			where: { roomId: room.id, isActive: true },
-		});
+		const updatedParticipantCount = await countPlayers(room.id);
 
 		res.json({
 			success: true,
@@ -347,7 +551,9 @@ router.post("/join", async (req, res) => {
 				id: participant.id,
 				team: participant.team,
 				score: participant.score,
+				isSpectator: participant.isSpectator,
 			},
+			lateJoin: admission.admitted ? { score: admission.score, turnsBefore: admission.turnsBefore } : undefined,
 		});
 	} catch (err) {
 		console.error("Join room error:", err);
@@ -394,6 +600,10 @@ router.post("/play-random", async (req, res) => {
 			});
 		}
 
+		// Repeated calls while nothing fits count as one search; the rating band widens with its age
+		const waitedMs = touchSearch(req.user.id);
+		const band = ratingBand(waitedMs);
+
 		// Parse category to array and trim each element (handle leading/trailing spaces)
 		let categoryArray = [];
 		if (Array.isArray(category)) {
@@ -402,6 +612,9 @@ router.post("/play-random", async (req, res) => {
 			categoryArray = (category.includes(",") ? category.split(",").map((c) => c.trim()) : [category.trim()]).filter(Boolean);
 		}
 
+		// Never match into a room with someone the caller blocked or is blocked by
+		const avoidIds = await getAvoidIds(req.user.id);
+
 		// Minimal where (same as list): only isPublic, status, gameMode - filter rest in memory
 		const where = {
 			isPublic: true,
@@ -431,6 +644,9 @@ router.post("/play-random", async (req, res) => {
 		const voiceEnabledFilter = voiceEnabled === true || voiceEnabled === "true";
 		const languageFilter = language ? String(language).trim().toLowerCase() : null;
 
+		// Seats and ratings count players only; the blocked-player check also covers spectators
+		const seatedPlayers = (room) => (room.participants || []).filter((p) => !p.isSpectator);
+
 		// In-memory filters (aligned with list endpoint): language, country, targetPoints, voiceEnabled, category overlap
 		const availableRooms = rooms.filter((room) => {
 			if (!Number.isNaN(targetPointsNum) && room.targetPoints !== targetPointsNum) return false;
@@ -455,14 +671,18 @@ router.post("/play-random", async (req, res) => {
 			);
 			if (!matchesCategory) return false;
 
-			const participantCount = room.participants ? room.participants.length : 0;
+			const participantCount = seatedPlayers(room).length;
 			const isRoomFull = participantCount >= room.maxPlayers;
 			const userActiveInRoom =
 				room.participants &&
 				room.participants.some((p) => p.userId === req.user.id && p.isActive);
 			const hasPlayers = participantCount > 0; // Hide empty rooms (same as list)
+			const hasBlockedPlayer =
+				avoidIds.size > 0 &&
+				room.participants &&
+				room.participants.some((p) => avoidIds.has(String(p.userId)));
 
-			if (isRoomFull || userActiveInRoom || !hasPlayers) return false;
+			if (isRoomFull || userActiveInRoom || !hasPlayers || hasBlockedPlayer) return false;
 			return true;
 		});
 
@@ -477,20 +697,53 @@ router.post("/play-random", async (req, res) => {
 			});
 		}
 
-		// Sort rooms by participant count (descending) to prioritize rooms with more players
-		availableRooms.sort((a, b) => {
-			const aCount = a.participants ? a.participants.length : 0;
-			const bCount = b.participants ? b.participants.length : 0;
+		// Skill rating: keep rooms whose average rating is within the band around the caller's
+		const ratings = await getRatings([
+			req.user.id,
+			...availableRooms.flatMap((r) => seatedPlayers(r).map((p) => p.userId)),
+		]);
+		const myRating = ratings.get(String(req.user.id)).rating;
+		const ratingDistance = new Map();
+		for (const r of availableRooms) {
+			const memberRatings = seatedPlayers(r).map((p) => ratings.get(String(p.userId)).rating);
+			const average = memberRatings.reduce((sum, v) => sum + v, 0) / memberRatings.length;
+			ratingDistance.set(r.id, Math.abs(average - myRating));
+		}
+		const ratedRooms = availableRooms.filter((r) => ratingDistance.get(r.id) <= band);
+
+		console.log(
+			`📊 Rating ${myRating}, band ±${band} after ${Math.round(waitedMs / 1000)}s: ${ratedRooms.length}/${availableRooms.length} rooms fit`,
+		);
+
+		if (ratedRooms.length === 0) {
+			return res.json({
+				success: false,
+				matched: false,
+				message: "no_matches_found",
+				reason: "no_rating_match",
+				rating: myRating,
+				ratingBand: band,
+				waitedSeconds: Math.round(waitedMs / 1000),
+				retryAfterMs: BAND_STEP_MS,
+				suggestion: "Retry to search with a wider skill range, or create a new room",
+			});
+		}
+
+		// Closest rating first (in 50-point steps), then rooms with more players
+		ratedRooms.sort((a, b) => {
+			const aBucket = Math.floor(ratingDistance.get(a.id) / 50);
+			const bBucket = Math.floor(ratingDistance.get(b.id) / 50);
+			if (aBucket !== bBucket) return aBucket - bBucket;
+			const aCount = seatedPlayers(a).length;
+			const bCount = seatedPlayers(b).length;
 			return bCount - aCount; // Higher participant count first
 		});
 
-		// Join the room with the most players (best match)
-		const room = availableRooms[0];
-		const roomParticipantCount = room.participants
-			? room.participants.length
-			: 0;
+		// Join the best match
+		const room = ratedRooms[0];
+		const roomParticipantCount = seatedPlayers(room).length;
 		console.log(
-			`🎯 Selected room ${room.id} (${room.name}) with ${roomParticipantCount} existing players`,
+			`🎯 Selected room ${room.id} (${room.name}) with ${roomParticipantCount} existing players (rating distance ${Math.round(ratingDistance.get(room.id))})`,
 		);
 
 		console.log(
@@ -518,9 +771,7 @@ router.post("/play-random", async (req, res) => {
 		console.log(`✅ User has enough coins to join via play-random`);
 
 		// Re-check room is not full (race condition: someone may have joined since we filtered)
-		const currentParticipantCount = await RoomParticipant.count({
-			where: { roomId: room.id, isActive: true },
-		});
+		const currentParticipantCount = await countPlayers(room.id);
 		if (currentParticipantCount >= room.maxPlayers) {
 			return res.status(400).json({
 				error: "room_full",
@@ -540,8 +791,9 @@ router.post("/play-random", async (req, res) => {
 					message: "You cannot re-join this room; you have been banned.",
 				});
 			}
-			// Reactivate existing participant
+			// Reactivate existing participant (a spectator of this lobby takes the seat)
 			participant.isActive = true;
+			participant.isSpectator = false;
 			participant.hasPaidEntry = true;
 			await participant.save();
 			console.log(
@@ -549,11 +801,7 @@ router.post("/play-random", async (req, res) => {
 			);
 		} else {
 			// Deduct coins from user
-			user.coins -= room.entryPoints;
-			await user.save();
-			console.log(
-				`💰 Deducted ${room.entryPoints} coins from user ${req.user.id}. Remaining: ${user.coins}`,
-			);
+			if ((await chargeRoomEntry(res, req.user.id, room)) === null) return;
 
 			// Create new participant entry
 			participant = await RoomParticipant.create({
@@ -567,10 +815,10 @@ router.post("/play-random", async (req, res) => {
 			);
 		}
 
+		endSearch(req.user.id);
+
 		// Get updated participant count
-		const participantCount = await RoomParticipant.count({
-			where: { roomId: room.id, isActive: true },
-		});
+		const participantCount = await countPlayers(room.id);
 
 		res.json({
 			success: true,
@@ -600,7 +848,7 @@ router.post("/play-random", async (req, res) => {
 // JOIN ROOM BY ID (for public rooms) - Protected by global middleware
 router.post("/join-by-id", async (req, res) => {
 	try {
-		const { roomId, team } = req.body;
+		const { roomId, team, spectate } = req.body;
 
 		if (!roomId) {
 			return res.status(400).json({ error: "room_id_required" });
@@ -612,13 +860,15 @@ router.post("/join-by-id", async (req, res) => {
 			return res.status(404).json({ error: "room_not_found" });
 		}
 
-		// Check if room is full
-		const participantCount = await RoomParticipant.count({
-			where: { roomId: room.id, isActive: true },
-		});
+		if (spectate === true || spectate === "true") {
+			return respondSpectatorJoin(res, req.user.id, room);
+		}
+
+		// Check if room is full (spectators take no seat)
+		const participantCount = await countPlayers(room.id);
 
 		if (participantCount >= room.maxPlayers) {
-			return res.status(400).json({ error: "room_full" });
+			return res.status(400).json({ error: "room_full", canSpectate: room.isPublic });
 		}
 
 		// Check if user has enough coins
@@ -647,14 +897,15 @@ router.post("/join-by-id", async (req, res) => {
 			}
 			// Reactivate if was inactive; do not set hasPaidEntry so owner pays only at start_game
 			participant.isActive = true;
+			// A spectator takes the free seat in the lobby; during a game they keep watching
+			if (participant.isSpectator && (room.status === "lobby" || room.status === "waiting")) {
+				participant.isSpectator = false;
+			}
 			await participant.save();
 		} else {
+			if (await rejectIfBlockedInPublicRoom(res, req.user.id, room)) return;
 			// New participant: deduct coins once
-			user.coins -= room.entryPoints;
-			await user.save();
-			console.log(
-				`💰 Deducted ${room.entryPoints} coins from user ${req.user.id}. Remaining: ${user.coins}`,
-			);
+			if ((await chargeRoomEntry(res, req.user.id, room)) === null) return;
 
 			// Assign team if team mode (gameMode: 'team' or 'team_vs_team')
 			let assignedTeam = null;
@@ -664,7 +915,7 @@ router.post("/join-by-id", async (req, res) => {
 				} else {
 					// Auto-assign to balance teams
 					const participants = await RoomParticipant.findAll({
-						where: { roomId: room.id, isActive: true },
+						where: { roomId: room.id, isActive: true, isSpectator: false },
 					});
 					assignedTeam = assignTeamRandomly(participants);
 				}
@@ -679,10 +930,11 @@ router.post("/join-by-id", async (req, res) => {
 			});
 		}
 
+		const admission = await admitIfPlaying(req, res, room, participant);
+		if (!admission) return;
+
 		// Get updated participant count after join
-		const updatedParticipantCount = await RoomParticipant.count({
-			where: { roomId: room.id, isActive: true },
-		});
+		const updatedParticipantCount = await countPlayers(room.id);
 
 		res.json({
 			success: true,
@@ -702,7 +954,9 @@ router.post("/join-by-id", async (req, res) => {
 				id: participant.id,
 				team: participant.team,
 				score: participant.score,
+				isSpectator: participant.isSpectator,
 			},
+			lateJoin: admission.admitted ? { score: admission.score, turnsBefore: admission.turnsBefore } : undefined,
 		});
 	} catch (err) {
 		console.error("Join room by ID error:", err);
@@ -879,6 +1133,43 @@ router.post("/create-team", async (req, res) => {
 	}
 });
 
+// GET /rooms/scheduler/overdue - Admin: failed phase jobs and jobs past their due time (x-admin-secret)
+router.get("/scheduler/overdue", async (req, res) => {
+	try {
+		const providedSecret = req.headers["x-admin-secret"];
+		if (!providedSecret || providedSecret !== process.env.ADMIN_SECRET) {
+			return res.status(401).json({ error: "Unauthorized! Locked out." });
+		}
+		const limit = Math.min(500, Math.max(1, parseInt(String(req.query.limit), 10) || 100));
+		const jobs = await getOverdueJobs({ limit });
+		return res.json({ success: true, count: jobs.length, jobs });
+	} catch (err) {
+		console.error("Overdue phase jobs error:", err);
+		res.status(500).json({ error: "server_error", message: err.message });
+	}
+});
+
+// POST /rooms/scheduler/jobs/:jobId/retry - Admin: queue a failed phase job again (x-admin-secret)
+router.post("/scheduler/jobs/:jobId/retry", async (req, res) => {
+	try {
+		const providedSecret = req.headers["x-admin-secret"];
+		if (!providedSecret || providedSecret !== process.env.ADMIN_SECRET) {
+			return res.status(401).json({ error: "Unauthorized! Locked out." });
+		}
+		const jobId = parseInt(String(req.params.jobId), 10);
+		if (!Number.isFinite(jobId)) {
+			return res.status(400).json({ error: "invalid_job_id", message: "jobId must be a number" });
+		}
+		if (!(await retryJob(jobId))) {
+			return res.status(404).json({ error: "job_not_found", message: "No failed phase job with this id" });
+		}
+		return res.json({ success: true });
+	} catch (err) {
+		console.error("Retry phase job error:", err);
+		res.status(500).json({ error: "server_error", message: err.message });
+	}
+});
+
 // LIST PUBLIC ROOMS (for multiplayer lobby) - Protected by global middleware
 // Uses "Loop with Break": fetch in batches, filter, stop when we have MAX_ROOMS (best performance, returns up to 20).
 const LIST_ROOMS_MAX = 20;
@@ -932,6 +1223,9 @@ router.get("/list", async (req, res) => {
 		const voiceEnabledFilter = voiceEnabled !== undefined ? voiceEnabled === "true" : null;
 		const languageFilter = language ? String(language).trim().toLowerCase() : null;
 
+		// Spectators are listed with the participants but take no seat
+		const playerCount = (room) => (room.participants || []).filter((p) => !p.isSpectator).length;
+
 		// Helper: does this room pass in-memory filters?
 		const passesFilter = (room) => {
 			if (targetPointsFilter != null && room.targetPoints !== targetPointsFilter) return false;
@@ -942,7 +1236,7 @@ router.get("/list", async (req, res) => {
 				const roomLang = (room.language && String(room.language).trim().toLowerCase()) || "";
 				if (roomLang !== languageFilter) return false;
 			}
-			const participantCount = room.participants ? room.participants.length : 0;
+			const participantCount = playerCount(room);
 			const notFull = participantCount < room.maxPlayers;
 			const hasPlayers = participantCount > 0;
 			let matchesCategory = true;
@@ -977,7 +1271,8 @@ router.get("/list", async (req, res) => {
 			voiceEnabled: room.voiceEnabled,
 			status: room.status,
 			maxPlayers: room.maxPlayers,
-			participantCount: room.participants ? room.participants.length : 0,
+			participantCount: playerCount(room),
+			spectatorCount: (room.participants ? room.participants.length : 0) - playerCount(room),
 			RoomParticipants: room.participants,
 			entryPoints: room.entryPoints,
 			gameMode: room.gameMode,
@@ -1065,13 +1360,109 @@ router.get("/:roomId", async (req, res) => {
 			return res.status(404).json({ error: "room_not_found" });
 		}
 		console.log(room.isPublic);
-		res.json({ success: true, room });
+		res.json({ success: true, room: roomDetailsPayload(room, req.user.id) });
 	} catch (err) {
 		console.error("Get room error:", err);
 		res.status(500).json({ error: "server_error", message: err.message });
 	}
 });
 
+// Load the persisted replay for /:roomId/rounds/:round routes.
+// Defaults to the latest game/turn for that round; ?replayId= picks one. Returns null for bad params.
+async function findRoundReplay(req) {
+	const roomId = parseInt(req.params.roomId, 10);
+	const round = parseInt(req.params.round, 10);
+	if (!Number.isFinite(roomId) || !Number.isFinite(round)) return null;
+
+	const where = { roomId, round };
+	if (req.query.replayId) {
+		const replayId = parseInt(req.query.replayId, 10);
+		if (!Number.isFinite(replayId)) return null;
+		where.id = replayId;
+	}
+
+	return RoundReplay.findOne({
+		where,
+		order: [
+			["gameStartedAt", "DESC"],
+			["startedAt", "DESC"],
+		],
+	});
+}
+
+// Replays hold the answer and every stroke: only players of that game (or admin-secret holders) may load them
+function canViewReplay(req, replay) {
+	const providedSecret = req.headers["x-admin-secret"];
+	if (providedSecret && providedSecret === process.env.ADMIN_SECRET) return true;
+	const playerIds = Array.isArray(replay.playerIds) ? replay.playerIds : [];
+	return [replay.drawerId, ...playerIds].some((id) => id != null && String(id) === String(req.user.id));
+}
+
+// ROUND REPLAY (timelapse) - Protected by global middleware
+// Time-indexed event stream of a finished drawing turn.
+router.get("/:roomId/rounds/:round/replay", async (req, res) => {
+	try {
+		const replay = await findRoundReplay(req);
+		if (!replay) {
+			return res.status(404).json({ error: "replay_not_found" });
+		}
+		if (!canViewReplay(req, replay)) {
+			return res.status(403).json({ error: "not_in_game", message: "Only players of this game can view its rounds" });
+		}
+
+		res.json({
+			success: true,
+			replay: {
+				id: replay.id,
+				roomId: replay.roomId,
+				round: replay.round,
+				drawerId: replay.drawerId,
+				word: replay.word,
+				startedAt: replay.startedAt,
+				endedAt: replay.endedAt,
+				endReason: replay.endReason,
+				durationMs: replay.endedAt
+					? new Date(replay.endedAt).getTime() - new Date(replay.startedAt).getTime()
+					: null,
+				events: replay.events || [],
+			},
+		});
+	} catch (err) {
+		console.error("Round replay error:", err);
+		res.status(500).json({ error: "server_error", message: err.message });
+	}
+});
+
+// ROUND DRAWING EXPORT (gallery / share) - Protected by global middleware
+// Final canvas of a turn (strokes before the last clear_canvas dropped). ?format=svg|png&width=&height=
+router.get("/:roomId/rounds/:round/export", async (req, res) => {
+	try {
+		const format = (req.query.format || "png").toString().toLowerCase();
+		if (format !== "svg" && format !== "png") {
+			return res.status(400).json({ error: "invalid_format" });
+		}
+
+		const replay = await findRoundReplay(req);
+		if (!replay) {
+			return res.status(404).json({ error: "replay_not_found" });
+		}
+		if (!canViewReplay(req, replay)) {
+			return res.status(403).json({ error: "not_in_game", message: "Only players of this game can view its rounds" });
+		}
+
+		const options = { width: req.query.width, height: req.query.height };
+		res.set("Cache-Control", "private, max-age=86400"); // finished turns never change; login-only, so no shared caches
+		if (format === "svg") {
+			res.type("image/svg+xml").send(renderSvg(replay.events || [], options));
+		} else {
+			res.type("image/png").send(renderPng(replay.events || [], options));
+		}
+	} catch (err) {
+		console.error("Round export error:", err);
+		res.status(500).json({ error: "server_error", message: err.message });
+	}
+});
+
 // LEAVE ROOM - Protected by global middleware
 router.post("/:roomId/leave", async (req, res) => {
 	try {
@@ -1112,6 +1503,7 @@ router.post("/:roomId/leave", async (req, res) => {
 					{ status: "closed" },
 					{ where: { id: room.id } },
 				);
+				await refundRoom(room.id, "host_left");
 			}
 			return res.json({ success: true, message: "left_room" });
 		}
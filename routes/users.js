@@ -1,10 +1,16 @@
 const express = require("express");
 const router = express.Router();
-const { User, CoinTransaction, Language } = require("../models");
+const { User, Language, sequelize } = require("../models");
+const { applyEntry, credit, isWalletError } = require("../utils/wallet");
+const { getPlayerStats } = require("../utils/playerStats");
+const { getUserRating } = require("../utils/skillRating");
+const { claimReward, isAdRewardError } = require("../utils/adRewards");
+const { onLoginStreak, getUserAchievements } = require("../utils/achievements");
+const { blockUser, unblockUser, listBlocked } = require("../utils/blocks");
+const { isFriendsError } = require("../utils/friends");
 
 // Configurable rewards
 const DAILY_LOGIN_COINS = 1000;
-const AD_REWARD_COINS = 1000;
 
 // Get current user profile (protected by global middleware)
 router.get("/me", async (req, res) => {
@@ -13,69 +19,104 @@ router.get("/me", async (req, res) => {
   res.json({ user });
 });
 
-// Add coins to user account (protected by global middleware)
+// Get current user's lifetime game stats (protected by global middleware)
+router.get("/me/stats", async (req, res) => {
+  try {
+    const stats = await getPlayerStats(req.user.id);
+    const skill = await getUserRating(req.user.id);
+    res.json({ userId: req.user.id, stats, skill });
+  } catch (err) {
+    console.error("Player stats error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Admin: adjust any user's coins through the wallet (x-admin-secret). Clients earn coins only through game flows.
+// Body: { userId, amount, reason?, idempotencyKey? } - negative amounts debit and cannot overdraw
 router.post("/add-coins", async (req, res) => {
-  const { amount, reason } = req.body;
-  if (!amount) return res.status(400).json({ error: "amount_required" });
-  const user = await User.findByPk(req.user.id);
-  if (!user) return res.status(404).json({ error: "not_found" });
-  user.coins += parseInt(amount, 10);
-  await user.save();
-  await CoinTransaction.create({
-    userId: user.id,
-    amount,
-    reason: reason || "manual",
-  });
-  res.json({ user });
+  try {
+    const providedSecret = req.headers["x-admin-secret"];
+    if (!providedSecret || providedSecret !== process.env.ADMIN_SECRET) {
+      return res.status(401).json({ error: "Unauthorized! Locked out." });
+    }
+
+    const { userId, amount, reason, idempotencyKey } = req.body;
+    const value = parseInt(amount, 10);
+    if (!Number.isInteger(value) || value === 0) return res.status(400).json({ error: "amount_required" });
+    const targetId = userId ?? req.user.id;
+
+    const result = await applyEntry(targetId, value, reason || "admin_adjustment", {
+      idempotencyKey: idempotencyKey ? `admin:${idempotencyKey}` : undefined,
+    });
+    const user = await User.findByPk(targetId);
+    res.json({ user, balance: result.balance, duplicate: result.duplicate });
+  } catch (err) {
+    if (isWalletError(err)) {
+      const status = err.code === "user_not_found" ? 404 : 400;
+      return res.status(status).json({ error: err.code, message: err.message, ...err.details });
+    }
+    console.error("Add coins error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
 });
 
 // Claim daily login bonus (protected by global middleware)
 router.post("/claim-daily-bonus", async (req, res) => {
   try {
-    const user = await User.findByPk(req.user.id);
-    if (!user) return res.status(404).json({ error: "not_found" });
+    const result = await sequelize.transaction(async (t) => {
+      // Row lock: two concurrent claims cannot both pass the 24h check
+      const user = await User.findByPk(req.user.id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!user) return { status: 404, body: { error: "not_found" } };
 
-    const now = new Date();
-    const lastLogin = user.lastLoginDate ? new Date(user.lastLoginDate) : null;
+      const now = new Date();
+      const lastLogin = user.lastLoginDate ? new Date(user.lastLoginDate) : null;
 
-    // Check if 24 hours have passed
-    if (lastLogin) {
-      const hoursSinceLastLogin = (now - lastLogin) / (1000 * 60 * 60);
+      // Check if 24 hours have passed
+      if (lastLogin) {
+        const hoursSinceLastLogin = (now - lastLogin) / (1000 * 60 * 60);
 
-      if (hoursSinceLastLogin < 24) {
-        const hoursRemaining = Math.ceil(24 - hoursSinceLastLogin);
-        return res.status(400).json({
-          error: "already_claimed_today",
-          message: `Come back in ${hoursRemaining} hours`,
-          hoursRemaining,
-        });
+        if (hoursSinceLastLogin < 24) {
+          const hoursRemaining = Math.ceil(24 - hoursSinceLastLogin);
+          return {
+            status: 400,
+            body: {
+              error: "already_claimed_today",
+              message: `Come back in ${hoursRemaining} hours`,
+              hoursRemaining,
+            },
+          };
+        }
       }
-    }
 
-    // Award daily login bonus
-    user.coins += DAILY_LOGIN_COINS;
-    user.lastLoginDate = now;
+      user.lastLoginDate = now;
 
-    // Update streak
-    if (lastLogin) {
-      const daysSinceLastLogin = (now - lastLogin) / (1000 * 60 * 60 * 24);
-      if (daysSinceLastLogin <= 1.5) {
-        // Allow some grace period
-        user.dailyLoginStreak += 1;
+      // Update streak
+      if (lastLogin) {
+        const daysSinceLastLogin = (now - lastLogin) / (1000 * 60 * 60 * 24);
+        if (daysSinceLastLogin <= 1.5) {
+          // Allow some grace period
+          user.dailyLoginStreak += 1;
+        } else {
+          user.dailyLoginStreak = 1; // Reset streak
+        }
       } else {
-        user.dailyLoginStreak = 1; // Reset streak
+        user.dailyLoginStreak = 1;
       }
-    } else {
-      user.dailyLoginStreak = 1;
-    }
 
-    await user.save();
-    await CoinTransaction.create({
-      userId: user.id,
-      amount: DAILY_LOGIN_COINS,
-      reason: "daily_login_bonus",
+      await user.save({ transaction: t, fields: ["lastLoginDate", "dailyLoginStreak"] });
+
+      // Award daily login bonus (one per claim window, keyed by the previous claim)
+      await credit(user.id, DAILY_LOGIN_COINS, "daily_login_bonus", {
+        transaction: t,
+        idempotencyKey: `daily_login_bonus:${user.id}:${lastLogin ? lastLogin.getTime() : "first"}`,
+      });
+      return { userId: user.id };
     });
+    if (result.status) return res.status(result.status).json(result.body);
 
+    const user = await User.findByPk(result.userId);
+    // Streak achievement pays its own reward, so reload the balance if it unlocked now
+    if (await onLoginStreak(req.app.locals.io, user)) await user.reload();
     console.log(
       `💰 User ${user.name} claimed daily bonus: ${DAILY_LOGIN_COINS} coins (Streak: ${user.dailyLoginStreak})`,
     );
@@ -127,34 +168,33 @@ router.get("/daily-bonus-status", async (req, res) => {
 });
 
 // Claim ad reward (protected by global middleware)
+// Body: { transactionId } - the ad network's transaction id; only views it confirmed via /api/ads/callback pay out, once each
 router.post("/claim-ad-reward", async (req, res) => {
   try {
-    const { adType } = req.body; // 'banner' or 'interstitial'
+    const { transactionId } = req.body;
+    if (!transactionId) {
+      return res.status(400).json({ error: "transaction_id_required", message: "transactionId from the ad network is required" });
+    }
 
+    const { coinsAwarded, balance, duplicate, claimedToday } = await claimReward(req.user.id, transactionId);
     const user = await User.findByPk(req.user.id);
-    if (!user) return res.status(404).json({ error: "not_found" });
-
-    // Award ad coins
-    user.coins += AD_REWARD_COINS;
-    await user.save();
-
-    await CoinTransaction.create({
-      userId: user.id,
-      amount: AD_REWARD_COINS,
-      reason: `ad_reward_${adType || "unknown"}`,
-    });
 
     console.log(
-      `📺 User ${user.name} watched ad and earned ${AD_REWARD_COINS} coins`,
+      `📺 User ${user.name} watched ad and earned ${coinsAwarded} coins${duplicate ? " (duplicate claim)" : ""}`,
     );
 
     res.json({
       success: true,
-      coinsAwarded: AD_REWARD_COINS,
-      totalCoins: user.coins,
+      coinsAwarded,
+      duplicate,
+      claimedToday,
+      totalCoins: balance,
       user,
     });
   } catch (err) {
+    if (isAdRewardError(err)) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
     console.error("Ad reward error:", err);
     res.status(500).json({ error: "server_error", message: err.message });
   }
@@ -184,4 +224,70 @@ router.get("/languages", async (req, res) => {
   }
 });
 
+// Get current user's achievements: the whole catalog with unlock state (protected by global middleware)
+router.get("/me/achievements", async (req, res) => {
+  try {
+    const result = await getUserAchievements(req.user.id);
+    res.json({ userId: req.user.id, ...result });
+  } catch (err) {
+    console.error("Achievements error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Players the current user blocked (protected by global middleware)
+router.get("/blocks", async (req, res) => {
+  try {
+    const blocks = await listBlocked(req.user.id);
+    res.json({ blocks });
+  } catch (err) {
+    console.error("Block list error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Block a player in every room: hides their chat/guesses from you and keeps you out of public rooms together
+// Body: { userId }
+router.post("/blocks", async (req, res) => {
+  try {
+    const { created } = await blockUser(req.user.id, req.body.userId);
+    console.log(`🚫 User ${req.user.id} blocked ${req.body.userId}${created ? "" : " (already blocked)"}`);
+    res.json({ success: true, userId: Number(req.body.userId), created });
+  } catch (err) {
+    if (isFriendsError(err)) {
+      return res.status(err.status).json({ error: err.code, message: err.message });
+    }
+    console.error("Block user error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+router.delete("/blocks/:userId", async (req, res) => {
+  try {
+    const removed = await unblockUser(req.user.id, req.params.userId);
+    if (!removed) return res.status(404).json({ error: "not_found" });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Unblock user error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
+// Get another player's public game stats (protected by global middleware)
+router.get("/:id/stats", async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, {
+      attributes: ["id", "name", "avatar", "profilePicture", "country"],
+    });
+    if (!user) return res.status(404).json({ error: "not_found" });
+
+    const stats = await getPlayerStats(user.id);
+    const skill = await getUserRating(user.id);
+    res.json({ userId: user.id, user, stats, skill });
+  } catch (err) {
+    console.error("Player stats error:", err);
+    res.status(500).json({ error: "server_error", message: err.message });
+  }
+});
+
 module.exports = router;
@@ -6,7 +6,7 @@ const jwt = require("jsonwebtoken"); // Moved to top for better performance
 
 // Ensure Keyword, Theme, and Language models are correctly imported
 
-const { Theme, Language, Keyword, Translation, Word } = require("../models");
+const { Theme, Language, Keyword, Translation, Word, WordStat } = require("../models");
 
 
 
@@ -1208,4 +1208,210 @@ router.get("/all", async (req, res) => {
 
 
 
+// WORD DIFFICULTY STATS (SECURED)
+
+// Query: ?language=en&difficulty=easy|medium|hard|unrated&sort=difficultyScore|timesChosen|turnsPlayed|timesOffered&order=asc|desc&limit=50&offset=0
+
+const STATS_SORT_FIELDS = ["difficultyScore", "timesChosen", "turnsPlayed", "timesOffered", "correctGuesses"];
+
+
+
+function formatWordStat(stat, keyword = stat.keyword) {
+
+    const guessRate = stat.guessOpportunities ? stat.correctGuesses / stat.guessOpportunities : null;
+
+    const avgGuessTimeFraction = stat.correctGuesses ? stat.totalGuessTimeFraction / stat.correctGuesses : null;
+
+    return {
+
+        keywordId: stat.keywordId,
+
+        keyName: keyword ? keyword.keyName : null,
+
+        category: keyword ? keyword.category : null,
+
+        languageCode: stat.languageCode,
+
+        timesOffered: stat.timesOffered,
+
+        timesChosen: stat.timesChosen,
+
+        chooseRate: stat.timesOffered ? Number((stat.timesChosen / stat.timesOffered).toFixed(4)) : null,
+
+        turnsPlayed: stat.turnsPlayed,
+
+        guessOpportunities: stat.guessOpportunities,
+
+        correctGuesses: stat.correctGuesses,
+
+        guessRate: guessRate === null ? null : Number(guessRate.toFixed(4)),
+
+        avgGuessTimeFraction: avgGuessTimeFraction === null ? null : Number(avgGuessTimeFraction.toFixed(4)),
+
+        difficultyScore: stat.difficultyScore,
+
+        difficulty: stat.difficulty,
+
+        updatedAt: stat.updatedAt,
+
+    };
+
+}
+
+
+
+router.get("/stats", async (req, res) => {
+
+    try {
+
+        verifyAuth(req);
+
+    } catch (e) {
+
+        return res.status(401).json({ error: "Unauthorized! Locked out." });
+
+    }
+
+    try {
+
+        const { language, difficulty } = req.query;
+
+        const where = {};
+
+        if (language) where.languageCode = String(language).toLowerCase();
+
+        if (difficulty === "unrated") where.difficulty = null;
+
+        else if (["easy", "medium", "hard"].includes(difficulty)) where.difficulty = difficulty;
+
+
+
+        const sort = STATS_SORT_FIELDS.includes(req.query.sort) ? req.query.sort : "turnsPlayed";
+
+        const order = String(req.query.order).toLowerCase() === "asc" ? "ASC" : "DESC";
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+
+
+        const { rows, count } = await WordStat.findAndCountAll({
+
+            where,
+
+            include: [{ model: Keyword, as: "keyword", attributes: ["id", "keyName", "category"] }],
+
+            order: [[sort, order], ["id", "ASC"]],
+
+            limit,
+
+            offset,
+
+        });
+
+
+
+        res.json({
+
+            success: true,
+
+            stats: rows.map(formatWordStat),
+
+            count: rows.length,
+
+            total: count,
+
+        });
+
+    } catch (error) {
+
+        console.error("Error fetching word stats:", error);
+
+        res.status(500).json({
+
+            success: false,
+
+            error: "Internal Server Error",
+
+            details: error.message,
+
+        });
+
+    }
+
+});
+
+
+
+// WORD STATS FOR ONE KEYWORD, ALL LANGUAGES (SECURED)
+
+router.get("/stats/:keywordId", async (req, res) => {
+
+    try {
+
+        verifyAuth(req);
+
+    } catch (e) {
+
+        return res.status(401).json({ error: "Unauthorized! Locked out." });
+
+    }
+
+    try {
+
+        const keyword = await Keyword.findByPk(req.params.keywordId, {
+
+            attributes: ["id", "keyName", "category", "themeId"],
+
+        });
+
+        if (!keyword) {
+
+            return res.status(404).json({ success: false, error: "keyword_not_found" });
+
+        }
+
+
+
+        const stats = await WordStat.findAll({
+
+            where: { keywordId: keyword.id },
+
+            order: [["languageCode", "ASC"]],
+
+        });
+
+
+
+        res.json({
+
+            success: true,
+
+            keyword: { id: keyword.id, keyName: keyword.keyName, category: keyword.category, themeId: keyword.themeId },
+
+            stats: stats.map((s) => formatWordStat(s, keyword)),
+
+        });
+
+    } catch (error) {
+
+        console.error("Error fetching keyword stats:", error);
+
+        res.status(500).json({
+
+            success: false,
+
+            error: "Internal Server Error",
+
+            details: error.message,
+
+        });
+
+    }
+
+});
+
+
+
 module.exports = router;
@@ -5,18 +5,21 @@ require("dotenv").config({
 
 const { Room, RoomParticipant, sequelize } = require("../models");
 const { Op } = require("sequelize");
-const { clearRoomTimer } = require("../sockets/roundPhases");
+const { cancelRoom } = require("../sockets/phaseScheduler");
+const { refundRoom, refundOrphanedEscrows } = require("../utils/entryEscrow");
 
 const DRY_RUN = false; // already false
 const CUTOFF_MINUTES = 30;
 const MAX_RETRIES = 3;
 
 async function deleteRoomWithRetry(room) {
+  // Entry coins still held for this room would otherwise be lost with it
+  await refundRoom(room.id, "zombie_cleanup");
+
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
       await sequelize.transaction(async (t) => {
-        clearRoomTimer(`${room.code}_phase`);
-        clearRoomTimer(`${room.code}_drawing`);
+        await cancelRoom(room.id);
 
         await RoomParticipant.destroy({
           where: { roomId: room.id },
@@ -85,6 +88,11 @@ async function deleteRoomWithRetry(room) {
       deletedCount++;
     }
 
+    if (!DRY_RUN) {
+      const refunded = await refundOrphanedEscrows("zombie_cleanup");
+      console.log(`💸 Refunded ${refunded} orphaned entry fee(s)`);
+    }
+
     console.log(
       `✅ Cleanup completed. Deleted ${deletedCount} zombie rooms`
     );
@@ -0,0 +1,113 @@
+// scripts/migrateSchema.js
+// Bring tables of an existing database up to the models before starting a new version.
+// sequelize.sync (server.js) creates missing tables but never adds columns to tables that already exist, and then
+// fails adding an index on such a missing column (e.g. coin_transactions.idempotencyKey). This renames columns listed
+// in RENAMED_COLUMNS, then adds every model column and index an existing table lacks. Safe to run repeatedly;
+// tables that do not exist yet are left to sync.
+require("dotenv").config({
+  path: require("path").resolve(__dirname, "../.env"),
+});
+
+const { sequelize } = require("../models");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Columns renamed after their table shipped: [table, old name, new name]
+const RENAMED_COLUMNS = [
+  ["leaderboard_entries", "rating", "points"],
+  ["season_standings", "rating", "points"],
+];
+
+function tableNameOf(model) {
+  const table = model.getTableName();
+  return typeof table === "string" ? table : table.tableName;
+}
+
+/** Column names of a model index definition (fields may be attribute names or { name } objects). */
+function indexColumns(model, index) {
+  return index.fields.map((f) => {
+    const name = typeof f === "string" ? f : f.name || f.attribute;
+    return model.rawAttributes[name]?.field || name;
+  });
+}
+
+/**
+ * Rename a column that still has its old name. Indexes on it are dropped first: sync matches indexes by name, so they
+ * are recreated by addMissingIndexes under the names it expects.
+ */
+async function renameColumn(queryInterface, table, from, to) {
+  const existing = await queryInterface.describeTable(table);
+  if (!existing[from] || existing[to]) return 0;
+  for (const index of await queryInterface.showIndex(table)) {
+    if (index.primary || !index.fields.some((f) => f.attribute === from)) continue;
+    console.log(`➖ ${table} index ${index.name}`);
+    if (!DRY_RUN) await queryInterface.removeIndex(table, index.name);
+  }
+  console.log(`✏️ ${table}.${from} -> ${to}`);
+  if (!DRY_RUN) await queryInterface.renameColumn(table, from, to);
+  return 1;
+}
+
+async function addMissingColumns(queryInterface, model, table) {
+  const existing = await queryInterface.describeTable(table);
+  let added = 0;
+  for (const attribute of Object.values(model.rawAttributes)) {
+    if (existing[attribute.field]) continue;
+    const definition = { type: attribute.type, allowNull: attribute.allowNull !== false };
+    if (attribute.defaultValue !== undefined) definition.defaultValue = attribute.defaultValue;
+    console.log(`➕ ${table}.${attribute.field}`);
+    if (!DRY_RUN) await queryInterface.addColumn(table, attribute.field, definition);
+    added++;
+  }
+  return added;
+}
+
+async function addMissingIndexes(queryInterface, model, table) {
+  const existing = (await queryInterface.showIndex(table)).map((index) =>
+    index.fields.map((f) => f.attribute).join(","),
+  );
+  let added = 0;
+  for (const index of model.options.indexes || []) {
+    const columns = indexColumns(model, index);
+    if (existing.includes(columns.join(","))) continue;
+    console.log(`➕ ${table} index (${columns.join(", ")})${index.unique ? " unique" : ""}`);
+    if (!DRY_RUN) await queryInterface.addIndex(table, columns, { unique: !!index.unique });
+    added++;
+  }
+  return added;
+}
+
+(async () => {
+  try {
+    console.log("🗄️ Migrating existing tables to the current models...");
+    console.log(`🧪 DRY_RUN = ${DRY_RUN}`);
+
+    const queryInterface = sequelize.getQueryInterface();
+    const tables = new Set(
+      (await queryInterface.showAllTables()).map((t) => (typeof t === "string" ? t : t.tableName)),
+    );
+
+    let renamed = 0;
+    for (const [table, from, to] of RENAMED_COLUMNS) {
+      if (tables.has(table)) renamed += await renameColumn(queryInterface, table, from, to);
+    }
+
+    let columns = 0;
+    let indexes = 0;
+    for (const model of Object.values(sequelize.models)) {
+      const table = tableNameOf(model);
+      if (!tables.has(table)) continue; // new table: sync creates it complete
+      columns += await addMissingColumns(queryInterface, model, table);
+      indexes += await addMissingIndexes(queryInterface, model, table);
+    }
+
+    console.log(
+      `✅ Renamed ${renamed} column(s), added ${columns} column(s) and ${indexes} index(es)${DRY_RUN ? " (dry run)" : ""}`,
+    );
+    await sequelize.close();
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Schema migration failed:", err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,56 @@
+// scripts/reconcileCoins.js
+// Check every user's users.coins against the sum of their coin_transactions ledger.
+// Exits 2 when mismatches are found. With --adjust, books a "ledger_reconciliation" entry for each mismatch
+// so the ledger matches the current balance (use once after rollout: older balance changes were never recorded).
+require("dotenv").config({
+  path: require("path").resolve(__dirname, "../.env"),
+});
+
+const { CoinTransaction, sequelize } = require("../models");
+const { findLedgerMismatches } = require("../utils/wallet");
+
+const ADJUST = process.argv.includes("--adjust");
+
+(async () => {
+  try {
+    console.log("🧮 Reconciling coin balances against the ledger...");
+    console.log(`🛠️ ADJUST = ${ADJUST}`);
+
+    const mismatches = await findLedgerMismatches();
+    if (mismatches.length === 0) {
+      console.log("✅ All balances match the ledger");
+      await sequelize.close();
+      process.exit(0);
+    }
+
+    let totalDifference = 0;
+    for (const m of mismatches) {
+      totalDifference += m.difference;
+      console.log(
+        `⚠️ User ${m.userId}: coins=${m.coins} ledger=${m.ledger} difference=${m.difference > 0 ? "+" : ""}${m.difference}`,
+      );
+    }
+    console.log(`🔍 ${mismatches.length} users out of balance (net ${totalDifference})`);
+
+    if (ADJUST) {
+      // Ledger-only entries: the balance is already right, the ledger is what is missing history
+      for (const m of mismatches) {
+        await CoinTransaction.create({
+          userId: m.userId,
+          amount: m.difference,
+          reason: "ledger_reconciliation",
+          balanceAfter: m.coins,
+        });
+      }
+      console.log(`✅ Booked ${mismatches.length} reconciliation entries`);
+      await sequelize.close();
+      process.exit(0);
+    }
+
+    await sequelize.close();
+    process.exit(2);
+  } catch (err) {
+    console.error("❌ Reconciliation failed:", err);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,32 @@
+// scripts/rolloverSeasons.js
+// Archive final standings of finished weekly/monthly leaderboard seasons and clear their live entries.
+// Run from cron shortly after midnight UTC; pass --pay to credit the season rewards to the global top places.
+require("dotenv").config({
+  path: require("path").resolve(__dirname, "../.env"),
+});
+
+const { sequelize } = require("../models");
+const { rolloverSeasons } = require("../utils/leaderboards");
+
+const PAY = process.argv.includes("--pay");
+
+(async () => {
+  try {
+    console.log("🏁 Starting leaderboard season rollover...");
+    console.log(`💰 PAY = ${PAY}`);
+
+    const results = await rolloverSeasons({ pay: PAY });
+    if (results.length === 0) {
+      console.log("✅ No finished seasons to close");
+    }
+    for (const r of results) {
+      console.log(`✅ Closed season ${r.season}: ${r.players} players archived, ${r.paid} rewarded`);
+    }
+
+    await sequelize.close();
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Season rollover failed:", err);
+    process.exit(1);
+  }
+})();
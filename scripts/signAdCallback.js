@@ -0,0 +1,57 @@
+// scripts/signAdCallback.js
+// Local stand-in for the ad network: signs a rewarded-ad callback with AD_CALLBACK_SECRET and prints its URL.
+// Usage: node scripts/signAdCallback.js <userId> [transactionId] [--ad-type=rewarded] [--base=http://localhost:4000] [--send]
+// --send calls the callback on the running server, after which the app can claim-ad-reward with the transaction id.
+require("dotenv").config({
+  path: require("path").resolve(__dirname, "../.env"),
+});
+
+const crypto = require("crypto");
+const { signCallback } = require("../utils/adRewards");
+
+function option(name, fallback) {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+}
+
+const [userId, transactionId = `local-${crypto.randomUUID()}`] = process.argv
+  .slice(2)
+  .filter((a) => !a.startsWith("--"));
+const SEND = process.argv.includes("--send");
+const BASE = option("base", `http://localhost:${process.env.PORT || 4000}`);
+
+(async () => {
+  try {
+    const secret = process.env.AD_CALLBACK_SECRET;
+    if (!secret) {
+      console.error("❌ AD_CALLBACK_SECRET is not set");
+      process.exit(1);
+    }
+    if (!userId) {
+      console.error("❌ Usage: node scripts/signAdCallback.js <userId> [transactionId] [--send]");
+      process.exit(1);
+    }
+
+    const params = {
+      user_id: userId,
+      transaction_id: transactionId,
+      timestamp: Math.floor(Date.now() / 1000),
+      ad_type: option("ad-type", "rewarded"),
+    };
+    params.signature = signCallback(params, secret);
+
+    const url = `${BASE}/api/ads/callback?${new URLSearchParams(params)}`;
+    console.log(`🔏 Signed callback for user ${userId}, transaction ${transactionId}`);
+    console.log(url);
+
+    if (SEND) {
+      const response = await fetch(url);
+      console.log(`📨 ${response.status} ${await response.text()}`);
+      process.exit(response.ok ? 0 : 1);
+    }
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Signing ad callback failed:", err);
+    process.exit(1);
+  }
+})();
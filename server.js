@@ -6,8 +6,23 @@ const cors = require("cors");
 const { sequelize } = require("./models");
 const routes = require("./routes");
 const initSockets = require("./sockets/socket");
-const { sweepStaleParticipantsOnStart, rebuildTimersOnStartup } = require("./sockets/roundPhases");
+const {
+  sweepStaleParticipantsOnStart,
+  startPhaseScheduler,
+} = require("./sockets/roundPhases");
+const phaseScheduler = require("./sockets/phaseScheduler");
 const { seedThemes } = require("./utils/seedThemes");
+const { refundOrphanedEscrows } = require("./utils/entryEscrow");
+const {
+  NODE_ID,
+  getSharedState,
+  startNodeHeartbeat,
+  stopNodeHeartbeat,
+  getLiveNodeIds,
+} = require("./utils/sharedState");
+const { createClusterAdapter } = require("./sockets/clusterAdapter");
+const { attachSessionSync, pruneDeadNodeSessions } = require("./sockets/userSocketMap");
+const { attachCacheInvalidation } = require("./utils/roomCache");
 
 const app = express();
 app.use(cors());
@@ -25,7 +40,7 @@ app.use("/api", routes).use((req, res, next) => {
 app.get("/", (req, res) => res.json({ ok: true }));
 
 app.get("/health", (req, res) => {
-  res.json({ status: "ok", pid: process.pid });
+  res.json({ status: "ok", pid: process.pid, node: NODE_ID, sharedState: getSharedState().driver });
 });
 
 const server = http.createServer(app);
@@ -33,6 +48,10 @@ const io = require("socket.io")(server, {
   cors: { origin: "*", methods: ["GET", "POST"] },
 });
 
+// Several processes (REDIS_URL set): broadcasts and socket lookups go through the shared state
+const sharedState = getSharedState();
+if (sharedState.shared) io.adapter(createClusterAdapter(sharedState));
+
 // Make io accessible to routes via app.locals
 app.locals.io = io;
 
@@ -69,11 +88,26 @@ async function initializeServices() {
     await sequelize.sync({});
     console.log("Database models synced successfully.");
 
-    // Crash/restart safety: mark disconnected-but-still-active participants inactive and close empty rooms
-    await sweepStaleParticipantsOnStart(io);
+    // Cluster state: other nodes' sessions and cache invalidations, then announce this node
+    await attachSessionSync();
+    await attachCacheInvalidation();
+    const otherNodes = [...(await getLiveNodeIds())].filter((id) => id !== NODE_ID);
+    startNodeHeartbeat(pruneDeadNodeSessions);
+
+    // Crash/restart safety: mark disconnected-but-still-active participants inactive and close empty rooms.
+    // Skipped while other nodes run: their disconnected players may still be inside the grace period.
+    if (otherNodes.length === 0) {
+      await sweepStaleParticipantsOnStart(io);
+    } else {
+      console.log(`🤝 ${otherNodes.length} other node(s) live; skipping stale participant sweep.`);
+    }
 
-    // Rebuild phase timers from roundPhaseEndTime so rooms in progress continue after server restart
-    await rebuildTimersOnStartup(io);
+    // Phase jobs live in the DB: start polling them (every node does; each due job runs on exactly one)
+    await startPhaseScheduler(io);
+
+    // Refund entry coins held for games that did not survive the restart (room gone or no longer playing)
+    const refunded = await refundOrphanedEscrows("server_restart");
+    if (refunded > 0) console.log(`💸 Startup: refunded ${refunded} orphaned entry fee(s).`);
 
     // Seed themes and words (optional)
     // await seedThemes();
@@ -99,14 +133,23 @@ async function gracefulShutdown(signal) {
   });
 
   try {
-    io.emit("server:restarting");
+    io.local.emit("server:restarting"); // only this node's clients reconnect elsewhere
   } catch (_) {}
 
+  // Stop claiming phase jobs; the other nodes (or this one after restart) run them from the DB
+  phaseScheduler.stop();
+  try {
+    await stopNodeHeartbeat();
+  } catch (err) {
+    console.error("Cluster shutdown error:", err?.message ?? err);
+  }
+
   setTimeout(async () => {
     try {
       await sequelize.close();
       console.log("Database connection closed.");
     } catch (_) {}
+    await sharedState.close().catch(() => {});
     console.log("Forcing shutdown now.");
     process.exit(0);
   }, 8000);
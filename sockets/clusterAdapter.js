@@ -0,0 +1,59 @@
+/**
+ * Socket.IO adapter over the shared-state pub/sub (utils/sharedState), so io.to(room).emit, socketsJoin/Leave,
+ * disconnectSockets and fetchSockets reach sockets connected to any node.
+ * Built on socket.io-adapter's ClusterAdapterWithHeartbeat: it handles the message types, node heartbeats and
+ * request/response bookkeeping; this file only moves messages over the store's channels.
+ * With the memory store (single node) there are no other nodes and everything stays local.
+ */
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+class SharedStateAdapter extends ClusterAdapterWithHeartbeat {
+	constructor(nsp, store, opts) {
+		super(nsp, opts);
+		this.store = store;
+		this.channel = `socket.io#${nsp.name}#`;
+		this.unsubscribers = [];
+
+		const subscribe = (channel, handler) =>
+			store
+				.subscribe(channel, handler)
+				.then((unsubscribe) => this.unsubscribers.push(unsubscribe))
+				.catch((err) => console.error(`❌ Cluster adapter subscribe failed (${channel}):`, err.message));
+
+		subscribe(this.channel, (message) => this.onMessage(message));
+		subscribe(this.responseChannel(this.uid), (response) => this.onResponse(response));
+		this.init();
+	}
+
+	responseChannel(uid) {
+		return `${this.channel}${uid}#`;
+	}
+
+	async doPublish(message) {
+		await this.store.publish(this.channel, message);
+		return ""; // no offsets: connection state recovery is not supported across nodes
+	}
+
+	async doPublishResponse(requesterUid, response) {
+		await this.store.publish(this.responseChannel(requesterUid), response);
+	}
+
+	close() {
+		super.close();
+		for (const unsubscribe of this.unsubscribers) unsubscribe().catch(() => {});
+		this.unsubscribers = [];
+	}
+}
+
+/**
+ * Adapter factory for io.adapter(...).
+ * @param {object} store - shared-state store (getSharedState())
+ * @param {{ heartbeatInterval?: number, heartbeatTimeout?: number }} [opts]
+ */
+function createClusterAdapter(store, opts = {}) {
+	return function (nsp) {
+		return new SharedStateAdapter(nsp, store, opts);
+	};
+}
+
+module.exports = { createClusterAdapter };
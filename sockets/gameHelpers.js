@@ -3,9 +3,16 @@ const {
 	RoomParticipant,
 	User,
 	Word,
-	CoinTransaction,
+	RoundReplay,
 } = require("../models");
 const readyState = require("./readyState");
+const playerStats = require("../utils/playerStats");
+const leaderboards = require("../utils/leaderboards");
+const skillRating = require("../utils/skillRating");
+const achievements = require("../utils/achievements");
+const wallet = require("../utils/wallet");
+const entryEscrow = require("../utils/entryEscrow");
+const { phaseOf } = require("./gameStateMachine");
 
 // Phase durations in seconds
 const PHASE_DURATIONS = {
@@ -17,15 +24,81 @@ const PHASE_DURATIONS = {
 	lobby_timeout: 2 * 60, //2 min
 };
 
+// Per-room overrides accepted by update-settings / update_settings (null = use the default)
+const ROOM_SETTING_LIMITS = {
+	drawingTime: { min: 30, max: 240, nullable: true }, // seconds, default PHASE_DURATIONS.drawing
+	wordChoiceTime: { min: 5, max: 30, nullable: true }, // seconds, default PHASE_DURATIONS.choosing_word
+	maxRounds: { min: 1, max: 10, nullable: true }, // full drawer rotations; null = play to targetPoints only
+	wordOptionsCount: { min: 1, max: 5, nullable: false },
+};
+
+const DEFAULT_WORD_OPTIONS_COUNT = 3;
+
+/**
+ * Phase length in seconds for this room (drawing and word-choice times are configurable per room).
+ * @param {Room|object} room
+ * @param {string} phase
+ * @returns {number}
+ */
+function getPhaseDuration(room, phase) {
+	if (phase === "drawing") return room?.drawingTime || PHASE_DURATIONS.drawing;
+	if (phase === "choosing_word") return room?.wordChoiceTime || PHASE_DURATIONS.choosing_word;
+	return PHASE_DURATIONS[phase];
+}
+
+function getWordOptionsCount(room) {
+	return room?.wordOptionsCount || DEFAULT_WORD_OPTIONS_COUNT;
+}
+
+/**
+ * Validate the timing/round settings from an update request. Keys that are undefined are skipped.
+ * @param {object} input - request body or socket settings
+ * @returns {{ values: object, error?: { error: string, message: string } }}
+ */
+function validateRoomTimingSettings(input) {
+	const values = {};
+	for (const [key, limit] of Object.entries(ROOM_SETTING_LIMITS)) {
+		const raw = input?.[key];
+		if (raw === undefined) continue;
+		if (raw === null && limit.nullable) {
+			values[key] = null;
+			continue;
+		}
+		const parsed = typeof raw === "number" ? raw : parseInt(raw, 10);
+		if (!Number.isInteger(parsed) || parsed < limit.min || parsed > limit.max) {
+			return {
+				values,
+				error: {
+					error: `invalid_${key.replace(/[A-Z]/g, (c) => "_" + c.toLowerCase())}`,
+					message: `${key} must be an integer between ${limit.min} and ${limit.max}${limit.nullable ? " (or null for default)" : ""}`,
+				},
+			};
+		}
+		values[key] = parsed;
+	}
+	return { values };
+}
+
+/** True when every active player has drawn in the current rotation. */
+function isRotationComplete(room, participants) {
+	const drawn = new Set((room.drawnUserIds || []).map(String));
+	return participants.length > 0 && participants.every((p) => drawn.has(String(p.userId)));
+}
+
 // Calculate entry cost
 // Entry cost is exactly the configured points value (no voice bonus)
 function calculateEntryCost(entryPoints, voiceEnabled) {
 	return entryPoints;
 }
 
-// Calculate reward based on remaining time
-function calculateGuessReward(remainingTime, maxPoints) {
-	return Math.min(Math.ceil(remainingTime / 8), maxPoints);
+// Each revealed hint takes this share off a correct guess's reward
+const HINT_REWARD_PENALTY = 0.25;
+
+// Calculate reward based on remaining time (reduced for every hint already revealed)
+function calculateGuessReward(remainingTime, maxPoints, hintsRevealed = 0) {
+	const base = Math.min(Math.ceil(remainingTime / 8), maxPoints);
+	if (base <= 0 || !hintsRevealed) return base;
+	return Math.max(1, Math.floor(base * (1 - HINT_REWARD_PENALTY * hintsRevealed)));
 }
 
 // Calculate time reduction after correct guess
@@ -51,7 +124,7 @@ async function checkGameEnd(io, room) {
 	// High-precision tie-breaking: Sort by score DESC, then points_updated_at ASC
 	// (earlier timestamp = reached score first = higher rank)
 	const participants = await RoomParticipant.findAll({
-		where: { roomId: room.id, isActive: true },
+		where: { roomId: room.id, isActive: true, isSpectator: false },
 		include: [{ model: User, as: "user" }],
 		order: [
 			["score", "DESC"],
@@ -67,9 +140,50 @@ async function checkGameEnd(io, room) {
 		return true;
 	}
 
+	// Round limit: the turn that just ended closed the last allowed rotation
+	if (
+		room.maxRounds &&
+		isRotationComplete(room, participants) &&
+		(room.completedRotations || 0) + 1 >= room.maxRounds
+	) {
+		room.completedRotations = (room.completedRotations || 0) + 1;
+		console.log(`🏁 Round limit reached (${room.completedRotations}/${room.maxRounds}) in room ${room.code}`);
+		await endGame(io, room, participants);
+		return true;
+	}
+
 	return false;
 }
 
+/**
+ * Finished drawings of the current game for the game_ended gallery (export URLs per turn).
+ * Never throws: a failed lookup just means an empty gallery.
+ */
+async function buildGameGallery(room) {
+	try {
+		if (!room.gameStartedAt) return [];
+		const replays = await RoundReplay.findAll({
+			where: { roomId: room.id, gameStartedAt: room.gameStartedAt, endReason: "reveal" },
+			attributes: ["id", "round", "drawerId", "word"],
+			order: [["startedAt", "ASC"]],
+		});
+		return replays.map((r) => {
+			const base = `/api/rooms/${room.id}/rounds/${r.round}/export?replayId=${r.id}`;
+			return {
+				replayId: r.id,
+				round: r.round,
+				drawerId: r.drawerId,
+				word: r.word,
+				svgUrl: `${base}&format=svg`,
+				pngUrl: `${base}&format=png`,
+			};
+		});
+	} catch (e) {
+		console.error("Build game gallery error:", e?.message ?? e);
+		return [];
+	}
+}
+
 // End game and award coins
 // SEQUENTIAL GAME-END LIFECYCLE:
 // 1. Update Drawer Score (already done in endDrawingPhase)
@@ -80,13 +194,17 @@ async function checkGameEnd(io, room) {
 async function endGame(io, room, participants) {
 	try {
 		// STEP 1: Mark room as finished (prevents further score updates)
+		const fromPhase = phaseOf(room);
 		room.status = "finished";
 		await room.save();
+		await require("./roundPhases").enterFinishedPhase(room, fromPhase);
+		// The game counted: entry coins held at start_game are spent (no refund from here on)
+		await entryEscrow.payOutRoom(room.id);
 
 		// STEP 2: Reload participants with latest scores and timestamps for accurate ranking
 		// This ensures we have the most up-to-date data after all score updates
 		const finalParticipants = await RoomParticipant.findAll({
-			where: { roomId: room.id, isActive: true },
+			where: { roomId: room.id, isActive: true, isSpectator: false },
 			include: [{ model: User, as: "user" }],
 			order: [
 				["score", "DESC"],
@@ -97,6 +215,12 @@ async function endGame(io, room, participants) {
 		const entryCost = calculateEntryCost(room.entryPoints, room.voiceEnabled);
 		const rankings = [];
 		const gameMode = room.gameMode || "1v1";
+		// Rewards are keyed per game and player so a repeated endGame cannot pay twice
+		const gameKey = `${room.id}:${room.gameStartedAt ? new Date(room.gameStartedAt).getTime() : "unknown"}`;
+		const payReward = (userId, amount, reason) =>
+			amount > 0
+				? wallet.credit(userId, amount, reason, { idempotencyKey: `game_reward:${gameKey}:${userId}` })
+				: null;
 
 		if (gameMode === "team_vs_team") {
 			// TEAM VS TEAM MODE: Award coins only to winning team members
@@ -138,14 +262,7 @@ async function endGame(io, room, participants) {
 			for (const participant of winningTeamMembers) {
 				const user = await User.findByPk(participant.userId);
 				if (user) {
-					user.coins += coinsAwarded;
-					await user.save();
-
-					await CoinTransaction.create({
-						userId: user.id,
-						amount: coinsAwarded,
-						reason: `game_reward_team_vs_team_winner`,
-					});
+					await payReward(user.id, coinsAwarded, "game_reward_team_vs_team_winner");
 
 					rankings.push({
 						place: 1,
@@ -227,15 +344,7 @@ async function endGame(io, room, participants) {
 
 				const user = await User.findByPk(participant.userId);
 				if (user) {
-					if (coinsAwarded > 0) {
-						user.coins += coinsAwarded;
-						await user.save();
-						await CoinTransaction.create({
-							userId: user.id,
-							amount: coinsAwarded,
-							reason: `game_reward_place_${currentPlace}`,
-						});
-					}
+					await payReward(user.id, coinsAwarded, `game_reward_place_${currentPlace}`);
 
 					rankings.push({
 						place: currentPlace,
@@ -266,21 +375,29 @@ async function endGame(io, room, participants) {
 
 		// STEP 3: Sync State - Broadcast final, sorted rankings to frontend
 		// Frontend will only show "Game Over" popup after receiving this final data
+		const gallery = await buildGameGallery(room);
 		io.to(room.code).emit("game_ended", {
 			rankings, // Final rankings with strict unique places (1, 2, 3)
 			entryCost,
 			gameMode,
+			gallery, // Finished drawings of this game (SVG/PNG export URLs)
 		});
 
+		// Lifetime stats (games played/won, podiums, team wins) survive the score reset below
+		await playerStats.recordGameResults(rankings, gameMode, gameKey);
+		await leaderboards.recordGameResults(rankings, gameKey);
+		await skillRating.recordGameResults(rankings, gameMode, gameKey);
+		await achievements.onGameEnded(io, room, rankings, finalParticipants);
+
 		setTimeout(async () => {
 			room.status = "lobby";
 			await room.save();
-			// Reset participant scores so next game starts from 0
+			// Reset participant scores so next game starts from 0, and entry so next game charges again
 			await RoomParticipant.update(
-				{ score: 0 },
+				{ score: 0, hasPaidEntry: false, correctGuessCount: 0 },
 				{ where: { roomId: room.id } },
 			);
-			readyState.clearRoom(room.id); // Clear ready state so everyone must tap Ready again
+			await readyState.clearRoom(room.id); // Clear ready state so everyone must tap Ready again
 			// Notify all participants so every client can show lobby (regardless of ad order)
 			io.to(room.code).emit("room_back_to_lobby", { roomId: room.id, status: "lobby" });
 		}, 2000);
@@ -293,6 +410,11 @@ async function endGame(io, room, participants) {
 
 module.exports = {
 	PHASE_DURATIONS,
+	ROOM_SETTING_LIMITS,
+	getPhaseDuration,
+	getWordOptionsCount,
+	validateRoomTimingSettings,
+	isRotationComplete,
 	calculateEntryCost,
 	calculateGuessReward,
 	calculateTimeReduction,
@@ -0,0 +1,204 @@
+/**
+ * Round phases as one declarative state machine: the phases of a room, the legal transitions between them (with
+ * guards), the actions run when a phase is entered or left, the events each phase emits and the client actions
+ * it accepts. Pure: no DB, sockets or timers. Time comes from an injected clock and actions are injected by
+ * name, so it runs in unit tests with a fake clock. roundPhases persists the transitions and implements the actions.
+ *
+ * The machine phase of a room is its roundPhase, except "lobby" before the first round (no roundPhase) and
+ * "finished" once the game is over or closed. _internal_processing and interval_ending are claim phases: the
+ * caller ending a phase takes it over with an atomic update first, so a second caller (or job run) does nothing.
+ */
+
+const FINISHED_STATUSES = ["finished", "closed"];
+
+// Guards: return true, or the reason the transition is not allowed
+const isPlaying = (room) => room.status === "playing" || `room status is ${room.status}`;
+const hasDrawer = (room) => room.currentDrawerId != null || "no drawer selected";
+const hasWord = (room) => (room.currentDrawerId != null && !!room.currentWord) || "no word chosen";
+
+/**
+ * next: target phase -> guard (null = always allowed)
+ * enter / exit: action names run after the transition is stored
+ * emits: socket events sent to the room while in the phase
+ * accepts: client actions (socket events) allowed in the phase
+ */
+const PHASES = {
+	lobby: {
+		next: { selecting_drawer: isPlaying },
+		emits: ["game_started"],
+	},
+	selecting_drawer: {
+		timed: true,
+		next: {
+			selecting_drawer: isPlaying, // a new pick after a skip or abort
+			_internal_processing: null,
+			choosing_word: hasDrawer,
+			finished: null,
+		},
+		enter: ["schedulePhaseEnd"],
+		exit: ["cancelPhaseEnd"],
+		emits: ["phase_change", "drawer_selected"],
+	},
+	choosing_word: {
+		timed: true,
+		next: {
+			_internal_processing: null,
+			drawing: hasWord,
+			selecting_drawer: null,
+			finished: null,
+		},
+		enter: ["schedulePhaseEnd"],
+		exit: ["cancelPhaseEnd"],
+		emits: ["phase_change", "word_options", "drawer_skipped"],
+		accepts: ["choose_word", "skip_turn"],
+	},
+	drawing: {
+		timed: true,
+		next: {
+			reveal: null,
+			selecting_drawer: null, // drawer aborted (report) or skipped
+			interval: null, // drawer left
+			finished: null,
+		},
+		enter: ["schedulePhaseEnd", "scheduleHint"],
+		exit: ["cancelPhaseEnd", "cancelHint"],
+		emits: ["phase_change", "word_hint", "drawing_data", "correct_guess", "score_update"],
+		accepts: ["drawing_data", "submit_guess", "skip_turn"],
+	},
+	reveal: {
+		timed: true,
+		next: { interval: null, finished: null },
+		enter: ["schedulePhaseEnd"],
+		exit: ["cancelPhaseEnd"],
+		emits: ["phase_change", "score_update"],
+	},
+	interval: {
+		timed: true,
+		next: { interval_ending: null, finished: null },
+		enter: ["schedulePhaseEnd"],
+		exit: ["cancelPhaseEnd"],
+		emits: ["phase_change", "clear_chat"],
+	},
+	_internal_processing: {
+		claim: true,
+		next: { choosing_word: hasDrawer, selecting_drawer: null, finished: null },
+	},
+	interval_ending: {
+		claim: true,
+		next: { selecting_drawer: isPlaying, finished: null },
+	},
+	finished: {
+		next: { lobby: null }, // start_game again
+		enter: ["cancelAllPhaseJobs"],
+		emits: ["game_ended", "game_ended_insufficient_players"],
+	},
+};
+
+const TIMED_PHASES = Object.keys(PHASES).filter((phase) => PHASES[phase].timed);
+const CLAIM_PHASES = Object.keys(PHASES).filter((phase) => PHASES[phase].claim);
+
+/** Machine phase of a room (see above). */
+function phaseOf(room) {
+	if (!room) return null;
+	if (FINISHED_STATUSES.includes(room.status)) return "finished";
+	return room.roundPhase || "lobby";
+}
+
+/** Whether the room's current phase accepts a client action (e.g. "submit_guess"). */
+function allows(room, action) {
+	const def = PHASES[phaseOf(room)];
+	return !!def?.accepts?.includes(action);
+}
+
+/** @typedef {(room: object, transition: { from: string, to: string }) => Promise<void>|void} PhaseAction */
+
+/**
+ * @param {object} options
+ * @param {() => number} [options.now] - clock in ms (inject a fake one in tests)
+ * @param {(room: object, phase: string) => number} options.phaseDuration - seconds a timed phase lasts for this room
+ * @param {Record<string, PhaseAction>} [options.actions] - implementations of the enter/exit action names
+ * @param {{ warn: Function, error: Function }} [options.logger]
+ */
+function createGameStateMachine({ now = Date.now, phaseDuration, actions = {}, logger = console } = {}) {
+	/**
+	 * Check a transition against the definition and its guard. Illegal transitions are logged.
+	 * @param {string} from - machine phase (null roundPhase = "lobby")
+	 * @param {string} to
+	 * @param {object} room - state the guard sees (room merged with the pending updates)
+	 * @returns {{ ok: true } | { ok: false, reason: string }}
+	 */
+	function check(from, to, room) {
+		const def = PHASES[from];
+		let reason = null;
+		if (!def) reason = `unknown phase ${from}`;
+		else if (!PHASES[to]) reason = `unknown phase ${to}`;
+		else if (!(to in def.next)) reason = "not a legal transition";
+		else {
+			const guard = def.next[to];
+			const result = guard ? guard(room) : true;
+			if (result !== true) reason = result || "guard rejected";
+		}
+		if (reason == null) return { ok: true };
+		logger.warn(`[PHASE] illegal transition ${from} -> ${to} room=${room?.code ?? room?.id}: ${reason}`);
+		return { ok: false, reason };
+	}
+
+	/** Fields that start a phase: roundPhase plus, for timed phases, its end time from the clock. */
+	function phaseUpdates(room, to, duration = phaseDuration(room, to)) {
+		if (!PHASES[to]?.timed) return { roundPhase: to };
+		return {
+			roundPhase: to,
+			roundRemainingTime: duration,
+			roundPhaseEndTime: new Date(now() + duration * 1000),
+		};
+	}
+
+	/**
+	 * Run the exit actions of from, then the entry actions of to (after the transition was stored).
+	 * An action that throws is logged; the remaining actions still run.
+	 */
+	async function runActions(room, from, to) {
+		const names = [...(PHASES[from]?.exit || []), ...(PHASES[to]?.enter || [])];
+		for (const name of names) {
+			const action = actions[name];
+			if (!action) {
+				logger.warn(`[PHASE] no action "${name}" (${from} -> ${to})`);
+				continue;
+			}
+			try {
+				await action(room, { from, to });
+			} catch (err) {
+				logger.error(`[PHASE] action ${name} failed (${from} -> ${to}) room=${room?.code}:`, err);
+			}
+		}
+	}
+
+	/** phase_change payload for the room's current phase (callers add phase-specific fields). */
+	function phaseChangePayload(room) {
+		const phase = room.roundPhase;
+		const end = room.roundPhaseEndTime;
+		return {
+			phase,
+			duration: phaseDuration(room, phase),
+			phaseEndTime: end ? new Date(end).getTime() : undefined,
+			round: room.currentRound,
+		};
+	}
+
+	/** Whole seconds left in the room's current phase. */
+	function remainingSeconds(room) {
+		if (!room.roundPhaseEndTime) return room.roundRemainingTime ?? 0;
+		return Math.max(0, Math.ceil((new Date(room.roundPhaseEndTime).getTime() - now()) / 1000));
+	}
+
+	return { now, check, phaseUpdates, runActions, phaseChangePayload, remainingSeconds };
+}
+
+module.exports = {
+	PHASES,
+	TIMED_PHASES,
+	CLAIM_PHASES,
+	phaseOf,
+	allows,
+	createGameStateMachine,
+};
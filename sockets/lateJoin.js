@@ -0,0 +1,104 @@
+/**
+ * Mid-game joins. A player who enters a room while its game is running is admitted once per game:
+ * - the entry fee is held in escrow like at start_game (a join payment made through the REST join routes,
+ *   hasPaidEntry, covers it);
+ * - they start from a catch-up score instead of 0 (LATE_JOIN_CATCH_UP: min | median | zero of the other players;
+ *   team_vs_team: their team's score, which all members share);
+ * - they are queued at the end of the drawer rotation (roundPhases.rotationOrder) and draw before it completes.
+ * Players who were in the game at start_game (gameJoinedAt = gameStartedAt) are never admitted again.
+ */
+const { Op } = require("sequelize");
+const { RoomParticipant } = require("../models");
+const entryEscrow = require("../utils/entryEscrow");
+const { isWalletError } = require("../utils/wallet");
+const { calculateEntryCost } = require("./gameHelpers");
+
+const CATCH_UP_MODES = ["min", "median", "zero"];
+const CATCH_UP_MODE = CATCH_UP_MODES.includes(process.env.LATE_JOIN_CATCH_UP) ? process.env.LATE_JOIN_CATCH_UP : "min";
+
+// DATE columns keep whole seconds: compare join and start times at that precision
+function toSeconds(date) {
+	if (date == null) return null;
+	return Math.floor(new Date(date).getTime() / 1000);
+}
+
+/** Whether the participant already entered the room's current game (at start_game or by an earlier admission). */
+function inCurrentGame(room, participant) {
+	const joined = toSeconds(participant.gameJoinedAt);
+	const started = toSeconds(room.gameStartedAt);
+	return joined != null && started != null && joined >= started;
+}
+
+/** Score a late joiner starts from (see LATE_JOIN_CATCH_UP). */
+async function catchUpScore(room, participant) {
+	const others = await RoomParticipant.findAll({
+		where: { roomId: room.id, isActive: true, isSpectator: false, id: { [Op.ne]: participant.id } },
+		attributes: ["score", "team"],
+	});
+	if (room.gameMode === "team_vs_team") {
+		const teammate = others.find((p) => p.team === participant.team);
+		return teammate ? teammate.score : 0;
+	}
+	if (CATCH_UP_MODE === "zero" || others.length === 0) return 0;
+	const scores = others.map((p) => p.score || 0).sort((a, b) => a - b);
+	if (CATCH_UP_MODE === "min") return scores[0];
+	return scores[Math.floor((scores.length - 1) / 2)]; // lower median: never above half the room
+}
+
+/** Players still to draw in this rotation before the late joiner (who is queued last). */
+async function countTurnsBefore(room, participant) {
+	const where = { roomId: room.id, isActive: true, isSpectator: false, id: { [Op.ne]: participant.id } };
+	const drawn = room.drawnUserIds || [];
+	if (drawn.length) where.userId = { [Op.notIn]: drawn };
+	return RoomParticipant.count({ where });
+}
+
+/**
+ * Admit a player entering a playing room into its game. Does nothing for spectators, rooms that are not playing
+ * and players already in the game, so every join path can call it.
+ * @param {object} io - Socket.io server (score_update goes to the room)
+ * @param {object} room - Room model instance
+ * @param {object} participant - RoomParticipant of the joining player
+ * @returns {Promise<{ admitted: boolean, score?: number, turnsBefore?: number, error?: { error: string, message: string } }>}
+ */
+async function admitLateJoiner(io, room, participant) {
+	if (room.status !== "playing" || participant.isSpectator || inCurrentGame(room, participant)) {
+		return { admitted: false };
+	}
+
+	// Retries of this admission charge once (the key is per participant and game)
+	const entryCost = calculateEntryCost(room.entryPoints, room.voiceEnabled);
+	try {
+		await entryEscrow.holdEntries(room, [participant], entryCost, {
+			startKey: `late:${new Date(room.gameStartedAt).getTime()}`,
+		});
+	} catch (err) {
+		if (!isWalletError(err) || err.code !== "insufficient_coins") throw err;
+		return {
+			admitted: false,
+			error: { error: "insufficient_coins", message: `You need ${entryCost} coins to join this game` },
+		};
+	}
+
+	const score = await catchUpScore(room, participant);
+	await participant.update({
+		score,
+		points_updated_at: new Date(), // ties rank below players who reached the score themselves
+		gameJoinedAt: new Date(),
+		hasGuessedThisRound: false,
+		isDrawer: false,
+	});
+	const turnsBefore = await countTurnsBefore(room, participant);
+
+	io?.to(room.code).emit("score_update", { userId: participant.userId, score });
+	console.log(
+		`⏩ Late join: user ${participant.userId} in room ${room.code} starts at ${score} (${room.gameMode === "team_vs_team" ? "team" : CATCH_UP_MODE}), ${turnsBefore} turn(s) before theirs`,
+	);
+	return { admitted: true, score, turnsBefore };
+}
+
+module.exports = {
+	CATCH_UP_MODE,
+	inCurrentGame,
+	admitLateJoiner,
+};
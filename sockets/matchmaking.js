@@ -0,0 +1,408 @@
+/**
+ * In-process matchmaking queue for public 1v1 games (socket alternative to POST /rooms/play-random).
+ * Players enqueue with matchmaking_join; every tick the queue is matched against open public rooms with a single
+ * room query, and leftover players with compatible preferences are grouped into a new room. Everyone still waiting
+ * gets matchmaking_status (position, ETA, rating band); a placed player gets match_found and then joins with join_room.
+ * Key: userId (string), Value: ticket { userId, prefs, rating, enqueuedAt }. State is per process.
+ */
+const { Op } = require("sequelize");
+const { Room, RoomParticipant, User, sequelize } = require("../models");
+const { normalizeCountryCode } = require("../utils/countryCode");
+const { getRatings, ratingBand } = require("../utils/skillRating");
+const { getAvoidMap } = require("../utils/blocks");
+const { calculateEntryCost } = require("./gameHelpers");
+const { emitToUser } = require("./userSocketMap");
+
+const TICK_MS = Number(process.env.MATCHMAKING_TICK_MS) || 2000;
+const MIN_GROUP_SIZE = 2; // players needed to open a new room
+const NEW_ROOM_MAX_PLAYERS = 5;
+const DEFAULT_ENTRY_POINTS = 250; // Room.entryPoints default, charged at start_game
+const WAIT_SAMPLES = 20; // recent match waits used for the ETA
+
+const tickets = new Map();
+const recentWaits = [];
+let ioRef = null;
+let ticker = null;
+let ticking = false;
+
+function generateRoomCode() {
+	return Math.random().toString(36).slice(2, 7).toUpperCase();
+}
+
+function normalizeCategories(category) {
+	const list = Array.isArray(category)
+		? category
+		: typeof category === "string"
+			? category.split(",")
+			: [];
+	return list.map((c) => String(c).trim()).filter(Boolean);
+}
+
+function lower(list) {
+	return list.map((c) => c.toLowerCase());
+}
+
+/**
+ * Validate matchmaking_join preferences (same fields as play-random).
+ * @returns {{ prefs?: object, error?: { message: string, details: string } }}
+ */
+function parsePreferences({ language, category, country, voiceEnabled, targetPoints } = {}) {
+	const categories = normalizeCategories(category);
+	if (!language || !country || voiceEnabled === undefined || targetPoints === undefined || targetPoints === null || categories.length === 0) {
+		return {
+			error: {
+				message: "missing_parameters",
+				details: "language, category, country, voiceEnabled, and targetPoints are required",
+			},
+		};
+	}
+	const normalizedCountry = normalizeCountryCode(country);
+	if (!normalizedCountry) {
+		return { error: { message: "invalid_country", details: `Invalid country code: ${country}` } };
+	}
+	const target = parseInt(targetPoints, 10);
+	if (Number.isNaN(target)) {
+		return { error: { message: "invalid_target_points", details: "targetPoints must be a number" } };
+	}
+	return {
+		prefs: {
+			language: String(language).trim().toLowerCase(),
+			country: normalizedCountry,
+			categories,
+			voiceEnabled: voiceEnabled === true || voiceEnabled === "true",
+			targetPoints: target,
+		},
+	};
+}
+
+/** Players can only share a room if these match exactly (categories only need to overlap). */
+function bucketKey(prefs) {
+	return `${prefs.language}|${prefs.country}|${prefs.voiceEnabled}|${prefs.targetPoints}`;
+}
+
+function roomMatchesPreferences(room, prefs) {
+	if (room.targetPoints !== prefs.targetPoints) return false;
+	if (room.country !== prefs.country) return false;
+	if (room.voiceEnabled !== prefs.voiceEnabled) return false;
+	const roomLang = (room.language && String(room.language).trim().toLowerCase()) || "";
+	if (roomLang !== prefs.language) return false;
+	const roomCategories = lower(normalizeCategories(room.category));
+	return lower(prefs.categories).some((c) => roomCategories.includes(c));
+}
+
+function waitedMs(ticket, now) {
+	return now - ticket.enqueuedAt;
+}
+
+function etaSeconds(waited) {
+	if (recentWaits.length === 0) return null;
+	const average = recentWaits.reduce((sum, v) => sum + v, 0) / recentWaits.length;
+	return Math.max(Math.ceil(TICK_MS / 1000), Math.round((average - waited) / 1000));
+}
+
+function noteMatched(ticket, now) {
+	recentWaits.push(waitedMs(ticket, now));
+	if (recentWaits.length > WAIT_SAMPLES) recentWaits.shift();
+	tickets.delete(String(ticket.userId));
+}
+
+function emitStatus(ticket, position, now) {
+	const waited = waitedMs(ticket, now);
+	const band = ratingBand(waited);
+	emitToUser(ioRef, ticket.userId, "matchmaking_status", {
+		position,
+		queueSize: tickets.size,
+		waitedSeconds: Math.round(waited / 1000),
+		etaSeconds: etaSeconds(waited),
+		rating: ticket.rating,
+		ratingBand: Number.isFinite(band) ? band : null,
+	});
+}
+
+function emitMatchFound(ticket, room, created, now) {
+	emitToUser(ioRef, ticket.userId, "match_found", {
+		roomId: room.id,
+		roomCode: room.code,
+		created, // true when the matchmaker opened this room for the group
+		waitedSeconds: Math.round(waitedMs(ticket, now) / 1000),
+		room: {
+			id: room.id,
+			name: room.name,
+			language: room.language,
+			category: room.category,
+			country: room.country,
+			voiceEnabled: room.voiceEnabled,
+			targetPoints: room.targetPoints,
+			entryPoints: room.entryPoints,
+			maxPlayers: room.maxPlayers,
+			status: room.status,
+		},
+	});
+}
+
+/**
+ * Seat a queued player in a room (entry is charged at start_game, like other lobby joins).
+ * @returns {Promise<boolean>} false if the room filled up, left the lobby or the player is banned from it
+ */
+async function seatPlayer(room, userId) {
+	return sequelize.transaction(async (t) => {
+		// Room row lock: concurrent seats (tickets, socket and REST joins) cannot overfill the room
+		const freshRoom = await Room.findByPk(room.id, { transaction: t, lock: t.LOCK.UPDATE });
+		if (!freshRoom || (freshRoom.status !== "lobby" && freshRoom.status !== "waiting")) return false;
+
+		const activeCount = await RoomParticipant.count({
+			where: { roomId: room.id, isActive: true, isSpectator: false },
+			transaction: t,
+		});
+		if (activeCount >= freshRoom.maxPlayers) return false;
+
+		const existing = await RoomParticipant.findOne({ where: { roomId: room.id, userId }, transaction: t });
+		if (existing) {
+			if (existing.bannedAt) return false;
+			existing.isActive = true;
+			existing.isSpectator = false; // a spectator of this room is seated as player
+			await existing.save({ transaction: t });
+			return true;
+		}
+		await RoomParticipant.create(
+			{ roomId: room.id, userId, isDrawer: false, hasPaidEntry: false },
+			{ transaction: t },
+		);
+		return true;
+	});
+}
+
+/** Open a public room for a group of compatible tickets; the longest-waiting player owns it. */
+async function openRoomForGroup(group, categories) {
+	const [owner] = group;
+	const room = await Room.create({
+		name: `${categories.join(", ")} Room`,
+		code: generateRoomCode(),
+		ownerId: owner.userId,
+		roomType: "multiplayer",
+		gameMode: "1v1",
+		language: owner.prefs.language,
+		country: owner.prefs.country,
+		category: categories,
+		themeId: null,
+		voiceEnabled: owner.prefs.voiceEnabled,
+		targetPoints: owner.prefs.targetPoints,
+		isPublic: true,
+		maxPlayers: NEW_ROOM_MAX_PLAYERS,
+		status: "waiting",
+	});
+	for (const ticket of group) {
+		await RoomParticipant.create({ roomId: room.id, userId: ticket.userId, isDrawer: false, hasPaidEntry: false });
+	}
+	return room;
+}
+
+function withinBand(rating, otherRating, band) {
+	return Math.abs(rating - otherRating) <= band;
+}
+
+async function placeIntoOpenRooms(queue, coinsByUser, avoidMap, now) {
+	const rooms = await Room.findAll({
+		where: {
+			isPublic: true,
+			status: { [Op.in]: ["lobby", "waiting"] },
+			gameMode: "1v1",
+		},
+		include: [
+			{ model: RoomParticipant, as: "participants", where: { isActive: true, isSpectator: false }, required: false },
+		],
+		limit: 100,
+		order: [["createdAt", "DESC"]],
+	});
+	const open = rooms.filter((r) => (r.participants || []).length > 0);
+	if (open.length === 0) return;
+
+	const ratings = await getRatings(open.flatMap((r) => r.participants.map((p) => p.userId)));
+	const seated = new Map(open.map((r) => [r.id, r.participants.map((p) => String(p.userId))]));
+	const seatedRatings = new Map(open.map((r) => [r.id, seated.get(r.id).map((id) => ratings.get(id).rating)]));
+	const averageRating = (roomId) => {
+		const values = seatedRatings.get(roomId);
+		return values.reduce((sum, v) => sum + v, 0) / values.length;
+	};
+
+	for (const ticket of queue) {
+		const key = String(ticket.userId);
+		if (tickets.get(key) !== ticket) continue; // cancelled or re-queued while this tick ran
+		const band = ratingBand(waitedMs(ticket, now));
+		const coins = coinsByUser.get(key) ?? 0;
+		const avoid = avoidMap.get(key);
+		const candidates = open
+			.filter((r) => {
+				const ids = seated.get(r.id);
+				if (ids.includes(key) || ids.length >= r.maxPlayers) return false;
+				if (avoid && ids.some((id) => avoid.has(id))) return false; // blocked pair
+				if (coins < calculateEntryCost(r.entryPoints, r.voiceEnabled)) return false;
+				return roomMatchesPreferences(r, ticket.prefs) && withinBand(ticket.rating, averageRating(r.id), band);
+			})
+			.sort((a, b) => {
+				const distance = (r) => Math.floor(Math.abs(ticket.rating - averageRating(r.id)) / 50);
+				if (distance(a) !== distance(b)) return distance(a) - distance(b);
+				return seated.get(b.id).length - seated.get(a.id).length; // fuller rooms first
+			});
+
+		for (const room of candidates) {
+			if (!(await seatPlayer(room, ticket.userId))) continue;
+			seated.get(room.id).push(key);
+			seatedRatings.get(room.id).push(ticket.rating);
+			noteMatched(ticket, now);
+			emitMatchFound(ticket, room, false, now);
+			console.log(`🧩 Matchmaking: user ${ticket.userId} placed in room ${room.code}`);
+			break;
+		}
+	}
+}
+
+async function groupIntoNewRooms(queue, coinsByUser, avoidMap, now) {
+	const buckets = new Map();
+	for (const ticket of queue) {
+		if (tickets.get(String(ticket.userId)) !== ticket) continue; // placed, cancelled or re-queued this tick
+		const coins = coinsByUser.get(String(ticket.userId)) ?? 0;
+		if (coins < calculateEntryCost(DEFAULT_ENTRY_POINTS, ticket.prefs.voiceEnabled)) continue;
+		const key = bucketKey(ticket.prefs);
+		if (!buckets.has(key)) buckets.set(key, []);
+		buckets.get(key).push(ticket);
+	}
+
+	for (const bucket of buckets.values()) {
+		const remaining = [...bucket];
+		while (remaining.length >= MIN_GROUP_SIZE) {
+			const seed = remaining.shift();
+			const group = [seed];
+			let categories = lower(seed.prefs.categories);
+			for (let i = 0; i < remaining.length && group.length < NEW_ROOM_MAX_PLAYERS; ) {
+				const candidate = remaining[i];
+				const shared = categories.filter((c) => lower(candidate.prefs.categories).includes(c));
+				const band = Math.min(...[...group, candidate].map((t) => ratingBand(waitedMs(t, now))));
+				const ratingFits = group.every((member) => withinBand(member.rating, candidate.rating, band));
+				const avoid = avoidMap.get(String(candidate.userId));
+				const blocked = !!avoid && group.some((member) => avoid.has(String(member.userId)));
+				if (shared.length > 0 && ratingFits && !blocked) {
+					group.push(candidate);
+					categories = shared;
+					remaining.splice(i, 1);
+				} else {
+					i++;
+				}
+			}
+			if (group.length < MIN_GROUP_SIZE) continue;
+
+			// Keep the owner's spelling of the shared categories
+			const roomCategories = seed.prefs.categories.filter((c) => categories.includes(c.toLowerCase()));
+			const room = await openRoomForGroup(group, roomCategories);
+			for (const ticket of group) {
+				noteMatched(ticket, now);
+				emitMatchFound(ticket, room, true, now);
+			}
+			console.log(`🧩 Matchmaking: opened room ${room.code} for ${group.length} players`);
+		}
+	}
+}
+
+function emitQueueStatus(now) {
+	const positions = new Map();
+	const ordered = [...tickets.values()].sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+	for (const ticket of ordered) {
+		const key = bucketKey(ticket.prefs);
+		const position = (positions.get(key) || 0) + 1;
+		positions.set(key, position);
+		emitStatus(ticket, position, now);
+	}
+}
+
+async function tick() {
+	if (ticking) return;
+	ticking = true;
+	try {
+		const now = Date.now();
+		const queue = [...tickets.values()].sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+		if (queue.length === 0) {
+			stopTicker();
+			return;
+		}
+		const users = await User.findAll({
+			where: { id: queue.map((t) => t.userId) },
+			attributes: ["id", "coins"],
+		});
+		const coinsByUser = new Map(users.map((u) => [String(u.id), u.coins]));
+
+		// Blocks in both directions: a blocked pair never ends up in the same room
+		const avoidMap = await getAvoidMap(queue.map((t) => t.userId));
+
+		await placeIntoOpenRooms(queue, coinsByUser, avoidMap, now);
+		await groupIntoNewRooms(queue, coinsByUser, avoidMap, now);
+		emitQueueStatus(now);
+	} catch (e) {
+		console.error("Matchmaking tick error:", e);
+	} finally {
+		ticking = false;
+	}
+}
+
+function startTicker() {
+	if (ticker) return;
+	ticker = setInterval(tick, TICK_MS);
+}
+
+function stopTicker() {
+	if (!ticker) return;
+	clearInterval(ticker);
+	ticker = null;
+}
+
+/** Give the queue the io instance it emits through (call once from socket setup). */
+function attach(io) {
+	ioRef = io;
+}
+
+/**
+ * Add (or update) a player's ticket. Re-joining keeps the original place in the queue.
+ * @returns {Promise<{ ok: boolean, error?: { message: string, details: string } }>}
+ */
+async function enqueue(user, rawPrefs) {
+	const { prefs, error } = parsePreferences(rawPrefs);
+	if (error) return { ok: false, error };
+	if (user.coins < calculateEntryCost(DEFAULT_ENTRY_POINTS, prefs.voiceEnabled)) {
+		return {
+			ok: false,
+			error: { message: "insufficient_coins", details: `You need ${DEFAULT_ENTRY_POINTS} coins to play` },
+		};
+	}
+
+	const key = String(user.id);
+	const rating = (await getRatings([user.id])).get(key).rating;
+	const existing = tickets.get(key);
+	tickets.set(key, {
+		userId: user.id,
+		prefs,
+		rating,
+		enqueuedAt: existing ? existing.enqueuedAt : Date.now(),
+	});
+	startTicker();
+	emitQueueStatus(Date.now());
+	return { ok: true };
+}
+
+/** @returns {boolean} true if the player was queued */
+function dequeue(userId) {
+	const removed = tickets.delete(String(userId));
+	if (tickets.size === 0) stopTicker();
+	return removed;
+}
+
+function isQueued(userId) {
+	return tickets.has(String(userId));
+}
+
+module.exports = {
+	attach,
+	enqueue,
+	dequeue,
+	isQueued,
+	parsePreferences,
+	roomMatchesPreferences,
+};
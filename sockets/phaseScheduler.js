@@ -0,0 +1,245 @@
+/**
+ * Durable phase scheduler: every due phase transition is a row in phase_jobs (one per room and phase) instead of a
+ * setTimeout handle, so restarts and dead nodes never lose a room's next step.
+ * - One polling loop per node claims due jobs with a conditional UPDATE (lockedBy = a claim token); several nodes
+ *   can poll the same table, each run is claimed by exactly one of them.
+ * - At-least-once: a job row is removed only after its handler returned. If the node dies mid-run, the lock expires
+ *   after LOCK_MS and another node runs the job again, so handlers must be idempotent (see roundPhases).
+ * - A handler that throws is retried with exponential backoff; after MAX_ATTEMPTS the job stays as 'failed'.
+ * getOverdueJobs lists failed jobs and jobs well past their fireAt (the admin scheduler endpoint shows them).
+ */
+const { Op } = require("sequelize");
+const { PhaseJob, sequelize } = require("../models");
+const { NODE_ID } = require("../utils/sharedState");
+
+const POLL_MS = Number(process.env.PHASE_SCHEDULER_POLL_MS) || 1000;
+const SWEEP_MS = Number(process.env.PHASE_SCHEDULER_SWEEP_MS) || 15000;
+const BATCH_SIZE = Number(process.env.PHASE_SCHEDULER_BATCH_SIZE) || 50;
+const LOCK_MS = Number(process.env.PHASE_JOB_LOCK_MS) || 30000;
+const MAX_ATTEMPTS = Number(process.env.PHASE_JOB_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 1000;
+// A job this late (or failed) counts as overdue
+const OVERDUE_AFTER_MS = Number(process.env.PHASE_JOB_OVERDUE_MS) || 5000;
+
+/** @type {Map<string, (io: object, job: object) => Promise<void>>} job phase -> handler */
+const handlers = new Map();
+let io = null;
+let stopped = true;
+let polling = false;
+let loopTimer = null;
+let loopWakeAt = null; // ms the loop timer fires at
+let earliestWake = null; // wake requested while a poll was running
+let sweepTimer = null;
+let claimSeq = 0;
+
+/** Handler for one job phase; receives the job row (roomId, phase, attempt, payload). */
+function registerHandler(phase, handler) {
+	handlers.set(phase, handler);
+}
+
+/**
+ * Schedule (or move) the room's job for a phase. Replaces any earlier job for the same room and phase,
+ * including one being run right now (its run then leaves the new row alone).
+ * @param {number} roomId
+ * @param {string} phase
+ * @param {Date|number} fireAt
+ * @param {object|null} [payload]
+ */
+async function schedule(roomId, phase, fireAt, payload = null) {
+	const at = fireAt instanceof Date ? fireAt : new Date(fireAt);
+	await PhaseJob.upsert({
+		roomId,
+		phase,
+		fireAt: at,
+		attempt: 0,
+		status: "pending",
+		lockedBy: null,
+		lockedUntil: null,
+		lastError: null,
+		payload,
+	});
+	wakeAt(at.getTime());
+}
+
+/** Drop the room's jobs for the given phases. */
+async function cancel(roomId, ...phases) {
+	if (roomId == null || phases.length === 0) return;
+	await PhaseJob.destroy({ where: { roomId, phase: { [Op.in]: phases } } });
+}
+
+/** Drop every job of a room (room closed or deleted). */
+async function cancelRoom(roomId) {
+	if (roomId == null) return;
+	await PhaseJob.destroy({ where: { roomId } });
+}
+
+// Run the poll loop early when a job scheduled on this node is due before the next regular poll
+function wakeAt(ms) {
+	if (stopped) return;
+	if (polling) {
+		earliestWake = earliestWake == null ? ms : Math.min(earliestWake, ms);
+		return;
+	}
+	if (loopWakeAt != null && loopWakeAt <= ms) return;
+	armLoop(ms - Date.now());
+}
+
+function armLoop(delayMs) {
+	if (stopped) return;
+	if (loopTimer) clearTimeout(loopTimer);
+	const delay = Math.max(0, Math.min(delayMs, POLL_MS));
+	loopWakeAt = Date.now() + delay;
+	loopTimer = setTimeout(runLoop, delay);
+}
+
+async function runLoop() {
+	loopTimer = null;
+	loopWakeAt = null;
+	polling = true;
+	try {
+		// Keep going while full batches come back (a backlog after downtime)
+		while (!stopped && (await pollOnce()) >= BATCH_SIZE);
+	} catch (err) {
+		console.error("Phase scheduler poll error:", err?.message ?? err);
+	} finally {
+		polling = false;
+		const wake = earliestWake;
+		earliestWake = null;
+		armLoop(wake != null ? wake - Date.now() : POLL_MS);
+	}
+}
+
+/**
+ * Claim due jobs (pending, or running with an expired lock) and run them.
+ * @returns {Promise<number>} jobs claimed
+ */
+async function pollOnce() {
+	const token = `${NODE_ID}#${++claimSeq}`;
+	const now = new Date();
+	const [claimed] = await PhaseJob.update(
+		{
+			status: "running",
+			lockedBy: token,
+			lockedUntil: new Date(now.getTime() + LOCK_MS),
+			attempt: sequelize.literal("attempt + 1"),
+		},
+		{
+			where: {
+				fireAt: { [Op.lte]: now },
+				[Op.or]: [{ status: "pending" }, { status: "running", lockedUntil: { [Op.lt]: now } }],
+			},
+			limit: BATCH_SIZE,
+		},
+	);
+	if (!claimed) return 0;
+
+	const jobs = await PhaseJob.findAll({ where: { lockedBy: token } });
+	await Promise.all(jobs.map((job) => runJob(job, token)));
+	return claimed;
+}
+
+async function runJob(job, token) {
+	try {
+		const handler = handlers.get(job.phase);
+		if (!handler) throw new Error(`No handler for phase job "${job.phase}"`);
+		if (job.attempt > 1) console.log(`🔁 Phase job ${job.phase} room=${job.roomId} attempt ${job.attempt}`);
+		await handler(io, job);
+		// Only this run's row: a handler that rescheduled its own phase left a fresh pending row
+		await PhaseJob.destroy({ where: { id: job.id, lockedBy: token } });
+	} catch (err) {
+		const message = String(err?.message ?? err).slice(0, 512);
+		const failed = job.attempt >= MAX_ATTEMPTS;
+		console.error(
+			`❌ Phase job ${job.phase} room=${job.roomId} attempt ${job.attempt} ${failed ? "failed for good" : "will retry"}:`,
+			message,
+		);
+		const retryAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (job.attempt - 1));
+		await PhaseJob.update(
+			failed
+				? { status: "failed", lockedBy: null, lockedUntil: null, lastError: message }
+				: { status: "pending", fireAt: retryAt, lockedBy: null, lockedUntil: null, lastError: message },
+			{ where: { id: job.id, lockedBy: token } },
+		).catch((e) => console.error("Phase job bookkeeping error:", e?.message ?? e));
+		if (!failed) wakeAt(retryAt.getTime());
+	}
+}
+
+/**
+ * Jobs that should have run by now: failed ones and ones more than OVERDUE_AFTER_MS past fireAt.
+ * @param {{ limit?: number }} [options]
+ */
+async function getOverdueJobs({ limit = 100 } = {}) {
+	const now = Date.now();
+	const jobs = await PhaseJob.findAll({
+		where: {
+			[Op.or]: [{ status: "failed" }, { fireAt: { [Op.lt]: new Date(now - OVERDUE_AFTER_MS) } }],
+		},
+		order: [["fireAt", "ASC"]],
+		limit,
+	});
+	return jobs.map((job) => ({
+		id: job.id,
+		roomId: job.roomId,
+		phase: job.phase,
+		fireAt: job.fireAt,
+		overdueMs: now - new Date(job.fireAt).getTime(),
+		attempt: job.attempt,
+		status: job.status,
+		lockedBy: job.lockedBy,
+		lastError: job.lastError,
+	}));
+}
+
+/**
+ * Put a failed job back in the queue, due now.
+ * @returns {Promise<boolean>} false if no failed job has that id
+ */
+async function retryJob(id) {
+	const [updated] = await PhaseJob.update(
+		{ status: "pending", fireAt: new Date(), attempt: 0, lockedBy: null, lockedUntil: null },
+		{ where: { id, status: "failed" } },
+	);
+	if (updated) wakeAt(Date.now());
+	return updated > 0;
+}
+
+/**
+ * Start polling (idempotent). sweep runs every SWEEP_MS, e.g. to schedule jobs for rooms that have none.
+ * @param {object} ioServer - Socket.io server, passed to handlers
+ * @param {{ sweep?: () => Promise<void> }} [options]
+ */
+function start(ioServer, { sweep } = {}) {
+	io = ioServer;
+	if (!stopped) return;
+	stopped = false;
+	armLoop(0);
+	if (sweep) {
+		sweepTimer = setInterval(() => {
+			sweep().catch((err) => console.error("Phase scheduler sweep error:", err?.message ?? err));
+		}, SWEEP_MS);
+		sweepTimer.unref();
+	}
+	console.log(`🗓️ Phase scheduler started (poll ${POLL_MS}ms, node ${NODE_ID})`);
+}
+
+/** Stop claiming jobs (graceful shutdown). Jobs left mid-run are picked up elsewhere once their lock expires. */
+function stop() {
+	stopped = true;
+	if (loopTimer) clearTimeout(loopTimer);
+	if (sweepTimer) clearInterval(sweepTimer);
+	loopTimer = null;
+	loopWakeAt = null;
+	sweepTimer = null;
+}
+
+module.exports = {
+	OVERDUE_AFTER_MS,
+	registerHandler,
+	schedule,
+	cancel,
+	cancelRoom,
+	getOverdueJobs,
+	retryJob,
+	start,
+	stop,
+};
@@ -1,46 +1,44 @@
 /**
- * In-memory ready state per room (lobby). Cleared on game start and when room goes back to lobby.
- * Key: roomId, Value: Set of userIds who have tapped Ready.
+ * Ready state per room (lobby). Cleared on game start and when room goes back to lobby.
+ * Stored in the shared state (utils/sharedState) as a set of userIds per room, so players of one lobby
+ * connected to different nodes see the same Ready flags.
  */
-const roomReadySets = new Map();
+const { getSharedState } = require("../utils/sharedState");
 
-function getSet(roomId) {
-	if (!roomReadySets.has(roomId)) {
-		roomReadySets.set(roomId, new Set());
-	}
-	return roomReadySets.get(roomId);
+const key = (roomId) => `ready:${roomId}`;
+
+async function setReady(roomId, userId) {
+	await getSharedState().setAdd(key(roomId), userId);
 }
 
-function setReady(roomId, userId) {
-	getSet(roomId).add(userId);
+async function removeReady(roomId, userId) {
+	await getSharedState().setRemove(key(roomId), userId);
 }
 
-function removeReady(roomId, userId) {
-	const set = roomReadySets.get(roomId);
-	if (set) set.delete(userId);
+/** @returns {Promise<Set<string>>} userIds (as strings) who tapped Ready in the room */
+async function getReadyIds(roomId) {
+	return new Set(await getSharedState().setMembers(key(roomId)));
 }
 
-function isReady(roomId, userId) {
-	const set = roomReadySets.get(roomId);
-	return set ? set.has(userId) : false;
+async function isReady(roomId, userId) {
+	return (await getReadyIds(roomId)).has(String(userId));
 }
 
-function clearRoom(roomId) {
-	roomReadySets.delete(roomId);
+async function clearRoom(roomId) {
+	await getSharedState().del(key(roomId));
 }
 
-function areAllReady(roomId, participantUserIds) {
+async function areAllReady(roomId, participantUserIds) {
 	if (!participantUserIds || participantUserIds.length === 0) return false;
-	const set = roomReadySets.get(roomId);
-	if (!set) return false;
-	return participantUserIds.every((id) => set.has(id));
+	const ready = await getReadyIds(roomId);
+	return participantUserIds.every((id) => ready.has(String(id)));
 }
 
 module.exports = {
 	setReady,
 	removeReady,
+	getReadyIds,
 	isReady,
 	clearRoom,
 	areAllReady,
 };
-
@@ -1,71 +1,126 @@
-const { Room, RoomParticipant, User, Word } = require("../models");
+const { Room, RoomParticipant, User, Word, PhaseJob } = require("../models");
 const { Op } = require("sequelize");
-const { PHASE_DURATIONS, checkGameEnd } = require("./gameHelpers");
 const {
-	getWordsForTheme,
+	PHASE_DURATIONS,
+	checkGameEnd,
+	endGame,
+	getPhaseDuration,
+	getWordOptionsCount,
+	isRotationComplete,
+} = require("./gameHelpers");
+const {
+	getWordEntriesForTheme,
 	getRandomWordForTheme,
 } = require("../utils/wordSelector");
 const { checkAndMaybeDeleteRoom } = require("../utils/cleanRoom");
-const { getRoom, getRoomCached, refreshRoomCache, clearRoomCache } = require("../utils/roomCache");
+const { getRoom, refreshRoomCache, clearRoomCache } = require("../utils/roomCache");
 const { getSocketIdForUser } = require("./userSocketMap");
-
-// Store active timers
-const roomTimers = new Map();
-
-// Startup readiness: no joins until rebuildTimersOnStartup has completed (avoids join-before-timers edge case).
+const strokeLog = require("./strokeLog");
+const roundRecorder = require("./roundRecorder");
+const { getWordHintState } = require("../utils/wordHints");
+const { pickCustomWords } = require("../utils/customWords");
+const wordStats = require("../utils/wordStats");
+const playerStats = require("../utils/playerStats");
+const achievements = require("../utils/achievements");
+const entryEscrow = require("../utils/entryEscrow");
+const moderation = require("../utils/moderation");
+const phaseScheduler = require("./phaseScheduler");
+const { createGameStateMachine, phaseOf, TIMED_PHASES, CLAIM_PHASES } = require("./gameStateMachine");
+
+// Startup readiness: no joins until startPhaseScheduler has completed (avoids join-before-timers edge case).
 let timersReady = false;
 function getTimersReady() {
 	return timersReady;
 }
 
-// Stagger phase-end callbacks to avoid CPU spike when many rooms end phase at once (0–jitter ms spread).
+// Stagger phase-end jobs to avoid CPU spike when many rooms end phase at once (0–jitter ms spread).
 const PHASE_END_JITTER_MS = Number(process.env.PHASE_END_JITTER_MS) || 250;
+// DATE columns drop milliseconds: a job still belongs to the phase if its end time matches within this
+const PHASE_END_TOLERANCE_MS = 1500;
+// Grace before the repair sweep schedules a job for a room whose phase ended without one
+const STUCK_ROOM_GRACE_MS = Number(process.env.STUCK_ROOM_GRACE_MS) || 10000;
+
+function toMs(date) {
+	if (date == null) return null;
+	return date.getTime ? date.getTime() : new Date(date).getTime();
+}
 
-/** Base delay until phaseEndTime plus deterministic jitter from roomId. */
-function phaseEndDelay(phaseEndTimeMs, roomId) {
-	const base = Math.max(0, phaseEndTimeMs - Date.now());
-	const jitter = roomId != null ? roomId % PHASE_END_JITTER_MS : 0;
-	return base + jitter;
+/**
+ * Schedule the job that ends the room's current phase at roundPhaseEndTime (plus deterministic jitter from roomId).
+ * The job carries the phase end so a run for an older phase of the same name does nothing.
+ */
+async function schedulePhaseEnd(room, phase, payload = {}) {
+	const phaseEndTime = toMs(room.roundPhaseEndTime);
+	const jitter = room.id != null ? room.id % PHASE_END_JITTER_MS : 0;
+	await phaseScheduler.schedule(room.id, phase, phaseEndTime + jitter, { ...payload, phaseEndTime });
 }
 
-function clearRoomTimer(key) {
-	if (roomTimers.has(key)) {
-		const handle = roomTimers.get(key);
-		clearTimeout(handle);
-		clearInterval(handle); // support legacy interval handles from same map
-		roomTimers.delete(key);
+/**
+ * Room a phase job still applies to: playing, in roomPhase, and (if the job carries one) with the same phase end.
+ * @returns {Promise<import('../models').Room|null>} null for a stale job (it is then just dropped)
+ */
+async function loadRoomForJob(job, roomPhase = job.phase) {
+	const room = await getRoom(job.roomId);
+	if (!room || room.status !== "playing" || room.roundPhase !== roomPhase) return null;
+	const expected = job.payload?.phaseEndTime;
+	if (expected != null) {
+		const actual = toMs(room.roundPhaseEndTime);
+		if (actual == null || Math.abs(actual - expected) > PHASE_END_TOLERANCE_MS) return null;
 	}
+	return room;
 }
 
+// Phase rules (legal transitions, guards, events) live in gameStateMachine; these are its entry/exit actions
+const gameMachine = createGameStateMachine({
+	phaseDuration: getPhaseDuration,
+	actions: {
+		// An interval after a reveal advances the round; one after the drawer left replays it
+		schedulePhaseEnd: (room, { from, to }) =>
+			schedulePhaseEnd(room, to, to === "interval" ? { advanceRound: from === "reveal" } : {}),
+		cancelPhaseEnd: (room, { from }) => phaseScheduler.cancel(room.id, from),
+		scheduleHint: (room) => scheduleNextWordHint(room),
+		cancelHint: (room) => phaseScheduler.cancel(room.id, "hint"),
+		cancelAllPhaseJobs: (room) => phaseScheduler.cancelRoom(room.id),
+	},
+});
+
 /**
  * Atomic phase transition: only one caller succeeds (prevents double timers / race transitions).
+ * The transition must be legal in gameStateMachine (illegal ones are logged and rejected). Entering a timed phase
+ * sets its end time from the machine's clock unless updates has one; the machine's exit/entry actions run after.
  * @param {number} roomId
  * @param {string} fromPhase - Current phase; update only runs if DB matches
- * @param {object} updates - Fields to set (e.g. { roundPhase: 'reveal', roundPhaseEndTime: ... })
- * @returns {Promise<import('../models').Room|null>} Updated room or null if no row matched
+ * @param {object} updates - Fields to set (e.g. { roundPhase: 'reveal', currentDrawerId: null })
+ * @returns {Promise<import('../models').Room|null>} Updated room or null if no row matched or the transition is illegal
  */
 async function transitionPhase(roomId, fromPhase, updates) {
+	const toPhase = updates.roundPhase;
+	let from = null;
+	if (toPhase !== undefined) {
+		const current = await getRoom(roomId);
+		if (!current || current.roundPhase !== fromPhase) return null; // another caller already moved on
+		from = phaseOf(current);
+		if (!gameMachine.check(from, toPhase, { ...current.get({ plain: true }), ...updates }).ok) return null;
+		if (updates.roundPhaseEndTime === undefined) {
+			updates = { ...gameMachine.phaseUpdates(current, toPhase), ...updates };
+		}
+	}
 	const [affectedCount] = await Room.update(updates, {
 		where: { id: roomId, roundPhase: fromPhase },
 	});
 	if (affectedCount === 0) return null;
 	const room = await getRoom(roomId);
-	if (room && updates.roundPhase) {
-		const toPhase = updates.roundPhase;
+	if (room && toPhase) {
 		console.log(`[PHASE] ${fromPhase} -> ${toPhase} room=${room.code}`);
 	}
 	if (room) refreshRoomCache(room);
+	if (room && toPhase !== undefined) await gameMachine.runActions(room, from, toPhase);
 	return room;
 }
 
-/** Clear all phase-related timers for a room so no stale time_update is sent after phase change. */
-function clearAllPhaseTimersForRoom(roomCode) {
-	clearRoomTimer(`${roomCode}_phase`);
-	clearRoomTimer(`${roomCode}_selecting_drawer`);
-	clearRoomTimer(`${roomCode}_choosing_word`);
-	clearRoomTimer(`${roomCode}_drawing`);
-	clearRoomTimer(`${roomCode}_reveal`);
-	clearRoomTimer(`${roomCode}_interval`);
+/** Game over or closed (status already stored): run the machine's actions for entering "finished". */
+async function enterFinishedPhase(room, fromPhase) {
+	await gameMachine.runActions(room, fromPhase, "finished");
 }
 
 async function removeParticipantFromRoom(io, room, userId) {
@@ -100,34 +155,31 @@ async function removeParticipantFromRoom(io, room, userId) {
 
 // === NEW HELPER FUNCTION: Starts a phase with absolute-time phase-end (no timer drift) ===
 // options.fromPhase: if set, do atomic transition so only one caller wins (prevents double start)
+// Either way the transition is checked by the state machine and its entry actions schedule the phase-end job.
+// Returns false (nothing stored or broadcast) when the transition lost the race or is illegal: callers stop there.
 async function startPhaseTimerAndBroadcast(
 	io,
 	room,
 	phaseKey,
 	duration,
-	onEndCallback,
 	options = {},
 ) {
 	const fromPhase = options.fromPhase;
 	const roomId = room.id;
 	const roomCode = room.code;
+	const timing = gameMachine.phaseUpdates(room, phaseKey, duration);
 
 	if (fromPhase != null) {
 		// Atomic transition: only one caller succeeds
-		const phaseEndTime = new Date(Date.now() + duration * 1000);
-		room = await transitionPhase(roomId, fromPhase, {
-			roundPhase: phaseKey,
-			roundRemainingTime: duration,
-			roundPhaseEndTime: phaseEndTime,
-		});
-		if (!room) return;
+		room = await transitionPhase(roomId, fromPhase, timing);
+		if (!room) return false;
 	} else {
-		clearAllPhaseTimersForRoom(roomCode);
-		room.roundPhase = phaseKey;
-		room.roundRemainingTime = duration;
-		room.roundPhaseEndTime = new Date(Date.now() + duration * 1000);
+		const from = phaseOf(room);
+		if (!gameMachine.check(from, phaseKey, room).ok) return false;
+		room.set(timing);
 		await room.save();
 		refreshRoomCache(room);
+		await gameMachine.runActions(room, from, phaseKey);
 	}
 	console.log("startPhaseTimerAndBroadcast", {
 		fromPhase,
@@ -138,30 +190,10 @@ async function startPhaseTimerAndBroadcast(
 	});
 
 	// 2. Broadcast initial phase change event (client runs local countdown from phaseEndTime)
-	const phaseEndTimeMs = room.roundPhaseEndTime.getTime();
-	io.to(roomCode).emit("phase_change", {
-		phase: phaseKey,
-		duration: duration,
-		phaseEndTime: phaseEndTimeMs,
-		round: room.currentRound,
-	});
+	io.to(roomCode).emit("phase_change", gameMachine.phaseChangePayload(room));
 
 	console.log(`⏱️ Phase started: ${phaseKey}. Duration: ${duration}s`);
-
-	// 3. Single absolute timeout (time-authoritative; no setInterval drift)
-	const phaseEndTime = room.roundPhaseEndTime.getTime
-		? room.roundPhaseEndTime.getTime()
-		: Number(room.roundPhaseEndTime);
-	const delay = phaseEndDelay(phaseEndTime, roomId);
-	const timeout = setTimeout(async () => {
-		clearRoomTimer(`${roomCode}_${phaseKey}`);
-		const snap = await getRoomCached(roomId);
-		if (snap && snap.roundPhase === phaseKey) {
-			const refreshedRoom = await getRoom(roomId);
-			if (refreshedRoom) await onEndCallback(io, refreshedRoom);
-		}
-	}, delay);
-	roomTimers.set(`${roomCode}_${phaseKey}`, timeout);
+	return true;
 }
 
 // Start a new round
@@ -170,9 +202,9 @@ async function startNewRound(io, room) {
 		// Clear chat for new round
 		io.to(room.code).emit("clear_chat");
 
-		// Get active participants
+		// Get active players (spectators never draw or guess)
 		const participants = await RoomParticipant.findAll({
-			where: { roomId: room.id, isActive: true },
+			where: { roomId: room.id, isActive: true, isSpectator: false },
 			include: [{ model: User, as: "user" }],
 		});
 
@@ -196,7 +228,133 @@ async function startNewRound(io, room) {
 	}
 }
 
+const FALLBACK_WORDS = [
+	"apple",
+	"banana",
+	"cat",
+	"dog",
+	"elephant",
+	"flower",
+	"guitar",
+	"house",
+	"tree",
+	"sun",
+];
+
+/** Up to count word entries ({ word, keywordId, languageCode }) from the room's categories (or single theme), skipping usedWords. */
+async function fetchThemeWords(room, count) {
+	if (count <= 0) return [];
+	let words = [];
+	// Check if we have categories (array) or themeId (single theme)
+	const categories = Array.isArray(room.category) && room.category.length > 0
+		? room.category
+		: [];
+
+	if (categories.length > 0) {
+		try {
+			// Use categories array for multi-select
+			words = await getWordEntriesForTheme(
+				null, // themeId is null when using categories
+				room.language,
+				room.script,
+				count,
+				room.usedWords || [],
+				categories // Pass categories array
+			);
+		} catch (e) {
+			console.log("⚠️ Error loading themed words from categories, fallback being used", e);
+		}
+	} else if (room.themeId) {
+		// Fallback to single themeId for backward compatibility
+		try {
+			words = await getWordEntriesForTheme(
+				room.themeId,
+				room.language,
+				room.script,
+				count,
+				room.usedWords || []
+			);
+		} catch (e) {
+			console.log("⚠️ Error loading themed words, fallback being used", e);
+		}
+	}
+	return words || [];
+}
+
+/**
+ * Word options for the drawer: room.wordOptionsCount words. Private rooms with a custom list take
+ * customWordsMix percent of them from it (the rest from the theme, topped up from the list if the theme runs short);
+ * a built-in list fills whatever is still missing.
+ * @returns {Promise<Array<{ word: string, keywordId: number|null, languageCode: string|null, difficulty: string|null, multiplier: number }>>}
+ *   catalog words carry their keyword and difficulty; custom and fallback words are unrated
+ */
+async function pickWordOptions(room) {
+	const count = getWordOptionsCount(room);
+	const customList = room.isPublic ? [] : room.customWords || [];
+	const usedWords = room.usedWords || [];
+
+	let entries = [];
+	if (customList.length > 0) {
+		const mix = room.customWordsMix ?? 100;
+		const customCount = Math.min(count, Math.round((count * mix) / 100));
+		entries = pickCustomWords(customList, customCount, usedWords).map((word) => ({ word }));
+		const themed = await fetchThemeWords(room, count - entries.length);
+		entries = [...entries, ...themed];
+		if (entries.length < count) {
+			const picked = entries.map((e) => e.word);
+			const extra = pickCustomWords(customList, count - entries.length, usedWords, picked);
+			entries = [...entries, ...extra.map((word) => ({ word }))];
+		}
+	} else {
+		entries = await fetchThemeWords(room, count);
+	}
+
+	if (entries.length < count) {
+		const picked = entries.map((e) => e.word);
+		const fallback = FALLBACK_WORDS.filter((w) => !picked.includes(w)).sort(() => 0.5 - Math.random());
+		entries = [...entries, ...fallback.map((word) => ({ word }))].slice(0, count);
+	}
+	return wordStats.withDifficulty(entries);
+}
+
+/** Joined the running game after start_game (see sockets/lateJoin). */
+function joinedLate(room, participant) {
+	const joined = toMs(participant.gameJoinedAt);
+	const started = toMs(room.gameStartedAt);
+	// DATE columns keep whole seconds while a cached room may still carry milliseconds
+	return joined != null && started != null && Math.floor(joined / 1000) > Math.floor(started / 1000);
+}
+
+/**
+ * Rotation order: players who started the game by userId, then late joiners in the order they joined.
+ * Late joiners go last, so they never shift the pointer position of the players ahead of them.
+ */
+function rotationOrder(room) {
+	const lateKey = (p) => (joinedLate(room, p) ? toMs(p.gameJoinedAt) : 0);
+	return (a, b) => lateKey(a) - lateKey(b) || a.userId - b.userId;
+}
+
 // Select drawer and start word choice phase
+/**
+ * Next drawer in a flat rotation from the pointer, skipping players under a drawing ban and, while anyone is
+ * left, players who already drew this rotation (so late joiners get their turn before the rotation ends).
+ * @returns {{ drawer: object, pointer: number }} pointer: index after the chosen drawer
+ */
+function pickFromPointer(list, pointer, bannedIds, drawnIds = []) {
+	const eligible = (p) => !bannedIds.has(String(p.userId));
+	const undrawn = (p) => eligible(p) && !drawnIds.includes(p.userId);
+	for (const accept of [undrawn, eligible]) {
+		for (let i = 0; i < list.length; i++) {
+			const idx = (pointer + i) % list.length;
+			if (accept(list[idx])) {
+				return { drawer: list[idx], pointer: (idx + 1) % list.length };
+			}
+		}
+	}
+	const idx = pointer % list.length;
+	return { drawer: list[idx], pointer: (idx + 1) % list.length };
+}
+
 async function selectDrawerAndStartWordChoice(io, room) {
 	try {
 		// Guard: room may be null when called after room removal/deletion (e.g. last player left)
@@ -204,11 +362,9 @@ async function selectDrawerAndStartWordChoice(io, room) {
 		room = await getRoom(room.id);
 		if (!room) return;
 
-		clearRoomTimer(`${room.code}_phase`);
-
-		// Load active participants
+		// Load active players (spectators are not in the rotation)
 		let participants = await RoomParticipant.findAll({
-			where: { roomId: room.id, isActive: true },
+			where: { roomId: room.id, isActive: true, isSpectator: false },
 			include: [{ model: User, as: "user" }],
 		});
 
@@ -217,8 +373,8 @@ async function selectDrawerAndStartWordChoice(io, room) {
 			return;
 		}
 
-		// Sort for stable ordering
-		participants.sort((a, b) => a.userId - b.userId);
+		// Sort for stable ordering (late joiners queued at the end)
+		participants.sort(rotationOrder(room));
 
 		// Ensure pointer is valid
 		let pointer = room.drawerPointerIndex || 0;
@@ -226,36 +382,57 @@ async function selectDrawerAndStartWordChoice(io, room) {
 		// Normalize drawnUserIds (from JSON)
 		let drawnUserIds = Array.isArray(room.drawnUserIds) ? room.drawnUserIds : [];
 
+		// Players under a drawing ban forfeit their turn: counted as drawn so the rotation can still complete.
+		// If nobody in the room may draw, the ban is ignored rather than stalling the game.
+		let drawingBanned = await moderation.getDrawingBannedIds(participants.map((p) => p.userId));
+		if (participants.every((p) => drawingBanned.has(String(p.userId)))) drawingBanned = new Set();
+		const forfeitBannedTurns = () => {
+			for (const p of participants) {
+				if (drawingBanned.has(String(p.userId)) && !drawnUserIds.includes(p.userId)) {
+					drawnUserIds.push(p.userId);
+				}
+			}
+			room.drawnUserIds = drawnUserIds;
+		};
+		if (drawnUserIds.length) forfeitBannedTurns();
+
+		// Everyone has drawn since the last reset: one full rotation is done
+		if (drawnUserIds.length && isRotationComplete(room, participants)) {
+			room.completedRotations = (room.completedRotations || 0) + 1;
+			drawnUserIds = [];
+			room.drawnUserIds = drawnUserIds;
+			console.log(`🔄 Rotation ${room.completedRotations} complete in room ${room.code}`);
+			// Normally checkGameEnd already ended the game after the last reveal; this covers drawer leave/skip paths
+			if (room.maxRounds && room.completedRotations >= room.maxRounds) {
+				await room.save();
+				refreshRoomCache(room);
+				await endGame(io, room, participants);
+				return;
+			}
+		}
+		forfeitBannedTurns();
+
 		let nextDrawer;
 
 
 		// MODE 1: 1v1 
 
 		if (room.gameMode === "1v1") {
-			pointer = pointer % participants.length;
-			nextDrawer = participants[pointer];
-			pointer = (pointer + 1) % participants.length;
+			({ drawer: nextDrawer, pointer } = pickFromPointer(participants, pointer, drawingBanned, drawnUserIds));
 		} else {
 
 			// MODE 2: team_vs_team
 
 
-			const blueTeam = participants
-				.filter((p) => p.team === "blue")
-				.sort((a, b) => a.userId - b.userId);
-
-			const orangeTeam = participants
-				.filter((p) => p.team === "orange")
-				.sort((a, b) => a.userId - b.userId);
+			const blueTeam = participants.filter((p) => p.team === "blue");
+			const orangeTeam = participants.filter((p) => p.team === "orange");
 
 			// If teams are not properly formed, fallback to flat logic
 			if (!blueTeam.length || !orangeTeam.length) {
 				console.log(
 					"⚠️ team_vs_team but one of the teams is empty, falling back to flat rotation",
 				);
-				pointer = pointer % participants.length;
-				nextDrawer = participants[pointer];
-				pointer = (pointer + 1) % participants.length;
+				({ drawer: nextDrawer, pointer } = pickFromPointer(participants, pointer, drawingBanned, drawnUserIds));
 			} else {
 				// Create alternating list: [blue, orange, blue, orange, ...]
 				const alternatingList = [];
@@ -291,14 +468,17 @@ async function selectDrawerAndStartWordChoice(io, room) {
 						"🔄 All players have drawn once. Resetting drawnUserIds cycle.",
 					);
 					drawnUserIds = [];
-					chosenDrawer = alternatingList[pointer];
-					pointer = (pointer + 1) % totalPlayers;
+					({ drawer: chosenDrawer, pointer } = pickFromPointer(alternatingList, pointer, drawingBanned));
 				}
 
 				nextDrawer = chosenDrawer;
 			}
 		} 
 
+		// Check the transition before marking the drawer or storing their word options
+		const pending = { ...room.get({ plain: true }), currentDrawerId: nextDrawer.userId };
+		if (!gameMachine.check(phaseOf(room), "selecting_drawer", pending).ok) return;
+
 		// Clear old drawer status
 		await RoomParticipant.update(
 			{ isDrawer: false },
@@ -320,6 +500,7 @@ async function selectDrawerAndStartWordChoice(io, room) {
 		room.currentDrawerId = nextDrawer.userId;
 		room.lastDrawerId = nextDrawer.userId;
 		room.currentWord = null;
+		room.currentWordMeta = null;
 		room.currentWordOptions = null;
 		room.drawnUserIds = drawnUserIds;
 		await room.save();
@@ -338,61 +519,13 @@ async function selectDrawerAndStartWordChoice(io, room) {
 			}`,
 		);
 
-		// --- Word selection logic (unchanged) ---
-		let words = [];
-		// if (room.themeId) {
-		// Check if we have categories (array) or themeId (single theme)
-		const categories = Array.isArray(room.category) && room.category.length > 0
-			? room.category
-			: [];
-
-		if (categories.length > 0) {
-			try {
-				// Use categories array for multi-select
-				words = await getWordsForTheme(
-					null, // themeId is null when using categories
-					room.language,
-					room.script,
-					3,
-					room.usedWords || [],
-					categories // Pass categories array
-				);
-			} catch (e) {
-				console.log("⚠️ Error loading themed words from categories, fallback being used", e);
-			}
-		} else if (room.themeId) {
-			// Fallback to single themeId for backward compatibility
-			try {
-				words = await getWordsForTheme(
-					room.themeId,
-					room.language,
-					room.script,
-					3,
-					room.usedWords || []
-				);
-			} catch (e) {
-				console.log("⚠️ Error loading themed words, fallback being used", e);
-			}
-		}
-
-		if (!words || words.length < 3) {
-			const fallback = [
-				"apple",
-				"banana",
-				"cat",
-				"dog",
-				"elephant",
-				"flower",
-				"guitar",
-				"house",
-				"tree",
-				"sun",
-			];
-			words = fallback.sort(() => 0.5 - Math.random()).slice(0, 3);
-		}
+		const wordDetails = await pickWordOptions(room);
+		const words = wordDetails.map((d) => d.word);
 		room.currentWordOptions = words;
+		room.currentWordOptionsMeta = wordDetails;
 		await room.save();
 		refreshRoomCache(room);
+		wordStats.recordOffered(wordDetails); // not awaited: stats must not delay the phase
 
 		const drawerPayload = {
 			id: nextDrawer.userId,
@@ -401,22 +534,14 @@ async function selectDrawerAndStartWordChoice(io, room) {
 			avatar: nextDrawer.user?.avatar,
 		};
 
-		// PHASE 1: selecting_drawer
-		await startPhaseTimerAndBroadcast(
+		// PHASE 1: selecting_drawer (its job runs handleSelectingDrawerPhaseEnd, which reloads drawer and words)
+		const started = await startPhaseTimerAndBroadcast(
 			io,
 			room,
 			"selecting_drawer",
 			PHASE_DURATIONS.selecting_drawer,
-			async (io, refreshedRoom) => {
-				await startWordChoicePhase(
-					io,
-					refreshedRoom,
-					nextDrawer,
-					words,
-					drawerPayload,
-				);
-			},
 		);
+		if (!started) return;
 
 		io.to(room.code).emit("drawer_selected", {
 			drawer: drawerPayload,
@@ -439,15 +564,10 @@ async function startWordChoicePhase(
 	// Allow selecting_drawer or _internal_processing (set by handleSelectingDrawerPhaseEnd atomic claim)
 	if (!room || (room.roundPhase !== "selecting_drawer" && room.roundPhase !== "_internal_processing")) return;
 
-	// Atomic transition: only one caller (timer or resume) wins selecting_drawer/_internal_processing -> choosing_word
-	const phaseEndTime = new Date(Date.now() + PHASE_DURATIONS.choosing_word * 1000);
-	room = await transitionPhase(room.id, room.roundPhase, {
-		roundPhase: "choosing_word",
-		roundPhaseEndTime: phaseEndTime,
-		roundRemainingTime: PHASE_DURATIONS.choosing_word,
-	});
+	// Atomic transition: only one caller (job run) wins selecting_drawer/_internal_processing -> choosing_word
+	const choiceDuration = getPhaseDuration(room, "choosing_word");
+	room = await transitionPhase(room.id, room.roundPhase, { roundPhase: "choosing_word" });
 	if (!room) return;
-	room = await getRoom(room.id);
 
 	// Find drawer's socket: use current socket from userSocketMap (FIX-1) so drawer gets word_options after reconnect.
 	const drawerIdStr = String(nextDrawer.userId);
@@ -466,7 +586,7 @@ async function startWordChoicePhase(
 		try {
 			const roomSockets = await io.in(room.code).fetchSockets();
 			drawerSocket = roomSockets.find(
-				(s) => s.user && String(s.user.id) === drawerIdStr,
+				(s) => s.data?.userId != null && String(s.data.userId) === drawerIdStr, // RemoteSockets carry no user
 			);
 		} catch (e) {
 			console.warn("fetchSockets failed, falling back to global lookup:", e?.message);
@@ -486,94 +606,26 @@ async function startWordChoicePhase(
 	}
 
 	// Send word list to drawer only
+	const wordOptionsPayload = {
+		words,
+		wordDetails: wordStats.describeWordOptions(room.currentWordOptionsMeta, words), // difficulty tag + reward multiplier
+		duration: choiceDuration,
+	};
 	if (drawerSocket) {
-		drawerSocket.emit("word_options", {
-			words,
-			duration: PHASE_DURATIONS.choosing_word,
-		});
+		drawerSocket.emit("word_options", wordOptionsPayload);
 		console.log(`📝 word_options sent to drawer ${nextDrawer.user?.name ?? nextDrawer.userId} (${words?.length ?? 0} words)`);
+	} else if (latestSocketId) {
+		// Drawer is connected to another node: reach the socket through the cluster adapter
+		io.to(latestSocketId).emit("word_options", wordOptionsPayload);
+		console.log(`📝 word_options sent to drawer ${nextDrawer.userId} on another node`);
 	} else {
 		console.warn(`⚠️ Drawer socket not found for userId ${nextDrawer.userId} (room ${room.code}). word_options not sent.`);
 	}
 
 	// ----------------------------------------------------
-	// PHASE 2: choosing_word - Now uses ticker
+	// PHASE 2: choosing_word - its job runs handleChoosingWordTimeout (drawer skip / elimination)
 	// ----------------------------------------------------
-	await startPhaseTimerAndBroadcast(
-		io,
-		room,
-		"choosing_word",
-		PHASE_DURATIONS.choosing_word,
-		async (io, currentRoom) => {
-			try {
-				// Timer ended, drawer timed out
-				console.log(`⏰ Drawer ${drawerPayload.name} timed out. Processing skip.`);
-
-				// Fetch participant fresh
-				const participant = await RoomParticipant.findOne({
-					where: { roomId: currentRoom.id, userId: nextDrawer.userId },
-				});
-
-				if (!participant) {
-					console.warn("⚠️ Participant not found when handling timeout:", nextDrawer.userId);
-					// Continue rotation anyway
-					await selectDrawerAndStartWordChoice(io, currentRoom);
-					return;
-				}
-
-				// Decrement eliminationCount (but not below 0)
-				const newEliminationCount = Math.max(0, (participant.eliminationCount || 0) - 1);
-				await RoomParticipant.update(
-					{ eliminationCount: newEliminationCount, isDrawer: false },
-					{ where: { id: participant.id } }
-				);
-
-				// Refresh room state
-				const refreshedRoom = await getRoom(currentRoom.id);
-
-				// Inform room a drawer was skipped
-				io.to(refreshedRoom.code).emit("drawer_skipped", {
-					drawer: drawerPayload,
-					remainingEliminations: newEliminationCount,
-				});
-
-				// If eliminationCount reached zero -> remove participant
-				if (newEliminationCount <= 0) {
-					console.log(`❌ Drawer ${drawerPayload.name} reached elimination 0. Removing from room.`);
-
-					const removed = await removeParticipantFromRoom(io, refreshedRoom, participant.userId);
-
-					if (!removed) {
-						console.warn("⚠️ Failed to remove participant cleanly:", participant.userId);
-					}
-
-					// Continue rotation with refreshed room (participant list will not include removed)
-					const afterRemovalRoom = await getRoom(refreshedRoom.id);
-					await selectDrawerAndStartWordChoice(io, afterRemovalRoom);
-					return;
-				}
-
-				// Atomic: only one caller (timeout vs resume) wins choosing_word -> selecting_drawer
-				const room = await transitionPhase(refreshedRoom.id, "choosing_word", {
-					roundPhase: "selecting_drawer",
-					currentDrawerId: null,
-					currentWord: null,
-					currentWordOptions: null,
-				});
-				if (!room) return;
-				await selectDrawerAndStartWordChoice(io, room);
-			} catch (err) {
-				console.error("Error handling choosing_word timeout:", err);
-				try {
-					// Try to continue rotation even on error
-					const fallbackRoom = await getRoom(room.id);
-					if (fallbackRoom) await selectDrawerAndStartWordChoice(io, fallbackRoom);
-				} catch (e) {
-					console.error("Fallback rotation error:", e);
-				}
-			}
-		},
-	);
+	io.to(room.code).emit("phase_change", gameMachine.phaseChangePayload(room));
 }
 
 
@@ -583,18 +635,14 @@ async function startDrawingPhase(io, room) {
 		room = await getRoom(room.id);
 		if (!room || room.roundPhase !== "choosing_word") return;
 
-		// Atomic transition: only one caller wins (choose_word handler; no timer races this path)
-		const phaseEndTime = new Date(Date.now() + PHASE_DURATIONS.drawing * 1000);
+		// Atomic transition: only one caller wins (choose_word vs the choosing_word job);
+		// entering drawing schedules its end and hint jobs
+		const drawingDuration = getPhaseDuration(room, "drawing");
 		room = await transitionPhase(room.id, "choosing_word", {
 			roundPhase: "drawing",
-			roundPhaseEndTime: phaseEndTime,
-			roundRemainingTime: PHASE_DURATIONS.drawing,
-			roundStartTime: new Date(),
+			roundStartTime: new Date(gameMachine.now()),
 		});
 		if (!room) return;
-		room = await getRoom(room.id);
-
-		clearAllPhaseTimersForRoom(room.code);
 
 		// room already in "drawing" from atomic transition; update usedWords if needed
 		let currentUsed = room.usedWords || [];
@@ -612,60 +660,90 @@ async function startDrawingPhase(io, room) {
 			console.log(`Added "${room.currentWord}" to used words list. Total used: ${currentUsed.length}`);
 		}
 
-		room.roundRemainingTime = PHASE_DURATIONS.drawing;
-		room.roundStartTime = new Date();
-		room.roundPhaseEndTime = new Date(
-			Date.now() + PHASE_DURATIONS.drawing * 1000,
-		);
 		await room.save();
 		refreshRoomCache(room);
 
-		const wordHint = room.currentWord
-			.split("")
-			.map(() => "_")
-			.join(" ");
+		// Fresh server-side canvas log for this turn (served to resuming players)
+		strokeLog.startRound(room.id, {
+			round: room.currentRound,
+			drawerId: room.currentDrawerId,
+		});
+		roundRecorder.startTurn(room.id, {
+			roomCode: room.code,
+			round: room.currentRound,
+			gameStartedAt: room.gameStartedAt,
+			drawerId: room.currentDrawerId,
+			word: room.currentWord,
+		});
+		roundRecorder.record(room.id, "phase_change", {
+			phase: "drawing",
+			duration: drawingDuration,
+			drawerId: room.currentDrawerId,
+		});
+
+		const { wordHint, hintsRemaining } = getWordHintState(room, drawingDuration);
 
 		const phaseEndTimeMs = room.roundPhaseEndTime.getTime();
-		io.to(room.code).emit("phase_change", {
+		const drawingPayload = {
 			phase: "drawing",
-			duration: PHASE_DURATIONS.drawing,
+			duration: drawingDuration,
 			phaseEndTime: phaseEndTimeMs,
 			wordHint,
-			word: room.currentWord, // Only drawer will use this
-		});
+			hintsRemaining,
+		};
+		// Only the drawer's socket gets the real word; guessers get the masked pattern
+		const drawerSocketId = getSocketIdForUser(room.currentDrawerId);
+		if (drawerSocketId) {
+			io.to(room.code).except(drawerSocketId).emit("phase_change", drawingPayload);
+			io.to(drawerSocketId).emit("phase_change", { ...drawingPayload, word: room.currentWord });
+		} else {
+			io.to(room.code).emit("phase_change", drawingPayload);
+		}
 
 		console.log(`🎨 Drawing phase started - Word: ${room.currentWord}`);
-		// Single absolute timeout (time-authoritative; no setInterval drift)
-		const roomId = room.id;
-		const roomCode = room.code;
-		const delay = phaseEndDelay(phaseEndTimeMs, roomId);
-		const timeout = setTimeout(async () => {
-			clearRoomTimer(`${roomCode}_drawing`);
-			const snap = await getRoomCached(roomId);
-			if (snap && snap.roundPhase === "drawing") {
-				const refreshedRoom = await getRoom(roomId);
-				if (refreshedRoom) await endDrawingPhase(io, refreshedRoom);
-			}
-		}, delay);
-		roomTimers.set(`${roomCode}_drawing`, timeout);
 	} catch (e) {
 		console.error("Start drawing phase error:", e);
 	}
 }
 
+/**
+ * Schedule the job for the next letter reveal of the current drawing turn (one hint job per room).
+ * Hint state is derived from phase time, so a late or repeated run still shows the right letters.
+ */
+async function scheduleNextWordHint(room) {
+	const { nextHintAt } = getWordHintState(room, getPhaseDuration(room, "drawing"));
+	if (nextHintAt == null) {
+		await phaseScheduler.cancel(room.id, "hint");
+		return;
+	}
+	await phaseScheduler.schedule(room.id, "hint", nextHintAt, {
+		round: room.currentRound,
+		phaseEndTime: toMs(room.roundPhaseEndTime),
+	});
+}
+
+/** Hint job: reveal the next letter if the drawing turn it was scheduled for is still running. */
+async function handleWordHintJob(io, job) {
+	const room = await loadRoomForJob(job, "drawing");
+	if (!room || room.currentRound !== job.payload?.round || !room.currentWord) return;
+
+	const { wordHint, hintsRevealed, hintsRemaining } = getWordHintState(
+		room,
+		getPhaseDuration(room, "drawing"),
+	);
+	io.to(room.code).emit("word_hint", { wordHint, hintsRevealed, hintsRemaining });
+	roundRecorder.record(room.id, "word_hint", { wordHint, hintsRevealed });
+	console.log(`💡 Hint ${hintsRevealed} for room ${room.code}: ${wordHint}`);
+	await scheduleNextWordHint(room);
+}
+
 // End drawing phase and start reveal
 async function endDrawingPhase(io, room) {
 	try {
 		console.log("End drawing phase");
-		clearRoomTimer(`${room.code}_drawing`);
-
-		// Atomic transition: only one caller (timer or all-guessed) wins
-		const revealEndTime = new Date(Date.now() + PHASE_DURATIONS.reveal * 1000);
-		room = await transitionPhase(room.id, "drawing", {
-			roundPhase: "reveal",
-			roundPhaseEndTime: revealEndTime,
-			roundRemainingTime: PHASE_DURATIONS.reveal,
-		});
+
+		// Atomic transition: only one caller (job or all-guessed) wins; leaving drawing drops its end and hint jobs
+		room = await transitionPhase(room.id, "drawing", { roundPhase: "reveal" });
 		if (!room) return;
 
 		// Award points to drawer based on how many guessed
@@ -678,16 +756,21 @@ async function endDrawingPhase(io, room) {
 			include: [{ model: User, as: "user" }],
 		});
 
-		// Get participants early (needed for drawer points formula and for phase_change payload)
+		// Get players early (needed for drawer points formula and for phase_change payload)
 		const participants = await RoomParticipant.findAll({
-			where: { roomId: room.id, isActive: true },
+			where: { roomId: room.id, isActive: true, isSpectator: false },
 			include: [{ model: User, as: "user" }],
 		});
 
 		const eligibleGuessers = Math.max(1, participants.length - 1);
-		// Drawer points only in 1v1; team vs team has no drawer points (whole team gets guess points only)
-		if (drawer && guessedCount > 0 && room.gameMode !== "team_vs_team") {
-			const drawerPoints = Math.min(((20*guessedCount)/eligibleGuessers), room.maxPointsPerRound);
+		const wordMultiplier = room.currentWordMeta?.multiplier || 1;
+		// Drawer points only in 1v1; team vs team has no drawer points (whole team gets guess points only).
+		// Whole points, like every other score (the share and the difficulty multiplier are fractional)
+		const drawerPoints =
+			room.gameMode !== "team_vs_team" && drawer && guessedCount > 0
+				? Math.round(Math.min(((20*guessedCount)/eligibleGuessers), room.maxPointsPerRound) * wordMultiplier)
+				: 0;
+		if (drawerPoints > 0) {
 			const { updateParticipantScore } = require("./gameHelpers");
 			await updateParticipantScore(drawer, drawerPoints);
 			io.to(room.code).emit("score_update", {
@@ -699,12 +782,21 @@ async function endDrawingPhase(io, room) {
 			);
 		}
 
-		const drawerRewardValue =
-			room.gameMode === "team_vs_team"
-				? 0
-				: drawer && guessedCount > 0
-					? Math.min(((20*guessedCount)/eligibleGuessers), room.maxPointsPerRound)
-					: 0;
+		if (drawer) playerStats.recordDrawingTurn(drawer.userId, guessedCount);
+		// Guessers who could have guessed this word but did not lose their guess streak (team mode: drawer's team only)
+		const missedGuessers = participants.filter(
+			(p) =>
+				p.userId !== room.currentDrawerId &&
+				!p.hasGuessedThisRound &&
+				(room.gameMode !== "team_vs_team" || p.team === drawer?.team),
+		);
+		playerStats.recordMissedTurn(missedGuessers.map((p) => p.userId));
+		achievements.onDrawingTurn(io, room, {
+			drawerId: drawer?.userId,
+			eligibleGuessers: participants.length - 1,
+			guessedCount,
+			gameMode: room.gameMode,
+		});
 
 		const phaseEndTimeMs = room.roundPhaseEndTime.getTime();
 		io.to(room.code).emit("phase_change", {
@@ -712,7 +804,7 @@ async function endDrawingPhase(io, room) {
 			duration: PHASE_DURATIONS.reveal,
 			phaseEndTime: phaseEndTimeMs,
 			word: room.currentWord,
-			drawerReward: drawerRewardValue,
+			drawerReward: drawerPoints,
 			participants: participants.map((p) => ({
 				id: p.userId,
 				name: p.user?.name || "Guest",
@@ -723,30 +815,31 @@ async function endDrawingPhase(io, room) {
 
 		console.log(`📢 Reveal phase - Word was: ${room.currentWord}`);
 
-		// Check if game should end
+		roundRecorder.record(room.id, "phase_change", {
+			phase: "reveal",
+			word: room.currentWord,
+			drawerReward: drawerPoints,
+		});
+		const replay = await roundRecorder.finishTurn(room.id, "reveal");
+		// Guess timings come from the persisted turn; skip the stats if it could not be saved
+		if (replay && room.currentWordMeta?.keywordId != null) {
+			// Team mode: only the drawer's team guesses and its first correct guess ends it for the team
+			const isTeamGame = room.gameMode === "team_vs_team";
+			const drawingMs = getPhaseDuration(room, "drawing") * 1000;
+			const guessTimes = (replay?.events || [])
+				.filter((e) => e.type === "correct_guess")
+				.map((e) => e.t / drawingMs);
+			await wordStats.recordTurn(room.currentWordMeta, {
+				eligibleGuessers: isTeamGame ? 1 : eligibleGuessers,
+				guessFractions: isTeamGame ? guessTimes.slice(0, 1) : guessTimes,
+			});
+		}
+
+		// Check if game should end (otherwise the reveal job started on entering reveal runs startIntervalPhase)
 		const gameEnded = await checkGameEnd(io, room);
 		if (gameEnded) {
 			return;
 		}
-
-		// Single absolute timeout (time-authoritative; no setInterval drift)
-		const roomCode = room.code;
-		const roomId = room.id;
-		const revealPhaseEndTimeMs = room.roundPhaseEndTime.getTime
-			? room.roundPhaseEndTime.getTime()
-			: Number(room.roundPhaseEndTime);
-		const delay = phaseEndDelay(revealPhaseEndTimeMs, roomId);
-		const timeout = setTimeout(async () => {
-			clearRoomTimer(`${roomCode}_reveal`);
-			clearRoomTimer(`${roomCode}_phase`);
-			const snap = await getRoomCached(roomId);
-			if (snap && snap.roundPhase === "reveal") {
-				const refreshedRoom = await getRoom(roomId);
-				if (refreshedRoom) await startIntervalPhase(io, refreshedRoom);
-			}
-		}, delay);
-		roomTimers.set(`${roomCode}_reveal`, timeout);
-		roomTimers.set(`${roomCode}_phase`, timeout);
 	} catch (e) {
 		console.error("End drawing phase error:", e);
 	}
@@ -756,47 +849,53 @@ async function endDrawingPhase(io, room) {
 async function startIntervalPhase(io, room) {
 	console.log("Start interval phase");
 	try {
-		clearRoomTimer(`${room.code}_reveal`);
-		// Atomic: only one caller (timer or resume) transitions reveal -> interval
-		await startPhaseTimerAndBroadcast(
+		// Atomic: only one caller (job or repeated job run) transitions reveal -> interval
+		const started = await startPhaseTimerAndBroadcast(
 			io,
 			room,
 			"interval",
 			PHASE_DURATIONS.interval,
-			async (io, refreshedRoom) => {
-				// Atomic: only one caller (timer or resume) transitions interval -> next round
-				const claimed = await transitionPhase(refreshedRoom.id, "interval", {
-					roundPhase: "interval_ending",
-				});
-				if (!claimed) return;
-				claimed.currentRound += 1;
-				await claimed.save();
-				refreshRoomCache(claimed);
-				await startNewRound(io, claimed);
-			},
 			{ fromPhase: "reveal" },
 		);
-		// If we lost the race (another caller already transitioned), startPhaseTimerAndBroadcast returned early
-		room = await getRoom(room.id);
-		if (!room || room.roundPhase !== "interval") return;
+		// Lost the race (another caller already transitioned)
+		if (!started) return;
 		console.log(`⏸️ Interval phase`);
 	} catch (e) {
 		console.error("Start interval phase error:", e);
 	}
 }
 
+/** Interval job: next round (the round number stays when the interval followed a drawer leaving). */
+async function handleIntervalEnd(io, job) {
+	const room = await loadRoomForJob(job);
+	if (!room) return;
+	// Atomic: only one run transitions interval -> next round
+	const claimed = await transitionPhase(room.id, "interval", {
+		roundPhase: "interval_ending",
+	});
+	if (!claimed) return;
+	if (job.payload?.advanceRound) {
+		claimed.currentRound += 1;
+		await claimed.save();
+		refreshRoomCache(claimed);
+	}
+	await startNewRound(io, claimed);
+}
+
 async function handleDrawerLeave(io, room, userId) {
 	try {
 		if (room.currentDrawerId !== userId || room.roundPhase !== "drawing") {
 			return false; // Not the current drawer or not in drawing phase
 		}
 
+		if (!gameMachine.check(phaseOf(room), "interval", room).ok) return false;
+
 		console.log(
 			`🚨 Current drawer (${userId}) left the room ${room.code}. Initiating phase change.`,
 		);
 
-		// 1. Clear any active round timers (drawing/hint/etc.)
-		clearRoomTimer(`${room.code}_drawing`);
+		// 1. Close the turn (the interval below replaces the room's drawing/hint jobs)
+		await roundRecorder.finishTurn(room.id, "drawer_left");
 
 		// 2. Clear current drawing state in the Room model
 		room.currentDrawerId = null;
@@ -811,17 +910,14 @@ async function handleDrawerLeave(io, room, userId) {
 		await room.save();
 		refreshRoomCache(room);
 
-		// 3. Start the interval phase using the ticking timer
-		await startPhaseTimerAndBroadcast(
+		// 3. Start the interval phase; its job starts a new round without advancing the round number
+		const started = await startPhaseTimerAndBroadcast(
 			io,
 			room,
 			"interval",
 			PHASE_DURATIONS.interval,
-			async (io, refreshedRoom) => {
-				// Timer ended, transition to new round
-				await startNewRound(io, refreshedRoom);
-			},
 		);
+		if (!started) return false;
 		await checkAndMaybeDeleteRoom(io, room.id);
 
 		return true; // Drawer leave successfully handled
@@ -837,15 +933,8 @@ async function handleDrawerLeave(io, room, userId) {
  */
 async function handleChoosingWordTimeout(io, room) {
 	try {
-		// Optimistic concurrency: only one concurrent caller can update the row
-		const updateResult = await Room.update(
-			{ roundPhase: "_internal_processing" },
-			{ where: { id: room.id, roundPhase: "choosing_word" } }
-		);
-		const affected = Array.isArray(updateResult) ? updateResult[0] : updateResult;
-		if (affected === 0) return;
-
-		const refreshedRoom = await getRoom(room.id);
+		// Optimistic concurrency: only one concurrent caller claims choosing_word -> _internal_processing
+		const refreshedRoom = await transitionPhase(room.id, "choosing_word", { roundPhase: "_internal_processing" });
 		if (!refreshedRoom || !refreshedRoom.currentDrawerId) {
 			return;
 		}
@@ -880,8 +969,8 @@ async function handleChoosingWordTimeout(io, room) {
 			await selectDrawerAndStartWordChoice(io, afterRemovalRoom);
 			return;
 		}
-		// Atomic: only one caller (timeout vs resume) wins choosing_word -> selecting_drawer
-		const nextRoom = await transitionPhase(r.id, "choosing_word", {
+		// This caller claimed choosing_word -> _internal_processing above; hand the room to the next drawer
+		const nextRoom = await transitionPhase(r.id, "_internal_processing", {
 			roundPhase: "selecting_drawer",
 			currentDrawerId: null,
 			currentWord: null,
@@ -906,15 +995,8 @@ async function handleChoosingWordTimeout(io, room) {
  */
 async function handleSelectingDrawerPhaseEnd(io, room) {
 	try {
-		// Optimistic concurrency: only one concurrent caller can update the row
-		const updateResult = await Room.update(
-			{ roundPhase: "_internal_processing" },
-			{ where: { id: room.id, roundPhase: "selecting_drawer" } }
-		);
-		const affected = Array.isArray(updateResult) ? updateResult[0] : updateResult;
-		if (affected === 0) return;
-
-		const refreshedRoom = await getRoom(room.id);
+		// Optimistic concurrency: only one concurrent caller claims selecting_drawer -> _internal_processing
+		const refreshedRoom = await transitionPhase(room.id, "selecting_drawer", { roundPhase: "_internal_processing" });
 		if (!refreshedRoom || !refreshedRoom.currentDrawerId) {
 			return;
 		}
@@ -933,28 +1015,17 @@ async function handleSelectingDrawerPhaseEnd(io, room) {
 			team: participant.team,
 			avatar: participant.user?.avatar,
 		};
-		let words = refreshedRoom.currentWordOptions && refreshedRoom.currentWordOptions.length >= 3
-			? refreshedRoom.currentWordOptions
-			: [];
-		if (words.length < 3) {
-			const categories = Array.isArray(refreshedRoom.category) && refreshedRoom.category.length > 0 ? refreshedRoom.category : [];
-			if (categories.length > 0) {
-				try {
-					words = await getWordsForTheme(null, refreshedRoom.language, refreshedRoom.script, 3, refreshedRoom.usedWords || [], categories);
-				} catch (e) {
-					console.warn("Resume selecting_drawer: getWordsForTheme failed", e?.message);
-				}
-			} else if (refreshedRoom.themeId) {
-				try {
-					words = await getWordsForTheme(refreshedRoom.themeId, refreshedRoom.language, refreshedRoom.script, 3, refreshedRoom.usedWords || []);
-				} catch (e) {
-					console.warn("Resume selecting_drawer: getWordsForTheme failed", e?.message);
-				}
-			}
-			if (!words || words.length < 3) {
-				words = ["apple", "banana", "cat", "dog", "elephant", "flower", "guitar", "house", "tree", "sun"]
-					.sort(() => 0.5 - Math.random()).slice(0, 3);
-			}
+		const wordCount = getWordOptionsCount(refreshedRoom);
+		let words = refreshedRoom.currentWordOptions;
+		if (!Array.isArray(words) || words.length < wordCount) {
+			// Options were lost (e.g. restart mid-selection): pick again and store them so choose_word can validate
+			const wordDetails = await pickWordOptions(refreshedRoom);
+			words = wordDetails.map((d) => d.word);
+			refreshedRoom.currentWordOptions = words;
+			refreshedRoom.currentWordOptionsMeta = wordDetails;
+			await refreshedRoom.save();
+			refreshRoomCache(refreshedRoom);
+			wordStats.recordOffered(wordDetails);
 		}
 		await startWordChoicePhase(io, refreshedRoom, nextDrawer, words, drawerPayload);
 	} catch (err) {
@@ -969,188 +1040,26 @@ async function handleSelectingDrawerPhaseEnd(io, room) {
 }
 
 /**
- * After a server restart or when a user rejoins from background, phase timers may be cleared.
- * Call this to restart the phase timer so time_update events are sent and the round can progress.
- * Handles selecting_drawer, choosing_word, drawing, reveal, and interval.
+ * Job for a room left in a claim state (_internal_processing, interval_ending) by a crash between two phases:
+ * end the game if too few players are left, otherwise carry on with the next drawer.
  */
-async function resumePhaseTimerIfNeeded(io, room) {
-	try {
-		clearAllPhaseTimersForRoom(room.code);
-		const refreshedRoom = await getRoom(room.id);
-		if (!refreshedRoom || refreshedRoom.status !== "playing" || !refreshedRoom.roundPhase) {
-			return;
-		}
-		// Derive remaining from roundPhaseEndTime (no longer updated per second in DB)
-		const phaseEndTime =
-			refreshedRoom.roundPhaseEndTime ||
-			new Date(Date.now() + (refreshedRoom.roundRemainingTime ?? 0) * 1000);
-		let remaining = Math.max(
-			0,
-			Math.ceil((phaseEndTime - Date.now()) / 1000),
-		);
-
-		// selecting_drawer: resume with absolute timeout
-		if (refreshedRoom.roundPhase === "selecting_drawer") {
-			if (remaining <= 0) {
-				await handleSelectingDrawerPhaseEnd(io, refreshedRoom);
-				return;
-			}
-			const phaseEndTimeMs = phaseEndTime.getTime ? phaseEndTime.getTime() : Number(phaseEndTime);
-			const fullDuration = PHASE_DURATIONS.selecting_drawer;
-			io.to(refreshedRoom.code).emit("phase_change", {
-				phase: "selecting_drawer",
-				duration: fullDuration,
-				phaseEndTime: phaseEndTimeMs,
-				round: refreshedRoom.currentRound,
-			});
-			clearRoomTimer(`${refreshedRoom.code}_selecting_drawer`);
-			const roomCode = refreshedRoom.code;
-			const roomId = refreshedRoom.id;
-			const delay = phaseEndDelay(phaseEndTimeMs, roomId);
-			const timeout = setTimeout(async () => {
-				clearRoomTimer(`${roomCode}_selecting_drawer`);
-				const snap = await getRoomCached(roomId);
-				if (snap && snap.roundPhase === "selecting_drawer") {
-					const r = await getRoom(roomId);
-					if (r) await handleSelectingDrawerPhaseEnd(io, r);
-				}
-			}, delay);
-			roomTimers.set(`${roomCode}_selecting_drawer`, timeout);
-			console.log(`⏱️ Resumed selecting_drawer phase timer for room ${roomCode} (${remaining}s remaining)`);
-			return;
-		}
-
-		// choosing_word: resume with absolute timeout
-		if (refreshedRoom.roundPhase === "choosing_word") {
-			if (remaining <= 0) {
-				await handleChoosingWordTimeout(io, refreshedRoom);
-				return;
-			}
-			const phaseEndTimeMs = phaseEndTime.getTime ? phaseEndTime.getTime() : Number(phaseEndTime);
-			const fullDuration = PHASE_DURATIONS.choosing_word;
-			io.to(refreshedRoom.code).emit("phase_change", {
-				phase: "choosing_word",
-				duration: fullDuration,
-				phaseEndTime: phaseEndTimeMs,
-				round: refreshedRoom.currentRound,
-			});
-			clearRoomTimer(`${refreshedRoom.code}_choosing_word`);
-			const roomCode = refreshedRoom.code;
-			const roomId = refreshedRoom.id;
-			const delay = phaseEndDelay(phaseEndTimeMs, roomId);
-			const timeout = setTimeout(async () => {
-				clearRoomTimer(`${roomCode}_choosing_word`);
-				const snap = await getRoomCached(roomId);
-				if (snap && snap.roundPhase === "choosing_word") {
-					const r = await getRoom(roomId);
-					if (r) await handleChoosingWordTimeout(io, r);
-				}
-			}, delay);
-			roomTimers.set(`${roomCode}_choosing_word`, timeout);
-			console.log(`⏱️ Resumed choosing_word phase timer for room ${roomCode} (${remaining}s remaining)`);
-			return;
-		}
-
-		if (refreshedRoom.roundPhase === "drawing") {
-			if (remaining <= 0) {
-				await endDrawingPhase(io, refreshedRoom);
-				return;
-			}
-			const phaseEndTimeMs = phaseEndTime.getTime ? phaseEndTime.getTime() : Number(phaseEndTime);
-			const fullDuration = PHASE_DURATIONS.drawing;
-			io.to(refreshedRoom.code).emit("phase_change", {
-				phase: "drawing",
-				duration: fullDuration,
-				phaseEndTime: phaseEndTimeMs,
-			});
-			clearRoomTimer(`${refreshedRoom.code}_drawing`);
-			const roomCode = refreshedRoom.code;
-			const roomId = refreshedRoom.id;
-			const delay = phaseEndDelay(phaseEndTimeMs, roomId);
-			const timeout = setTimeout(async () => {
-				clearRoomTimer(`${roomCode}_drawing`);
-				const snap = await getRoomCached(roomId);
-				if (snap && snap.roundPhase === "drawing") {
-					const r = await getRoom(roomId);
-					if (r) await endDrawingPhase(io, r);
-				}
-			}, delay);
-			roomTimers.set(`${roomCode}_drawing`, timeout);
-			console.log(`⏱️ Resumed drawing phase timer for room ${roomCode} (${remaining}s remaining)`);
-			return;
-		}
-
-		if (refreshedRoom.roundPhase === "reveal") {
-			if (remaining <= 0) {
-				await startIntervalPhase(io, refreshedRoom);
-				return;
-			}
-			const phaseEndTimeMs = phaseEndTime.getTime ? phaseEndTime.getTime() : Number(phaseEndTime);
-			const fullDuration = PHASE_DURATIONS.reveal;
-			io.to(refreshedRoom.code).emit("phase_change", {
-				phase: "reveal",
-				duration: fullDuration,
-				phaseEndTime: phaseEndTimeMs,
-			});
-			clearRoomTimer(`${refreshedRoom.code}_reveal`);
-			const roomCode = refreshedRoom.code;
-			const roomId = refreshedRoom.id;
-			const delay = phaseEndDelay(phaseEndTimeMs, roomId);
-			const timeout = setTimeout(async () => {
-				clearRoomTimer(`${roomCode}_reveal`);
-				const snap = await getRoomCached(roomId);
-				if (snap && snap.roundPhase === "reveal") {
-					const r = await getRoom(roomId);
-					if (r) await startIntervalPhase(io, r);
-				}
-			}, delay);
-			roomTimers.set(`${roomCode}_reveal`, timeout);
-			console.log(`⏱️ Resumed reveal phase timer for room ${roomCode} (${remaining}s remaining)`);
-			return;
-		}
-
-		if (refreshedRoom.roundPhase === "interval") {
-			const intervalPhaseEndTime =
-				refreshedRoom.roundPhaseEndTime ||
-				new Date(Date.now() + (refreshedRoom.roundRemainingTime ?? 0) * 1000);
-			const intervalPhaseEndTimeMs = intervalPhaseEndTime.getTime
-				? intervalPhaseEndTime.getTime()
-				: Number(intervalPhaseEndTime);
-			remaining = Math.max(0, Math.ceil((intervalPhaseEndTimeMs - Date.now()) / 1000));
-			if (remaining <= 0) {
-				return;
-			}
-			clearRoomTimer(`${refreshedRoom.code}_phase`);
-			clearRoomTimer(`${refreshedRoom.code}_interval`);
-			const phaseEndTimeMs = intervalPhaseEndTimeMs;
-			const fullDuration = PHASE_DURATIONS.interval;
-			io.to(refreshedRoom.code).emit("phase_change", {
-				phase: "interval",
-				duration: fullDuration,
-				phaseEndTime: phaseEndTimeMs,
-			});
-			const roomCode = refreshedRoom.code;
-			const roomId = refreshedRoom.id;
-			const delay = phaseEndDelay(phaseEndTimeMs, roomId);
-			const timeout = setTimeout(async () => {
-				clearRoomTimer(`${roomCode}_interval`);
-				const snap = await getRoomCached(roomId);
-				if (!snap || snap.roundPhase !== "interval") return;
-				const r = await getRoom(roomId);
-				if (!r) return;
-				const claimed = await transitionPhase(roomId, "interval", { roundPhase: "interval_ending" });
-				if (!claimed) return;
-				claimed.currentRound += 1;
-				await claimed.save();
-				refreshRoomCache(claimed);
-				await startNewRound(io, claimed);
-			}, delay);
-			roomTimers.set(`${roomCode}_interval`, timeout);
-			console.log(`⏱️ Resumed interval phase timer for room ${refreshedRoom.code} (${remaining}s remaining)`);
-		}
-	} catch (e) {
-		console.error("Resume phase timer error:", e);
+async function recoverTransientPhase(io, job) {
+	const room = await loadRoomForJob(job);
+	if (!room) return;
+	console.warn(`🩹 Room ${room.code} was left in ${room.roundPhase}; resuming rotation`);
+	if (await checkAndEndGameIfInsufficientPlayers(io, room.id)) return;
+	if (room.roundPhase === "interval_ending") {
+		// The interval already ended; the round counter may or may not have been advanced before the crash
+		await startNewRound(io, room);
+		return;
 	}
+	const claimed = await transitionPhase(room.id, "_internal_processing", {
+		roundPhase: "selecting_drawer",
+		currentDrawerId: null,
+		currentWord: null,
+		currentWordOptions: null,
+	});
+	if (claimed) await selectDrawerAndStartWordChoice(io, claimed);
 }
 
 async function handleOwnerLeave(io, room, userId) {
@@ -1165,11 +1074,11 @@ async function handleOwnerLeave(io, room, userId) {
 
 
 
-// Check and deactivate empty room (only when zero active participants)
+// Check and deactivate empty room (only when zero active players; spectators alone do not keep it open)
 async function checkAndCloseEmptyRoom(io, roomId) {
 	try {
 		const activeParticipants = await RoomParticipant.count({
-			where: { roomId: roomId, isActive: true },
+			where: { roomId: roomId, isActive: true, isSpectator: false },
 		});
 
 		const room = await getRoom(roomId);
@@ -1234,8 +1143,9 @@ async function checkAndEndGameIfInsufficientPlayers(io, roomId) {
 		const room = await getRoom(roomId);
 		if (!room || room.status !== "playing") return false;
 
+		// Spectators do not count: a game needs players
 		const participants = await RoomParticipant.findAll({
-			where: { roomId, isActive: true },
+			where: { roomId, isActive: true, isSpectator: false },
 		});
 
 		let shouldEnd = false;
@@ -1261,9 +1171,10 @@ async function checkAndEndGameIfInsufficientPlayers(io, roomId) {
 
 		if (!shouldEnd) return false;
 
-		clearRoomTimer(`${room.code}_phase`);
-		clearRoomTimer(`${room.code}_drawing`);
+		await roundRecorder.finishTurn(roomId, "room_closed");
 		await Room.update({ status: "closed" }, { where: { id: roomId } });
+		await enterFinishedPhase(room, phaseOf(room));
+		await entryEscrow.refundRoom(roomId, "insufficient_players");
 		io.to(room.code).emit("game_ended_insufficient_players", { message });
 		console.log(
 			`🛑 Game ended in room ${room.code} - insufficient players (${room.gameMode})`
@@ -1286,7 +1197,6 @@ async function abortDrawerForUser(io, room, userId) {
 	const uid = Number(userId);
 	if (!Number.isFinite(uid)) return false;
 
-	clearRoomTimer(`${room.code}_phase`);
 	const refreshedRoom = await getRoom(room.id);
 	if (!refreshedRoom) return false;
 	const currentDrawerId = refreshedRoom.currentDrawerId != null ? Number(refreshedRoom.currentDrawerId) : null;
@@ -1315,6 +1225,7 @@ async function abortDrawerForUser(io, room, userId) {
 		currentWordOptions: null,
 	});
 	if (!updatedRoom) return false;
+	await roundRecorder.finishTurn(updatedRoom.id, "aborted");
 
 	const drawerPayload = {
 		id: participant.userId,
@@ -1331,41 +1242,98 @@ async function abortDrawerForUser(io, room, userId) {
 }
 
 /**
- * After server restart, timers are lost. Rebuild them from roundPhaseEndTime for all rooms in a timed phase.
- * Call once after DB is ready and io is attached (e.g. in initializeServices).
+ * Schedule jobs for playing rooms that should have one and do not (phase ended more than STUCK_ROOM_GRACE_MS ago,
+ * e.g. a crash between a transition and its schedule call, or rooms from before the scheduler), and report overdue jobs.
+ * Runs at startup and on every scheduler sweep.
+ * @returns {Promise<number>} rooms repaired
  */
-async function rebuildTimersOnStartup(io) {
-	try {
-		const rooms = await Room.findAll({
-			where: {
-				status: "playing",
-				roundPhase: {
-					[Op.in]: ["selecting_drawer", "choosing_word", "drawing", "reveal", "interval"],
-				},
-			},
+async function repairStuckRooms() {
+	const now = Date.now();
+	const rooms = await Room.findAll({
+		where: {
+			status: "playing",
+			roundPhase: { [Op.in]: [...TIMED_PHASES, ...CLAIM_PHASES] },
+		},
+		attributes: ["id", "code", "roundPhase", "roundPhaseEndTime", "updatedAt"],
+	});
+	let repaired = 0;
+	if (rooms.length > 0) {
+		const jobs = await PhaseJob.findAll({
+			where: { roomId: { [Op.in]: rooms.map((r) => r.id) } },
+			attributes: ["roomId", "phase"],
 		});
+		const scheduled = new Set(jobs.map((j) => `${j.roomId}:${j.phase}`));
 		for (const room of rooms) {
-			await resumePhaseTimerIfNeeded(io, room);
+			if (scheduled.has(`${room.id}:${room.roundPhase}`)) continue;
+			const isTimed = TIMED_PHASES.includes(room.roundPhase);
+			const since = isTimed ? toMs(room.roundPhaseEndTime) : toMs(room.updatedAt);
+			if (since != null && since + STUCK_ROOM_GRACE_MS > now) continue;
+			const payload = isTimed && since != null ? { phaseEndTime: since } : {};
+			if (room.roundPhase === "interval") payload.advanceRound = true;
+			await phaseScheduler.schedule(room.id, room.roundPhase, now, payload);
+			console.warn(`🩹 Room ${room.code} had no ${room.roundPhase} job; scheduled it now`);
+			repaired++;
 		}
-		if (rooms.length > 0) {
-			console.log(`⏱️ Rebuilt phase timers for ${rooms.length} room(s) after startup`);
+	}
+
+	const overdue = await phaseScheduler.getOverdueJobs({ limit: 20 });
+	if (overdue.length > 0) {
+		const failed = overdue.filter((j) => j.status === "failed").length;
+		console.warn(`⚠️ ${overdue.length} overdue phase job(s) (${failed} failed), oldest: room ${overdue[0].roomId} ${overdue[0].phase}`);
+	}
+	return repaired;
+}
+
+/**
+ * Register the phase job handlers, repair rooms left without a job and start the scheduler loop.
+ * Call once after DB is ready and io is attached (e.g. in initializeServices).
+ * Every handler is idempotent: it re-checks the room's phase (loadRoomForJob) and moves on with transitionPhase.
+ */
+async function startPhaseScheduler(io) {
+	try {
+		phaseScheduler.registerHandler("selecting_drawer", async (io, job) => {
+			const room = await loadRoomForJob(job);
+			if (room) await handleSelectingDrawerPhaseEnd(io, room);
+		});
+		phaseScheduler.registerHandler("choosing_word", async (io, job) => {
+			const room = await loadRoomForJob(job);
+			if (room) await handleChoosingWordTimeout(io, room);
+		});
+		phaseScheduler.registerHandler("drawing", async (io, job) => {
+			const room = await loadRoomForJob(job);
+			if (room) await endDrawingPhase(io, room);
+		});
+		phaseScheduler.registerHandler("hint", handleWordHintJob);
+		phaseScheduler.registerHandler("reveal", async (io, job) => {
+			const room = await loadRoomForJob(job);
+			if (room) await startIntervalPhase(io, room);
+		});
+		phaseScheduler.registerHandler("interval", handleIntervalEnd);
+		for (const phase of CLAIM_PHASES) phaseScheduler.registerHandler(phase, recoverTransientPhase);
+
+		const repaired = await repairStuckRooms();
+		if (repaired > 0) {
+			console.log(`⏱️ Scheduled phase jobs for ${repaired} room(s) after startup`);
 		}
+		phaseScheduler.start(io, { sweep: repairStuckRooms });
 	} catch (e) {
-		console.error("rebuildTimersOnStartup error:", e);
+		console.error("startPhaseScheduler error:", e);
 	} finally {
-		timersReady = true; // Allow joins even if rebuild had errors (avoid blocking forever)
+		timersReady = true; // Allow joins even if startup had errors (avoid blocking forever)
 	}
 }
 
+/** phase_change payload of the room's current phase, for a socket that enters mid-phase. */
+function currentPhasePayload(room) {
+	return gameMachine.phaseChangePayload(room);
+}
+
 module.exports = {
 	startNewRound,
 	selectDrawerAndStartWordChoice,
 	startDrawingPhase,
 	endDrawingPhase,
 	startIntervalPhase,
-	clearRoomTimer,
-	clearAllPhaseTimersForRoom,
-	roomTimers,
 	handleDrawerLeave,
 	handleOwnerLeave,
 	checkAndCloseEmptyRoom,
@@ -1373,10 +1341,12 @@ module.exports = {
 	checkAndEndGameIfInsufficientPlayers,
 	startWordChoicePhase, // Exporting new helper function for external use if needed
 	startPhaseTimerAndBroadcast, // Exporting new helper function
-	resumePhaseTimerIfNeeded,
 	abortDrawerForUser,
-	rebuildTimersOnStartup,
+	startPhaseScheduler,
+	repairStuckRooms,
 	getTimersReady,
 	transitionPhase,
+	enterFinishedPhase,
+	currentPhasePayload,
 };
 
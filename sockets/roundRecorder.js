@@ -0,0 +1,73 @@
+/**
+ * Buffers one drawing turn's events in memory and persists them as a RoundReplay row when the turn ends.
+ * Events are time-indexed from the start of the drawing phase so clients can play them back as a timelapse.
+ * Key: roomId, Value: { roomCode, round, gameStartedAt, drawerId, word, startedAt, events: [{ t, type, data }] }
+ */
+const { RoundReplay, RoomParticipant } = require("../models");
+
+const MAX_EVENTS_PER_TURN = Number(process.env.REPLAY_MAX_EVENTS) || 20000;
+
+const activeTurns = new Map();
+
+/** Begin recording a turn (call on entering the drawing phase). Replaces any unfinished buffer. */
+function startTurn(roomId, { roomCode, round, gameStartedAt, drawerId, word }) {
+	if (roomId == null) return;
+	activeTurns.set(roomId, {
+		roomCode,
+		round,
+		gameStartedAt: gameStartedAt || null,
+		drawerId,
+		word,
+		startedAt: Date.now(),
+		events: [],
+	});
+}
+
+/** Append one event to the current turn; ignored when no turn is being recorded. */
+function record(roomId, type, data) {
+	const turn = activeTurns.get(roomId);
+	if (!turn || turn.events.length >= MAX_EVENTS_PER_TURN) return;
+	turn.events.push({ t: Date.now() - turn.startedAt, type, data });
+}
+
+/**
+ * Persist the current turn and stop recording. Safe to call more than once (later calls are no-ops).
+ * @param {number} roomId
+ * @param {string} endReason - 'reveal' | 'drawer_left' | 'aborted' | 'room_closed'
+ * @returns {Promise<import('../models').RoundReplay|null>}
+ */
+async function finishTurn(roomId, endReason) {
+	const turn = activeTurns.get(roomId);
+	if (!turn) return null;
+	activeTurns.delete(roomId);
+	try {
+		const players = await RoomParticipant.findAll({
+			where: { roomId, isActive: true, isSpectator: false },
+			attributes: ["userId"],
+		});
+		const playerIds = [...new Set([turn.drawerId, ...players.map((p) => p.userId)].filter((id) => id != null))];
+		return await RoundReplay.create({
+			roomId,
+			roomCode: turn.roomCode,
+			round: turn.round,
+			gameStartedAt: turn.gameStartedAt,
+			drawerId: turn.drawerId,
+			playerIds,
+			word: turn.word,
+			startedAt: new Date(turn.startedAt),
+			endedAt: new Date(),
+			endReason,
+			events: turn.events,
+			eventCount: turn.events.length,
+		});
+	} catch (e) {
+		console.error("Round replay save error:", e?.message ?? e);
+		return null;
+	}
+}
+
+module.exports = {
+	startTurn,
+	record,
+	finishTurn,
+};
@@ -10,15 +10,30 @@ Features:
 */
 
 const { verify } = require("../utils/auth");
-const { PHASE_DURATIONS } = require("./gameHelpers");
+const {
+	PHASE_DURATIONS,
+	getPhaseDuration,
+	validateRoomTimingSettings,
+} = require("./gameHelpers");
 const { normalizeCountryCode } = require("../utils/countryCode");
+const { isCloseGuess, redactAnswer } = require("../utils/guessMatcher");
+const { getWordHintState } = require("../utils/wordHints");
+const { validateCustomWordSettings } = require("../utils/customWords");
+const wordStats = require("../utils/wordStats");
+const playerStats = require("../utils/playerStats");
+const achievements = require("../utils/achievements");
+const wallet = require("../utils/wallet");
+const entryEscrow = require("../utils/entryEscrow");
+const friends = require("../utils/friends");
+const roomInvites = require("../utils/roomInvites");
+const { getBlockerSocketIds } = require("../utils/blocks");
+const moderation = require("../utils/moderation");
 
 const {
 	Room,
 	RoomParticipant,
 	User,
 	Message,
-	CoinTransaction,
 	Theme,
 	sequelize,
 } = require("../models");
@@ -31,17 +46,30 @@ const {
 const {
 	startNewRound,
 	startDrawingPhase,
-	clearRoomTimer,
 	handleDrawerLeave,
 	handleOwnerLeave,
 	checkAndCloseEmptyRoom,
 	checkAndEndGameIfInsufficientPlayers,
 	getTimersReady,
+	currentPhasePayload,
 } = require("./roundPhases");
-const { getSocketIdForUser, setSocketForUser, deleteUser, emitToUser } = require("./userSocketMap");
+const { allows } = require("./gameStateMachine");
+const {
+	getSocketIdForUser,
+	setSocketForUser,
+	deleteUser,
+	claimSession,
+	releaseSession,
+	emitToUser,
+} = require("./userSocketMap");
 const sdpTransform = require("sdp-transform");
 const voiceManager = require("./voiceManager");
 const readyState = require("./readyState");
+const strokeLog = require("./strokeLog");
+const roundRecorder = require("./roundRecorder");
+const matchmaking = require("./matchmaking");
+const spectators = require("./spectators");
+const { admitLateJoiner } = require("./lateJoin");
 const lobbyIdleTimers = new Map();
 // Grace period (ms) before marking participant inactive on disconnect (app background/pause)
 const DISCONNECT_GRACE_MS = 90 * 1000;
@@ -68,19 +96,132 @@ function clearResyncState(socket) {
 	socket.canvasRequestedForRoom = undefined;
 }
 
-function buildParticipantList(participants, roomId) {
-	return participants.map((p) => ({
-		id: p.userId,
-		name: p.user ? p.user.name : "Guest",
-		avatar: p.user ? p.user.avatar : null,
-		coins: p.user ? p.user.coins : 0,
-		score: p.score,
-		team: p.team,
-		isDrawer: p.isDrawer,
-		socketId: p.socketId,
-		hasPaidEntry: p.hasPaidEntry,
-		ready: readyState.isReady(roomId, p.userId),
-	}));
+/**
+ * Participant payload for room_joined / room_participants: players and spectators are listed separately
+ * (spectators have no score, team, drawer or ready state).
+ * @returns {Promise<{ participants: object[], spectators: object[] }>}
+ */
+async function buildParticipantList(participants, roomId) {
+	const readyIds = await readyState.getReadyIds(roomId);
+	const players = [];
+	const watching = [];
+	for (const p of participants) {
+		const base = {
+			id: p.userId,
+			name: p.user ? p.user.name : "Guest",
+			avatar: p.user ? p.user.avatar : null,
+			socketId: p.socketId,
+		};
+		if (p.isSpectator) {
+			watching.push(base);
+			continue;
+		}
+		players.push({
+			...base,
+			coins: p.user ? p.user.coins : 0,
+			score: p.score,
+			team: p.team,
+			isDrawer: p.isDrawer,
+			hasPaidEntry: p.hasPaidEntry,
+			ready: readyIds.has(String(p.userId)),
+		});
+	}
+	return { participants: players, spectators: watching };
+}
+
+/** Masked answer pattern with hints revealed so far (drawing phase only). */
+function currentWordHint(room) {
+	if (room.roundPhase !== "drawing" || !room.currentWord) return undefined;
+	return getWordHintState(room, getPhaseDuration(room, "drawing")).wordHint;
+}
+
+/**
+ * Room payload for canvas_resume (same fields as room_joined, with roundPhaseEndTime in ms).
+ * Listed field by field: the room row also holds the answer, the word options and a custom-word room's word pool.
+ * Only the current drawer gets the word fields back.
+ * @param {object} room
+ * @param {number} [viewerId] - userId of the socket the payload is for
+ */
+function buildCanvasRoomPayload(room, viewerId) {
+	const roundRemainingTime = room.roundPhaseEndTime
+		? Math.max(0, Math.ceil((room.roundPhaseEndTime - Date.now()) / 1000))
+		: room.roundRemainingTime;
+	return {
+		id: room.id,
+		code: room.code,
+		name: room.name,
+		status: room.status,
+		gameMode: room.gameMode,
+		category: room.category,
+		language: room.language,
+		script: room.script,
+		country: room.country,
+		voiceEnabled: room.voiceEnabled,
+		currentRound: room.currentRound,
+		currentDrawerId: room.currentDrawerId,
+		maxPlayers: room.maxPlayers,
+		entryPoints: room.entryPoints,
+		targetPoints: room.targetPoints,
+		isPublic: room.isPublic,
+		ownerId: room.ownerId,
+		roundPhase: room.roundPhase,
+		roundRemainingTime,
+		roundPhaseEndTime: room.roundPhaseEndTime ? new Date(room.roundPhaseEndTime).getTime() : undefined,
+		roundDuration: getPhaseDuration(room, room.roundPhase),
+		wordHint: currentWordHint(room),
+		drawingTime: getPhaseDuration(room, "drawing"),
+		wordChoiceTime: getPhaseDuration(room, "choosing_word"),
+		maxRounds: room.maxRounds,
+		wordOptionsCount: room.wordOptionsCount,
+		completedRotations: room.completedRotations,
+		...(viewerId != null &&
+			String(viewerId) === String(room.currentDrawerId) && {
+				currentWord: room.currentWord,
+				currentWordMeta: room.currentWordMeta,
+				currentWordOptions: room.currentWordOptions,
+				currentWordOptionsMeta: room.currentWordOptionsMeta,
+			}),
+	};
+}
+
+/**
+ * Replay the server-side stroke log to one socket as canvas_resume (no drawer involvement).
+ * history is the ordered list of drawing_data batches since the last clear_canvas.
+ * Emitted synchronously from the snapshot, so later drawing_data arrives after it and no resync skip is needed.
+ * @returns {boolean} false when the server has no complete log for this turn (caller falls back to request_canvas_data)
+ */
+function sendCanvasSnapshot(socket, room) {
+	const snapshot = strokeLog.getSnapshot(room.id);
+	if (!snapshot) return false;
+	if (snapshot.drawerId != null && snapshot.drawerId !== room.currentDrawerId) return false;
+	const remainingTime = room.roundPhaseEndTime
+		? Math.max(0, Math.ceil((room.roundPhaseEndTime - Date.now()) / 1000))
+		: room.roundRemainingTime;
+	socket.emit("canvas_resume", {
+		roomCode: room.code,
+		history: snapshot.history,
+		room: buildCanvasRoomPayload(room, socket.user?.id),
+		remainingTime,
+		lastSequence: snapshot.lastSequence,
+		canvasVersion: snapshot.canvasVersion,
+		source: "server",
+	});
+	return true;
+}
+
+/**
+ * Users allowed to see the current answer: the drawer and everyone who already guessed it this round.
+ * @returns {Promise<Set<string>>} userIds as strings
+ */
+async function getRoundSolverIds(room) {
+	const ids = new Set();
+	if (room.currentDrawerId) ids.add(String(room.currentDrawerId));
+	const solved = await RoomParticipant.findAll({
+		where: { roomId: room.id, hasGuessedThisRound: true },
+		attributes: ["userId"],
+	});
+	for (const p of solved) ids.add(String(p.userId));
+	return ids;
 }
 
 async function startLobbyIdleTimer(io, room) {
@@ -152,6 +293,8 @@ function logActionConfirmed(socket, roomCode, action) {
 }
 
 module.exports = function (io) {
+	matchmaking.attach(io);
+
 	// Authentication middleware
 	io.use(async (socket, next) => {
 		try {
@@ -174,9 +317,18 @@ module.exports = function (io) {
 				return next();
 			}
 
+			const suspendedUntil = await moderation.getSuspendedUntil(user.id);
+			if (suspendedUntil) {
+				console.log("⛔ Suspended user refused:", user.name);
+				const err = new Error("account_suspended");
+				err.data = { suspendedUntil };
+				return next(err);
+			}
+
 			console.log("✅ Authenticated socket:", user.name);
 
 			socket.user = user;
+			socket.data.userId = user.id; // visible to other nodes via fetchSockets
 			next();
 		} catch (e) {
 			console.log("❌ Token verify failed:", e.message);
@@ -198,13 +350,17 @@ module.exports = function (io) {
 			if (prevSocketId && prevSocketId !== socket.id) {
 				const oldSocket = io.sockets.sockets.get(prevSocketId);
 				if (oldSocket) oldSocket.disconnect(true);
+				else io.in(prevSocketId).disconnectSockets(true); // previous session is on another node
 			}
 			setSocketForUser(userId, socket.id);
+			claimSession(io, userId, socket.id);
 			socket.userId = userId;
+			friends.broadcastPresence(io, userId, "online");
 		}
 
 		// JOIN ROOM
-		socket.on("join_room", async ({ roomCode, roomId, team }) => {
+		// spectate: join a public room as spectator (also when it is full or playing)
+		socket.on("join_room", async ({ roomCode, roomId, team, spectate }) => {
 			try {
 				// No joins until phase timers are restored after server restart (client should retry after server_syncing)
 				if (!getTimersReady()) {
@@ -231,6 +387,9 @@ module.exports = function (io) {
 					return socket.emit("error", { message: "not_authenticated" });
 				}
 
+				// Joining any room ends a matchmaking search (no second match_found later)
+				matchmaking.dequeue(socket.user.id);
+
 				// Deduplicate join: only one socket may join (user+room) at a time; same socket duplicate → block, new socket (reconnect) → allow
 				const joinLockKey = `${room.id}_${socket.user.id}`;
 				const lockedSocketId = joinLocks.get(joinLockKey);
@@ -263,14 +422,12 @@ module.exports = function (io) {
 					});
 				}
 
-				// Only perform the room_full check for NEW players (no existing participant).
+				// Only perform the room_full check for NEW players (no existing participant); spectators take no seat.
 				// Existing participant (e.g. reconnecting or joined via HTTP first) should not be rejected.
 				// IMPORTANT: Only socket.emit("error", "room_full") — never broadcast to room; only the joining socket should get it.
-				if (!existingParticipant) {
+				if (!existingParticipant && !spectate) {
 					await room.reload(); // Re-fetch to get latest maxPlayers (e.g. host just changed it)
-					const activeParticipants = await RoomParticipant.count({
-						where: { roomId: room.id, isActive: true },
-					});
+					const activeParticipants = await spectators.countPlayers(room.id);
 					console.log(
 						`Active participants: ${activeParticipants}--- ${room.maxPlayers}`,
 					);
@@ -278,6 +435,7 @@ module.exports = function (io) {
 						return socket.emit("error", {
 							message: "room_full",
 							details: `Room is full. Max players: ${room.maxPlayers}`,
+							canSpectate: room.isPublic,
 						});
 					}
 				}
@@ -304,7 +462,10 @@ module.exports = function (io) {
 							},
 						],
 					});
-					const participantList = buildParticipantList(participants, room.id);
+					const { participants: participantList, spectators: spectatorList } = await buildParticipantList(
+						participants,
+						room.id,
+					);
 					await startLobbyIdleTimer(io, room);
 					const roundRemainingTime = room.roundPhaseEndTime
 						? Math.max(
@@ -333,14 +494,21 @@ module.exports = function (io) {
 							roundPhase: room.roundPhase,
 							roundRemainingTime,
 							roundPhaseEndTime: room.roundPhaseEndTime ? room.roundPhaseEndTime.getTime() : undefined,
-							roundDuration: PHASE_DURATIONS[room.roundPhase],
+							roundDuration: getPhaseDuration(room, room.roundPhase),
+							wordHint: currentWordHint(room),
+							drawingTime: getPhaseDuration(room, "drawing"),
+							wordChoiceTime: getPhaseDuration(room, "choosing_word"),
+							maxRounds: room.maxRounds,
+							wordOptionsCount: room.wordOptionsCount,
+							completedRotations: room.completedRotations,
 						},
 						participants: participantList,
+						spectators: spectatorList,
 						isResuming: false,
 					});
 					joinLocks.delete(joinLockKey); // release lock on success; TTL is fallback only
 					// Sync state to this socket only: canvas if in drawing phase (no room/timer changes)
-					if (room.status === "playing" && room.roundPhase === "drawing") {
+					if (room.status === "playing" && room.roundPhase === "drawing" && !sendCanvasSnapshot(socket, room)) {
 						const currentDrawerId = room.currentDrawerId;
 						const resumingSocketId = socket.id;
 						// METHOD 3: If joiner is the drawer, use socket.id. Else resolve from userSocketMap (METHOD 1+2).
@@ -360,7 +528,7 @@ module.exports = function (io) {
 								});
 							}
 							if (currentDrawerId === socket.user?.id) {
-								for (const p of participantList) {
+								for (const p of [...participantList, ...spectatorList]) {
 									if (p.id !== currentDrawerId) {
 										const targetSocketId = getSocketIdForUser(p.id);
 										if (targetSocketId) {
@@ -375,7 +543,7 @@ module.exports = function (io) {
 							}
 						}
 					}
-					// Do NOT call resumePhaseTimerIfNeeded here — idempotent path must not restart timers or modify room state
+					// Do NOT touch phase jobs here — idempotent path must not restart timers or modify room state
 					return;
 				}
 
@@ -409,6 +577,15 @@ module.exports = function (io) {
 						console.log(
 							`✅ User ${socket.user.name} RESUMED game in room ${room.code}`,
 						);
+					} else if (spectate) {
+						// NEW SPECTATOR: public rooms only, no seat and no entry fee
+						const { error } = await spectators.addSpectator(room, socket.user.id, { socketId: socket.id });
+						if (error) {
+							socket.leave(room.code);
+							return socket.emit("error", { message: error.error, details: error.message });
+						}
+						isNewParticipant = true;
+						console.log(`👀 User ${socket.user.name} is spectating room ${room.code}`);
 					} else {
 						// NEW PLAYER: enforce capacity with a DB transaction + lock to avoid race conditions.
 						try {
@@ -419,7 +596,7 @@ module.exports = function (io) {
 									lock: t.LOCK.UPDATE,
 								});
 								const countNow = await RoomParticipant.count({
-									where: { roomId: room.id, isActive: true },
+									where: { roomId: room.id, isActive: true, isSpectator: false },
 									transaction: t,
 									lock: t.LOCK.UPDATE,
 								});
@@ -452,6 +629,7 @@ module.exports = function (io) {
 								return socket.emit("error", {
 									message: "room_full",
 									details: `Room is full. Max players: ${err.maxPlayers || room.maxPlayers}`,
+									canSpectate: room.isPublic,
 								});
 							}
 							// Unexpected DB error: rethrow to outer catch
@@ -466,11 +644,28 @@ module.exports = function (io) {
 							where: {
 								userId: socket.user.id,
 								roomId: room.id,
+								isSpectator: false,
 							},
 						}
 					);
 				}
 
+				// Mid-game join: entry fee, catch-up score and a place at the end of the drawer rotation (once per game)
+				let lateJoin = null;
+				if (room.status === "playing") {
+					const seat = await RoomParticipant.findOne({
+						where: { roomId: room.id, userId: socket.user.id, isActive: true },
+					});
+					const admission = seat ? await admitLateJoiner(io, room, seat) : { admitted: false };
+					if (admission.error) {
+						if (isNewParticipant) await seat.destroy();
+						else await seat.update({ isActive: false, socketId: null });
+						socket.leave(room.code);
+						joinLocks.delete(joinLockKey);
+						return socket.emit("error", { message: admission.error.error, details: admission.error.message });
+					}
+					if (admission.admitted) lateJoin = admission;
+				}
 
 				// --- Fetch ALL participants (including the newly resumed/active one) ---
 				const participants = await RoomParticipant.findAll({
@@ -483,7 +678,10 @@ module.exports = function (io) {
 						},
 					],
 				});
-				const participantList = buildParticipantList(participants, room.id);
+				const { participants: participantList, spectators: spectatorList } = await buildParticipantList(
+					participants,
+					room.id,
+				);
 				await startLobbyIdleTimer(io, room);
 				// --------------------------------------------------------------------------
 
@@ -514,18 +712,31 @@ module.exports = function (io) {
 						roundPhase: room.roundPhase,
 						roundRemainingTime,
 						roundPhaseEndTime: room.roundPhaseEndTime ? room.roundPhaseEndTime.getTime() : undefined,
-						roundDuration: PHASE_DURATIONS[room.roundPhase],
+						roundDuration: getPhaseDuration(room, room.roundPhase),
+						wordHint: currentWordHint(room),
+						drawingTime: getPhaseDuration(room, "drawing"),
+						wordChoiceTime: getPhaseDuration(room, "choosing_word"),
+						maxRounds: room.maxRounds,
+						wordOptionsCount: room.wordOptionsCount,
+						completedRotations: room.completedRotations,
 						// The entire room object serves as the Game State for the client.
 					},
 					participants: participantList,
+					spectators: spectatorList,
 					isResuming: isRejoining, // <--- NEW: Flag for the client
 				});
 				joinLocks.delete(joinLockKey); // release lock on success; TTL is fallback only
+				if (lateJoin) {
+					socket.emit("late_joined", { score: lateJoin.score, turnsBefore: lateJoin.turnsBefore });
+					// Current phase right away; the canvas follows below when drawing is under way
+					socket.emit("phase_change", currentPhasePayload(room));
+				}
 				// --------------------------------------------------------------------------
 
 				// Broadcast updated participant list to ALL room members
 				io.to(room.code).emit("room_participants", {
 					participants: participantList,
+					spectators: spectatorList,
 				});
 
 				// Notify others that a player joined/rejoined
@@ -533,6 +744,7 @@ module.exports = function (io) {
 					userName: socket.user ? socket.user.name : "Guest",
 					userId: socket.user ? socket.user.id : null,
 					isRejoining: isRejoining, // <--- NEW: Notify others
+					isSpectator: spectatorList.some((p) => p.id === socket.user?.id),
 				});
 
 				// Log for clarity
@@ -543,14 +755,20 @@ module.exports = function (io) {
 				}
 
 				// NOTE: Request drawing history only when phase is "drawing" (no canvas in selecting_drawer/choosing_word).
-				// Reconnect = sync only: do NOT call resumePhaseTimerIfNeeded here (that clears and re-broadcasts phase to whole room).
-				// Timers are restored only on server startup via rebuildTimersOnStartup.
+				// Reconnect = sync only: phase progression lives in the durable phase scheduler (phase_jobs), not in this socket.
 				let resumeWordOptionsSent = false;
 				let resumeCanvasRequested = false;
+				let resumeCanvasServed = false;
 				let resumeCanvasSkippedReason = null;
 				if (room.status === "playing") {
 					// Only request canvas when we are actually in the drawing phase (canvas exists).
-					if (room.roundPhase === "drawing") {
+					// Prefer the server-side stroke log; ask the drawer's client only when the log is incomplete.
+					if (room.roundPhase === "drawing" && sendCanvasSnapshot(socket, room)) {
+						resumeCanvasServed = true;
+						console.log(
+							`📡 Served canvas from stroke log to resuming user ${socket.user?.name}`,
+						);
+					} else if (room.roundPhase === "drawing") {
 						const currentDrawerId = room.currentDrawerId;
 						const resumingSocketId = socket.id;
 						// METHOD 3: If joiner is the drawer, use socket.id. Else resolve from userSocketMap (METHOD 1+2).
@@ -580,7 +798,7 @@ module.exports = function (io) {
 
 							// When the drawer rejoins, request canvas for all other participants (once per target). METHOD 3: drawer socket = socket.id.
 							if (currentDrawerId === socket.user?.id) {
-								for (const p of participantList) {
+								for (const p of [...participantList, ...spectatorList]) {
 									if (p.id !== currentDrawerId) {
 										const targetSocketId = getSocketIdForUser(p.id);
 										if (targetSocketId) {
@@ -613,6 +831,7 @@ module.exports = function (io) {
 					) {
 						socket.emit("word_options", {
 						words: room.currentWordOptions,
+						wordDetails: wordStats.describeWordOptions(room.currentWordOptionsMeta, room.currentWordOptions),
 						duration: Math.max(
 							0,
 							Math.ceil((room.roundPhaseEndTime - Date.now()) / 1000)
@@ -636,7 +855,7 @@ module.exports = function (io) {
 							socket,
 							room,
 							"EXPECT_CANVAS_SYNC",
-							resumeCanvasRequested ? "requested" : "skipped",
+							resumeCanvasServed ? "served" : resumeCanvasRequested ? "requested" : "skipped",
 							resumeCanvasSkippedReason ?? undefined,
 						);
 					}
@@ -655,31 +874,27 @@ module.exports = function (io) {
 				const room = await getRoomByCode(roomCode);
 				if (!room) return socket.emit("error", { message: "room_not_found" });
 
-				// 2. Build room payload with roundPhaseEndTime (ms) and roundDuration so client stays in sync (same shape as room_joined).
-				const roomPlain = typeof room.toJSON === "function" ? room.toJSON() : { ...room };
-				const roomPayload = {
-					...roomPlain,
-					roundPhaseEndTime: room.roundPhaseEndTime ? room.roundPhaseEndTime.getTime() : undefined,
-					roundDuration: PHASE_DURATIONS[room.roundPhase],
-				};
-
 				// lastSequence: client must send so resuming client can ignore drawing_data with seq <= lastSequence until resync done
 				const lastSeq = lastSequence != null && Number.isFinite(Number(lastSequence)) ? Number(lastSequence) : 0;
 
-				const payload = {
+				// 2. Build room payload with roundPhaseEndTime (ms) and roundDuration so client stays in sync (same shape as room_joined).
+				// Word fields depend on who actually receives it, so it is built per delivery path.
+				const buildPayload = (viewerId) => ({
 					roomCode: roomCode,
 					history: history,
-					room: roomPayload,
+					room: buildCanvasRoomPayload(room, viewerId),
 					remainingTime: remainingTime,
 					lastSequence: lastSeq,
-				};
+				});
 				// 3. Emit to target's current socket (METHOD 1+2: use targetUserId when client sends it so reconnect is handled)
-				if (targetUserId && emitToUser(io, targetUserId, "canvas_resume", payload)) {
+				if (targetUserId && emitToUser(io, targetUserId, "canvas_resume", buildPayload(targetUserId))) {
 					console.log(
 						`➡️ Forwarded canvas data to resuming user (userId ${targetUserId}, lastSequence: ${lastSeq})`,
 					);
 				} else if (targetSocketId) {
-					io.to(targetSocketId).emit("canvas_resume", payload);
+					// Socket on another node: its user is unknown here, so it gets no word fields
+					const targetSocket = io.sockets.sockets.get(targetSocketId);
+					io.to(targetSocketId).emit("canvas_resume", buildPayload(targetSocket?.user?.id));
 					console.log(
 						`➡️ Forwarded canvas data to resuming user: ${targetSocketId} (lastSequence: ${lastSeq})`,
 					);
@@ -720,6 +935,25 @@ module.exports = function (io) {
 					});
 				}
 
+				// Validate timing/round and custom word settings before anything is charged or saved
+				const timing = validateRoomTimingSettings(settings);
+				if (timing.error) {
+					return socket.emit("error", {
+						message: timing.error.error,
+						details: timing.error.message,
+					});
+				}
+				const customWordSettings = validateCustomWordSettings(settings, {
+					isPublic: settings.isPublic !== undefined ? settings.isPublic : room.isPublic,
+				});
+				if (customWordSettings.error) {
+					return socket.emit("error", {
+						message: customWordSettings.error.error,
+						details: customWordSettings.error.message,
+						words: customWordSettings.error.words,
+					});
+				}
+
 				// --- VOICE CHAT FEE LOGIC ---
 				if (
 					settings.voiceEnabled !== undefined &&
@@ -762,12 +996,22 @@ module.exports = function (io) {
 						return;
 					}
 
-					// 4. Charge Users and Update Database (Transaction Recommended, but simplified here)
-					const chargePromises = usersToCharge.map((user) => {
-						user.coins -= VOICE_CHAT_COST;
-						return user.save();
-					});
-					await Promise.all(chargePromises);
+					// 4. Charge everyone in one wallet transaction: all pay or nobody does
+					try {
+						await sequelize.transaction(async (t) => {
+							for (const user of usersToCharge) {
+								await wallet.debit(user.id, VOICE_CHAT_COST, "voice_chat", { transaction: t });
+							}
+						});
+					} catch (err) {
+						if (!wallet.isWalletError(err) || err.code !== "insufficient_coins") throw err;
+						// A balance dropped between the check above and the charge
+						io.to(room.code).emit("error", {
+							message: "insufficient_coins",
+							details: `Voice chat requires ${VOICE_CHAT_COST} coins from everyone.`,
+						});
+						return;
+					}
 
 					room.voiceEnabled = settings.voiceEnabled;
 
@@ -848,6 +1092,8 @@ module.exports = function (io) {
 					);
 					room.maxPlayers = parsedMax;
 				}
+				room.set(timing.values);
+				room.set(customWordSettings.values);
 
 				await room.save();
 				let data = {
@@ -861,6 +1107,13 @@ module.exports = function (io) {
 					voiceEnabled: room.voiceEnabled,
 					isPublic: room.isPublic,
 					maxPlayers: room.maxPlayers,
+					drawingTime: getPhaseDuration(room, "drawing"),
+					wordChoiceTime: getPhaseDuration(room, "choosing_word"),
+					maxRounds: room.maxRounds,
+					wordOptionsCount: room.wordOptionsCount,
+					// Count only: the list itself would spoil the words for everyone but the owner
+					customWordsCount: room.customWords.length,
+					customWordsMix: room.customWordsMix,
 					status: room.status,
 				};
 				console.log(
@@ -917,6 +1170,9 @@ module.exports = function (io) {
 				if (!participant) {
 					return socket.emit("error", { message: "not_in_room" });
 				}
+				if (participant.isSpectator) {
+					return socket.emit("error", { message: "spectators_cannot_play" });
+				}
 
 				participant.team = team;
 				await participant.save();
@@ -939,9 +1195,7 @@ module.exports = function (io) {
 					`👥 User ${participant.user?.name || socket.user?.name || "Unknown"} selected team ${team}`,
 				);
 
-				io.to(room.code).emit("room_participants", {
-					participants: buildParticipantList(participants, room.id),
-				});
+				io.to(room.code).emit("room_participants", await buildParticipantList(participants, room.id));
 
 				console.log(`👥 User ${socket.user.name} selected team ${team}`);
 			} catch (e) {
@@ -958,15 +1212,18 @@ module.exports = function (io) {
 				else if (roomId) room = await Room.findByPk(roomId);
 				if (!room) return socket.emit("error", { message: "room_not_found" });
 				if (room.status !== "lobby" && room.status !== "waiting") return;
-				readyState.setReady(room.id, socket.user.id);
+				const seat = await RoomParticipant.findOne({
+					where: { roomId: room.id, userId: socket.user.id, isActive: true },
+					attributes: ["isSpectator"],
+				});
+				if (seat?.isSpectator) return socket.emit("error", { message: "spectators_cannot_play" });
+				await readyState.setReady(room.id, socket.user.id);
 				// Broadcast updated participant list with ready flags
 				const participants = await RoomParticipant.findAll({
 					where: { roomId: room.id, isActive: true },
 					include: [{ model: User, as: "user", attributes: ["id", "name", "avatar", "coins"] }],
 				});
-				io.to(room.code).emit("room_participants", {
-					participants: buildParticipantList(participants, room.id),
-				});
+				io.to(room.code).emit("room_participants", await buildParticipantList(participants, room.id));
 			} catch (e) {
 				console.error("Set ready error:", e);
 			}
@@ -980,19 +1237,47 @@ module.exports = function (io) {
 				else if (roomId) room = await Room.findByPk(roomId);
 				if (!room) return socket.emit("error", { message: "room_not_found" });
 				if (room.status !== "lobby" && room.status !== "waiting") return;
-				readyState.removeReady(room.id, socket.user.id);
+				await readyState.removeReady(room.id, socket.user.id);
 				const participants = await RoomParticipant.findAll({
 					where: { roomId: room.id, isActive: true },
 					include: [{ model: User, as: "user", attributes: ["id", "name", "avatar", "coins"] }],
 				});
-				io.to(room.code).emit("room_participants", {
-					participants: buildParticipantList(participants, room.id),
-				});
+				io.to(room.code).emit("room_participants", await buildParticipantList(participants, room.id));
 			} catch (e) {
 				console.error("Set not ready error:", e);
 			}
 		});
 
+		// TAKE SEAT: a spectator becomes a player while the room is in its lobby and a seat is free
+		socket.on("take_seat", async ({ roomCode, roomId, team }) => {
+			try {
+				if (!socket.user || !socket.user.id) return socket.emit("error", { message: "not_authenticated" });
+				let room;
+				if (roomCode) room = await getRoomByCode(roomCode);
+				else if (roomId) room = await Room.findByPk(roomId);
+				if (!room) return socket.emit("error", { message: "room_not_found" });
+
+				const { error } = await spectators.takeSeat(room.id, socket.user.id, team);
+				if (error) {
+					return socket.emit("error", { message: error.error, details: error.message });
+				}
+				console.log(`🪑 Spectator ${socket.user.name} took a seat in room ${room.code}`);
+
+				const participants = await RoomParticipant.findAll({
+					where: { roomId: room.id, isActive: true },
+					include: [{ model: User, as: "user", attributes: ["id", "name", "avatar", "coins"] }],
+				});
+				io.to(room.code).emit("room_participants", await buildParticipantList(participants, room.id));
+				io.to(room.code).emit("spectator_seated", {
+					userId: socket.user.id,
+					userName: socket.user.name,
+				});
+			} catch (e) {
+				console.error("Take seat error:", e);
+				socket.emit("error", { message: "take_seat_failed" });
+			}
+		});
+
 		socket.on("remove_participant", async ({ roomCode, roomId, userId: targetUserId }) => {
 			try {
 				if (!socket.user || !socket.user.id) return socket.emit("error", { message: "not_authenticated" });
@@ -1012,14 +1297,12 @@ module.exports = function (io) {
 					{ isActive: false, socketId: null },
 					{ where: { roomId: room.id, userId: targetUserId } },
 				);
-				readyState.removeReady(room.id, targetUserId);
+				await readyState.removeReady(room.id, targetUserId);
 				const participants = await RoomParticipant.findAll({
 					where: { roomId: room.id, isActive: true },
 					include: [{ model: User, as: "user", attributes: ["id", "name", "avatar", "coins"] }],
 				});
-				io.to(room.code).emit("room_participants", {
-					participants: buildParticipantList(participants, room.id),
-				});
+				io.to(room.code).emit("room_participants", await buildParticipantList(participants, room.id));
 				io.to(room.code).emit("player_removed", {
 					userId: targetUserId,
 					removedBy: socket.user.id,
@@ -1107,8 +1390,9 @@ module.exports = function (io) {
 					return socket.emit("error", { message: "game_already_started" });
 				}
 
+				// Players only: spectators neither pay entry nor need to be ready
 				const participants = await RoomParticipant.findAll({
-					where: { roomId: room.id, isActive: true },
+					where: { roomId: room.id, isActive: true, isSpectator: false },
 					include: [{ model: User, as: "user" }],
 				});
 
@@ -1120,14 +1404,14 @@ module.exports = function (io) {
 				const nonOwnerIds = participants
 					.filter((p) => p.userId !== room.ownerId)
 					.map((p) => p.userId);
-				if (nonOwnerIds.length > 0 && !readyState.areAllReady(room.id, nonOwnerIds)) {
+				if (nonOwnerIds.length > 0 && !(await readyState.areAllReady(room.id, nonOwnerIds))) {
 					return socket.emit("error", {
 						message: "not_all_ready",
 						details: "All players must tap Ready before the host can start.",
 					});
 				}
 
-				readyState.clearRoom(room.id); // Clear ready state when game starts
+				await readyState.clearRoom(room.id); // Clear ready state when game starts
 
 				// For team mode, require at least 2 players in BOTH teams before entering game arena
 				if (room.gameMode === "team_vs_team") {
@@ -1151,40 +1435,30 @@ module.exports = function (io) {
 					room.voiceEnabled,
 				);
 
-				// Deduct entry coins only from participants who have not yet paid (exactly once per game)
-				for (const participant of participants) {
-					const user = await User.findByPk(participant.userId);
-					if (!user) continue;
-
-					if (participant.hasPaidEntry) {
-						continue;
-					}
-
-					if (user.coins < entryCost) {
-						return socket.emit("error", {
-							message: "insufficient_coins",
-							details: `${user.name} needs ${entryCost} coins to play`,
-						});
+				// Hold entry coins in escrow for everyone who has not paid yet, all or nothing (refunded if the game is aborted)
+				// Identifies this start: concurrent start_game calls read the same room version, the next game a newer one
+				const entryKeyVersion = room.updatedAt ? new Date(room.updatedAt).getTime() : Date.now();
+				try {
+					const charged = await entryEscrow.holdEntries(room, participants, entryCost, {
+						startKey: entryKeyVersion,
+					});
+					if (charged.length > 0) {
+						console.log(`💰 Holding ${entryCost} coins from ${charged.length} player(s) in room ${room.code}`);
 					}
-
-					user.coins -= entryCost;
-					await user.save();
-
-					await CoinTransaction.create({
-						userId: user.id,
-						amount: -entryCost,
-						reason: "game_entry",
+				} catch (err) {
+					if (!wallet.isWalletError(err) || err.code !== "insufficient_coins") throw err;
+					const poorUser = await User.findByPk(err.details.userId, { attributes: ["name"] });
+					return socket.emit("error", {
+						message: "insufficient_coins",
+						details: `${poorUser?.name || "A player"} needs ${entryCost} coins to play`,
 					});
-
-					participant.hasPaidEntry = true;
-					await participant.save();
-
-					console.log(`💰 Deducted ${entryCost} coins from ${user.name}`);
 				}
 
 				room.status = "playing";
 				room.currentRound = 1;
+				room.gameStartedAt = new Date();
 				room.drawnUserIds = []; // Reset drawer rotation for new game
+				room.completedRotations = 0;
 				// Reset phase and drawer state so no leftover from previous game (second game start guard)
 				room.roundPhase = null;
 				room.currentDrawerId = null;
@@ -1193,6 +1467,11 @@ module.exports = function (io) {
 				room.roundPhaseEndTime = null;
 				room.roundRemainingTime = null;
 				await room.save();
+				// Players in the game from the start (anyone joining later is a late joiner, see lateJoin)
+				await RoomParticipant.update(
+					{ gameJoinedAt: room.gameStartedAt },
+					{ where: { id: participants.map((p) => p.id) } },
+				);
 
 				io.to(room.code).emit("game_started", {
 					room: {
@@ -1223,7 +1502,7 @@ module.exports = function (io) {
 					return socket.emit("error", { message: "not_your_turn" });
 				}
 
-				if (room.roundPhase !== "choosing_word") {
+				if (!allows(room, "choose_word")) {
 					return socket.emit("error", { message: "wrong_phase" });
 				}
 
@@ -1234,9 +1513,14 @@ module.exports = function (io) {
 					return socket.emit("error", { message: "invalid_word_choice" });
 				}
 
+				// Keep the keyword/difficulty of the pick for rewards and word stats
+				const wordMeta = (room.currentWordOptionsMeta || []).find((m) => m.word === word) || null;
 				room.currentWord = word;
+				room.currentWordMeta = wordMeta;
 				room.currentWordOptions = null;
+				room.currentWordOptionsMeta = null;
 				await room.save();
+				wordStats.recordChosen(wordMeta);
 
 				console.log(`📝 Drawer chose word: ${word}`);
 				logActionConfirmed(socket, room.code, "WORD_OPTIONS_HANDLED");
@@ -1259,7 +1543,11 @@ module.exports = function (io) {
 				} else if (roomId) {
 					room = await Room.findByPk(roomId);
 				}
-				if (room && room.roundPhase === "drawing") {
+				if (room && allows(room, "drawing_data")) {
+					// Only the drawer's strokes reach the canvas (spectators and guessers cannot draw)
+					if (room.currentDrawerId !== socket.user?.id) {
+						return socket.emit("error", { message: "not_your_turn" });
+					}
 					const seqNum = sequence ?? 0;
 					const payload = {
 						strokes,
@@ -1268,6 +1556,14 @@ module.exports = function (io) {
 						sequence: seqNum,
 						from: socket.id,
 					};
+					// Keep the per-turn stroke log so resuming players can be replayed without the drawer
+					strokeLog.appendStrokes(room.id, payload);
+					roundRecorder.record(room.id, "stroke", {
+						strokes: payload.strokes,
+						isFinished: payload.isFinished,
+						canvasVersion: payload.canvasVersion,
+						sequence: payload.sequence,
+					});
 					// Skip resyncing sockets so they only get snapshot + events after resync_done (avoids half-snapshot / half-live)
 					const socketsInRoom = await io.in(room.code).fetchSockets();
 					for (const s of socketsInRoom) {
@@ -1288,7 +1584,7 @@ module.exports = function (io) {
 							? (room.roundPhaseEndTime.getTime ? room.roundPhaseEndTime.getTime() : Number(room.roundPhaseEndTime))
 							: Date.now() + 60000;
 						// duration = full phase duration (for progress bar), not remaining time
-						const phaseDuration = (PHASE_DURATIONS[room.roundPhase] ?? room.roundRemainingTime ?? 60);
+						const phaseDuration = (getPhaseDuration(room, room.roundPhase) ?? room.roundRemainingTime ?? 60);
 						console.log("phase_change", {
 							phase: room.roundPhase,
 							duration: phaseDuration,
@@ -1334,7 +1630,7 @@ module.exports = function (io) {
 			}
 		});
 		// CLEAR CANVAS
-		socket.on("clear_canvas", async ({ roomCode, roomId, canvasVersion }) => {
+		socket.on("clear_canvas", async ({ roomCode, roomId }) => {
 			try {
 				let room;
 				if (roomCode) {
@@ -1343,7 +1639,13 @@ module.exports = function (io) {
 					room = await Room.findByPk(roomId);
 				}
 				if (room) {
-					const newVersion = (canvasVersion ?? 0) + 1;
+					// Only the drawer clears, and only while drawing: the log is what resuming players and replays get
+					if (room.roundPhase !== "drawing" || room.currentDrawerId !== socket.user?.id) {
+						return socket.emit("error", { message: "not_your_turn" });
+					}
+					const newVersion = strokeLog.currentVersion(room.id) + 1;
+					strokeLog.clearCanvas(room.id, newVersion);
+					roundRecorder.record(room.id, "clear_canvas", { canvasVersion: newVersion });
 					io.to(room.code).emit("canvas_cleared", {
 						by: socket.user ? socket.user.name : "Someone",
 						canvasVersion: newVersion,
@@ -1356,7 +1658,7 @@ module.exports = function (io) {
 		});
 
 		// CHAT MESSAGE
-		socket.on("chat_message", async ({ roomCode, roomId, content, avatar }) => {
+		socket.on("chat_message", async ({ roomCode, roomId, content, avatar, channel }) => {
 			console.log(avatar);
 			try {
 				let room;
@@ -1368,11 +1670,32 @@ module.exports = function (io) {
 				if (!room) return;
 
 				const userId = socket.user ? socket.user.id : null;
+
+				const mutedUntil = await moderation.getChatMutedUntil(userId);
+				if (mutedUntil) {
+					return socket.emit("error", {
+						message: "chat_muted",
+						details: { mutedUntil },
+					});
+				}
+
+				// While someone is drawing, the answer must not reach players who haven't solved it yet
+				const answerHidden = room.roundPhase === "drawing" && !!room.currentWord;
+				const solverIds = answerHidden ? await getRoundSolverIds(room) : new Set();
+				const chatChannel = channel === "guessed" ? "guessed" : "all";
+				if (chatChannel === "guessed" && !(answerHidden && userId && solverIds.has(String(userId)))) {
+					return socket.emit("error", {
+						message: "guessed_channel_unavailable",
+						details: "Only the drawer and players who guessed the word can use this channel",
+					});
+				}
+
 				const msg = await Message.create({
 					roomId: room.id,
 					userId,
 					content,
 					type: "text",
+					channel: chatChannel,
 				});
 
 				let user = { id: null, name: "Guest", avatar: avatar };
@@ -1393,13 +1716,37 @@ module.exports = function (io) {
 					}
 				}
 
-				io.to(room.code).emit("chat_message", {
+				const payload = {
 					id: msg.id,
 					content: msg.content,
 					user,
 					createdAt: msg.createdAt,
 					type: "text",
-				});
+					channel: chatChannel,
+				};
+				// Players who blocked the sender never get their messages
+				const hiddenFrom = await getBlockerSocketIds(userId);
+				if (!answerHidden) {
+					io.to(room.code).except(hiddenFrom).emit("chat_message", payload);
+					return;
+				}
+
+				// Per-recipient delivery: solvers see the message as typed, everyone else gets the answer masked
+				const { text: redactedContent, redacted } = redactAnswer(msg.content, room.currentWord, { nearMisses: false });
+				const roomSockets = await io.in(room.code).fetchSockets();
+				for (const s of roomSockets) {
+					if (hiddenFrom.includes(s.id)) continue;
+					// fetchSockets returns RemoteSockets for other nodes: only data.userId is there
+					const canSeeAnswer = s.data?.userId != null && solverIds.has(String(s.data.userId));
+					if (chatChannel === "guessed") {
+						if (canSeeAnswer) s.emit("chat_message", payload);
+						continue;
+					}
+					s.emit(
+						"chat_message",
+						canSeeAnswer || !redacted ? payload : { ...payload, content: redactedContent, redacted: true },
+					);
+				}
 			} catch (e) {
 				console.error("Chat message error:", e);
 			}
@@ -1424,7 +1771,7 @@ module.exports = function (io) {
 				}
 
 				// 2. Initial Checks (Phase, Word, Authentication)
-				if (room.roundPhase !== "drawing") {
+				if (!allows(room, "submit_guess")) {
 					return socket.emit("guess_result", {
 						ok: false,
 						message: "not_drawing_phase",
@@ -1457,6 +1804,13 @@ module.exports = function (io) {
 					});
 				}
 
+				if (participant.isSpectator) {
+					return socket.emit("guess_result", {
+						ok: false,
+						message: "spectators_cannot_guess",
+					});
+				}
+
 				// 4. Drawer cannot guess
 				if (participant.isDrawer) {
 					return socket.emit("guess_result", {
@@ -1503,11 +1857,18 @@ module.exports = function (io) {
 					const roundRemainingTime = room.roundPhaseEndTime
 						? Math.max(0, Math.ceil((room.roundPhaseEndTime - Date.now()) / 1000))
 						: room.roundRemainingTime;
-					const reward = calculateGuessReward(
-						roundRemainingTime,
-						room.maxPointsPerRound,
+					const { hintsRevealed } = getWordHintState(room, getPhaseDuration(room, "drawing"));
+					// Harder words (rated from play statistics) are worth more
+					const wordMultiplier = room.currentWordMeta?.multiplier || 1;
+					const reward = Math.round(
+						calculateGuessReward(
+							roundRemainingTime,
+							room.maxPointsPerRound,
+							hintsRevealed,
+						) * wordMultiplier,
 					);
 
+					let guessCounted = true;
 					if (room.gameMode === "team_vs_team") {
 						// TEAM MODE: Award to entire team exactly once using a DB transaction/lock to avoid races.
 						await sequelize.transaction(async (t) => {
@@ -1517,6 +1878,7 @@ module.exports = function (io) {
 									roomId: room.id,
 									team: participant.team,
 									isActive: true,
+									isSpectator: false,
 								},
 								transaction: t,
 								lock: t.LOCK.UPDATE,
@@ -1527,6 +1889,7 @@ module.exports = function (io) {
 								(p) => p.hasGuessedThisRound === true,
 							);
 							if (teamHasGuessed) {
+								guessCounted = false;
 								return;
 							}
 
@@ -1573,9 +1936,18 @@ module.exports = function (io) {
 					}
 					// END FIX
 
+					// Lifetime stats: only the guess that actually scored (a teammate may have beaten this one)
+					if (guessCounted) {
+						await participant.increment("correctGuessCount");
+						const drawingStart = room.roundStartTime ? new Date(room.roundStartTime).getTime() : Date.now();
+						playerStats
+							.recordCorrectGuess(participant.userId, Date.now() - drawingStart)
+							.then((stat) => achievements.onCorrectGuess(io, room, participant.userId, stat));
+					}
+
 					// Reduce time, broadcast, and check for round end (unchanged)
 					const activePlayers = await RoomParticipant.count({
-						where: { roomId: room.id, isActive: true, isDrawer: false },
+						where: { roomId: room.id, isActive: true, isDrawer: false, isSpectator: false },
 					});
 
 					// if (activePlayers > 0) {
@@ -1590,6 +1962,12 @@ module.exports = function (io) {
 					// 	await room.save();
 					// }
 
+					roundRecorder.record(room.id, "correct_guess", {
+						userId: socket.user.id,
+						name: socket.user.name,
+						points: reward,
+						team: participant.team || null,
+					});
 					io.to(room.code).emit("correct_guess", {
 						by: { id: socket.user.id, name: socket.user.name },
 						word: room.currentWord,
@@ -1622,7 +2000,6 @@ module.exports = function (io) {
 						// In team mode, end round immediately when ANY team member guesses correctly
 						// (Drawer stops as soon as one team member guesses)
 						const { endDrawingPhase } = require("./roundPhases");
-						clearRoomTimer(`${room.code}_drawing`);
 						await endDrawingPhase(io, room);
 					} else {
 						// 1v1 mode: End round when everyone (other than drawer) guessed, or no guessers left
@@ -1630,7 +2007,7 @@ module.exports = function (io) {
 						if (!freshRoom) return;
 
 						const eligibleCount = await RoomParticipant.count({
-							where: { roomId: freshRoom.id, isActive: true, isDrawer: false },
+							where: { roomId: freshRoom.id, isActive: true, isDrawer: false, isSpectator: false },
 						});
 
 						const guessedCount = await RoomParticipant.count({
@@ -1644,25 +2021,39 @@ module.exports = function (io) {
 						// End round if all guessers guessed, or there are no guessers left (someone left)
 						if (eligibleCount === 0 || guessedCount >= eligibleCount) {
 							const { endDrawingPhase } = require("./roundPhases");
-							clearRoomTimer(`${freshRoom.code}_drawing`);
 							await endDrawingPhase(io, freshRoom);
 						}
 					}
-					io.to(room.code).emit("room_participants", {
-						participants: buildParticipantList(participants, room.id),
-					});
+					io.to(room.code).emit("room_participants", await buildParticipantList(participants, room.id));
 				} else {
 					// --- INCORRECT GUESS LOGIC ---
 					// FIX: DO NOT mark hasGuessedThisRound = true here.
 					// The participant remains eligible to guess.
 
+					// Near miss: tell only the guesser, never broadcast (it would leak the answer to everyone)
+					if (isCloseGuess(guess, room.currentWord)) {
+						return socket.emit("guess_result", {
+							ok: false,
+							message: "close_guess",
+							guess: guess,
+						});
+					}
+
 					// Get user info for broadcast
 					const user = await User.findByPk(socket.user.id);
 					const userName = user ? user.name : "Unknown";
 
-					// Broadcast incorrect guess to all users in the room
-					io.to(room.code).emit("incorrect_guess", {
-						guess: guess,
+					roundRecorder.record(room.id, "incorrect_guess", {
+						userId: socket.user.id,
+						name: userName,
+						guess,
+					});
+
+					// Broadcast incorrect guess to the room except players who blocked the guesser (with any embedded answer masked, e.g. "elephant ear")
+					const { text: publicGuess } = redactAnswer(guess, room.currentWord);
+					const hiddenFrom = await getBlockerSocketIds(socket.user.id);
+					io.to(room.code).except(hiddenFrom).emit("incorrect_guess", {
+						guess: publicGuess,
 						user: {
 							id: socket.user.id,
 							name: userName,
@@ -1691,6 +2082,9 @@ module.exports = function (io) {
 			const MAX_SKIPS = 3;
 			const room = await Room.findByPk(roomId);
 			if (!room) return;
+			if (!allows(room, "skip_turn")) {
+				return socket.emit("error", { message: "wrong_phase" });
+			}
 
 			// 1. Identify the current drawer/skipper using the current socket ID
 			const skipper = await RoomParticipant.findOne({
@@ -1748,9 +2142,9 @@ module.exports = function (io) {
 			room.currentWord = null;
 			room.currentWordOptions = null;
 
-			// Check for remaining active participants
+			// Check for remaining active players
 			const participants = await RoomParticipant.findAll({
-				where: { roomId: room.id, isActive: true },
+				where: { roomId: room.id, isActive: true, isSpectator: false },
 				include: [{ model: User, as: "user" }],
 			});
 
@@ -1766,34 +2160,6 @@ module.exports = function (io) {
 			selectDrawerAndStartWordChoice(io, room);
 		});
 
-		// WORD HINT (from drawer)
-		socket.on(
-			"word_hint",
-			async ({ roomCode, roomId, revealedWord, hintsRemaining }) => {
-				try {
-					let room;
-					if (roomCode) {
-						room = await getRoomByCode(roomCode);
-					} else if (roomId) {
-						room = await Room.findByPk(roomId);
-					}
-
-					if (room && room.roundPhase === "drawing") {
-						// Broadcast hint to all users in the room
-						io.to(room.code).emit("word_hint", {
-							revealedWord: revealedWord,
-							hintsRemaining: hintsRemaining,
-						});
-						console.log(
-							`💡 Word hint broadcasted to room ${room.code}: ${revealedWord}`,
-						);
-					}
-				} catch (e) {
-					console.error("Word hint error:", e);
-				}
-			},
-		);
-
 		// LEAVE ROOM
 		socket.on("leave_room", async ({ roomCode, roomId }) => {
 			try {
@@ -1813,7 +2179,7 @@ module.exports = function (io) {
 						{ isActive: false, socketId: null },
 						{ where: { roomId: room.id, userId: userId } },
 					);
-					readyState.removeReady(room.id, userId);
+					await readyState.removeReady(room.id, userId);
 
 					socket.leave(room.code);
 					clearResyncState(socket);
@@ -1852,9 +2218,7 @@ module.exports = function (io) {
 							],
 						});
 
-						io.to(room.code).emit("room_participants", {
-							participants: buildParticipantList(participants, room.id),
-						});
+						io.to(room.code).emit("room_participants", await buildParticipantList(participants, room.id));
 
 						// If game is playing, exit when only 1 player (1v1) or <2 in any team (team mode)
 						if (room.status === "playing") {
@@ -2208,17 +2572,79 @@ module.exports = function (io) {
 			console.log("socket.isPermanentLeave: ", socket.isPermanentLeave);
 		});
 
+		// MATCHMAKING QUEUE (searching... screen; match_found tells the client which room to join_room)
+		socket.on("matchmaking_join", async (preferences) => {
+			try {
+				if (!socket.user || !socket.user.id) {
+					return socket.emit("error", { message: "not_authenticated" });
+				}
+				const user = await User.findByPk(socket.user.id);
+				if (!user) return socket.emit("error", { message: "not_authenticated" });
+
+				const result = await matchmaking.enqueue(user, preferences);
+				if (!result.ok) {
+					return socket.emit("error", result.error);
+				}
+				console.log(`🔎 User ${user.id} joined the matchmaking queue`);
+			} catch (e) {
+				console.error("Matchmaking join error:", e);
+				socket.emit("error", { message: "matchmaking_failed", details: e.message });
+			}
+		});
+
+		socket.on("matchmaking_cancel", () => {
+			if (!socket.user?.id) return;
+			const removed = matchmaking.dequeue(socket.user.id);
+			socket.emit("matchmaking_cancelled", { reason: removed ? "cancelled" : "not_queued" });
+		});
+
+		// Invite a friend to this room: pushes room_invite to their live socket (REST fallback: GET /api/friends/invites)
+		socket.on("invite_to_room", async ({ friendId, roomCode, roomId } = {}) => {
+			try {
+				if (!socket.user || !socket.user.id) {
+					return socket.emit("error", { message: "not_authenticated" });
+				}
+				let room;
+				if (roomCode) {
+					room = await getRoomByCode(roomCode);
+				} else {
+					room = await Room.findByPk(roomId || socket.roomId);
+				}
+
+				const { invite, delivered } = await roomInvites.createInvite(io, socket.user, Number(friendId), room);
+				socket.emit("room_invite_sent", {
+					inviteId: invite.id,
+					friendId: Number(friendId),
+					delivered,
+					expiresAt: invite.expiresAt,
+				});
+				console.log(`📨 User ${socket.user.id} invited ${friendId} to room ${room.code}${delivered ? "" : " (offline)"}`);
+			} catch (e) {
+				if (friends.isFriendsError(e)) {
+					return socket.emit("error", { message: e.code, details: e.message });
+				}
+				console.error("Invite to room error:", e);
+				socket.emit("error", { message: "invite_failed", details: e.message });
+			}
+		});
+
 		// 7. Handle standard socket disconnect (CRITICAL CLEANUP)
 		// Covers: app backgrounded, app force-killed/removed from recents, network drop.
 		socket.on("disconnect", async () => {
 			console.log("❌ Socket disconnected:", socket.id);
 
+			if (socket.user?.id && getSocketIdForUser(socket.user.id) === socket.id) {
+				matchmaking.dequeue(socket.user.id);
+			}
+
 			// Only remove from map if we are still the registered socket for this user.
 			// Prevents rare reconnect race: new socket connects and overwrites map; old socket's
 			// disconnect event fires later — we must not delete, or we'd clear the new socket's
 			// registration and allow duplicate connections for that user on next connect.
 			if (socket.userId && getSocketIdForUser(socket.userId) === socket.id) {
 				deleteUser(socket.userId);
+				releaseSession(socket.userId, socket.id);
+				friends.broadcastPresence(io, socket.userId, "offline");
 			}
 
 			// Fallback if roomId wasn't set on socket
@@ -2255,9 +2681,7 @@ module.exports = function (io) {
 							},
 						],
 					});
-					io.to(roomCode).emit("room_participants", {
-						participants: buildParticipantList(participants, roomId),
-					});
+					io.to(roomCode).emit("room_participants", await buildParticipantList(participants, roomId));
 					
 					console.log("socket.isPermanentLeave: ", socket.isPermanentLeave);
 					const waitTime = socket.isPermanentLeave ? 1000 : DISCONNECT_GRACE_MS;
@@ -2299,7 +2723,7 @@ async function performParticipantCleanup(io, roomId, userId, roomCode) {
                 { where: { roomId, userId } }
             );
 
-            readyState.removeReady(roomId, userId);
+            await readyState.removeReady(roomId, userId);
             console.log(`👋 User ${userName} (${userId}) cleanup triggered (Room: ${roomCode})`);
 
             io.to(roomCode).emit("player_left", {
@@ -2317,9 +2741,7 @@ async function performParticipantCleanup(io, roomId, userId, roomCode) {
                 include: [{ model: User, as: "user", attributes: ["id", "name", "avatar", "coins"] }],
             });
 
-            io.to(roomCode).emit("room_participants", {
-                participants: buildParticipantList(stillInRoom, roomId),
-            });
+            io.to(roomCode).emit("room_participants", await buildParticipantList(stillInRoom, roomId));
 
             const room = await Room.findByPk(roomId);
             const ended = await roundPhases.checkAndEndGameIfInsufficientPlayers(io, roomId);
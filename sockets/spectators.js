@@ -0,0 +1,116 @@
+/**
+ * Spectators: participants with isSpectator set. They join public rooms even when full or playing, see strokes,
+ * the masked word and chat, but never draw, guess, pay entry or count as players (capacity, drawer rotation,
+ * rankings, room closing). In the lobby a spectator can take a free player seat.
+ */
+const { Room, RoomParticipant, sequelize } = require("../models");
+
+const MAX_SPECTATORS = Number(process.env.MAX_SPECTATORS_PER_ROOM) || 20;
+
+const TEAMS = ["orange", "blue"];
+
+/** Active players of a room (spectators excluded). */
+function countPlayers(roomId, options = {}) {
+	return RoomParticipant.count({ where: { roomId, isActive: true, isSpectator: false }, ...options });
+}
+
+function countSpectators(roomId, options = {}) {
+	return RoomParticipant.count({ where: { roomId, isActive: true, isSpectator: true }, ...options });
+}
+
+/**
+ * Join a room as spectator: a new participant row, or an inactive earlier one reused as spectator.
+ * An active player stays a player.
+ * @param {object} room
+ * @param {number} userId
+ * @param {{ socketId?: string }} [options]
+ * @returns {Promise<{ participant?: object, error?: { error: string, message: string } }>}
+ */
+async function addSpectator(room, userId, { socketId = null } = {}) {
+	if (!room.isPublic) {
+		return { error: { error: "spectating_not_allowed", message: "Only public rooms can be spectated" } };
+	}
+	return sequelize.transaction(async (t) => {
+		// Room row lock: concurrent spectators cannot exceed the cap
+		const freshRoom = await Room.findByPk(room.id, { transaction: t, lock: t.LOCK.UPDATE });
+		if (!freshRoom) return { error: { error: "room_not_found", message: "Room not found" } };
+
+		const existing = await RoomParticipant.findOne({ where: { roomId: room.id, userId }, transaction: t });
+		if (existing?.bannedAt) {
+			return { error: { error: "you_are_banned", message: "You cannot re-join this room; you have been banned from it." } };
+		}
+		if (existing?.isActive && !existing.isSpectator) return { participant: existing };
+
+		if (!existing?.isActive && (await countSpectators(room.id, { transaction: t })) >= MAX_SPECTATORS) {
+			return { error: { error: "spectators_full", message: `This room already has ${MAX_SPECTATORS} spectators` } };
+		}
+
+		const fields = { isActive: true, isSpectator: true, isDrawer: false, team: null, ...(socketId && { socketId }) };
+		if (existing) {
+			await existing.update(fields, { transaction: t });
+			return { participant: existing };
+		}
+		const participant = await RoomParticipant.create(
+			{ roomId: room.id, userId, hasPaidEntry: false, ...fields },
+			{ transaction: t },
+		);
+		return { participant };
+	});
+}
+
+/**
+ * Turn a spectator into a player while the room is in its lobby and a seat is free
+ * (entry is charged at start_game, like other lobby joins).
+ * @param {number} roomId
+ * @param {number} userId
+ * @param {string} [team] - team_vs_team only; the smaller team when omitted
+ * @returns {Promise<{ participant?: object, error?: { error: string, message: string } }>}
+ */
+async function takeSeat(roomId, userId, team) {
+	return sequelize.transaction(async (t) => {
+		const room = await Room.findByPk(roomId, { transaction: t, lock: t.LOCK.UPDATE });
+		if (!room) return { error: { error: "room_not_found", message: "Room not found" } };
+		if (room.status !== "lobby" && room.status !== "waiting") {
+			return { error: { error: "game_already_started", message: "Seats open up when the room is back in the lobby" } };
+		}
+
+		const participant = await RoomParticipant.findOne({
+			where: { roomId, userId, isActive: true },
+			transaction: t,
+			lock: t.LOCK.UPDATE,
+		});
+		if (!participant) return { error: { error: "not_in_room", message: "Join the room first" } };
+		if (!participant.isSpectator) return { error: { error: "already_playing", message: "You already have a seat" } };
+
+		if ((await countPlayers(roomId, { transaction: t })) >= room.maxPlayers) {
+			return { error: { error: "room_full", message: `Room is full. Max players: ${room.maxPlayers}` } };
+		}
+
+		let seatTeam = null;
+		if (room.gameMode === "team_vs_team") {
+			if (TEAMS.includes(team)) {
+				seatTeam = team;
+			} else {
+				const players = await RoomParticipant.findAll({
+					where: { roomId, isActive: true, isSpectator: false },
+					attributes: ["team"],
+					transaction: t,
+				});
+				const orange = players.filter((p) => p.team === "orange").length;
+				const blue = players.filter((p) => p.team === "blue").length;
+				seatTeam = orange < blue ? "orange" : "blue";
+			}
+		}
+
+		await participant.update({ isSpectator: false, team: seatTeam, score: 0, hasPaidEntry: false }, { transaction: t });
+		return { participant };
+	});
+}
+
+module.exports = {
+	MAX_SPECTATORS,
+	countPlayers,
+	countSpectators,
+	addSpectator,
+	takeSeat,
+};
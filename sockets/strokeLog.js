@@ -0,0 +1,112 @@
+/**
+ * In-memory stroke log per room for the current drawing turn (server-side canvas snapshot).
+ * Appended from drawing_data, truncated on clear_canvas, reset when a drawing phase starts.
+ * Lets the server replay the canvas to resuming sockets without asking the drawer's client.
+ * Key: roomId, Value: { round, drawerId, canvasVersion, complete, entries: [{ canvasVersion, sequence, strokes, isFinished }] }
+ * complete=false means the log was started mid-turn (e.g. after a server restart) and may miss strokes.
+ */
+const MAX_ENTRIES_PER_ROOM = Number(process.env.STROKE_LOG_MAX_ENTRIES) || 5000;
+
+const roomStrokeLogs = new Map();
+
+function newLog({ round = null, drawerId = null, complete = true } = {}) {
+	return { round, drawerId, canvasVersion: 0, complete, entries: [] };
+}
+
+/** Start a fresh log for a new drawing turn (call on entering the drawing phase). */
+function startRound(roomId, { round, drawerId } = {}) {
+	if (roomId == null) return;
+	roomStrokeLogs.set(roomId, newLog({ round, drawerId, complete: true }));
+}
+
+/**
+ * Append one drawing_data batch. Keeps entries ordered by sequence and ignores duplicates
+ * (drawer retries) and batches from a canvasVersion older than the last clear.
+ * @returns {boolean} true if the batch was stored
+ */
+function appendStrokes(roomId, { strokes, isFinished, canvasVersion, sequence }) {
+	if (roomId == null) return false;
+	let log = roomStrokeLogs.get(roomId);
+	if (!log) {
+		// No startRound for this turn (server restarted mid-drawing): keep logging, but mark incomplete
+		log = newLog({ complete: false });
+		roomStrokeLogs.set(roomId, log);
+	}
+
+	const version = Number(canvasVersion) || 0;
+	const seq = Number(sequence) || 0;
+	if (version < log.canvasVersion) return false; // stroke drawn before a clear
+	if (version > log.canvasVersion) {
+		// Client cleared before we saw clear_canvas: drop everything from older versions
+		log.canvasVersion = version;
+		log.entries = [];
+	}
+
+	const entries = log.entries;
+	let idx = entries.length;
+	while (idx > 0 && entries[idx - 1].sequence > seq) idx--;
+	if (idx > 0 && entries[idx - 1].sequence === seq) return false; // duplicate batch
+
+	entries.splice(idx, 0, {
+		canvasVersion: version,
+		sequence: seq,
+		strokes,
+		isFinished: isFinished ?? true,
+	});
+	if (entries.length > MAX_ENTRIES_PER_ROOM) {
+		entries.shift();
+		log.complete = false; // oldest strokes dropped, snapshot is no longer the full canvas
+	}
+	return true;
+}
+
+/** Honour clear_canvas: everything before newVersion is gone from the canvas. */
+function clearCanvas(roomId, newVersion) {
+	if (roomId == null) return;
+	let log = roomStrokeLogs.get(roomId);
+	if (!log) {
+		log = newLog({ complete: false });
+		roomStrokeLogs.set(roomId, log);
+	}
+	const version = Number(newVersion) || 0;
+	if (version < log.canvasVersion) return;
+	log.canvasVersion = version;
+	log.entries = [];
+	// A clear makes the canvas fully known from here on, even if earlier strokes were missed
+	log.complete = true;
+}
+
+/** Canvas version the server last saw for the room (0 before any clear). */
+function currentVersion(roomId) {
+	return roomStrokeLogs.get(roomId)?.canvasVersion ?? 0;
+}
+
+/**
+ * Full replay of the current canvas, or null if the server has no complete log for this turn.
+ * @returns {{ round: number|null, drawerId: number|null, canvasVersion: number, lastSequence: number, history: object[] }|null}
+ */
+function getSnapshot(roomId) {
+	const log = roomStrokeLogs.get(roomId);
+	if (!log || !log.complete) return null;
+	const last = log.entries[log.entries.length - 1];
+	return {
+		round: log.round,
+		drawerId: log.drawerId,
+		canvasVersion: log.canvasVersion,
+		lastSequence: last ? last.sequence : 0,
+		history: log.entries.slice(),
+	};
+}
+
+function clearRoom(roomId) {
+	roomStrokeLogs.delete(roomId);
+}
+
+module.exports = {
+	startRound,
+	appendStrokes,
+	clearCanvas,
+	currentVersion,
+	getSnapshot,
+	clearRoom,
+};
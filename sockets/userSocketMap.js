@@ -2,7 +2,16 @@
  * O(1) userId -> socketId map for single-session enforcement and sending to current socket.
  * Updated on connection/disconnect in socket.js; used by roundPhases when sending word_options
  * so the drawer gets word_options on their live socket after reconnect.
+ *
+ * With several nodes the map is a local mirror of the shared "sessions" hash (utils/sharedState): every node
+ * applies the session changes the others publish, so lookups stay synchronous and cover sockets on any node,
+ * and io.to(socketId) reaches them through the cluster adapter. Sessions of nodes that stop heartbeating are pruned.
  */
+const { getSharedState, getLiveNodeIds, NODE_ID } = require("../utils/sharedState");
+
+const SESSIONS_KEY = "sessions";
+const SESSIONS_CHANNEL = "sessions";
+
 const userSocketMap = new Map();
 
 function getSocketIdForUser(userId) {
@@ -20,6 +29,69 @@ function deleteUser(userId) {
 	userSocketMap.delete(userId);
 }
 
+/**
+ * Register socketId as the user's one session in the shared store (after setSocketForUser).
+ * If another node held a session for the user that this node did not know about yet, that socket is disconnected.
+ */
+async function claimSession(io, userId, socketId) {
+	try {
+		const store = getSharedState();
+		const previous = await store.hashSwap(SESSIONS_KEY, userId, { socketId, nodeId: NODE_ID });
+		await store.publish(SESSIONS_CHANNEL, { op: "set", userId, socketId, nodeId: NODE_ID });
+		if (previous && previous.socketId !== socketId && io.sockets.sockets.get(socketId)) {
+			io.in(previous.socketId).disconnectSockets(true);
+		}
+	} catch (err) {
+		console.error("Session claim error:", err?.message ?? err);
+	}
+}
+
+/** Drop the user's shared session if it is still this socket (after deleteUser). */
+async function releaseSession(userId, socketId) {
+	try {
+		const store = getSharedState();
+		await store.hashDeleteIfEquals(SESSIONS_KEY, userId, { socketId, nodeId: NODE_ID });
+		await store.publish(SESSIONS_CHANNEL, { op: "delete", userId, socketId, nodeId: NODE_ID });
+	} catch (err) {
+		console.error("Session release error:", err?.message ?? err);
+	}
+}
+
+/** Remove sessions held by nodes that stopped heartbeating (crashed without releasing them). */
+async function pruneDeadNodeSessions() {
+	const store = getSharedState();
+	const live = await getLiveNodeIds();
+	const sessions = await store.hashGetAll(SESSIONS_KEY);
+	for (const [field, session] of Object.entries(sessions)) {
+		if (session && live.has(session.nodeId)) continue;
+		await store.hashDeleteIfEquals(SESSIONS_KEY, field, session);
+		const userId = Number(field);
+		if (session && userSocketMap.get(userId) === session.socketId) userSocketMap.delete(userId);
+	}
+}
+
+/** Keep the local mirror in sync with other nodes: load the current sessions, then apply published changes. */
+async function attachSessionSync() {
+	const store = getSharedState();
+	if (!store.shared) return;
+	await store.subscribe(SESSIONS_CHANNEL, (message) => {
+		if (!message || message.nodeId === NODE_ID) return;
+		const userId = Number(message.userId);
+		if (message.op === "set") {
+			userSocketMap.set(userId, message.socketId);
+		} else if (message.op === "delete" && userSocketMap.get(userId) === message.socketId) {
+			userSocketMap.delete(userId);
+		}
+	});
+	const sessions = await store.hashGetAll(SESSIONS_KEY);
+	for (const [field, session] of Object.entries(sessions)) {
+		const userId = Number(field);
+		if (session && !userSocketMap.has(userId)) userSocketMap.set(userId, session.socketId);
+	}
+	await pruneDeadNodeSessions();
+	console.log(`👥 Session mirror loaded (${userSocketMap.size} session(s) across nodes)`);
+}
+
 /**
  * Emit to a user's current socket (resolve right before send — prevents "arrive while sending" race).
  * Single source of truth = userSocketMap. Use this for all single-user emits.
@@ -38,6 +110,9 @@ module.exports = {
 	getSocketIdForUser,
 	setSocketForUser,
 	deleteUser,
+	claimSession,
+	releaseSession,
+	attachSessionSync,
+	pruneDeadNodeSessions,
 	emitToUser,
 };
-
@@ -0,0 +1,192 @@
+// Round phase state machine with a fake clock and stub actions: no DB, sockets or timers
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { PHASES, phaseOf, allows, createGameStateMachine } = require("../sockets/gameStateMachine");
+
+const START = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+function setup({ actions = {}, durations = { drawing: 80, choosing_word: 15 } } = {}) {
+	let clock = START;
+	const logged = { warn: [], error: [] };
+	const machine = createGameStateMachine({
+		now: () => clock,
+		phaseDuration: (room, phase) => durations[phase] ?? 5,
+		actions,
+		logger: {
+			warn: (...args) => logged.warn.push(args.join(" ")),
+			error: (...args) => logged.error.push(args.join(" ")),
+		},
+	});
+	return { machine, logged, advance: (ms) => (clock += ms) };
+}
+
+const playingRoom = (fields = {}) => ({ id: 1, code: "ABCDE", status: "playing", roundPhase: null, ...fields });
+
+test("check allows legal transitions whose guard passes", () => {
+	const { machine, logged } = setup();
+	assert.deepEqual(machine.check("lobby", "selecting_drawer", playingRoom()), { ok: true });
+	assert.deepEqual(
+		machine.check("choosing_word", "drawing", playingRoom({ currentDrawerId: 7, currentWord: "cat" })),
+		{ ok: true },
+	);
+	assert.equal(logged.warn.length, 0);
+});
+
+test("check rejects transitions missing from the definition and logs them", () => {
+	const { machine, logged } = setup();
+	assert.deepEqual(machine.check("lobby", "drawing", playingRoom()), { ok: false, reason: "not a legal transition" });
+	assert.deepEqual(machine.check("reveal", "choosing_word", playingRoom()), {
+		ok: false,
+		reason: "not a legal transition",
+	});
+	assert.equal(logged.warn.length, 2);
+	assert.match(logged.warn[0], /\[PHASE\] illegal transition lobby -> drawing room=ABCDE/);
+});
+
+test("check rejects unknown phases", () => {
+	const { machine } = setup();
+	assert.deepEqual(machine.check("warmup", "lobby", playingRoom()), { ok: false, reason: "unknown phase warmup" });
+	assert.deepEqual(machine.check("lobby", "warmup", playingRoom()), { ok: false, reason: "unknown phase warmup" });
+});
+
+test("check reports the guard's reason", () => {
+	const { machine } = setup();
+	assert.deepEqual(machine.check("lobby", "selecting_drawer", playingRoom({ status: "waiting" })), {
+		ok: false,
+		reason: "room status is waiting",
+	});
+	assert.deepEqual(machine.check("selecting_drawer", "choosing_word", playingRoom()), {
+		ok: false,
+		reason: "no drawer selected",
+	});
+	assert.deepEqual(machine.check("choosing_word", "drawing", playingRoom({ currentDrawerId: 7 })), {
+		ok: false,
+		reason: "no word chosen",
+	});
+});
+
+test("every transition targets a defined phase", () => {
+	for (const [phase, def] of Object.entries(PHASES)) {
+		for (const to of Object.keys(def.next)) assert.ok(PHASES[to], `${phase} -> ${to}`);
+	}
+});
+
+test("phaseUpdates sets a timed phase's end time from the injected clock", () => {
+	const { machine, advance } = setup();
+	const room = playingRoom();
+	assert.deepEqual(machine.phaseUpdates(room, "drawing"), {
+		roundPhase: "drawing",
+		roundRemainingTime: 80,
+		roundPhaseEndTime: new Date(START + 80 * 1000),
+	});
+
+	advance(2500);
+	assert.deepEqual(machine.phaseUpdates(room, "choosing_word", 30), {
+		roundPhase: "choosing_word",
+		roundRemainingTime: 30,
+		roundPhaseEndTime: new Date(START + 2500 + 30 * 1000),
+	});
+});
+
+test("phaseUpdates of an untimed phase only sets roundPhase", () => {
+	const { machine } = setup();
+	assert.deepEqual(machine.phaseUpdates(playingRoom(), "_internal_processing"), { roundPhase: "_internal_processing" });
+	assert.deepEqual(machine.phaseUpdates(playingRoom(), "finished"), { roundPhase: "finished" });
+});
+
+test("remainingSeconds counts down with the clock", () => {
+	const { machine, advance } = setup();
+	const room = playingRoom(machine.phaseUpdates(playingRoom(), "drawing"));
+	assert.equal(machine.remainingSeconds(room), 80);
+	advance(10_400);
+	assert.equal(machine.remainingSeconds(room), 70);
+	advance(100_000);
+	assert.equal(machine.remainingSeconds(room), 0);
+});
+
+test("runActions runs exit actions of the old phase, then entry actions of the new one", async () => {
+	const calls = [];
+	const record = (name) => (room, transition) => calls.push([name, transition.from, transition.to]);
+	const { machine } = setup({
+		actions: {
+			schedulePhaseEnd: record("schedulePhaseEnd"),
+			cancelPhaseEnd: record("cancelPhaseEnd"),
+			scheduleHint: record("scheduleHint"),
+			cancelHint: record("cancelHint"),
+		},
+	});
+
+	await machine.runActions(playingRoom(), "choosing_word", "drawing");
+	await machine.runActions(playingRoom(), "drawing", "reveal");
+
+	assert.deepEqual(calls, [
+		["cancelPhaseEnd", "choosing_word", "drawing"],
+		["schedulePhaseEnd", "choosing_word", "drawing"],
+		["scheduleHint", "choosing_word", "drawing"],
+		["cancelPhaseEnd", "drawing", "reveal"],
+		["cancelHint", "drawing", "reveal"],
+		["schedulePhaseEnd", "drawing", "reveal"],
+	]);
+});
+
+test("runActions logs a failing or missing action and still runs the rest", async () => {
+	const calls = [];
+	const { machine, logged } = setup({
+		actions: {
+			cancelPhaseEnd: () => {
+				throw new Error("job store down");
+			},
+			schedulePhaseEnd: async () => calls.push("schedulePhaseEnd"),
+		},
+	});
+
+	await machine.runActions(playingRoom(), "choosing_word", "drawing");
+
+	assert.deepEqual(calls, ["schedulePhaseEnd"]);
+	assert.equal(logged.error.length, 1);
+	assert.match(logged.error[0], /action cancelPhaseEnd failed \(choosing_word -> drawing\)/);
+	assert.deepEqual(logged.warn, ['[PHASE] no action "scheduleHint" (choosing_word -> drawing)']);
+});
+
+test("phaseOf maps rooms without a round phase to lobby and ended rooms to finished", () => {
+	assert.equal(phaseOf(playingRoom()), "lobby");
+	assert.equal(phaseOf(playingRoom({ roundPhase: "drawing" })), "drawing");
+	assert.equal(phaseOf(playingRoom({ status: "finished", roundPhase: "reveal" })), "finished");
+	assert.equal(phaseOf(null), null);
+});
+
+test("allows only the client actions a phase accepts", () => {
+	assert.equal(allows(playingRoom({ roundPhase: "drawing" }), "submit_guess"), true);
+	assert.equal(allows(playingRoom({ roundPhase: "choosing_word" }), "submit_guess"), false);
+	assert.equal(allows(playingRoom({ roundPhase: "choosing_word" }), "choose_word"), true);
+	assert.equal(allows(playingRoom(), "drawing_data"), false);
+});
+
+test("each phase lists the events it emits", () => {
+	const emits = Object.fromEntries(Object.entries(PHASES).map(([phase, def]) => [phase, def.emits || []]));
+	assert.deepEqual(emits, {
+		lobby: ["game_started"],
+		selecting_drawer: ["phase_change", "drawer_selected"],
+		choosing_word: ["phase_change", "word_options", "drawer_skipped"],
+		drawing: ["phase_change", "word_hint", "drawing_data", "correct_guess", "score_update"],
+		reveal: ["phase_change", "score_update"],
+		interval: ["phase_change", "clear_chat"],
+		_internal_processing: [],
+		interval_ending: [],
+		finished: ["game_ended", "game_ended_insufficient_players"],
+	});
+	for (const phase of Object.keys(PHASES)) {
+		if (PHASES[phase].timed) assert.ok(emits[phase].includes("phase_change"), `${phase} announces itself`);
+	}
+});
+
+test("server-only events are never accepted from clients", () => {
+	const relayed = ["drawing_data"]; // the drawer's strokes go out under the event they came in on
+	for (const [phase, def] of Object.entries(PHASES)) {
+		for (const action of def.accepts || []) {
+			const emitted = Object.values(PHASES).some((d) => d.emits?.includes(action));
+			assert.ok(!emitted || relayed.includes(action), `${phase} accepts server event ${action}`);
+		}
+	}
+	assert.equal(allows(playingRoom({ roundPhase: "drawing" }), "word_hint"), false);
+});
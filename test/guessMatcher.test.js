@@ -0,0 +1,36 @@
+// Near-miss detection and answer redaction
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { isCloseGuess, redactAnswer } = require("../utils/guessMatcher");
+
+test("isCloseGuess accepts typos and folding differences but not the exact word", () => {
+  assert.equal(isCloseGuess("elefant", "elephant"), true);
+  assert.equal(isCloseGuess("ice-cream", "ice cream"), true);
+  assert.equal(isCloseGuess("car", "cat"), true);
+  assert.equal(isCloseGuess("cat", "cat"), false);
+  assert.equal(isCloseGuess("dog", "cat"), false);
+});
+
+test("broadcast guesses mask near misses of the answer", () => {
+  assert.deepEqual(redactAnswer("car", "cat"), { text: "***", redacted: true });
+  assert.deepEqual(redactAnswer("is it an elefant", "elephant"), { text: "is it an *******", redacted: true });
+});
+
+test("chat leaves near misses of a short answer alone", () => {
+  const chat = (text, word) => redactAnswer(text, word, { nearMisses: false });
+  assert.deepEqual(chat("my car is red", "cat"), { text: "my car is red", redacted: false });
+  assert.deepEqual(chat("the bat", "cat"), { text: "the bat", redacted: false });
+  assert.deepEqual(chat("concatenate", "cat"), { text: "concatenate", redacted: false });
+});
+
+test("chat still masks a short answer typed, folded or as a plural", () => {
+  const chat = (text, word) => redactAnswer(text, word, { nearMisses: false });
+  assert.deepEqual(chat("it is a Cat!", "cat"), { text: "it is a ****", redacted: true });
+  assert.deepEqual(chat("two cats", "cat"), { text: "two ****", redacted: true });
+  assert.deepEqual(chat("boxes", "box"), { text: "*****", redacted: true });
+  assert.deepEqual(chat("i love ice cream", "icecream"), { text: "i love *** *****", redacted: true });
+});
+
+test("chat keeps near-miss masking for longer answers", () => {
+  assert.deepEqual(redactAnswer("an elefant", "elephant", { nearMisses: false }), { text: "an *******", redacted: true });
+});
@@ -0,0 +1,181 @@
+/**
+ * Achievements: a fixed catalog, unlocked once per user from game events (submit_guess, endDrawingPhase, endGame)
+ * and the daily login streak. An unlock is stored with its timestamp, pays its optional coin reward through the
+ * wallet in the same transaction, and is pushed live to the player as achievement_unlocked.
+ * Achievements never break gameplay: everything here logs and swallows its own errors.
+ */
+const { UserAchievement, User, sequelize } = require("../models");
+const { credit } = require("./wallet");
+const { emitToUser } = require("../sockets/userSocketMap");
+
+const GUESS_STREAK_TARGET = 10;
+const LOGIN_STREAK_TARGET = 7;
+// "Everyone guessed" needs at least this many guessers so a 2-player room does not hand it out every turn
+const CROWD_MIN_GUESSERS = 2;
+
+const ACHIEVEMENTS = {
+  first_win: {
+    title: "First Victory",
+    description: "Win your first game",
+    coins: 500,
+  },
+  guess_streak_10: {
+    title: "On Fire",
+    description: `Guess the word ${GUESS_STREAK_TARGET} turns in a row`,
+    coins: 1000,
+  },
+  everyone_guessed: {
+    title: "Crowd Pleaser",
+    description: "Draw a word that every other player guessed",
+    coins: 300,
+  },
+  login_streak_7: {
+    title: "Dedicated",
+    description: `Claim the daily bonus ${LOGIN_STREAK_TARGET} days in a row`,
+    coins: 1000,
+  },
+  team_mvp: {
+    title: "Team MVP",
+    description: "Score the most guesses for the winning team",
+    coins: 500,
+  },
+};
+
+function formatAchievement(key, row) {
+  const def = ACHIEVEMENTS[key];
+  return {
+    key,
+    title: def.title,
+    description: def.description,
+    coins: def.coins,
+    unlocked: !!row,
+    unlockedAt: row?.unlockedAt ?? null,
+    coinsAwarded: row?.coinsAwarded ?? 0,
+  };
+}
+
+/**
+ * Unlock one achievement for a user (no-op if already unlocked) and tell their socket.
+ * @param {object|null} io - Socket.io server (null: store only)
+ * @param {number} userId
+ * @param {string} key - ACHIEVEMENTS key
+ * @param {{ roomId?: number }} [context]
+ * @returns {Promise<boolean>} true if newly unlocked
+ */
+async function unlock(io, userId, key, { roomId = null } = {}) {
+  const def = ACHIEVEMENTS[key];
+  if (!def || !userId) return false;
+  try {
+    const row = await sequelize.transaction(async (t) => {
+      const [achievement, created] = await UserAchievement.findOrCreate({
+        where: { userId, achievementKey: key },
+        defaults: { userId, achievementKey: key, unlockedAt: new Date(), coinsAwarded: def.coins, roomId },
+        transaction: t,
+      });
+      if (!created) return null;
+      if (def.coins > 0) {
+        await credit(userId, def.coins, `achievement_${key}`, {
+          transaction: t,
+          idempotencyKey: `achievement:${key}:${userId}`,
+        });
+      }
+      return achievement;
+    });
+    if (!row) return false;
+
+    console.log(`🏅 User ${userId} unlocked ${key}`);
+    emitToUser(io, userId, "achievement_unlocked", formatAchievement(key, row));
+    return true;
+  } catch (err) {
+    console.error(`Achievement ${key} error:`, err?.message ?? err);
+    return false;
+  }
+}
+
+/**
+ * After a correct guess counted for the guesser.
+ * @param {object|null} stat - PlayerStat returned by playerStats.recordCorrectGuess
+ */
+async function onCorrectGuess(io, room, userId, stat) {
+  if (stat && stat.currentGuessStreak >= GUESS_STREAK_TARGET) {
+    await unlock(io, userId, "guess_streak_10", { roomId: room.id });
+  }
+}
+
+/**
+ * After a drawing turn reached reveal.
+ * @param {{ drawerId: number, eligibleGuessers: number, guessedCount: number, gameMode: string }} turn
+ */
+async function onDrawingTurn(io, room, { drawerId, eligibleGuessers, guessedCount, gameMode }) {
+  // Team turns end at the first correct guess, so "everyone guessed" only means something in free-for-all games
+  if (!drawerId || gameMode === "team_vs_team") return;
+  if (eligibleGuessers >= CROWD_MIN_GUESSERS && guessedCount >= eligibleGuessers) {
+    await unlock(io, drawerId, "everyone_guessed", { roomId: room.id });
+  }
+}
+
+/**
+ * After a game ended.
+ * @param {Array<{ userId: number, place: number, team?: string|null }>} rankings - as emitted in game_ended
+ * @param {Array<object>} participants - RoomParticipant rows of the game (for correctGuessCount)
+ */
+async function onGameEnded(io, room, rankings, participants) {
+  try {
+    for (const entry of rankings || []) {
+      if (entry.place === 1) await unlock(io, entry.userId, "first_win", { roomId: room.id });
+    }
+
+    if (room.gameMode === "team_vs_team") {
+      const winners = new Set((rankings || []).filter((r) => r.place === 1).map((r) => String(r.userId)));
+      const winningMembers = (participants || []).filter((p) => winners.has(String(p.userId)));
+      const best = Math.max(0, ...winningMembers.map((p) => p.correctGuessCount || 0));
+      if (best > 0) {
+        for (const p of winningMembers.filter((m) => m.correctGuessCount === best)) {
+          await unlock(io, p.userId, "team_mvp", { roomId: room.id });
+        }
+      }
+    }
+
+    const users = await User.findAll({
+      where: { id: (rankings || []).map((r) => r.userId) },
+      attributes: ["id", "dailyLoginStreak"],
+    });
+    for (const user of users) await onLoginStreak(io, user);
+  } catch (err) {
+    console.error("Achievements (game) error:", err?.message ?? err);
+  }
+}
+
+/**
+ * After the daily bonus updated a user's dailyLoginStreak.
+ * @returns {Promise<boolean>} true if newly unlocked
+ */
+async function onLoginStreak(io, user) {
+  if (!user || user.dailyLoginStreak < LOGIN_STREAK_TARGET) return false;
+  return unlock(io, user.id, "login_streak_7");
+}
+
+/**
+ * Every achievement in the catalog with the user's unlock state.
+ * @returns {Promise<{ unlocked: number, total: number, achievements: Array<object> }>}
+ */
+async function getUserAchievements(userId) {
+  const rows = await UserAchievement.findAll({ where: { userId } });
+  const byKey = new Map(rows.map((row) => [row.achievementKey, row]));
+  const achievements = Object.keys(ACHIEVEMENTS).map((key) => formatAchievement(key, byKey.get(key)));
+  return {
+    unlocked: achievements.filter((a) => a.unlocked).length,
+    total: achievements.length,
+    achievements,
+  };
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  unlock,
+  onCorrectGuess,
+  onDrawingTurn,
+  onGameEnded,
+  onLoginStreak,
+  getUserAchievements,
+};
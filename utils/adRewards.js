@@ -0,0 +1,165 @@
+/**
+ * Verified rewarded ads. The ad network calls GET /api/ads/callback server-to-server after a completed view,
+ * signed with HMAC-SHA256 over the sorted query parameters (everything except signature) using AD_CALLBACK_SECRET.
+ * A verified callback is stored once per transaction id; the player then redeems it with
+ * POST /api/users/claim-ad-reward { transactionId }, at most AD_REWARD_DAILY_CAP times per UTC day.
+ */
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const { AdRewardCallback, User, sequelize } = require("../models");
+const { credit } = require("./wallet");
+
+const AD_REWARD_COINS = 1000;
+const DAILY_CAP = Number(process.env.AD_REWARD_DAILY_CAP) || 10;
+// Callbacks signed longer ago than this (or this far in the future) are refused as replays
+const MAX_CALLBACK_AGE_SECONDS = Number(process.env.AD_CALLBACK_MAX_AGE_SECONDS) || 3600;
+
+class AdRewardError extends Error {
+  /**
+   * @param {string} code - snake_case error code for API responses
+   * @param {number} status - HTTP status
+   * @param {string} message
+   */
+  constructor(code, status, message) {
+    super(message);
+    this.name = "AdRewardError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function callbackSecret() {
+  return process.env.AD_CALLBACK_SECRET || null;
+}
+
+/** Canonical string that gets signed: sorted key=value pairs joined by &, signature excluded. */
+function canonicalPayload(params) {
+  return Object.keys(params)
+    .filter((key) => key !== "signature" && params[key] !== undefined)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join("&");
+}
+
+/**
+ * Hex HMAC-SHA256 signature for callback params (used by the ad network, and by scripts/signAdCallback.js locally).
+ * @param {object} params - { user_id, transaction_id, timestamp, ad_type? }
+ * @param {string} secret
+ */
+function signCallback(params, secret) {
+  return crypto.createHmac("sha256", secret).update(canonicalPayload(params)).digest("hex");
+}
+
+function signatureMatches(params, secret) {
+  const given = Buffer.from(String(params.signature || ""), "hex");
+  const expected = Buffer.from(signCallback(params, secret), "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function startOfUtcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Verify and store one ad network callback. Repeats of a stored transaction id are accepted without a new row,
+ * so network retries are harmless.
+ * @param {object} params - query params: user_id, transaction_id, timestamp (unix seconds), ad_type, signature
+ * @returns {Promise<{ transactionId: string, duplicate: boolean }>}
+ * @throws {AdRewardError}
+ */
+async function recordCallback(params) {
+  const secret = callbackSecret();
+  if (!secret) throw new AdRewardError("ad_callbacks_disabled", 503, "AD_CALLBACK_SECRET is not configured");
+
+  const transactionId = String(params.transaction_id || "").trim();
+  const userId = Number(params.user_id);
+  const timestamp = Number(params.timestamp);
+  if (!transactionId || transactionId.length > 128 || !Number.isInteger(userId) || !Number.isFinite(timestamp)) {
+    throw new AdRewardError("invalid_callback", 400, "user_id, transaction_id and timestamp are required");
+  }
+  if (!signatureMatches(params, secret)) {
+    throw new AdRewardError("invalid_signature", 403, "Callback signature does not match");
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > MAX_CALLBACK_AGE_SECONDS) {
+    throw new AdRewardError("callback_expired", 403, "Callback timestamp is outside the accepted window");
+  }
+
+  const existing = await AdRewardCallback.findOne({ where: { transactionId } });
+  if (existing) {
+    if (String(existing.userId) !== String(userId)) {
+      throw new AdRewardError("transaction_conflict", 409, "Transaction id already used for another user");
+    }
+    return { transactionId, duplicate: true };
+  }
+
+  const user = await User.findByPk(userId, { attributes: ["id"] });
+  if (!user) throw new AdRewardError("user_not_found", 404, `User ${userId} not found`);
+
+  const [, created] = await AdRewardCallback.findOrCreate({
+    where: { transactionId },
+    defaults: {
+      transactionId,
+      userId,
+      adType: params.ad_type ? String(params.ad_type).slice(0, 32) : null,
+      signedAt: new Date(timestamp * 1000),
+    },
+  });
+  return { transactionId, duplicate: !created };
+}
+
+/**
+ * Redeem a verified callback for its owner. Claiming the same transaction again returns duplicate: true.
+ * @param {number} userId
+ * @param {string} transactionId
+ * @returns {Promise<{ coinsAwarded: number, balance: number, duplicate: boolean, claimedToday: number }>}
+ * @throws {AdRewardError} ad_reward_not_verified | ad_reward_daily_cap
+ */
+async function claimReward(userId, transactionId) {
+  return sequelize.transaction(async (t) => {
+    // Lock the user first so parallel claims count today's rewards one at a time
+    const user = await User.findByPk(userId, { transaction: t, lock: t.LOCK.UPDATE });
+    const callback = await AdRewardCallback.findOne({
+      where: { transactionId: String(transactionId || "") },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!user || !callback || String(callback.userId) !== String(userId)) {
+      throw new AdRewardError("ad_reward_not_verified", 403, "No verified ad view for this transaction");
+    }
+
+    const claimedToday = await AdRewardCallback.count({
+      where: { userId, claimedAt: { [Op.gte]: startOfUtcDay() } },
+      transaction: t,
+    });
+    if (callback.claimedAt) {
+      return { coinsAwarded: 0, balance: user.coins, duplicate: true, claimedToday };
+    }
+    if (claimedToday >= DAILY_CAP) {
+      throw new AdRewardError("ad_reward_daily_cap", 429, `Ad rewards are limited to ${DAILY_CAP} per day`);
+    }
+
+    const { entry, balance } = await credit(userId, AD_REWARD_COINS, `ad_reward_${callback.adType || "unknown"}`, {
+      transaction: t,
+      idempotencyKey: `ad_reward:${callback.transactionId}`,
+    });
+    await callback.update(
+      { claimedAt: new Date(), coinsAwarded: AD_REWARD_COINS, coinTransactionId: entry.id },
+      { transaction: t },
+    );
+    return { coinsAwarded: AD_REWARD_COINS, balance, duplicate: false, claimedToday: claimedToday + 1 };
+  });
+}
+
+function isAdRewardError(err) {
+  return err instanceof AdRewardError;
+}
+
+module.exports = {
+  AD_REWARD_COINS,
+  DAILY_CAP,
+  AdRewardError,
+  signCallback,
+  recordCallback,
+  claimReward,
+  isAdRewardError,
+};
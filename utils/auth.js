@@ -2,6 +2,7 @@ const jwt = require("jsonwebtoken");
 require("dotenv").config();
 const secret = process.env.JWT_SECRET || "change_this_secret";
 const { Token, User } = require("../models");
+const { getSuspendedUntil } = require("./moderation");
 
 function sign(userId) {
   return jwt.sign({ id: userId }, secret, { expiresIn: "30d" });
@@ -16,7 +17,15 @@ function verify(token) {
   }
 }
 
-async function authMiddleware(req, res, next) {
+/**
+ * @param {{ allowSuspended?: boolean }} [options] - allowSuspended: let suspended accounts through
+ *   (only for the routes they need to see and appeal their suspension)
+ */
+function createAuthMiddleware({ allowSuspended = false } = {}) {
+  return (req, res, next) => authenticate(req, res, next, allowSuspended);
+}
+
+async function authenticate(req, res, next, allowSuspended) {
   const h = req.headers.authorization;
   if (!h)
     return res.status(401).json({ error: "Missing Authorization header" });
@@ -47,9 +56,22 @@ async function authMiddleware(req, res, next) {
     return res.status(401).json({ error: "Token expired" });
   }
   let user = await User.findByPk(payload.id);
+  if (user && !allowSuspended) {
+    const suspendedUntil = await getSuspendedUntil(user.id);
+    if (suspendedUntil) {
+      return res.status(403).json({
+        error: "account_suspended",
+        message: "Your account is suspended",
+        suspendedUntil,
+      });
+    }
+  }
   req.user = user;
   req.token = tokenString;
   next();
 }
 
-module.exports = { sign, verify, authMiddleware };
+const authMiddleware = createAuthMiddleware();
+const authMiddlewareAllowSuspended = createAuthMiddleware({ allowSuspended: true });
+
+module.exports = { sign, verify, authMiddleware, authMiddlewareAllowSuspended };
@@ -0,0 +1,140 @@
+/**
+ * Per-user block list that holds across every room (unlike RoomParticipant.bannedAt, which is one room only).
+ * A block is one-way for visibility: the blocker stops receiving the blocked player's chat and guesses.
+ * For matching it works both ways: play-random, public joins and matchmaking never seat a blocked pair together.
+ * Blocking also ends any friendship and pending room invites between the two.
+ */
+const { Op } = require("sequelize");
+const { UserBlock, User, Friendship, RoomInvite } = require("../models");
+const { getSocketIdForUser } = require("../sockets/userSocketMap");
+const { FriendsError } = require("./friends");
+
+const MAX_BLOCKS = Number(process.env.MAX_BLOCKS) || 500;
+
+/**
+ * @returns {Promise<{ created: boolean }>}
+ * @throws {FriendsError} invalid_user | not_found | block_limit_reached
+ */
+async function blockUser(blockerId, blockedId) {
+  const targetId = Number(blockedId);
+  if (!Number.isInteger(targetId) || targetId === Number(blockerId)) {
+    throw new FriendsError("invalid_user", 400, "Choose another player to block");
+  }
+  const target = await User.findByPk(targetId, { attributes: ["id"] });
+  if (!target) throw new FriendsError("not_found", 404, "User not found");
+
+  const count = await UserBlock.count({ where: { blockerId } });
+  if (count >= MAX_BLOCKS) {
+    throw new FriendsError("block_limit_reached", 400, `You can block at most ${MAX_BLOCKS} players`);
+  }
+
+  const [, created] = await UserBlock.findOrCreate({
+    where: { blockerId, blockedId: targetId },
+    defaults: { blockerId, blockedId: targetId },
+  });
+  const pair = {
+    [Op.or]: [
+      { requesterId: blockerId, addresseeId: targetId },
+      { requesterId: targetId, addresseeId: blockerId },
+    ],
+  };
+  await Friendship.destroy({ where: pair });
+  await RoomInvite.update(
+    { status: "declined", respondedAt: new Date() },
+    {
+      where: {
+        status: "pending",
+        [Op.or]: [
+          { fromUserId: blockerId, toUserId: targetId },
+          { fromUserId: targetId, toUserId: blockerId },
+        ],
+      },
+    },
+  );
+  return { created };
+}
+
+/** @returns {Promise<boolean>} false if the user was not blocked */
+async function unblockUser(blockerId, blockedId) {
+  const removed = await UserBlock.destroy({ where: { blockerId, blockedId } });
+  return removed > 0;
+}
+
+/** Players a user has blocked, newest first. */
+async function listBlocked(blockerId) {
+  const rows = await UserBlock.findAll({
+    where: { blockerId },
+    include: [{ model: User, as: "blocked", attributes: ["id", "name", "avatar"] }],
+    order: [["createdAt", "DESC"]],
+  });
+  return rows.map((row) => ({
+    userId: row.blockedId,
+    name: row.blocked?.name || "Guest",
+    avatar: row.blocked?.avatar || null,
+    blockedAt: row.createdAt,
+  }));
+}
+
+/** @returns {Promise<boolean>} true if either user blocked the other */
+async function isBlockedEitherWay(a, b) {
+  const row = await UserBlock.findOne({
+    where: {
+      [Op.or]: [
+        { blockerId: a, blockedId: b },
+        { blockerId: b, blockedId: a },
+      ],
+    },
+    attributes: ["id"],
+  });
+  return !!row;
+}
+
+/**
+ * Everyone each of the given users must not be matched with (blocked by them, or blocking them).
+ * @param {Array<number>} userIds
+ * @returns {Promise<Map<string, Set<string>>>} userId -> ids to avoid (users without blocks are absent)
+ */
+async function getAvoidMap(userIds) {
+  const avoid = new Map();
+  if (userIds.length === 0) return avoid;
+  const rows = await UserBlock.findAll({
+    where: { [Op.or]: [{ blockerId: userIds }, { blockedId: userIds }] },
+    attributes: ["blockerId", "blockedId"],
+  });
+  const add = (from, to) => {
+    const key = String(from);
+    if (!avoid.has(key)) avoid.set(key, new Set());
+    avoid.get(key).add(String(to));
+  };
+  for (const row of rows) {
+    add(row.blockerId, row.blockedId);
+    add(row.blockedId, row.blockerId);
+  }
+  return avoid;
+}
+
+/** @returns {Promise<Set<string>>} ids one user must not be matched with */
+async function getAvoidIds(userId) {
+  return (await getAvoidMap([userId])).get(String(userId)) || new Set();
+}
+
+/**
+ * Live sockets of users who blocked the sender, for io.to(room).except(...) when broadcasting the sender's
+ * chat or guesses.
+ * @returns {Promise<Array<string>>}
+ */
+async function getBlockerSocketIds(senderId) {
+  if (!senderId) return [];
+  const rows = await UserBlock.findAll({ where: { blockedId: senderId }, attributes: ["blockerId"] });
+  return rows.map((row) => getSocketIdForUser(Number(row.blockerId))).filter(Boolean);
+}
+
+module.exports = {
+  blockUser,
+  unblockUser,
+  listBlocked,
+  isBlockedEitherWay,
+  getAvoidMap,
+  getAvoidIds,
+  getBlockerSocketIds,
+};
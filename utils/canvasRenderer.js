@@ -0,0 +1,320 @@
+/**
+ * Render a round's final canvas from its persisted replay events to SVG or PNG (pure JS, no native deps).
+ * Only strokes of the last canvasVersion are drawn: everything before the last clear_canvas is dropped.
+ *
+ * Strokes are whatever the drawer's client sent in drawing_data. Accepted shapes per stroke:
+ *   { points | offsets | path: [{ x, y } | { dx, dy } | [x, y] | null], color | paintColor, strokeWidth | width | size, isEraser | tool }
+ * null points split a stroke into separate segments. Colors may be "#RRGGBB", "#AARRGGBB" or an ARGB int.
+ * Coordinates in 0..1 are treated as normalized to the output size.
+ */
+const zlib = require("zlib");
+
+const DEFAULT_SIZE = 800;
+const MAX_SIZE = 2048;
+const DEFAULT_STROKE_WIDTH = 4;
+const MAX_STROKE_WIDTH = 64;
+// Brush pixels one PNG render may touch; denser drawings are stamped at a coarser step (rendering blocks the event loop)
+const MAX_STAMP_PIXELS = 20 * 1000 * 1000;
+const BACKGROUND = { r: 255, g: 255, b: 255 };
+
+function clampSize(value, fallback) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(n, MAX_SIZE);
+}
+
+function parseColor(raw) {
+  if (typeof raw === "number" && Number.isFinite(raw)) {
+    // Flutter Color.value: 0xAARRGGBB
+    return { r: (raw >> 16) & 0xff, g: (raw >> 8) & 0xff, b: raw & 0xff };
+  }
+  if (typeof raw === "string") {
+    let hex = raw.trim().replace(/^#/, "").replace(/^0x/i, "");
+    if (hex.length === 8) hex = hex.slice(2); // drop alpha
+    if (hex.length === 3) hex = hex.split("").map((c) => c + c).join("");
+    if (/^[0-9a-f]{6}$/i.test(hex)) {
+      const n = parseInt(hex, 16);
+      return { r: (n >> 16) & 0xff, g: (n >> 8) & 0xff, b: n & 0xff };
+    }
+  }
+  return { r: 0, g: 0, b: 0 };
+}
+
+function parsePoint(p) {
+  if (p == null) return null;
+  if (Array.isArray(p)) {
+    const [x, y] = p;
+    return Number.isFinite(Number(x)) && Number.isFinite(Number(y)) ? { x: Number(x), y: Number(y) } : null;
+  }
+  const x = p.x ?? p.dx;
+  const y = p.y ?? p.dy;
+  return Number.isFinite(Number(x)) && Number.isFinite(Number(y)) ? { x: Number(x), y: Number(y) } : null;
+}
+
+/** Normalize one raw stroke into polylines: [{ color, width, points: [{x,y}] }] */
+function normalizeStroke(raw) {
+  if (!raw || typeof raw !== "object") return [];
+  const rawPoints = raw.points || raw.offsets || raw.path || [];
+  if (!Array.isArray(rawPoints)) return [];
+  const isEraser = raw.isEraser === true || raw.tool === "eraser";
+  const color = isEraser ? BACKGROUND : parseColor(raw.color ?? raw.paintColor);
+  const width = Math.min(MAX_STROKE_WIDTH, Math.max(1, Number(raw.strokeWidth ?? raw.width ?? raw.size) || DEFAULT_STROKE_WIDTH));
+
+  const lines = [];
+  let current = [];
+  for (const p of rawPoints) {
+    const point = parsePoint(p);
+    if (!point) {
+      if (current.length) lines.push(current);
+      current = [];
+      continue;
+    }
+    current.push(point);
+  }
+  if (current.length) lines.push(current);
+  return lines.map((points) => ({ color, width, points }));
+}
+
+/**
+ * Reduce replay events to the polylines visible on the final canvas.
+ * @param {Array<{ type: string, data: object }>} events - RoundReplay.events
+ * @returns {Array<{ color: object, width: number, points: Array<{x:number,y:number}> }>}
+ */
+function finalCanvasStrokes(events) {
+  if (!Array.isArray(events)) return [];
+  let finalVersion = 0;
+  for (const e of events) {
+    if (e.type === "stroke" || e.type === "clear_canvas") {
+      finalVersion = Math.max(finalVersion, Number(e.data?.canvasVersion) || 0);
+    }
+  }
+  // Drop anything before the last clear (the version check alone misses a clear that kept the same version)
+  let lastClearIdx = -1;
+  events.forEach((e, i) => {
+    if (e.type === "clear_canvas") lastClearIdx = i;
+  });
+
+  const batches = events
+    .filter((e, i) => e.type === "stroke" && i > lastClearIdx && (Number(e.data?.canvasVersion) || 0) === finalVersion)
+    .map((e) => e.data)
+    .sort((a, b) => (Number(a.sequence) || 0) - (Number(b.sequence) || 0));
+
+  const lines = [];
+  for (const batch of batches) {
+    const strokes = Array.isArray(batch.strokes) ? batch.strokes : [batch.strokes];
+    for (const stroke of strokes) lines.push(...normalizeStroke(stroke));
+  }
+  return lines;
+}
+
+/** Map stroke coordinates onto a width x height canvas (scales normalized 0..1 coordinates). */
+function fitToCanvas(lines, width, height) {
+  let maxCoord = 0;
+  for (const line of lines) {
+    for (const p of line.points) maxCoord = Math.max(maxCoord, Math.abs(p.x), Math.abs(p.y));
+  }
+  const normalized = maxCoord > 0 && maxCoord <= 1.5;
+  if (!normalized) return lines;
+  return lines.map((line) => ({
+    ...line,
+    points: line.points.map((p) => ({ x: p.x * width, y: p.y * height })),
+  }));
+}
+
+function toHex({ r, g, b }) {
+  return "#" + [r, g, b].map((v) => v.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * @param {Array} events - RoundReplay.events
+ * @param {{ width?: number, height?: number }} [options]
+ * @returns {string} SVG document
+ */
+function renderSvg(events, options = {}) {
+  const width = clampSize(options.width, DEFAULT_SIZE);
+  const height = clampSize(options.height, DEFAULT_SIZE);
+  const lines = fitToCanvas(finalCanvasStrokes(events), width, height);
+
+  const paths = lines.map((line) => {
+    const [first, ...rest] = line.points;
+    const d = rest.length
+      ? `M${first.x.toFixed(1)} ${first.y.toFixed(1)}` + rest.map((p) => ` L${p.x.toFixed(1)} ${p.y.toFixed(1)}`).join("")
+      : `M${first.x.toFixed(1)} ${first.y.toFixed(1)} l0.01 0`; // single tap = dot
+    return `<path d="${d}" stroke="${toHex(line.color)}" stroke-width="${line.width}" fill="none" stroke-linecap="round" stroke-linejoin="round"/>`;
+  });
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="100%" height="100%" fill="${toHex(BACKGROUND)}"/>` +
+    paths.join("") +
+    `</svg>`
+  );
+}
+
+// --- PNG rasterizer: round brush stamped along each segment ---
+
+function stampDisc(pixels, width, height, cx, cy, radius, color) {
+  const r = Math.max(0.5, radius);
+  const minX = Math.max(0, Math.floor(cx - r));
+  const maxX = Math.min(width - 1, Math.ceil(cx + r));
+  const minY = Math.max(0, Math.floor(cy - r));
+  const maxY = Math.min(height - 1, Math.ceil(cy + r));
+  const r2 = r * r;
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const dx = x + 0.5 - cx;
+      const dy = y + 0.5 - cy;
+      if (dx * dx + dy * dy <= r2) {
+        const idx = (y * width + x) * 3;
+        pixels[idx] = color.r;
+        pixels[idx + 1] = color.g;
+        pixels[idx + 2] = color.b;
+      }
+    }
+  }
+}
+
+/** Clip segment a-b to the box (Liang-Barsky); null when it misses the box entirely. */
+function clipSegment(a, b, minX, minY, maxX, maxY) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  let t0 = 0;
+  let t1 = 1;
+  for (const [p, q] of [
+    [-dx, a.x - minX],
+    [dx, maxX - a.x],
+    [-dy, a.y - minY],
+    [dy, maxY - a.y],
+  ]) {
+    if (p === 0) {
+      if (q < 0) return null; // parallel to this edge and outside it
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > t1) return null;
+      t0 = Math.max(t0, t);
+    } else {
+      if (t < t0) return null;
+      t1 = Math.min(t1, t);
+    }
+  }
+  return { from: { x: a.x + dx * t0, y: a.y + dy * t0 }, to: { x: a.x + dx * t1, y: a.y + dy * t1 } };
+}
+
+function rasterize(lines, width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels[i] = BACKGROUND.r;
+    pixels[i + 1] = BACKGROUND.g;
+    pixels[i + 2] = BACKGROUND.b;
+  }
+
+  // Only the parts of segments that can touch the canvas are stamped, so far-off coordinates cost nothing
+  const segments = [];
+  let cost = 0;
+  for (const line of lines) {
+    const radius = line.width / 2;
+    const step = Math.max(0.5, radius / 2);
+    const stampPixels = (2 * radius + 1) ** 2;
+    const points = line.points;
+    for (let i = 0; i < Math.max(1, points.length - 1); i++) {
+      const clipped = clipSegment(
+        points[i],
+        points[i + 1] || points[i], // single point = dot
+        -radius,
+        -radius,
+        width + radius,
+        height + radius,
+      );
+      if (!clipped) continue;
+      const steps = Math.ceil(Math.hypot(clipped.to.x - clipped.from.x, clipped.to.y - clipped.from.y) / step);
+      segments.push({ ...clipped, steps, radius, color: line.color });
+      cost += (steps + 1) * stampPixels;
+    }
+  }
+
+  // Over budget: spread fewer stamps evenly over all segments (the remainder carries over, so tiny segments still add up)
+  const thinning = Math.max(1, cost / MAX_STAMP_PIXELS);
+  let carry = 0;
+  for (const { from, to, steps, radius, color } of segments) {
+    carry += (steps + 1) / thinning;
+    const stamps = Math.floor(carry);
+    carry -= stamps;
+    for (let s = 0; s < stamps; s++) {
+      const t = stamps > 1 ? s / (stamps - 1) : 0;
+      stampDisc(pixels, width, height, from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, radius, color);
+    }
+  }
+  return pixels;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length, 0);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData), 0);
+  return Buffer.concat([len, typeAndData, crc]);
+}
+
+/** Encode 8-bit RGB pixels as PNG (filter type 0 per scanline, zlib-deflated IDAT). */
+function encodePng(pixels, width, height) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // color type: truecolor RGB
+  ihdr[10] = 0; // compression
+  ihdr[11] = 0; // filter
+  ihdr[12] = 0; // interlace
+
+  const rowLen = width * 3;
+  const raw = Buffer.alloc((rowLen + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (rowLen + 1)] = 0;
+    pixels.copy(raw, y * (rowLen + 1) + 1, y * rowLen, (y + 1) * rowLen);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * @param {Array} events - RoundReplay.events
+ * @param {{ width?: number, height?: number }} [options]
+ * @returns {Buffer} PNG image
+ */
+function renderPng(events, options = {}) {
+  const width = clampSize(options.width, DEFAULT_SIZE);
+  const height = clampSize(options.height, DEFAULT_SIZE);
+  const lines = fitToCanvas(finalCanvasStrokes(events), width, height);
+  return encodePng(rasterize(lines, width, height), width, height);
+}
+
+module.exports = {
+  finalCanvasStrokes,
+  renderSvg,
+  renderPng,
+};
@@ -1,20 +1,23 @@
 const { Room, RoomParticipant } = require("../models");
 const { clearRoomCache } = require("./roomCache");
+const strokeLog = require("../sockets/strokeLog");
+const roundRecorder = require("../sockets/roundRecorder");
+const { refundRoom } = require("./entryEscrow");
 
 async function deleteRoom(io, room) {
   try {
     clearRoomCache(room.id); // Invalidate cache so no stale reads after room is gone
-    const { clearRoomTimer, clearAllPhaseTimersForRoom } = require("../sockets/roundPhases");
+    strokeLog.clearRoom(room.id);
+    await roundRecorder.finishTurn(room.id, "room_closed");
+    const { cancelRoom } = require("../sockets/phaseScheduler");
     console.log(`🗑 Deleting room: ${room.code}`);
     const roomCode = room.code;
 
     // 1. Notify all remaining sockets first (so all players get "room ended" before cleanup)
     io.to(roomCode).emit("room_closed", { roomCode, message: "Host left. Room closed." });
 
-    // 2. Clear timers
-    // clearRoomTimer(`${roomCode}_phase`);
-    // clearRoomTimer(`${roomCode}_drawing`);
-    clearAllPhaseTimersForRoom(roomCode);
+    // 2. Drop the room's pending phase jobs
+    await cancelRoom(room.id);
 
     // 3. Force all sockets out
     const sockets = await io.in(roomCode).fetchSockets();
@@ -29,7 +32,10 @@ async function deleteRoom(io, room) {
       s.roomCode = null;
     }
 
-    // 4. Remove participants and room
+    // 4. Give back entry coins of a game that will never finish
+    await refundRoom(room.id, "room_closed");
+
+    // 5. Remove participants and room
     await RoomParticipant.destroy({ where: { roomId: room.id } });
     await room.destroy();
 
@@ -45,7 +51,7 @@ async function checkAndMaybeDeleteRoom(io, roomId) {
   if (!room) return;
 
   const participants = await RoomParticipant.findAll({
-    where: { roomId, isActive: true },
+    where: { roomId, isActive: true, isSpectator: false },
   });
 
   const count = participants.length;
@@ -0,0 +1,203 @@
+/**
+ * Custom word lists for private rooms: validation of an uploaded list and picking word options from it.
+ * A list arrives as an array or as newline/comma-separated text and is validated as a whole:
+ * one bad entry rejects the upload so the owner can fix it instead of silently losing words.
+ */
+const { foldForComparison, graphemes } = require("./guessMatcher");
+
+const MIN_WORDS = 5;
+const MAX_WORDS = Number(process.env.CUSTOM_WORDS_MAX) || 500;
+const MIN_WORD_LENGTH = 2;
+const MAX_WORD_LENGTH = 30;
+
+// Letters (any script, with vowel signs), digits, spaces, hyphens and apostrophes
+const ALLOWED_WORD = /^[\p{L}\p{M}\p{N}][\p{L}\p{M}\p{N} '’\-]*$/u;
+
+// Kept short on purpose; extend per deployment with PROFANITY_EXTRA="word1,word2"
+const PROFANITY = new Set(
+  [
+    "fuck",
+    "shit",
+    "bitch",
+    "bastard",
+    "cunt",
+    "dick",
+    "pussy",
+    "asshole",
+    "slut",
+    "whore",
+    "nigger",
+    "faggot",
+    "retard",
+    "chutiya",
+    "madarchod",
+    "behenchod",
+    "bhenchod",
+    "gandu",
+    "randi",
+    "lund",
+    ...(process.env.PROFANITY_EXTRA || "").split(","),
+  ]
+    .map((w) => w.trim().toLowerCase())
+    .filter(Boolean),
+);
+
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s" };
+
+function isProfane(word) {
+  const tokens = word
+    .toLowerCase()
+    .replace(/[013457@$]/g, (c) => LEET[c])
+    .split(/[\s\-'’]+/);
+  const joined = tokens.join("");
+  if (PROFANITY.has(joined)) return true;
+  // Whole tokens only: substring checks would reject harmless words like "Scunthorpe" or "cocktail"
+  return tokens.some((t) => PROFANITY.has(t));
+}
+
+/**
+ * Validate and normalize an uploaded custom word list.
+ * @param {string[]|string} input - array of words, or text with one word per line / comma-separated
+ * @returns {{ words?: string[], error?: { error: string, message: string, words?: string[] } }}
+ */
+function validateCustomWordList(input) {
+  let raw;
+  if (Array.isArray(input)) raw = input;
+  else if (typeof input === "string") raw = input.split(/[\n,]+/);
+  else return { error: { error: "invalid_custom_words", message: "customWords must be an array or newline-separated text" } };
+
+  const words = raw
+    .map((w) => (typeof w === "string" ? w.normalize("NFC").trim().replace(/\s+/g, " ") : ""))
+    .filter(Boolean);
+
+  if (words.length < MIN_WORDS || words.length > MAX_WORDS) {
+    return {
+      error: {
+        error: "invalid_custom_words_count",
+        message: `Custom list must have between ${MIN_WORDS} and ${MAX_WORDS} words (got ${words.length})`,
+      },
+    };
+  }
+
+  const badLength = words.filter((w) => {
+    const len = graphemes(w).length;
+    return len < MIN_WORD_LENGTH || len > MAX_WORD_LENGTH;
+  });
+  if (badLength.length) {
+    return {
+      error: {
+        error: "invalid_custom_word_length",
+        message: `Each word must be ${MIN_WORD_LENGTH}-${MAX_WORD_LENGTH} characters`,
+        words: badLength,
+      },
+    };
+  }
+
+  const badChars = words.filter((w) => !ALLOWED_WORD.test(w));
+  if (badChars.length) {
+    return {
+      error: {
+        error: "invalid_custom_word_characters",
+        message: "Words may only contain letters, numbers, spaces, hyphens and apostrophes",
+        words: badChars,
+      },
+    };
+  }
+
+  // Duplicates compare the way guesses do ("Ice cream" == "ice-cream")
+  const seen = new Map();
+  const duplicates = [];
+  for (const w of words) {
+    const key = foldForComparison(w);
+    if (seen.has(key)) duplicates.push(w);
+    else seen.set(key, w);
+  }
+  if (duplicates.length) {
+    return {
+      error: {
+        error: "duplicate_custom_words",
+        message: "Custom list contains duplicate words",
+        words: duplicates,
+      },
+    };
+  }
+
+  const profane = words.filter(isProfane);
+  if (profane.length) {
+    return {
+      error: {
+        error: "inappropriate_custom_words",
+        message: "Custom list contains words that are not allowed",
+        words: profane,
+      },
+    };
+  }
+
+  return { words };
+}
+
+/**
+ * Validate the custom-word settings of an update request (customWords, customWordsMix). Undefined keys are skipped;
+ * customWords: null or [] clears the list.
+ * @param {object} input - request body or socket settings
+ * @param {{ isPublic: boolean }} room - room after other settings were applied
+ * @returns {{ values: object, error?: { error: string, message: string, words?: string[] } }}
+ */
+function validateCustomWordSettings(input, room) {
+  const values = {};
+  const { customWords, customWordsMix } = input || {};
+
+  if (customWords !== undefined) {
+    if (customWords === null || (Array.isArray(customWords) && customWords.length === 0)) {
+      values.customWords = [];
+    } else {
+      if (room.isPublic) {
+        return {
+          values,
+          error: { error: "custom_words_private_only", message: "Custom word lists are only available in private rooms" },
+        };
+      }
+      const result = validateCustomWordList(customWords);
+      if (result.error) return { values, error: result.error };
+      values.customWords = result.words;
+    }
+  }
+
+  if (customWordsMix !== undefined) {
+    const mix = typeof customWordsMix === "number" ? customWordsMix : parseInt(customWordsMix, 10);
+    if (!Number.isInteger(mix) || mix < 0 || mix > 100) {
+      return {
+        values,
+        error: { error: "invalid_custom_words_mix", message: "customWordsMix must be an integer percentage between 0 and 100" },
+      };
+    }
+    values.customWordsMix = mix;
+  }
+
+  return { values };
+}
+
+/**
+ * Random words from a custom list, preferring ones not in usedWords (the list is recycled once exhausted).
+ * @param {string[]} list
+ * @param {number} count
+ * @param {string[]} [usedWords]
+ * @param {string[]} [exclude] - words already picked from another source this turn
+ * @returns {string[]}
+ */
+function pickCustomWords(list, count, usedWords = [], exclude = []) {
+  if (!Array.isArray(list) || count <= 0) return [];
+  const used = new Set(usedWords.map((w) => foldForComparison(w)));
+  const skip = new Set(exclude.map((w) => foldForComparison(w)));
+  const candidates = list.filter((w) => !skip.has(foldForComparison(w)));
+  const fresh = candidates.filter((w) => !used.has(foldForComparison(w)));
+  const stale = candidates.filter((w) => used.has(foldForComparison(w)));
+  const shuffle = (arr) => [...arr].sort(() => 0.5 - Math.random());
+  return [...shuffle(fresh), ...shuffle(stale)].slice(0, count);
+}
+
+module.exports = {
+  validateCustomWordList,
+  validateCustomWordSettings,
+  pickCustomWords,
+};
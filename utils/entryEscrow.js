@@ -0,0 +1,157 @@
+/**
+ * Entry fee escrow. When start_game runs, every seated player's entry coins are held per room (an EntryEscrow row
+ * pointing at the ledger debit). endGame pays the held coins out into the game; any game that ends another way
+ * (too few players, host leaving, room cleanup, a restart that lost the game) refunds them with an entry_refund
+ * ledger entry. Settling locks the escrow row, so a refund and a payout can never both happen.
+ */
+const { EntryEscrow, CoinTransaction, RoomParticipant, sequelize } = require("../models");
+const { credit, debit, isWalletError } = require("./wallet");
+
+// Held escrow younger than this is left alone by the orphan sweep (start_game may still be saving the room)
+const ORPHAN_GRACE_MS = 60 * 1000;
+
+/**
+ * Escrow for coins a player already paid when joining through the REST join routes (room_entry ledger entry).
+ * @returns {Promise<boolean>} true if the join payment covers this game (now held), false if the player must pay again
+ */
+async function holdJoinPayment(room, participant, transaction) {
+  const entry = await CoinTransaction.findOne({
+    where: { idempotencyKey: `room_entry:${room.id}:${participant.userId}` },
+    transaction,
+  });
+  if (!entry) return true; // paid before the ledger had keys: nothing to hold, nothing to charge
+  const [escrow] = await EntryEscrow.findOrCreate({
+    where: { debitTransactionId: entry.id },
+    defaults: { roomId: room.id, userId: participant.userId, amount: -entry.amount, debitTransactionId: entry.id },
+    transaction,
+  });
+  return escrow.status === "held"; // already settled for an earlier game
+}
+
+/**
+ * Charge and hold the entry fee for every participant of a starting game, all or nothing: one transaction,
+ * so if anyone cannot pay nobody is charged. Retries of the same start (same startKey) charge once.
+ * @param {object} room - Room model instance
+ * @param {Array<object>} participants - RoomParticipant instances about to play
+ * @param {number} amount - entry cost per player
+ * @param {{ startKey: string|number }} options - identifies this start of the game
+ * @returns {Promise<Array<{ userId: number, charged: number }>>} players charged now (join payments excluded)
+ * @throws {WalletError} insufficient_coins with details.userId of the player who cannot pay
+ */
+async function holdEntries(room, participants, amount, { startKey }) {
+  return sequelize.transaction(async (t) => {
+    const charged = [];
+    for (const participant of participants) {
+      if (participant.hasPaidEntry && (await holdJoinPayment(room, participant, t))) continue;
+
+      if (amount > 0) {
+        let entry;
+        try {
+          ({ entry } = await debit(participant.userId, amount, "game_entry", {
+            transaction: t,
+            idempotencyKey: `game_entry:${room.id}:${participant.id}:${startKey}`,
+          }));
+        } catch (err) {
+          if (isWalletError(err) && err.code === "user_not_found") continue; // account gone: seat plays free
+          if (isWalletError(err)) err.details.userId = participant.userId;
+          throw err;
+        }
+        await EntryEscrow.findOrCreate({
+          where: { debitTransactionId: entry.id },
+          defaults: { roomId: room.id, userId: participant.userId, amount, debitTransactionId: entry.id },
+          transaction: t,
+        });
+        charged.push({ userId: participant.userId, charged: amount });
+      }
+
+      participant.hasPaidEntry = true;
+      await participant.save({ transaction: t });
+    }
+    return charged;
+  });
+}
+
+/**
+ * Settle every held escrow of a room. Each escrow settles in its own transaction; failures are logged and the
+ * escrow stays held for the next sweep.
+ * @param {number} roomId
+ * @param {"paid_out"|"refunded"} status
+ * @param {string} reason
+ * @returns {Promise<Array<number>>} userIds whose escrow was settled
+ */
+async function settleRoom(roomId, status, reason) {
+  const held = await EntryEscrow.findAll({ where: { roomId, status: "held" }, attributes: ["id"] });
+  const settled = [];
+  for (const { id } of held) {
+    try {
+      const userId = await sequelize.transaction(async (t) => {
+        const escrow = await EntryEscrow.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!escrow || escrow.status !== "held") return null;
+        let refundTransactionId = null;
+        if (status === "refunded" && escrow.amount > 0) {
+          const { entry } = await credit(escrow.userId, escrow.amount, "entry_refund", {
+            transaction: t,
+            idempotencyKey: `entry_refund:${escrow.id}`,
+          });
+          refundTransactionId = entry.id;
+        }
+        await escrow.update({ status, reason, refundTransactionId, settledAt: new Date() }, { transaction: t });
+        return escrow.userId;
+      });
+      if (userId != null) settled.push(userId);
+    } catch (err) {
+      console.error(`Entry escrow ${id} (${status}) error:`, err?.message ?? err);
+    }
+  }
+  return settled;
+}
+
+/** The game finished normally: held entry coins are spent. */
+async function payOutRoom(roomId) {
+  return settleRoom(roomId, "paid_out", "game_finished");
+}
+
+/**
+ * Give back every held entry fee of a room and mark those players unpaid, so a new game charges them again.
+ * @param {number} roomId
+ * @param {string} reason - e.g. insufficient_players, room_closed, server_restart
+ * @returns {Promise<number>} players refunded
+ */
+async function refundRoom(roomId, reason) {
+  const refunded = await settleRoom(roomId, "refunded", reason);
+  if (refunded.length > 0) {
+    await RoomParticipant.update({ hasPaidEntry: false }, { where: { roomId, userId: refunded } });
+    console.log(`💸 Refunded entry to ${refunded.length} player(s) in room ${roomId} (${reason})`);
+  }
+  return refunded.length;
+}
+
+/**
+ * Refund escrow that no game will ever settle: its room is gone or no longer playing (e.g. the server stopped
+ * mid-game). Safe to run repeatedly.
+ * @returns {Promise<number>} players refunded
+ */
+async function refundOrphanedEscrows(reason = "server_restart") {
+  const rows = await sequelize.query(
+    `SELECT DISTINCT e.roomId AS roomId
+     FROM entry_escrows e
+     LEFT JOIN rooms r ON r.id = e.roomId
+     WHERE e.status = 'held' AND e.createdAt < :cutoff AND (r.id IS NULL OR r.status <> 'playing')`,
+    {
+      replacements: { cutoff: new Date(Date.now() - ORPHAN_GRACE_MS) },
+      type: sequelize.QueryTypes.SELECT,
+    },
+  );
+  let refunded = 0;
+  for (const { roomId } of rows) {
+    refunded += await refundRoom(roomId, reason);
+  }
+  return refunded;
+}
+
+module.exports = {
+  holdEntries,
+  payOutRoom,
+  refundRoom,
+  refundOrphanedEscrows,
+};
@@ -0,0 +1,226 @@
+/**
+ * Friends: requests (send / accept / decline / remove) stored as one Friendship row per pair, and presence
+ * derived from the live userSocketMap plus the room a connected friend is seated in:
+ * offline (no socket), online (connected, not in a room), in_lobby (seated in a room that is not playing), in_game.
+ * Live changes are pushed to the other user's socket when they are connected; friend_presence (online / offline)
+ * goes to a user's online friends from the socket connect and disconnect handlers (broadcastPresence).
+ */
+const { Op } = require("sequelize");
+const { Friendship, User, Room, RoomParticipant, UserBlock } = require("../models");
+const { getSocketIdForUser, emitToUser } = require("../sockets/userSocketMap");
+
+const MAX_FRIENDS = Number(process.env.MAX_FRIENDS) || 200;
+const PUBLIC_USER_ATTRIBUTES = ["id", "name", "avatar", "profilePicture", "country"];
+
+class FriendsError extends Error {
+  /**
+   * @param {string} code - snake_case error code for API/socket responses
+   * @param {number} status - HTTP status
+   * @param {string} message
+   */
+  constructor(code, status, message) {
+    super(message);
+    this.name = "FriendsError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function isFriendsError(err) {
+  return err instanceof FriendsError;
+}
+
+function pairWhere(a, b) {
+  return {
+    [Op.or]: [
+      { requesterId: a, addresseeId: b },
+      { requesterId: b, addresseeId: a },
+    ],
+  };
+}
+
+function otherUserId(friendship, userId) {
+  return String(friendship.requesterId) === String(userId) ? friendship.addresseeId : friendship.requesterId;
+}
+
+async function areFriends(a, b) {
+  const row = await Friendship.findOne({ where: { ...pairWhere(a, b), status: "accepted" }, attributes: ["id"] });
+  return !!row;
+}
+
+/** @returns {Promise<Array<number>>} ids of a user's accepted friends */
+async function getFriendIds(userId) {
+  const rows = await Friendship.findAll({
+    where: { status: "accepted", [Op.or]: [{ requesterId: userId }, { addresseeId: userId }] },
+    attributes: ["requesterId", "addresseeId"],
+  });
+  return rows.map((row) => otherUserId(row, userId));
+}
+
+/**
+ * Presence for several users.
+ * @param {Array<number>} userIds
+ * @returns {Promise<Map<string, { status: string, roomCode: string|null }>>}
+ */
+async function getPresence(userIds) {
+  const presence = new Map(userIds.map((id) => [String(id), { status: "offline", roomCode: null }]));
+  const online = userIds.filter((id) => getSocketIdForUser(Number(id)));
+  for (const id of online) presence.set(String(id), { status: "online", roomCode: null });
+  if (online.length === 0) return presence;
+
+  const seats = await RoomParticipant.findAll({
+    where: { userId: online, isActive: true, socketId: { [Op.ne]: null } },
+    include: [{ model: Room, attributes: ["id", "code", "status", "isPublic"] }],
+  });
+  for (const seat of seats) {
+    if (!seat.Room) continue;
+    presence.set(String(seat.userId), {
+      status: seat.Room.status === "playing" ? "in_game" : "in_lobby",
+      // Only public rooms are shown; a private room is joined through an invite
+      roomCode: seat.Room.isPublic ? seat.Room.code : null,
+    });
+  }
+  return presence;
+}
+
+/** Friends of a user with presence, online friends first. */
+async function listFriends(userId) {
+  const friendIds = await getFriendIds(userId);
+  if (friendIds.length === 0) return [];
+  const [users, presence] = await Promise.all([
+    User.findAll({ where: { id: friendIds }, attributes: PUBLIC_USER_ATTRIBUTES }),
+    getPresence(friendIds),
+  ]);
+  return users
+    .map((user) => ({ ...user.toJSON(), presence: presence.get(String(user.id)) }))
+    .sort((a, b) => (a.presence.status === "offline") - (b.presence.status === "offline") || a.name.localeCompare(b.name));
+}
+
+function formatRequest(row, other) {
+  return { id: row.id, user: other?.toJSON ? other.toJSON() : other, createdAt: row.createdAt };
+}
+
+/** Pending requests: incoming (to accept/decline) and outgoing (awaiting the other user). */
+async function listRequests(userId) {
+  const include = [
+    { model: User, as: "requester", attributes: PUBLIC_USER_ATTRIBUTES },
+    { model: User, as: "addressee", attributes: PUBLIC_USER_ATTRIBUTES },
+  ];
+  const [incoming, outgoing] = await Promise.all([
+    Friendship.findAll({ where: { addresseeId: userId, status: "pending" }, include, order: [["createdAt", "DESC"]] }),
+    Friendship.findAll({ where: { requesterId: userId, status: "pending" }, include, order: [["createdAt", "DESC"]] }),
+  ]);
+  return {
+    incoming: incoming.map((row) => formatRequest(row, row.requester)),
+    outgoing: outgoing.map((row) => formatRequest(row, row.addressee)),
+  };
+}
+
+async function assertBelowLimit(userId) {
+  const count = await Friendship.count({
+    where: { status: "accepted", [Op.or]: [{ requesterId: userId }, { addresseeId: userId }] },
+  });
+  if (count >= MAX_FRIENDS) {
+    throw new FriendsError("friend_limit_reached", 400, `You can have at most ${MAX_FRIENDS} friends`);
+  }
+}
+
+async function accept(row, io) {
+  await assertBelowLimit(row.requesterId);
+  await assertBelowLimit(row.addresseeId);
+  await row.update({ status: "accepted", acceptedAt: new Date() });
+  const addressee = await User.findByPk(row.addresseeId, { attributes: PUBLIC_USER_ATTRIBUTES });
+  emitToUser(io, row.requesterId, "friend_request_accepted", { requestId: row.id, user: addressee });
+  return row;
+}
+
+/**
+ * Send a friend request. If the other user already asked us, this accepts theirs instead.
+ * @returns {Promise<{ status: "pending"|"accepted", request: object }>}
+ * @throws {FriendsError}
+ */
+async function sendRequest(io, fromUser, toUserId) {
+  const targetId = Number(toUserId);
+  if (!Number.isInteger(targetId) || targetId === Number(fromUser.id)) {
+    throw new FriendsError("invalid_user", 400, "Choose another player to add");
+  }
+  const target = await User.findByPk(targetId, { attributes: ["id"] });
+  if (!target) throw new FriendsError("not_found", 404, "User not found");
+
+  const blocked = await UserBlock.findOne({
+    where: {
+      [Op.or]: [
+        { blockerId: fromUser.id, blockedId: targetId },
+        { blockerId: targetId, blockedId: fromUser.id },
+      ],
+    },
+    attributes: ["id"],
+  });
+  if (blocked) throw new FriendsError("user_blocked", 403, "You cannot add this player");
+
+  const existing = await Friendship.findOne({ where: pairWhere(fromUser.id, targetId) });
+  if (existing?.status === "accepted") throw new FriendsError("already_friends", 409, "You are already friends");
+  if (existing && String(existing.requesterId) === String(fromUser.id)) {
+    return { status: "pending", request: existing };
+  }
+  if (existing) {
+    return { status: "accepted", request: await accept(existing, io) };
+  }
+
+  await assertBelowLimit(fromUser.id);
+  const request = await Friendship.create({ requesterId: fromUser.id, addresseeId: targetId });
+  emitToUser(io, targetId, "friend_request", {
+    requestId: request.id,
+    from: { id: fromUser.id, name: fromUser.name, avatar: fromUser.avatar },
+  });
+  return { status: "pending", request };
+}
+
+/**
+ * Accept or decline an incoming request (declined requests are deleted, so the sender may ask again later).
+ * @throws {FriendsError}
+ */
+async function respondToRequest(io, userId, requestId, acceptRequest) {
+  const row = await Friendship.findOne({ where: { id: requestId, addresseeId: userId, status: "pending" } });
+  if (!row) throw new FriendsError("request_not_found", 404, "Friend request not found");
+  if (!acceptRequest) {
+    await row.destroy();
+    return null;
+  }
+  return accept(row, io);
+}
+
+/**
+ * Remove a friend, or withdraw a pending request either way.
+ * @returns {Promise<boolean>} false if there was nothing to remove
+ */
+async function removeFriend(userId, otherId) {
+  const removed = await Friendship.destroy({ where: pairWhere(userId, otherId) });
+  return removed > 0;
+}
+
+/** Tell a user's online friends that their presence changed (connect / disconnect). */
+async function broadcastPresence(io, userId, status) {
+  try {
+    const friendIds = await getFriendIds(userId);
+    for (const friendId of friendIds) {
+      emitToUser(io, friendId, "friend_presence", { userId, status });
+    }
+  } catch (err) {
+    console.error("Friend presence error:", err?.message ?? err);
+  }
+}
+
+module.exports = {
+  FriendsError,
+  isFriendsError,
+  areFriends,
+  getFriendIds,
+  getPresence,
+  listFriends,
+  listRequests,
+  sendRequest,
+  respondToRequest,
+  removeFriend,
+  broadcastPresence,
+};
@@ -0,0 +1,26 @@
+/**
+ * Once-per-game guard for the totals endGame updates (player stats, leaderboards, skill rating).
+ * endGame can run twice for the same game (phase jobs are at-least-once), so each writer claims
+ * (ledger, gameKey, userId) inside the transaction of its update and skips the player when the claim already exists.
+ */
+const { UniqueConstraintError } = require("sequelize");
+const { GameResultClaim } = require("../models");
+
+/**
+ * @param {string} ledger - which totals, e.g. "player_stats"
+ * @param {string} gameKey - roomId:gameStartedAt ms (see endGame)
+ * @param {number} userId
+ * @param {object} transaction - the transaction that applies the update
+ * @returns {Promise<boolean>} true if this call may apply the result, false if it was applied before
+ */
+async function claimGameResult(ledger, gameKey, userId, transaction) {
+  try {
+    await GameResultClaim.create({ ledger, gameKey, userId }, { transaction });
+    return true;
+  } catch (err) {
+    if (err instanceof UniqueConstraintError) return false;
+    throw err;
+  }
+}
+
+module.exports = { claimGameResult };
@@ -0,0 +1,151 @@
+/**
+ * Near-miss ("you're close") detection for guesses.
+ * Comparison works on grapheme clusters so native-script words (Telugu, Hindi, Kannada, Marathi)
+ * count a wrong vowel sign as one edit instead of breaking the word apart.
+ */
+
+const graphemeSegmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter
+    ? new Intl.Segmenter("und", { granularity: "grapheme" })
+    : null;
+
+/**
+ * Fold text for loose comparison: lowercase, strip accents from Latin letters only
+ * (Indic vowel signs are combining marks too and must stay), drop spaces/hyphens/punctuation
+ * and zero-width joiners.
+ * @param {string} text
+ * @returns {string}
+ */
+function foldForComparison(text) {
+  return (text || "")
+    .toString()
+    .normalize("NFD")
+    .replace(/(\p{Script=Latin})\p{M}+/gu, "$1")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[\s\-_\u2010-\u2015'\u2019`.,!?]+/gu, "")
+    .replace(/[\u200b-\u200d\ufeff]/g, "");
+}
+
+/** Split into user-perceived characters (grapheme clusters). */
+function graphemes(text) {
+  if (!text) return [];
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(text), (s) => s.segment);
+  }
+  return Array.from(text);
+}
+
+/** Optimal string alignment distance (Levenshtein + adjacent transposition) over arrays. */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, () => new Array(cols).fill(0));
+  for (let i = 0; i < rows; i++) d[i][0] = i;
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+}
+
+/**
+ * Edits allowed for a word to still count as close. Sized by code points rather than graphemes:
+ * Indic words pack a consonant and vowel sign into one grapheme, so "పాలు" is only 2 graphemes long.
+ */
+function closeThreshold(length) {
+  if (length <= 2) return 0;
+  if (length <= 5) return 1;
+  return 2;
+}
+
+/**
+ * True if the guess is not exactly the word but nearly is (typo, missing accent, spacing/hyphen difference).
+ * @param {string} guess
+ * @param {string} word
+ * @returns {boolean}
+ */
+function isCloseGuess(guess, word) {
+  const rawGuess = (guess || "").toString().trim().toLowerCase();
+  const rawWord = (word || "").toString().trim().toLowerCase();
+  if (!rawGuess || !rawWord || rawGuess === rawWord) return false;
+
+  const foldedGuess = foldForComparison(rawGuess);
+  const foldedWord = foldForComparison(rawWord);
+  if (!foldedGuess || !foldedWord) return false;
+  if (foldedGuess === foldedWord) return true;
+
+  const guessChars = graphemes(foldedGuess);
+  const wordChars = graphemes(foldedWord);
+  const threshold = closeThreshold(Array.from(foldedWord).length);
+  if (threshold === 0 || Math.abs(guessChars.length - wordChars.length) > threshold) return false;
+  return editDistance(guessChars, wordChars) <= threshold;
+}
+
+function maskToken(token) {
+  return graphemes(token).map(() => "*").join("");
+}
+
+/**
+ * Mask the answer and its close variants inside free text (chat, broadcast guesses).
+ * Runs of words as long as the answer are fuzzy-matched; runs one word longer/shorter must match
+ * exactly once folded (so "icecream" and "ice cream" are both caught), as must any word containing the answer.
+ * With nearMisses off, short answers (one edit allowed, see closeThreshold) are only masked as typed, folded or
+ * plural: otherwise everyday chat around "cat" ("my car", "the bat", "concatenate") would be starred out.
+ * @param {string} text
+ * @param {string} word - the current answer
+ * @param {{ nearMisses?: boolean }} [options] - nearMisses: false for chat, true (default) for broadcast guesses
+ * @returns {{ text: string, redacted: boolean }}
+ */
+function redactAnswer(text, word, { nearMisses = true } = {}) {
+  const original = (text || "").toString();
+  const foldedWord = foldForComparison(word);
+  if (!original || !foldedWord) return { text: original, redacted: false };
+  const strict = !nearMisses && closeThreshold(Array.from(foldedWord).length) <= 1;
+  const isAnswer = (folded) =>
+    folded === foldedWord || (strict && (folded === `${foldedWord}s` || folded === `${foldedWord}es`));
+
+  // Odd indexes are whitespace separators, kept as-is
+  const parts = original.split(/(\s+)/);
+  const wordIdx = [];
+  parts.forEach((part, i) => {
+    if (i % 2 === 0 && part) wordIdx.push(i);
+  });
+
+  const masked = new Set();
+  const answerWords = word.toString().trim().split(/\s+/).length;
+  const windowSizes = [answerWords - 1, answerWords, answerWords + 1].filter((n) => n >= 1);
+
+  for (let start = 0; start < wordIdx.length; start++) {
+    const single = foldForComparison(parts[wordIdx[start]]);
+    if (single && (strict ? isAnswer(single) : single.includes(foldedWord))) masked.add(start);
+
+    for (const size of windowSizes) {
+      if (start + size > wordIdx.length) continue;
+      const windowText = wordIdx.slice(start, start + size).map((i) => parts[i]).join(" ");
+      const folded = foldForComparison(windowText);
+      const close = !strict && size === answerWords && isCloseGuess(windowText, word);
+      if (isAnswer(folded) || close) {
+        for (let k = start; k < start + size; k++) masked.add(k);
+      }
+    }
+  }
+
+  if (masked.size === 0) return { text: original, redacted: false };
+  for (const k of masked) parts[wordIdx[k]] = maskToken(parts[wordIdx[k]]);
+  return { text: parts.join(""), redacted: true };
+}
+
+module.exports = {
+  foldForComparison,
+  graphemes,
+  editDistance,
+  isCloseGuess,
+  redactAnswer,
+};
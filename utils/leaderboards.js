@@ -0,0 +1,335 @@
+/**
+ * Leaderboards: an all-time board plus weekly and monthly seasons, each rankable globally or per country (ISO-2).
+ * Every finished game adds placement points to the player's entry in all three current seasons. Boards rank by
+ * these points, not by the Elo skill rating (utils/skillRating), which stays stable across seasons.
+ * Seasons are keyed by UTC period ("2026-W42", "2026-10"); once a period is over, rolloverSeasons() archives its
+ * final standings into SeasonStanding, optionally pays the global top places, and clears the live entries.
+ */
+const { Op } = require("sequelize");
+const { LeaderboardEntry, SeasonStanding, User, sequelize } = require("../models");
+const { normalizeCountryCode } = require("./countryCode");
+const { credit } = require("./wallet");
+const { claimGameResult } = require("./gameResultClaims");
+
+const PERIODS = ["all", "weekly", "monthly"];
+const ALL_TIME_SEASON = "all";
+
+// Points for a game: the winner gets PLACEMENT_POINTS, last place 0, linear in between; everyone also gets PARTICIPATION_POINTS
+const PLACEMENT_POINTS = 100;
+const PARTICIPATION_POINTS = 5;
+
+// Coins for the global top places of a closed season (index 0 = 1st place)
+const SEASON_REWARDS = {
+  weekly: [5000, 2500, 1000],
+  monthly: [20000, 10000, 5000],
+};
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+/** ISO-8601 week key in UTC, e.g. "2026-W42" (weeks start on Monday). */
+function isoWeekKey(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day); // Thursday of this week decides the year
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${pad2(week)}`;
+}
+
+/**
+ * Season key for a period at a point in time.
+ * @param {"all"|"weekly"|"monthly"} period
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function seasonKey(period, date = new Date()) {
+  if (period === "weekly") return isoWeekKey(date);
+  if (period === "monthly") return `${date.getUTCFullYear()}-${pad2(date.getUTCMonth() + 1)}`;
+  return ALL_TIME_SEASON;
+}
+
+/** @returns {"all"|"weekly"|"monthly"} period of a season key */
+function seasonPeriod(season) {
+  if (season === ALL_TIME_SEASON) return "all";
+  return season.includes("-W") ? "weekly" : "monthly";
+}
+
+/** When the current season of a period ends (null for all-time). */
+function seasonEndsAt(period, date = new Date()) {
+  if (period === "weekly") {
+    const day = date.getUTCDay() || 7;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 8 - day));
+  }
+  if (period === "monthly") {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+  }
+  return null;
+}
+
+/**
+ * Leaderboard points for one ranking entry. Team games rank whole teams, so placeCount is the number of places handed out.
+ * @param {number} place
+ * @param {number} placeCount
+ */
+function placementPoints(place, placeCount) {
+  if (placeCount <= 1) return PARTICIPATION_POINTS;
+  const share = Math.max(0, placeCount - place) / (placeCount - 1);
+  return Math.round(PLACEMENT_POINTS * share) + PARTICIPATION_POINTS;
+}
+
+/**
+ * Add a finished game's rankings to every current season, once per game and player. Logs and swallows its own errors.
+ * @param {Array<{ userId: number, place: number }>} rankings - as emitted in game_ended
+ * @param {string} gameKey - roomId:gameStartedAt ms (see endGame)
+ */
+async function recordGameResults(rankings, gameKey) {
+  if (!Array.isArray(rankings) || rankings.length === 0) return;
+  try {
+    const now = new Date();
+    const seasons = PERIODS.map((p) => seasonKey(p, now));
+    const placeCount = Math.max(...rankings.map((r) => r.place));
+    const users = await User.findAll({
+      where: { id: rankings.map((r) => r.userId) },
+      attributes: ["id", "country"],
+    });
+    const countryByUser = new Map(users.map((u) => [String(u.id), normalizeCountryCode(u.country)]));
+
+    for (const entry of rankings) {
+      const country = countryByUser.get(String(entry.userId)) ?? null;
+      const points = placementPoints(entry.place, placeCount);
+      await sequelize.transaction(async (t) => {
+        if (!(await claimGameResult("leaderboard", gameKey, entry.userId, t))) return; // repeated endGame
+        for (const season of seasons) {
+          const [row] = await LeaderboardEntry.findOrCreate({
+            where: { season, userId: entry.userId },
+            defaults: { season, userId: entry.userId, country },
+            transaction: t,
+          });
+          await row.increment(
+            { points, gamesPlayed: 1, gamesWon: entry.place === 1 ? 1 : 0 },
+            { transaction: t },
+          );
+          await row.update({ country, lastGameAt: now }, { transaction: t });
+        }
+      });
+    }
+  } catch (err) {
+    console.error("Leaderboard update error:", err?.message ?? err);
+  }
+}
+
+const RANK_ORDER = [
+  ["points", "DESC"],
+  ["gamesWon", "DESC"],
+  ["id", "ASC"],
+];
+
+function scopeWhere(season, country) {
+  return country ? { season, country } : { season };
+}
+
+/** 1-based rank of an entry within its season (and country, if given), using RANK_ORDER. */
+async function rankOf(entry, country) {
+  const ahead = await LeaderboardEntry.count({
+    where: {
+      ...scopeWhere(entry.season, country),
+      [Op.or]: [
+        { points: { [Op.gt]: entry.points } },
+        { points: entry.points, gamesWon: { [Op.gt]: entry.gamesWon } },
+        { points: entry.points, gamesWon: entry.gamesWon, id: { [Op.lt]: entry.id } },
+      ],
+    },
+  });
+  return ahead + 1;
+}
+
+function formatEntry(entry, rank) {
+  return {
+    rank,
+    userId: entry.userId,
+    name: entry.user?.name || "Guest",
+    avatar: entry.user?.avatar || null,
+    country: entry.country,
+    points: entry.points,
+    gamesPlayed: entry.gamesPlayed,
+    gamesWon: entry.gamesWon,
+  };
+}
+
+/**
+ * One page of the current season's board.
+ * @param {{ period: string, country?: string|null, limit: number, offset: number }} options
+ */
+async function getLeaderboard({ period, country = null, limit, offset }) {
+  const season = seasonKey(period);
+  const { count, rows } = await LeaderboardEntry.findAndCountAll({
+    where: scopeWhere(season, country),
+    include: [{ model: User, as: "user", attributes: ["id", "name", "avatar"] }],
+    order: RANK_ORDER,
+    limit,
+    offset,
+  });
+  return {
+    season,
+    endsAt: seasonEndsAt(period),
+    total: count,
+    entries: rows.map((row, i) => formatEntry(row, offset + i + 1)),
+  };
+}
+
+/**
+ * A user's standing in the current season of a period, or null if they have not played in it.
+ * @param {number} userId
+ * @param {{ period: string, country?: string|null }} options
+ */
+async function getUserStanding(userId, { period, country = null }) {
+  const season = seasonKey(period);
+  const entry = await LeaderboardEntry.findOne({
+    where: { season, userId },
+    include: [{ model: User, as: "user", attributes: ["id", "name", "avatar"] }],
+  });
+  if (!entry || (country && entry.country !== country)) return null;
+  return formatEntry(entry, await rankOf(entry, country));
+}
+
+/** Rank rows already sorted by RANK_ORDER: [{ entry, rank }] */
+function rankRows(rows) {
+  return rows.map((entry, i) => ({ entry, rank: i + 1 }));
+}
+
+/**
+ * Archive and clear one closed season inside a transaction. Re-running it for an archived season is a no-op.
+ * @param {string} season
+ * @param {{ pay: boolean }} options
+ * @returns {Promise<{ season: string, players: number, paid: number }>}
+ */
+async function closeSeason(season, { pay }) {
+  return sequelize.transaction(async (t) => {
+    const rows = await LeaderboardEntry.findAll({
+      where: { season },
+      order: RANK_ORDER,
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (rows.length === 0) return { season, players: 0, paid: 0 };
+
+    const rewards = pay ? SEASON_REWARDS[seasonPeriod(season)] || [] : [];
+    const standings = [];
+    let paid = 0;
+
+    for (const { entry, rank } of rankRows(rows)) {
+      const reward = rewards[rank - 1] || 0;
+      let coinsAwarded = 0;
+      if (reward > 0) {
+        const user = await User.findByPk(entry.userId, { transaction: t });
+        if (user) {
+          await credit(user.id, reward, `season_reward_${season}_place_${rank}`, {
+            transaction: t,
+            idempotencyKey: `season_reward:${season}:${user.id}`,
+          });
+          coinsAwarded = reward;
+          paid++;
+        }
+      }
+      standings.push({
+        season,
+        scope: "global",
+        userId: entry.userId,
+        rank,
+        points: entry.points,
+        gamesPlayed: entry.gamesPlayed,
+        gamesWon: entry.gamesWon,
+        coinsAwarded,
+      });
+    }
+
+    // Country boards: same order, ranked within each country
+    const byCountry = new Map();
+    for (const entry of rows) {
+      if (!entry.country) continue;
+      if (!byCountry.has(entry.country)) byCountry.set(entry.country, []);
+      byCountry.get(entry.country).push(entry);
+    }
+    for (const [country, countryRows] of byCountry) {
+      for (const { entry, rank } of rankRows(countryRows)) {
+        standings.push({
+          season,
+          scope: country,
+          userId: entry.userId,
+          rank,
+          points: entry.points,
+          gamesPlayed: entry.gamesPlayed,
+          gamesWon: entry.gamesWon,
+        });
+      }
+    }
+
+    await SeasonStanding.bulkCreate(standings, { transaction: t, ignoreDuplicates: true });
+    await LeaderboardEntry.destroy({ where: { season }, transaction: t });
+    return { season, players: rows.length, paid };
+  });
+}
+
+/**
+ * Close every weekly/monthly season whose period is over. Safe to run repeatedly (e.g. hourly from cron).
+ * @param {{ pay?: boolean, now?: Date }} [options] - pay: credit SEASON_REWARDS to the global top places
+ * @returns {Promise<Array<{ season: string, players: number, paid: number }>>}
+ */
+async function rolloverSeasons({ pay = false, now = new Date() } = {}) {
+  const current = new Set(PERIODS.map((p) => seasonKey(p, now)));
+  const seasons = await LeaderboardEntry.findAll({
+    attributes: [[sequelize.fn("DISTINCT", sequelize.col("season")), "season"]],
+    raw: true,
+  });
+  const closed = seasons.map((s) => s.season).filter((s) => !current.has(s)).sort();
+
+  const results = [];
+  for (const season of closed) {
+    results.push(await closeSeason(season, { pay }));
+  }
+  return results;
+}
+
+/**
+ * Archived final standings of a closed season.
+ * @param {string} season
+ * @param {{ country?: string|null, limit: number, offset: number }} options
+ */
+async function getSeasonStandings(season, { country = null, limit, offset }) {
+  const { count, rows } = await SeasonStanding.findAndCountAll({
+    where: { season, scope: country || "global" },
+    include: [{ model: User, as: "user", attributes: ["id", "name", "avatar"] }],
+    order: [["rank", "ASC"]],
+    limit,
+    offset,
+  });
+  return {
+    season,
+    total: count,
+    entries: rows.map((row) => ({
+      rank: row.rank,
+      userId: row.userId,
+      name: row.user?.name || "Guest",
+      avatar: row.user?.avatar || null,
+      points: row.points,
+      gamesPlayed: row.gamesPlayed,
+      gamesWon: row.gamesWon,
+      coinsAwarded: row.coinsAwarded,
+    })),
+  };
+}
+
+module.exports = {
+  PERIODS,
+  SEASON_REWARDS,
+  seasonKey,
+  seasonEndsAt,
+  placementPoints,
+  recordGameResults,
+  getLeaderboard,
+  getUserStanding,
+  getSeasonStandings,
+  rolloverSeasons,
+};
@@ -0,0 +1,296 @@
+/**
+ * Account-level moderation. Room report penalties (routes/reports.js) and moderators record strikes against a user;
+ * strikes inside the decay window decide an escalating penalty from PENALTY_LADDER: chat mute, then drawing ban,
+ * then a time-limited account suspension that authMiddleware and the socket auth check refuse.
+ * Every restriction ends on its own (its *Until time passes) and old strikes stop counting after the window;
+ * a user can also appeal once per strike, and an approved appeal overturns the latest strike and lifts all restrictions.
+ */
+const { Op, UniqueConstraintError } = require("sequelize");
+const { ModerationRecord, ModerationStrike, User, sequelize } = require("../models");
+const { getSocketIdForUser, emitToUser } = require("../sockets/userSocketMap");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const STRIKE_WINDOW_DAYS = Number(process.env.MODERATION_STRIKE_WINDOW_DAYS) || 90;
+
+// Penalty for a given number of active strikes (the last step applies to anything above it)
+const PENALTY_LADDER = [
+  { strikes: 1, chatMuteMs: HOUR_MS },
+  { strikes: 2, chatMuteMs: DAY_MS, drawingBanMs: DAY_MS },
+  { strikes: 3, chatMuteMs: DAY_MS, drawingBanMs: 3 * DAY_MS, suspendMs: DAY_MS },
+  { strikes: 4, chatMuteMs: 7 * DAY_MS, drawingBanMs: 7 * DAY_MS, suspendMs: 7 * DAY_MS },
+  { strikes: 5, chatMuteMs: 30 * DAY_MS, drawingBanMs: 30 * DAY_MS, suspendMs: 30 * DAY_MS },
+];
+
+class ModerationError extends Error {
+  /**
+   * @param {string} code - snake_case error code for API responses
+   * @param {number} status - HTTP status
+   * @param {string} message
+   */
+  constructor(code, status, message) {
+    super(message);
+    this.name = "ModerationError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function isModerationError(err) {
+  return err instanceof ModerationError;
+}
+
+function penaltyFor(strikes) {
+  let penalty = null;
+  for (const step of PENALTY_LADDER) {
+    if (strikes >= step.strikes) penalty = step;
+  }
+  return penalty;
+}
+
+/** Later of an existing restriction end and now + duration (a new strike never shortens a restriction). */
+function extend(until, durationMs, now) {
+  if (!durationMs) return until || null;
+  const next = new Date(now.getTime() + durationMs);
+  return until && until > next ? until : next;
+}
+
+function activeUntil(date, now = new Date()) {
+  return date && new Date(date) > now ? new Date(date) : null;
+}
+
+async function countActiveStrikes(userId, transaction, now = new Date()) {
+  return ModerationStrike.count({
+    where: {
+      userId,
+      overturnedAt: null,
+      createdAt: { [Op.gt]: new Date(now.getTime() - STRIKE_WINDOW_DAYS * DAY_MS) },
+    },
+    transaction,
+  });
+}
+
+/**
+ * Client-facing moderation state (restrictions that already ended are null).
+ * @param {object|null} record - ModerationRecord row
+ */
+function formatStatus(record, now = new Date()) {
+  return {
+    activeStrikes: record?.activeStrikes ?? 0,
+    chatMutedUntil: activeUntil(record?.chatMutedUntil, now),
+    drawingBannedUntil: activeUntil(record?.drawingBannedUntil, now),
+    suspendedUntil: activeUntil(record?.suspendedUntil, now),
+    appealStatus: record?.appealStatus ?? "none",
+    appealNote: record?.appealNote ?? null,
+    strikeWindowDays: STRIKE_WINDOW_DAYS,
+  };
+}
+
+/** @returns {Promise<object>} formatted moderation state of a user */
+async function getStatus(userId) {
+  const record = await ModerationRecord.findOne({ where: { userId } });
+  return formatStatus(record);
+}
+
+/** @returns {Promise<Date|null>} end of the user's account suspension, or null if they may use the app */
+async function getSuspendedUntil(userId) {
+  const record = await ModerationRecord.findOne({ where: { userId }, attributes: ["suspendedUntil"] });
+  return activeUntil(record?.suspendedUntil);
+}
+
+/** @returns {Promise<Date|null>} end of the user's chat mute */
+async function getChatMutedUntil(userId) {
+  if (!userId) return null;
+  const record = await ModerationRecord.findOne({ where: { userId }, attributes: ["chatMutedUntil"] });
+  return activeUntil(record?.chatMutedUntil);
+}
+
+/** @returns {Promise<Set<string>>} ids (as strings) of the given users that may not draw right now */
+async function getDrawingBannedIds(userIds) {
+  if (!userIds.length) return new Set();
+  const rows = await ModerationRecord.findAll({
+    where: { userId: userIds, drawingBannedUntil: { [Op.gt]: new Date() } },
+    attributes: ["userId"],
+  });
+  return new Set(rows.map((row) => String(row.userId)));
+}
+
+/** Push new restrictions to a connected user; a suspended user's socket is disconnected. */
+function notifyUser(io, userId, status) {
+  if (!io) return;
+  emitToUser(io, userId, "moderation_action", status);
+  const socketId = status.suspendedUntil ? getSocketIdForUser(userId) : null;
+  if (socketId) {
+    io.to(socketId).emit("account_suspended", { suspendedUntil: status.suspendedUntil });
+    io.in(socketId).disconnectSockets(true);
+  }
+}
+
+/**
+ * Record one confirmed strike and apply the penalty for the user's active strike count.
+ * A strike with a sourceKey that was already recorded is ignored (returns the current status).
+ * @param {object|null} io
+ * @param {number} userId
+ * @param {{ source: "room_report"|"moderator", sourceKey?: string, roomId?: number, reportType?: string, reason?: string }} strike
+ * @returns {Promise<{ recorded: boolean, status: object }>}
+ */
+async function recordStrike(io, userId, { source, sourceKey = null, roomId = null, reportType = null, reason = null }) {
+  const now = new Date();
+  let recorded = true;
+  let record;
+  try {
+    record = await sequelize.transaction(async (t) => {
+      await ModerationStrike.create({ userId, source, sourceKey, roomId, reportType, reason }, { transaction: t });
+      const [row] = await ModerationRecord.findOrCreate({
+        where: { userId },
+        defaults: { userId },
+        transaction: t,
+        lock: t.LOCK.UPDATE,
+      });
+      const activeStrikes = await countActiveStrikes(userId, t, now);
+      const penalty = penaltyFor(activeStrikes) || {};
+      await row.update(
+        {
+          activeStrikes,
+          lastStrikeAt: now,
+          chatMutedUntil: extend(activeUntil(row.chatMutedUntil, now), penalty.chatMuteMs, now),
+          drawingBannedUntil: extend(activeUntil(row.drawingBannedUntil, now), penalty.drawingBanMs, now),
+          suspendedUntil: extend(activeUntil(row.suspendedUntil, now), penalty.suspendMs, now),
+          // A new strike can be appealed again
+          appealStatus: "none",
+          appealMessage: null,
+          appealedAt: null,
+          appealResolvedAt: null,
+          appealNote: null,
+        },
+        { transaction: t },
+      );
+      return row;
+    });
+  } catch (err) {
+    if (!(err instanceof UniqueConstraintError)) throw err;
+    recorded = false;
+    record = await ModerationRecord.findOne({ where: { userId } });
+  }
+
+  const status = formatStatus(record, now);
+  if (recorded) {
+    console.log(
+      `⚖️ Strike for user ${userId} (${source}${reason ? `: ${reason}` : ""}): ${status.activeStrikes} active` +
+        (status.suspendedUntil ? `, suspended until ${status.suspendedUntil.toISOString()}` : ""),
+    );
+    notifyUser(io, userId, status);
+  }
+  return { recorded, status };
+}
+
+/**
+ * Appeal the current restrictions / latest strike.
+ * @throws {ModerationError} nothing_to_appeal | appeal_pending | appeal_already_resolved
+ */
+async function submitAppeal(userId, message) {
+  const text = String(message || "").trim();
+  if (!text) throw new ModerationError("appeal_message_required", 400, "Explain why the strike should be lifted");
+
+  const record = await ModerationRecord.findOne({ where: { userId } });
+  if (!record || !record.lastStrikeAt) {
+    throw new ModerationError("nothing_to_appeal", 400, "You have no strikes to appeal");
+  }
+  if (record.appealStatus === "pending") {
+    throw new ModerationError("appeal_pending", 409, "Your appeal is already being reviewed");
+  }
+  if (record.appealStatus !== "none") {
+    throw new ModerationError("appeal_already_resolved", 409, "Your latest strike was already appealed");
+  }
+  await record.update({ appealStatus: "pending", appealMessage: text.slice(0, 2000), appealedAt: new Date() });
+  return formatStatus(record);
+}
+
+/** Pending appeals, oldest first, for moderators. */
+async function listPendingAppeals({ limit, offset }) {
+  const { count, rows } = await ModerationRecord.findAndCountAll({
+    where: { appealStatus: "pending" },
+    include: [{ model: User, as: "user", attributes: ["id", "name", "avatar"] }],
+    order: [["appealedAt", "ASC"]],
+    limit,
+    offset,
+  });
+  const appeals = [];
+  for (const row of rows) {
+    const strikes = await ModerationStrike.findAll({
+      where: { userId: row.userId, overturnedAt: null },
+      order: [["createdAt", "DESC"]],
+      limit: 10,
+    });
+    appeals.push({
+      userId: row.userId,
+      name: row.user?.name || "Guest",
+      appealMessage: row.appealMessage,
+      appealedAt: row.appealedAt,
+      status: formatStatus(row),
+      recentStrikes: strikes.map((s) => ({
+        id: s.id,
+        source: s.source,
+        roomId: s.roomId,
+        reportType: s.reportType,
+        reason: s.reason,
+        createdAt: s.createdAt,
+      })),
+    });
+  }
+  return { total: count, appeals };
+}
+
+/**
+ * Moderator decision on a pending appeal. Approving overturns the latest strike and lifts every restriction.
+ * @throws {ModerationError} appeal_not_found
+ */
+async function resolveAppeal(io, userId, { approve, note = null }) {
+  const status = await sequelize.transaction(async (t) => {
+    const record = await ModerationRecord.findOne({
+      where: { userId, appealStatus: "pending" },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!record) throw new ModerationError("appeal_not_found", 404, "No pending appeal for this user");
+
+    const update = {
+      appealStatus: approve ? "approved" : "rejected",
+      appealResolvedAt: new Date(),
+      appealNote: note ? String(note).slice(0, 500) : null,
+    };
+    if (approve) {
+      const latest = await ModerationStrike.findOne({
+        where: { userId, overturnedAt: null },
+        order: [["createdAt", "DESC"]],
+        transaction: t,
+      });
+      if (latest) await latest.update({ overturnedAt: new Date() }, { transaction: t });
+      Object.assign(update, {
+        activeStrikes: await countActiveStrikes(userId, t),
+        chatMutedUntil: null,
+        drawingBannedUntil: null,
+        suspendedUntil: null,
+      });
+    }
+    await record.update(update, { transaction: t });
+    return formatStatus(record);
+  });
+  emitToUser(io, userId, "moderation_action", status);
+  return status;
+}
+
+module.exports = {
+  PENALTY_LADDER,
+  STRIKE_WINDOW_DAYS,
+  ModerationError,
+  isModerationError,
+  getStatus,
+  getSuspendedUntil,
+  getChatMutedUntil,
+  getDrawingBannedIds,
+  recordStrike,
+  submitAppeal,
+  listPendingAppeals,
+  resolveAppeal,
+};
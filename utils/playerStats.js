@@ -0,0 +1,156 @@
+/**
+ * Lifetime player statistics (games, wins, podiums, guesses, drawings), kept apart from the per-game
+ * RoomParticipant.score that is reset whenever a room returns to the lobby.
+ * Stats never break gameplay: every writer here logs and swallows its own errors.
+ */
+const { PlayerStat, sequelize } = require("../models");
+const { claimGameResult } = require("./gameResultClaims");
+
+const COUNTERS = [
+  "gamesPlayed",
+  "gamesWon",
+  "podiumFinishes",
+  "teamGamesPlayed",
+  "teamGamesWon",
+  "correctGuesses",
+  "totalGuessTimeMs",
+  "drawingsMade",
+  "drawingsGuessed",
+];
+
+async function findOrCreateStat(userId, transaction) {
+  const [stat] = await PlayerStat.findOrCreate({
+    where: { userId },
+    defaults: { userId },
+    transaction,
+  });
+  return stat;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Number((part / whole).toFixed(4)) : null;
+}
+
+/**
+ * Client-facing stats with derived rates. Users who never played get all zeros.
+ * @param {object|null} stat - PlayerStat row
+ */
+function formatPlayerStats(stat) {
+  const counts = {};
+  for (const key of COUNTERS) counts[key] = Number(stat?.[key]) || 0;
+  return {
+    ...counts,
+    winRate: ratio(counts.gamesWon, counts.gamesPlayed),
+    podiumRate: ratio(counts.podiumFinishes, counts.gamesPlayed - counts.teamGamesPlayed),
+    teamWinRate: ratio(counts.teamGamesWon, counts.teamGamesPlayed),
+    averageGuessTimeMs: counts.correctGuesses > 0 ? Math.round(counts.totalGuessTimeMs / counts.correctGuesses) : null,
+    drawingsGuessedRate: ratio(counts.drawingsGuessed, counts.drawingsMade),
+    bestGuessStreak: Number(stat?.bestGuessStreak) || 0,
+    lastPlayedAt: stat?.lastPlayedAt ?? null,
+  };
+}
+
+/** @returns {Promise<object>} formatted stats for a user (zeros when none are recorded yet) */
+async function getPlayerStats(userId) {
+  const stat = await PlayerStat.findOne({ where: { userId } });
+  return formatPlayerStats(stat);
+}
+
+/**
+ * Count a correct guess and how long it took from the start of the drawing phase, and extend the guess streak.
+ * @param {number} userId
+ * @param {number} guessTimeMs
+ * @returns {Promise<object|null>} the updated PlayerStat row (null if it could not be saved)
+ */
+async function recordCorrectGuess(userId, guessTimeMs) {
+  try {
+    const stat = await findOrCreateStat(userId);
+    await stat.increment({
+      correctGuesses: 1,
+      totalGuessTimeMs: Math.max(0, Math.round(Number(guessTimeMs) || 0)),
+      currentGuessStreak: 1,
+    });
+    await stat.reload();
+    if (stat.currentGuessStreak > stat.bestGuessStreak) {
+      await stat.update({ bestGuessStreak: stat.currentGuessStreak });
+    }
+    return stat;
+  } catch (err) {
+    console.error("Player stats (guess) error:", err?.message ?? err);
+    return null;
+  }
+}
+
+/**
+ * Break the guess streak of players who could guess a turn but did not.
+ * @param {Array<number>} userIds
+ */
+async function recordMissedTurn(userIds) {
+  if (!userIds || userIds.length === 0) return;
+  try {
+    await PlayerStat.update({ currentGuessStreak: 0 }, { where: { userId: userIds } });
+  } catch (err) {
+    console.error("Player stats (missed turn) error:", err?.message ?? err);
+  }
+}
+
+/**
+ * Count a finished drawing turn for the drawer, and whether anyone guessed it.
+ * @param {number} drawerId
+ * @param {number} guessedCount - players (team mode: team members) who guessed the word
+ */
+async function recordDrawingTurn(drawerId, guessedCount) {
+  if (!drawerId) return;
+  try {
+    const stat = await findOrCreateStat(drawerId);
+    await stat.increment({
+      drawingsMade: 1,
+      drawingsGuessed: guessedCount > 0 ? 1 : 0,
+    });
+  } catch (err) {
+    console.error("Player stats (drawing) error:", err?.message ?? err);
+  }
+}
+
+/**
+ * Fold a finished game's rankings into every ranked player's stats, once per game and player.
+ * Team games: place 1 is the winning team. 1v1 games: places 1-3 count as podium finishes.
+ * @param {Array<{ userId: number, place: number }>} rankings - as emitted in game_ended
+ * @param {string} gameMode
+ * @param {string} gameKey - roomId:gameStartedAt ms (see endGame)
+ */
+async function recordGameResults(rankings, gameMode, gameKey) {
+  const isTeamGame = gameMode === "team_vs_team";
+  const playedAt = new Date();
+  for (const entry of rankings || []) {
+    try {
+      await sequelize.transaction(async (t) => {
+        if (!(await claimGameResult("player_stats", gameKey, entry.userId, t))) return; // repeated endGame
+        const stat = await findOrCreateStat(entry.userId, t);
+        const won = entry.place === 1;
+        await stat.increment(
+          {
+            gamesPlayed: 1,
+            gamesWon: won ? 1 : 0,
+            podiumFinishes: !isTeamGame && entry.place <= 3 ? 1 : 0,
+            teamGamesPlayed: isTeamGame ? 1 : 0,
+            teamGamesWon: isTeamGame && won ? 1 : 0,
+          },
+          { transaction: t },
+        );
+        await stat.update({ lastPlayedAt: playedAt }, { transaction: t });
+      });
+    } catch (err) {
+      console.error("Player stats (game) error:", err?.message ?? err);
+    }
+  }
+}
+
+module.exports = {
+  formatPlayerStats,
+  getPlayerStats,
+  recordCorrectGuess,
+  recordMissedTurn,
+  recordDrawingTurn,
+  recordGameResults,
+};
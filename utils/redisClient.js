@@ -0,0 +1,242 @@
+/**
+ * Minimal Redis-protocol (RESP2) client over a plain TCP socket: commands are pipelined in order and replies
+ * matched FIFO. Works against Redis or any server speaking the same protocol (Valkey, KeyDB, a local stand-in).
+ * A connection used for SUBSCRIBE only receives messages (Redis rule), so sharedState keeps a second one for that.
+ * Reconnects with backoff; commands issued while disconnected are queued and sent on reconnect.
+ */
+const net = require("net");
+const { EventEmitter } = require("events");
+
+const RECONNECT_MAX_MS = 5000;
+
+class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RedisReplyError";
+  }
+}
+
+/** @returns {{ host: string, port: number, password: string|null, username: string|null, db: number }} */
+function parseRedisUrl(url) {
+  const parsed = new URL(url);
+  return {
+    host: parsed.hostname || "127.0.0.1",
+    port: Number(parsed.port) || 6379,
+    username: parsed.username ? decodeURIComponent(parsed.username) : null,
+    password: parsed.password ? decodeURIComponent(parsed.password) : null,
+    db: Number(parsed.pathname.slice(1)) || 0,
+  };
+}
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one reply from buf at offset.
+ * @returns {{ value: any, offset: number }|null} null when the buffer does not hold a complete reply yet
+ */
+function parseReply(buf, offset) {
+  if (offset >= buf.length) return null;
+  const lineEnd = buf.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new RedisReplyError(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const len = Number(line);
+      if (len === -1) return { value: null, offset: next };
+      if (buf.length < next + len + 2) return null;
+      return { value: buf.toString("utf8", next, next + len), offset: next + len + 2 };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, pos);
+        if (!item) return null;
+        items.push(item.value);
+        pos = item.offset;
+      }
+      return { value: items, offset: pos };
+    }
+    default:
+      throw new RedisReplyError(`Unexpected reply type "${type}"`);
+  }
+}
+
+class RedisConnection extends EventEmitter {
+  /**
+   * @param {string} url - redis://[user:password@]host:port[/db]
+   * @param {{ name?: string }} [options] - name is used in logs only
+   */
+  constructor(url, { name = "redis" } = {}) {
+    super();
+    this.options = parseRedisUrl(url);
+    this.name = name;
+    this.socket = null;
+    this.connected = false;
+    this.closed = false;
+    this.buffer = Buffer.alloc(0);
+    this.pending = []; // { resolve, reject, internal } in send order
+    this.queued = []; // { data, waiter } waiting for a connection
+    this.channels = new Set();
+    this.retries = 0;
+    this.connect();
+  }
+
+  connect() {
+    const { host, port } = this.options;
+    const socket = net.createConnection({ host, port });
+    this.socket = socket;
+    socket.setNoDelay(true);
+    socket.on("connect", () => this.onConnect());
+    socket.on("data", (chunk) => this.onData(chunk));
+    socket.on("error", (err) => {
+      if (!this.closed) console.error(`❌ ${this.name} connection error:`, err.message);
+    });
+    socket.on("close", () => this.onClose());
+  }
+
+  onConnect() {
+    this.connected = true;
+    this.retries = 0;
+    const { username, password, db } = this.options;
+    // Handshake goes first, ahead of anything queued while disconnected
+    const handshake = [];
+    if (password) handshake.push(username ? ["AUTH", username, password] : ["AUTH", password]);
+    if (db) handshake.push(["SELECT", db]);
+    if (this.channels.size) handshake.push(["SUBSCRIBE", ...this.channels]);
+    for (const args of handshake) {
+      this.pending.push({
+        resolve: () => {},
+        reject: (err) => console.error(`❌ ${this.name} handshake failed:`, err.message),
+        remaining: args[0] === "SUBSCRIBE" ? args.length - 1 : 1,
+        internal: true,
+      });
+      this.socket.write(encodeCommand(args));
+    }
+    const queued = this.queued;
+    this.queued = [];
+    for (const { data, waiter } of queued) this.write(data, waiter);
+    console.log(`🔌 ${this.name} connected to ${this.options.host}:${this.options.port}`);
+    this.emit("ready");
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    let offset = 0;
+    for (;;) {
+      const reply = parseReply(this.buffer, offset);
+      if (!reply) break;
+      offset = reply.offset;
+      this.onReply(reply.value);
+    }
+    this.buffer = offset >= this.buffer.length ? Buffer.alloc(0) : this.buffer.subarray(offset);
+  }
+
+  onReply(value) {
+    // Pub/sub pushes are not replies to a command
+    if (Array.isArray(value) && value[0] === "message") {
+      if (this.channels.has(value[1])) this.emit("message", value[1], value[2]);
+      return;
+    }
+    if (Array.isArray(value) && (value[0] === "subscribe" || value[0] === "unsubscribe")) {
+      // One confirmation per channel; only the last one of a command resolves it
+      const waiter = this.pending[0];
+      if (waiter && waiter.remaining > 1) {
+        waiter.remaining -= 1;
+        return;
+      }
+    }
+    const waiter = this.pending.shift();
+    if (!waiter) return;
+    if (value instanceof RedisReplyError) waiter.reject(value);
+    else waiter.resolve(value);
+  }
+
+  onClose() {
+    this.connected = false;
+    // Replies to anything in flight are lost; fail those commands rather than hang
+    const inFlight = this.pending;
+    this.pending = [];
+    for (const waiter of inFlight) {
+      if (!waiter.internal) waiter.reject(new Error(`${this.name} connection lost`));
+    }
+    this.buffer = Buffer.alloc(0);
+    if (this.closed) return;
+    const delay = Math.min(RECONNECT_MAX_MS, 100 * 2 ** this.retries);
+    this.retries += 1;
+    console.warn(`⚠️ ${this.name} disconnected; reconnecting in ${delay}ms`);
+    setTimeout(() => {
+      if (!this.closed) this.connect();
+    }, delay);
+  }
+
+  /**
+   * Send one command.
+   * @param {...(string|number)} args - e.g. ("SET", key, value, "PX", 1000)
+   * @returns {Promise<any>} reply (string | number | null | Array); server errors reject with RedisReplyError
+   */
+  command(...args) {
+    if (this.closed) return Promise.reject(new Error(`${this.name} connection is closed`));
+    return new Promise((resolve, reject) => {
+      const name = String(args[0]).toUpperCase();
+      const channelCount = name === "SUBSCRIBE" || name === "UNSUBSCRIBE" ? args.length - 1 : 1;
+      const waiter = { resolve, reject, remaining: channelCount };
+      const data = encodeCommand(args);
+      if (this.connected) this.write(data, waiter);
+      else this.queued.push({ data, waiter });
+    });
+  }
+
+  write(data, waiter) {
+    this.pending.push(waiter);
+    this.socket.write(data);
+  }
+
+  /** Subscribe to channels; messages arrive as "message" events (channel, payload). Resubscribed on reconnect. */
+  async subscribe(...channels) {
+    const fresh = channels.filter((c) => !this.channels.has(c));
+    if (!fresh.length) return;
+    for (const channel of fresh) this.channels.add(channel);
+    await this.command("SUBSCRIBE", ...fresh);
+  }
+
+  async unsubscribe(...channels) {
+    const known = channels.filter((c) => this.channels.has(c));
+    if (!known.length) return;
+    for (const channel of known) this.channels.delete(channel);
+    await this.command("UNSUBSCRIBE", ...known);
+  }
+
+  close() {
+    this.closed = true;
+    for (const { waiter } of this.queued) waiter.reject(new Error(`${this.name} connection is closed`));
+    this.queued = [];
+    if (this.socket) this.socket.end();
+  }
+}
+
+module.exports = {
+  RedisConnection,
+  RedisReplyError,
+  parseRedisUrl,
+  encodeCommand,
+  parseReply,
+};
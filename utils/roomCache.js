@@ -2,8 +2,12 @@
  * Read-through room cache: minimal snapshot only (never Sequelize instances long-term).
  * DB remains source of truth. Cache serves reads; all writes refresh cache.
  * TTL prevents rare stale data; roomCodeIndex avoids DB lookup by code.
+ * With several nodes each keeps its own cache; every refresh/clear is published so the other nodes drop their copy.
  */
 const { Room } = require("../models");
+const { getSharedState, NODE_ID } = require("./sharedState");
+
+const INVALIDATION_CHANNEL = "room_cache";
 
 const roomCache = new Map(); // roomId -> { data, ts }
 const roomCodeIndex = new Map(); // code -> roomId
@@ -56,6 +60,7 @@ function refreshRoomCache(room) {
 	const data = minimal(room);
 	roomCache.set(room.id, { data, ts: Date.now() });
 	if (room.code != null) roomCodeIndex.set(room.code, room.id);
+	publishInvalidation(room.id, false);
 }
 
 /**
@@ -97,6 +102,28 @@ function clearRoomCache(roomId) {
 		roomCodeIndex.delete(entry.data.code);
 	}
 	roomCache.delete(roomId);
+	publishInvalidation(roomId, true);
+}
+
+/** Tell other nodes a room changed (removed: room closed, also drop its code). Fire-and-forget. */
+function publishInvalidation(roomId, removed) {
+	const store = getSharedState();
+	if (!store.shared) return;
+	store.publish(INVALIDATION_CHANNEL, { nodeId: NODE_ID, roomId, removed }).catch((err) => {
+		console.error("Room cache invalidation error:", err?.message ?? err);
+	});
+}
+
+/** Drop rooms other nodes changed (call once at startup; no-op with the memory store). */
+async function attachCacheInvalidation() {
+	const store = getSharedState();
+	if (!store.shared) return;
+	await store.subscribe(INVALIDATION_CHANNEL, ({ nodeId, roomId, removed }) => {
+		if (nodeId === NODE_ID) return;
+		const entry = roomCache.get(roomId);
+		if (removed && entry?.data?.code != null) roomCodeIndex.delete(entry.data.code);
+		roomCache.delete(roomId);
+	});
 }
 
 /**
@@ -115,5 +142,6 @@ module.exports = {
 	setRoomCacheMinimal,
 	clearRoomCache,
 	getRoomIdByCode,
+	attachCacheInvalidation,
 };
 
@@ -0,0 +1,108 @@
+/**
+ * Direct room invites between friends. The invite is stored with an expiry and pushed to the friend's live socket
+ * as room_invite; a friend who was offline (or missed it) sees it via GET /api/friends/invites until it expires.
+ * Accepting only answers the invite: the client then joins with the room code through the normal join flow.
+ */
+const { Op } = require("sequelize");
+const { RoomInvite, Room, RoomParticipant, User } = require("../models");
+const { emitToUser } = require("../sockets/userSocketMap");
+const { FriendsError, areFriends } = require("./friends");
+
+const INVITE_TTL_MS = Number(process.env.ROOM_INVITE_TTL_MS) || 5 * 60 * 1000;
+const CLOSED_ROOM_STATUSES = ["closed", "inactive"];
+
+function formatInvite(invite, room, fromUser) {
+  return {
+    inviteId: invite.id,
+    room: room ? { id: room.id, code: room.code, name: room.name, status: room.status, gameMode: room.gameMode } : null,
+    from: fromUser ? { id: fromUser.id, name: fromUser.name, avatar: fromUser.avatar } : null,
+    expiresAt: invite.expiresAt,
+  };
+}
+
+/**
+ * Invite a friend to the room the sender is seated in. Re-inviting the same friend to the same room refreshes the
+ * pending invite instead of creating another one.
+ * @param {object} io
+ * @param {object} fromUser - User instance of the sender
+ * @param {number} toUserId
+ * @param {object} room - Room instance
+ * @returns {Promise<{ invite: object, delivered: boolean }>} delivered: the friend had a live socket
+ * @throws {FriendsError}
+ */
+async function createInvite(io, fromUser, toUserId, room) {
+  if (!room) throw new FriendsError("room_not_found", 404, "Room not found");
+  if (CLOSED_ROOM_STATUSES.includes(room.status)) throw new FriendsError("room_closed", 410, "Room is closed");
+
+  const seat = await RoomParticipant.findOne({
+    where: { roomId: room.id, userId: fromUser.id, isActive: true },
+    attributes: ["id"],
+  });
+  if (!seat) throw new FriendsError("not_in_room", 403, "Join the room before inviting friends");
+  if (!(await areFriends(fromUser.id, toUserId))) {
+    throw new FriendsError("not_friends", 403, "You can only invite friends");
+  }
+  const alreadyIn = await RoomParticipant.findOne({
+    where: { roomId: room.id, userId: toUserId, isActive: true },
+    attributes: ["id"],
+  });
+  if (alreadyIn) throw new FriendsError("already_in_room", 409, "Your friend is already in this room");
+
+  const expiresAt = new Date(Date.now() + INVITE_TTL_MS);
+  let invite = await RoomInvite.findOne({
+    where: { roomId: room.id, fromUserId: fromUser.id, toUserId, status: "pending" },
+  });
+  if (invite) {
+    await invite.update({ expiresAt });
+  } else {
+    invite = await RoomInvite.create({ roomId: room.id, fromUserId: fromUser.id, toUserId, expiresAt });
+  }
+
+  const delivered = emitToUser(io, toUserId, "room_invite", formatInvite(invite, room, fromUser));
+  return { invite, delivered };
+}
+
+/** Unexpired pending invites for a user, newest first (invites to rooms that are gone or closed are left out). */
+async function listPendingInvites(userId) {
+  const invites = await RoomInvite.findAll({
+    where: { toUserId: userId, status: "pending", expiresAt: { [Op.gt]: new Date() } },
+    include: [
+      { model: Room, as: "room", attributes: ["id", "code", "name", "status", "gameMode"] },
+      { model: User, as: "fromUser", attributes: ["id", "name", "avatar"] },
+    ],
+    order: [["createdAt", "DESC"]],
+  });
+  return invites
+    .filter((invite) => invite.room && !CLOSED_ROOM_STATUSES.includes(invite.room.status))
+    .map((invite) => formatInvite(invite, invite.room, invite.fromUser));
+}
+
+/**
+ * Accept or decline an invite; the sender is told live.
+ * @returns {Promise<{ accepted: boolean, room: object|null }>} room to join when accepted
+ * @throws {FriendsError} invite_not_found | invite_expired | room_closed
+ */
+async function respondToInvite(io, userId, inviteId, accept) {
+  const invite = await RoomInvite.findOne({ where: { id: inviteId, toUserId: userId, status: "pending" } });
+  if (!invite) throw new FriendsError("invite_not_found", 404, "Invite not found");
+  if (invite.expiresAt <= new Date()) throw new FriendsError("invite_expired", 410, "Invite has expired");
+
+  const room = await Room.findByPk(invite.roomId);
+  if (accept && (!room || CLOSED_ROOM_STATUSES.includes(room.status))) {
+    throw new FriendsError("room_closed", 410, "Room is closed");
+  }
+
+  await invite.update({ status: accept ? "accepted" : "declined", respondedAt: new Date() });
+  emitToUser(io, invite.fromUserId, "room_invite_response", { inviteId: invite.id, userId, accepted: accept });
+  return {
+    accepted: accept,
+    room: accept ? { id: room.id, code: room.code, name: room.name, status: room.status } : null,
+  };
+}
+
+module.exports = {
+  INVITE_TTL_MS,
+  createInvite,
+  listPendingInvites,
+  respondToInvite,
+};
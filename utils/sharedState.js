@@ -0,0 +1,303 @@
+/**
+ * Pluggable shared-state layer for state that must be the same on every Node process: user sessions
+ * (userSocketMap), lobby ready sets (readyState), cache invalidation (roomCache)
+ * and the Socket.IO cluster adapter's pub/sub.
+ *
+ * - memory (default): one process, plain Maps; pub/sub delivered in-process.
+ * - redis: set REDIS_URL (redis://[user:pass@]host:port[/db]) to share state between processes through Redis or
+ *   any server speaking its protocol (uses GET/SET NX PX/DEL, hashes, sets, PUBLISH/SUBSCRIBE and EVAL).
+ *
+ * Every store has the same async interface; values and messages are JSON. Keys are prefixed with
+ * SHARED_STATE_PREFIX so several environments can share one server.
+ */
+const os = require("os");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const { RedisConnection } = require("./redisClient");
+
+const PREFIX = process.env.SHARED_STATE_PREFIX || "inkbattle:";
+// Unique per process: owner id for sessions and phase job claims
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+const NODE_HEARTBEAT_MS = Number(process.env.NODE_HEARTBEAT_MS) || 5000;
+const NODE_TIMEOUT_MS = NODE_HEARTBEAT_MS * 3;
+const NODES_KEY = "nodes";
+
+// Buffers (binary socket payloads) survive the JSON round trip
+function encode(value) {
+  return JSON.stringify(value);
+}
+
+function decode(raw) {
+  if (raw == null) return null;
+  return JSON.parse(raw, (key, value) =>
+    value && value.type === "Buffer" && Array.isArray(value.data) ? Buffer.from(value.data) : value,
+  );
+}
+
+function createMemoryStore() {
+  const values = new Map(); // key -> { raw, expiresAt }
+  const hashes = new Map(); // key -> Map(field -> raw)
+  const sets = new Map(); // key -> Set(member)
+  const bus = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  function read(key) {
+    const entry = values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      values.delete(key);
+      return null;
+    }
+    return entry.raw;
+  }
+
+  function write(key, raw, ttlMs) {
+    values.set(key, { raw, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  return {
+    driver: "memory",
+    shared: false,
+    async get(key) {
+      return decode(read(key));
+    },
+    async set(key, value, ttlMs) {
+      write(key, encode(value), ttlMs);
+    },
+    async del(key) {
+      values.delete(key);
+      hashes.delete(key);
+      sets.delete(key);
+    },
+    async swap(key, value, ttlMs) {
+      const previous = read(key);
+      write(key, encode(value), ttlMs);
+      return decode(previous);
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      if (read(key) != null) return false;
+      write(key, encode(value), ttlMs);
+      return true;
+    },
+    async deleteIfEquals(key, value) {
+      if (read(key) !== encode(value)) return false;
+      values.delete(key);
+      return true;
+    },
+    async extendIfEquals(key, value, ttlMs) {
+      if (read(key) !== encode(value)) return false;
+      write(key, encode(value), ttlMs);
+      return true;
+    },
+    async hashSwap(key, field, value) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      const previous = hashes.get(key).get(String(field));
+      hashes.get(key).set(String(field), encode(value));
+      return decode(previous);
+    },
+    async hashGetAll(key) {
+      const out = {};
+      for (const [field, raw] of hashes.get(key) || []) out[field] = decode(raw);
+      return out;
+    },
+    async hashDeleteIfEquals(key, field, value) {
+      const hash = hashes.get(key);
+      if (!hash || hash.get(String(field)) !== encode(value)) return false;
+      hash.delete(String(field));
+      return true;
+    },
+    async setAdd(key, member) {
+      if (!sets.has(key)) sets.set(key, new Set());
+      sets.get(key).add(String(member));
+    },
+    async setRemove(key, member) {
+      const set = sets.get(key);
+      if (set) set.delete(String(member));
+    },
+    async setMembers(key) {
+      return [...(sets.get(key) || [])];
+    },
+    async publish(channel, message) {
+      const raw = encode(message);
+      setImmediate(() => bus.emit(channel, decode(raw)));
+    },
+    /** @returns {Promise<Function>} unsubscribe */
+    async subscribe(channel, handler) {
+      bus.on(channel, handler);
+      return async () => bus.off(channel, handler);
+    },
+    async close() {},
+  };
+}
+
+// Compare-and-set helpers run as scripts so they stay atomic across processes
+const SCRIPTS = {
+  swap: `local prev = redis.call("GET", KEYS[1]) redis.call("SET", KEYS[1], ARGV[1], "PX", ARGV[2]) return prev`,
+  deleteIfEquals: `if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("DEL", KEYS[1]) else return 0 end`,
+  extendIfEquals: `if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("PEXPIRE", KEYS[1], ARGV[2]) else return 0 end`,
+  hashSwap: `local prev = redis.call("HGET", KEYS[1], ARGV[1]) redis.call("HSET", KEYS[1], ARGV[1], ARGV[2]) return prev`,
+  hashDeleteIfEquals: `if redis.call("HGET", KEYS[1], ARGV[1]) == ARGV[2] then return redis.call("HDEL", KEYS[1], ARGV[1]) else return 0 end`,
+};
+
+function createRedisStore(url) {
+  const client = new RedisConnection(url, { name: "shared-state" });
+  const subscriber = new RedisConnection(url, { name: "shared-state-sub" });
+  const handlers = new Map(); // prefixed channel -> Set(handler)
+
+  subscriber.on("message", (channel, raw) => {
+    let message;
+    try {
+      message = decode(raw);
+    } catch (err) {
+      console.error(`Shared state: bad message on ${channel}:`, err.message);
+      return;
+    }
+    for (const handler of handlers.get(channel) || []) {
+      try {
+        handler(message);
+      } catch (err) {
+        console.error(`Shared state handler error on ${channel}:`, err);
+      }
+    }
+  });
+
+  const k = (key) => PREFIX + key;
+  const script = (name, keys, args) => client.command("EVAL", SCRIPTS[name], keys.length, ...keys.map(k), ...args);
+
+  return {
+    driver: "redis",
+    shared: true,
+    async get(key) {
+      return decode(await client.command("GET", k(key)));
+    },
+    async set(key, value, ttlMs) {
+      const args = ["SET", k(key), encode(value)];
+      if (ttlMs) args.push("PX", Math.ceil(ttlMs));
+      await client.command(...args);
+    },
+    async del(key) {
+      await client.command("DEL", k(key));
+    },
+    async swap(key, value, ttlMs) {
+      return decode(await script("swap", [key], [encode(value), Math.ceil(ttlMs)]));
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      const reply = await client.command("SET", k(key), encode(value), "NX", "PX", Math.ceil(ttlMs));
+      return reply === "OK";
+    },
+    async deleteIfEquals(key, value) {
+      return (await script("deleteIfEquals", [key], [encode(value)])) === 1;
+    },
+    async extendIfEquals(key, value, ttlMs) {
+      return (await script("extendIfEquals", [key], [encode(value), Math.ceil(ttlMs)])) === 1;
+    },
+    async hashSwap(key, field, value) {
+      return decode(await script("hashSwap", [key], [String(field), encode(value)]));
+    },
+    async hashGetAll(key) {
+      const flat = (await client.command("HGETALL", k(key))) || [];
+      const out = {};
+      for (let i = 0; i < flat.length; i += 2) out[flat[i]] = decode(flat[i + 1]);
+      return out;
+    },
+    async hashDeleteIfEquals(key, field, value) {
+      return (await script("hashDeleteIfEquals", [key], [String(field), encode(value)])) === 1;
+    },
+    async setAdd(key, member) {
+      await client.command("SADD", k(key), String(member));
+    },
+    async setRemove(key, member) {
+      await client.command("SREM", k(key), String(member));
+    },
+    async setMembers(key) {
+      return (await client.command("SMEMBERS", k(key))) || [];
+    },
+    async publish(channel, message) {
+      await client.command("PUBLISH", k(channel), encode(message));
+    },
+    async subscribe(channel, handler) {
+      const prefixed = k(channel);
+      if (!handlers.has(prefixed)) handlers.set(prefixed, new Set());
+      handlers.get(prefixed).add(handler);
+      await subscriber.subscribe(prefixed);
+      return async () => {
+        const set = handlers.get(prefixed);
+        if (!set) return;
+        set.delete(handler);
+        if (set.size === 0) {
+          handlers.delete(prefixed);
+          await subscriber.unsubscribe(prefixed);
+        }
+      };
+    },
+    async close() {
+      client.close();
+      subscriber.close();
+    },
+  };
+}
+
+let store = null;
+
+/** The process-wide store (created on first use from REDIS_URL). */
+function getSharedState() {
+  if (!store) {
+    store = process.env.REDIS_URL ? createRedisStore(process.env.REDIS_URL) : createMemoryStore();
+    console.log(`🗄️ Shared state: ${store.driver} (node ${NODE_ID})`);
+  }
+  return store;
+}
+
+let heartbeatTimer = null;
+
+/**
+ * Announce this node in the cluster registry every NODE_HEARTBEAT_MS (idempotent).
+ * @param {() => void} [onTick] - runs after each heartbeat (e.g. pruning sessions of dead nodes)
+ */
+function startNodeHeartbeat(onTick) {
+  if (heartbeatTimer) return;
+  const beat = async () => {
+    try {
+      await getSharedState().hashSwap(NODES_KEY, NODE_ID, Date.now());
+      if (onTick) await onTick();
+    } catch (err) {
+      console.error("Node heartbeat error:", err?.message ?? err);
+    }
+  };
+  beat();
+  heartbeatTimer = setInterval(beat, NODE_HEARTBEAT_MS);
+  heartbeatTimer.unref();
+}
+
+/** Stop announcing this node and remove it from the registry (graceful shutdown). */
+async function stopNodeHeartbeat() {
+  if (heartbeatTimer) clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  const nodes = await getSharedState().hashGetAll(NODES_KEY);
+  if (nodes[NODE_ID] != null) await getSharedState().hashDeleteIfEquals(NODES_KEY, NODE_ID, nodes[NODE_ID]);
+}
+
+/**
+ * Nodes that sent a heartbeat recently (this node always counts as live). Dead nodes are removed from the registry.
+ * @returns {Promise<Set<string>>}
+ */
+async function getLiveNodeIds() {
+  const nodes = await getSharedState().hashGetAll(NODES_KEY);
+  const live = new Set([NODE_ID]);
+  const cutoff = Date.now() - NODE_TIMEOUT_MS;
+  for (const [nodeId, lastSeen] of Object.entries(nodes)) {
+    if (lastSeen >= cutoff) live.add(nodeId);
+    else await getSharedState().hashDeleteIfEquals(NODES_KEY, nodeId, lastSeen);
+  }
+  return live;
+}
+
+module.exports = {
+  NODE_ID,
+  createMemoryStore,
+  createRedisStore,
+  getSharedState,
+  startNodeHeartbeat,
+  stopNodeHeartbeat,
+  getLiveNodeIds,
+};
@@ -0,0 +1,190 @@
+/**
+ * Elo skill rating for matchmaking.
+ * Free-for-all games are scored as every pair of players playing a head-to-head match (the better place wins),
+ * scaled by 1 / (opponents) so a game moves a rating about as much as one duel. Team games rate each team by its
+ * members' average and give every member the team's change.
+ * Also tracks how long a user has been asking play-random for a room, so the acceptable rating band can widen.
+ */
+const { SkillRating, sequelize } = require("../models");
+const { claimGameResult } = require("./gameResultClaims");
+
+const DEFAULT_RATING = 1200;
+const MIN_RATING = 100;
+const PROVISIONAL_GAMES = 10;
+const K_PROVISIONAL = 40;
+const K_ESTABLISHED = 24;
+
+// play-random band: +-BASE at first, +STEP every STEP_MS of searching, any room once MAX_WAIT_MS has passed
+const BAND_BASE = Number(process.env.MATCH_RATING_BAND) || 150;
+const BAND_STEP = 100;
+const BAND_STEP_MS = 5000;
+const MAX_WAIT_MS = Number(process.env.MATCH_RATING_MAX_WAIT_MS) || 30000;
+// A search with no request for this long is over; the next request starts a new one
+const SEARCH_IDLE_MS = 60000;
+
+// userId -> { startedAt, lastSeenAt }
+const searches = new Map();
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+function kFactor(gamesRated) {
+  return gamesRated < PROVISIONAL_GAMES ? K_PROVISIONAL : K_ESTABLISHED;
+}
+
+/**
+ * Rating changes for one game. Sides are players (free-for-all) or teams; lower place is better, equal places draw.
+ * @param {Array<{ key: string, place: number, rating: number, k: number }>} sides
+ * @returns {Map<string, number>} key -> rounded rating change
+ */
+function computeDeltas(sides) {
+  const deltas = new Map();
+  if (sides.length < 2) return deltas;
+  const opponents = sides.length - 1;
+  for (const side of sides) {
+    let sum = 0;
+    for (const other of sides) {
+      if (other === side) continue;
+      const actual = side.place < other.place ? 1 : side.place === other.place ? 0.5 : 0;
+      sum += actual - expectedScore(side.rating, other.rating);
+    }
+    deltas.set(side.key, Math.round((side.k * sum) / opponents));
+  }
+  return deltas;
+}
+
+/**
+ * Current ratings for users (defaults for users never rated).
+ * @param {Array<number|string>} userIds
+ * @returns {Promise<Map<string, { rating: number, gamesRated: number }>>}
+ */
+async function getRatings(userIds) {
+  const ids = [...new Set(userIds.map(String))];
+  const result = new Map(ids.map((id) => [id, { rating: DEFAULT_RATING, gamesRated: 0 }]));
+  if (ids.length === 0) return result;
+  const rows = await SkillRating.findAll({ where: { userId: ids } });
+  for (const row of rows) {
+    result.set(String(row.userId), { rating: row.rating, gamesRated: row.gamesRated });
+  }
+  return result;
+}
+
+/** Client-facing rating of one user. */
+async function getUserRating(userId) {
+  const { rating, gamesRated } = (await getRatings([userId])).get(String(userId));
+  return { rating, gamesRated, provisional: gamesRated < PROVISIONAL_GAMES };
+}
+
+/**
+ * Rate a finished game from its rankings, once per game and player. Logs and swallows its own errors.
+ * @param {Array<{ userId: number, place: number, team?: string|null }>} rankings - as emitted in game_ended
+ * @param {string} gameMode
+ * @param {string} gameKey - roomId:gameStartedAt ms (see endGame)
+ */
+async function recordGameResults(rankings, gameMode, gameKey) {
+  if (!Array.isArray(rankings) || rankings.length < 2) return;
+  try {
+    const ratings = await getRatings(rankings.map((r) => r.userId));
+    const memberDelta = new Map();
+
+    if (gameMode === "team_vs_team") {
+      const teams = new Map();
+      for (const r of rankings) {
+        if (!r.team) continue; // unassigned players are ranked last but not rated
+        if (!teams.has(r.team)) teams.set(r.team, { key: r.team, place: r.place, members: [] });
+        teams.get(r.team).members.push(String(r.userId));
+      }
+      const sides = [...teams.values()].map((team) => {
+        const memberRatings = team.members.map((id) => ratings.get(id));
+        const avg = (field) => memberRatings.reduce((sum, m) => sum + m[field], 0) / memberRatings.length;
+        return { ...team, rating: avg("rating"), k: kFactor(avg("gamesRated")) };
+      });
+      const teamDeltas = computeDeltas(sides);
+      for (const team of sides) {
+        for (const id of team.members) memberDelta.set(id, teamDeltas.get(team.key));
+      }
+    } else {
+      const sides = rankings.map((r) => {
+        const { rating, gamesRated } = ratings.get(String(r.userId));
+        return { key: String(r.userId), place: r.place, rating, k: kFactor(gamesRated) };
+      });
+      for (const [id, delta] of computeDeltas(sides)) memberDelta.set(id, delta);
+    }
+
+    if (memberDelta.size === 0) return;
+    const now = new Date();
+    await sequelize.transaction(async (t) => {
+      for (const [userId, delta] of memberDelta) {
+        // A repeated endGame finds the claims of the first run (it waits on them until that transaction commits)
+        if (!(await claimGameResult("skill_rating", gameKey, userId, t))) continue;
+        const [row] = await SkillRating.findOrCreate({
+          where: { userId },
+          defaults: { userId },
+          transaction: t,
+        });
+        const rating = Math.max(MIN_RATING, row.rating + delta);
+        await row.update(
+          {
+            rating,
+            peakRating: Math.max(row.peakRating, rating),
+            gamesRated: row.gamesRated + 1,
+            lastRatedAt: now,
+          },
+          { transaction: t },
+        );
+      }
+    });
+  } catch (err) {
+    console.error("Skill rating update error:", err?.message ?? err);
+  }
+}
+
+/**
+ * Note a play-random attempt and return how long this user has been searching.
+ * @returns {number} ms since the search started
+ */
+function touchSearch(userId, now = Date.now()) {
+  const key = String(userId);
+  const current = searches.get(key);
+  if (!current || now - current.lastSeenAt > SEARCH_IDLE_MS) {
+    searches.set(key, { startedAt: now, lastSeenAt: now });
+    return 0;
+  }
+  current.lastSeenAt = now;
+  return now - current.startedAt;
+}
+
+function endSearch(userId) {
+  searches.delete(String(userId));
+}
+
+/**
+ * Allowed distance between the caller's rating and a room's average after waiting this long (Infinity = any room).
+ * @param {number} waitedMs
+ */
+function ratingBand(waitedMs) {
+  if (waitedMs >= MAX_WAIT_MS) return Infinity;
+  return BAND_BASE + Math.floor(waitedMs / BAND_STEP_MS) * BAND_STEP;
+}
+
+// Drop searches nobody finished (client gave up or created its own room)
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, search] of searches) {
+    if (now - search.lastSeenAt > SEARCH_IDLE_MS) searches.delete(key);
+  }
+}, SEARCH_IDLE_MS).unref();
+
+module.exports = {
+  DEFAULT_RATING,
+  MAX_WAIT_MS,
+  BAND_STEP_MS,
+  computeDeltas,
+  getRatings,
+  getUserRating,
+  recordGameResults,
+  touchSearch,
+  endSearch,
+  ratingBand,
+};
@@ -0,0 +1,127 @@
+/**
+ * Server-authoritative coin wallet. Every balance change goes through applyEntry: the user row is locked,
+ * users.coins and its CoinTransaction (with balanceAfter) are written in one DB transaction, and a balance
+ * can never go negative. An idempotencyKey makes retries (double taps, replayed requests, a second endGame)
+ * apply once: the repeat returns the original entry with duplicate: true.
+ */
+const { UniqueConstraintError } = require("sequelize");
+const { User, CoinTransaction, sequelize } = require("../models");
+
+class WalletError extends Error {
+  /**
+   * @param {string} code - snake_case error code for API/socket responses
+   * @param {string} message
+   * @param {object} [details]
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "WalletError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function assertAmount(amount) {
+  if (!Number.isInteger(amount) || amount === 0) {
+    throw new WalletError("invalid_amount", "amount must be a non-zero integer", { amount });
+  }
+}
+
+async function findByKey(idempotencyKey, transaction) {
+  return CoinTransaction.findOne({ where: { idempotencyKey }, transaction });
+}
+
+/**
+ * Apply a signed amount to a user's balance and record it in the ledger.
+ * @param {number} userId
+ * @param {number} amount - positive credit, negative debit
+ * @param {string} reason
+ * @param {{ transaction?: object, idempotencyKey?: string }} [options] - pass transaction to join a caller's transaction
+ * @returns {Promise<{ entry: object, balance: number, duplicate: boolean }>}
+ * @throws {WalletError} invalid_amount | user_not_found | insufficient_coins
+ */
+async function applyEntry(userId, amount, reason, { transaction, idempotencyKey } = {}) {
+  assertAmount(amount);
+
+  const run = async (t) => {
+    const user = await User.findByPk(userId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!user) throw new WalletError("user_not_found", `User ${userId} not found`);
+
+    // Checked under the row lock, so concurrent retries of one key serialize here
+    if (idempotencyKey) {
+      const existing = await findByKey(idempotencyKey, t);
+      if (existing) return { entry: existing, balance: user.coins, duplicate: true };
+    }
+
+    const balance = user.coins + amount;
+    if (balance < 0) {
+      throw new WalletError("insufficient_coins", `You need ${-amount} coins`, {
+        required: -amount,
+        current: user.coins,
+      });
+    }
+    await user.update({ coins: balance }, { transaction: t });
+    const entry = await CoinTransaction.create(
+      { userId, amount, reason, balanceAfter: balance, idempotencyKey: idempotencyKey || null },
+      { transaction: t },
+    );
+    return { entry, balance, duplicate: false };
+  };
+
+  if (transaction) return run(transaction);
+  try {
+    return await sequelize.transaction(run);
+  } catch (err) {
+    // Same key used for another user, or a race the lock did not cover: report the original entry
+    if (idempotencyKey && err instanceof UniqueConstraintError) {
+      const existing = await findByKey(idempotencyKey);
+      if (existing) return { entry: existing, balance: existing.balanceAfter, duplicate: true };
+    }
+    throw err;
+  }
+}
+
+/** Add coins. amount must be a positive integer. */
+async function credit(userId, amount, reason, options) {
+  if (!(amount > 0)) throw new WalletError("invalid_amount", "credit amount must be positive", { amount });
+  return applyEntry(userId, amount, reason, options);
+}
+
+/** Take coins; throws WalletError insufficient_coins instead of going below zero. amount must be a positive integer. */
+async function debit(userId, amount, reason, options) {
+  if (!(amount > 0)) throw new WalletError("invalid_amount", "debit amount must be positive", { amount });
+  return applyEntry(userId, -amount, reason, options);
+}
+
+function isWalletError(err) {
+  return err instanceof WalletError;
+}
+
+/**
+ * Users whose users.coins differs from the sum of their ledger entries.
+ * @returns {Promise<Array<{ userId: number, coins: number, ledger: number, difference: number }>>}
+ */
+async function findLedgerMismatches() {
+  const rows = await sequelize.query(
+    `SELECT u.id AS userId, u.coins AS coins, COALESCE(SUM(ct.amount), 0) AS ledger
+     FROM users u
+     LEFT JOIN coin_transactions ct ON ct.userId = u.id
+     GROUP BY u.id, u.coins
+     HAVING u.coins <> COALESCE(SUM(ct.amount), 0)`,
+    { type: sequelize.QueryTypes.SELECT },
+  );
+  return rows.map((r) => {
+    const coins = Number(r.coins) || 0;
+    const ledger = Number(r.ledger) || 0;
+    return { userId: r.userId, coins, ledger, difference: coins - ledger };
+  });
+}
+
+module.exports = {
+  WalletError,
+  applyEntry,
+  credit,
+  debit,
+  isWalletError,
+  findLedgerMismatches,
+};
@@ -0,0 +1,107 @@
+/**
+ * Progressive word hints for the drawing phase.
+ * Which letters get revealed is seeded by roomId + round, and how many are revealed is derived from
+ * elapsed drawing time, so every server (and a restarted one) computes the same pattern without stored state.
+ * Works on grapheme clusters so native-script letters (consonant + vowel sign) are revealed whole.
+ */
+const { graphemes } = require("./guessMatcher");
+
+// Fractions of the drawing phase at which one more letter is revealed
+const HINT_REVEAL_AT = [0.5, 0.75];
+
+// Shown as-is in the pattern, never hidden or revealed as a hint
+const SEPARATOR = /^[\s\-_'’]$/u;
+
+function hashSeed(text) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// mulberry32
+function seededRandom(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Grapheme indexes that can be revealed, in reveal order for this room/round. */
+function revealOrder(word, { roomId, round }) {
+  const chars = graphemes((word || "").toString());
+  const letters = [];
+  chars.forEach((c, i) => {
+    if (!SEPARATOR.test(c)) letters.push(i);
+  });
+  const random = seededRandom(hashSeed(`${roomId}:${round}:${word}`));
+  for (let i = letters.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [letters[i], letters[j]] = [letters[j], letters[i]];
+  }
+  return letters;
+}
+
+/**
+ * Number of hints this word gets: at most half its letters (2-3 letters get 1). Native-script words
+ * are short in graphemes ("పాలు" is 2), so they still get a hint.
+ */
+function totalHints(word) {
+  const letters = graphemes((word || "").toString()).filter((c) => !SEPARATOR.test(c)).length;
+  return Math.max(0, Math.min(HINT_REVEAL_AT.length, Math.floor(letters / 2)));
+}
+
+/**
+ * Masked pattern with the given letters shown, e.g. "_ a _ _ e". Letters are space-separated;
+ * a space in the answer shows as a wider gap and hyphens are always visible.
+ * @param {string} word
+ * @param {number[]} [revealed] - grapheme indexes to show
+ * @returns {string}
+ */
+function maskWord(word, revealed = []) {
+  const shown = new Set(revealed);
+  return graphemes((word || "").toString())
+    .map((c, i) => {
+      if (/^\s$/u.test(c)) return " ";
+      if (SEPARATOR.test(c) || shown.has(i)) return c;
+      return "_";
+    })
+    .join(" ");
+}
+
+/**
+ * Hint state for a room in the drawing phase.
+ * @param {{ id: number, currentRound: number, currentWord: string, roundPhaseEndTime: Date }} room
+ * @param {number} drawingDuration - full drawing phase length in seconds
+ * @param {number} [now]
+ * @returns {{ wordHint: string, hintsRevealed: number, hintsRemaining: number, nextHintAt: number|null }}
+ */
+function getWordHintState(room, drawingDuration, now = Date.now()) {
+  const word = room.currentWord || "";
+  const total = totalHints(word);
+  const durationMs = drawingDuration * 1000;
+  const endMs = room.roundPhaseEndTime ? new Date(room.roundPhaseEndTime).getTime() : now + durationMs;
+  const startMs = endMs - durationMs;
+  const schedule = HINT_REVEAL_AT.slice(0, total).map((f) => startMs + f * durationMs);
+
+  const hintsRevealed = schedule.filter((at) => at <= now).length;
+  const order = revealOrder(word, { roomId: room.id, round: room.currentRound });
+  return {
+    wordHint: maskWord(word, order.slice(0, hintsRevealed)),
+    hintsRevealed,
+    hintsRemaining: total - hintsRevealed,
+    nextHintAt: schedule[hintsRevealed] ?? null,
+  };
+}
+
+module.exports = {
+  maskWord,
+  totalHints,
+  getWordHintState,
+};
@@ -9,11 +9,12 @@ const { Op } = require("sequelize");
  * @param {number} limit - Optional limit for random words
  * @param {Array<string>} usedWords - Array of already used words
  * @param {Array<string>} categories - Array of category titles (for multi-select)
- * @returns {Promise<Array<string>>} Array of word texts
+ * @returns {Promise<Array<{ word: string, keywordId: number, languageCode: string }>>} Words with the keyword and
+ *   language they came from (used for word difficulty stats)
  */
 
 //async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3, usedWords = []) {
-async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3, usedWords = [], categories = []) {
+async function getWordEntriesForTheme(themeId, roomLanguage, roomScript, limit = 3, usedWords = [], categories = []) {
   try {
     console.log(
       `getWordsForTheme: themeId=${themeId}, language=${roomLanguage}, script=${roomScript}, limit=${limit}`,
@@ -210,7 +211,7 @@ async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3, us
       );
 
       if (finalTranslation) {
-        words.push(finalTranslation.translatedText);
+        words.push({ word: finalTranslation.translatedText, keywordId: keyword.id, languageCode: targetLanguage.languageCode });
         // console.log(`    ✅ Found primary translation for "${keyword.keyName}": ${finalTranslation.translatedText}`);
         continue;
       }
@@ -228,7 +229,7 @@ async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3, us
         );
 
         if (finalTranslation) {
-          words.push(finalTranslation.translatedText);
+          words.push({ word: finalTranslation.translatedText, keywordId: keyword.id, languageCode: targetLanguage.languageCode });
           // console.log(`    ⚠️ Found fallback script (${fallbackScript}) for "${keyword.keyName}": ${finalTranslation.translatedText}`);
           continue;
         }
@@ -241,7 +242,7 @@ async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3, us
       );
 
       if (finalTranslation) {
-        words.push(finalTranslation.translatedText);
+        words.push({ word: finalTranslation.translatedText, keywordId: keyword.id, languageCode: "en" });
         // console.log(`    ⚠️ Universal fallback to English Roman for "${keyword.keyName}": ${finalTranslation.translatedText}`);
       } else {
         console.log(
@@ -253,14 +254,14 @@ async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3, us
     console.log(`Found ${words.length} words after filtering`);
     let availableWords = words;
     if (usedWords && usedWords.length > 0) {
-      availableWords = words.filter(w => !usedWords.includes(w));
+      availableWords = words.filter(w => !usedWords.includes(w.word));
       console.log(`Filtered out ${words.length - availableWords.length} used words.`);
     }
     if (availableWords.length < limit) {
       console.log("Ran out of unique words! Recycling pool for this turn.");
       availableWords = words;
     }
-    console.log(`Available words pool (${availableWords.length}):`, JSON.stringify(availableWords));
+    console.log(`Available words pool (${availableWords.length}):`, JSON.stringify(availableWords.map(w => w.word)));
     // Shuffle and limit if needed
     const shuffled = availableWords.sort(() => 0.5 - Math.random());
     const result = limit ? shuffled.slice(0, limit) : shuffled;
@@ -277,6 +278,15 @@ async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3, us
   }
 }
 
+/**
+ * Same as getWordEntriesForTheme, returning only the word texts.
+ * @returns {Promise<Array<string>>} Array of word texts
+ */
+async function getWordsForTheme(themeId, roomLanguage, roomScript, limit = 3, usedWords = [], categories = []) {
+  const entries = await getWordEntriesForTheme(themeId, roomLanguage, roomScript, limit, usedWords, categories);
+  return entries.map((e) => e.word);
+}
+
 async function getRandomWordForTheme(themeId, roomLanguage, roomScript) {
   try {
     const words = await getWordsForTheme(themeId, roomLanguage, roomScript, 3);
@@ -288,6 +298,7 @@ async function getRandomWordForTheme(themeId, roomLanguage, roomScript) {
 }
 
 module.exports = {
+  getWordEntriesForTheme,
   getWordsForTheme,
   getRandomWordForTheme,
 };
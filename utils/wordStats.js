@@ -0,0 +1,154 @@
+/**
+ * Word difficulty from real play: how often a word is offered, chosen and guessed, and how fast.
+ * difficultyScore = average share of the drawing time a guesser needed, with a miss counted as the full time,
+ * so 0 means everyone got it instantly and 1 means nobody got it.
+ * Stats never break gameplay: every writer here logs and swallows its own errors.
+ */
+const { WordStat } = require("../models");
+
+// Turns needed before a word gets a difficulty tag
+const MIN_TURNS_FOR_RATING = Number(process.env.WORD_STATS_MIN_TURNS) || 5;
+
+const DIFFICULTY_THRESHOLDS = { easy: 0.45, medium: 0.7 }; // below easy -> easy, below medium -> medium, else hard
+
+// Reward multiplier for guessers and drawer by difficulty tag (unrated words score like easy ones)
+const REWARD_MULTIPLIERS = { easy: 1, medium: 1.25, hard: 1.5 };
+
+function statKey(keywordId, languageCode) {
+  return `${keywordId}:${languageCode}`;
+}
+
+function hasKeyword(entry) {
+  return entry && entry.keywordId != null && entry.languageCode;
+}
+
+/** @returns {{ difficultyScore: number|null, difficulty: string|null }} */
+function computeDifficulty(stat) {
+  if (!stat || stat.turnsPlayed < MIN_TURNS_FOR_RATING || !stat.guessOpportunities) {
+    return { difficultyScore: null, difficulty: null };
+  }
+  const misses = Math.max(0, stat.guessOpportunities - stat.correctGuesses);
+  const score = Math.min(1, (stat.totalGuessTimeFraction + misses) / stat.guessOpportunities);
+  let difficulty = "hard";
+  if (score < DIFFICULTY_THRESHOLDS.easy) difficulty = "easy";
+  else if (score < DIFFICULTY_THRESHOLDS.medium) difficulty = "medium";
+  return { difficultyScore: Number(score.toFixed(4)), difficulty };
+}
+
+function rewardMultiplier(difficulty) {
+  return REWARD_MULTIPLIERS[difficulty] || 1;
+}
+
+async function findOrCreateStat(keywordId, languageCode) {
+  const [stat] = await WordStat.findOrCreate({
+    where: { keywordId, languageCode },
+    defaults: { keywordId, languageCode },
+  });
+  return stat;
+}
+
+/**
+ * Attach difficulty/multiplier to word option entries from getWordEntriesForTheme (custom/fallback words stay unrated).
+ * @param {Array<{ word: string, keywordId?: number, languageCode?: string }>} entries
+ * @returns {Promise<Array<{ word: string, keywordId: number|null, languageCode: string|null, difficulty: string|null, multiplier: number }>>}
+ */
+async function withDifficulty(entries) {
+  const rated = entries.filter(hasKeyword);
+  const byKey = new Map();
+  if (rated.length) {
+    try {
+      const stats = await WordStat.findAll({
+        where: { keywordId: rated.map((e) => e.keywordId) },
+      });
+      for (const s of stats) byKey.set(statKey(s.keywordId, s.languageCode), s);
+    } catch (e) {
+      console.error("Word stats lookup error:", e?.message ?? e);
+    }
+  }
+  return entries.map((e) => {
+    const stat = hasKeyword(e) ? byKey.get(statKey(e.keywordId, e.languageCode)) : null;
+    const difficulty = stat ? stat.difficulty : null;
+    return {
+      word: e.word,
+      keywordId: e.keywordId ?? null,
+      languageCode: e.languageCode ?? null,
+      difficulty,
+      multiplier: rewardMultiplier(difficulty),
+    };
+  });
+}
+
+/**
+ * Client-facing word_options details: difficulty tag and reward multiplier per word (no keyword ids).
+ * @param {Array|null} meta - room.currentWordOptionsMeta
+ * @param {string[]} words - room.currentWordOptions
+ */
+function describeWordOptions(meta, words) {
+  const byWord = new Map((meta || []).map((m) => [m.word, m]));
+  return (words || []).map((word) => {
+    const m = byWord.get(word);
+    return {
+      word,
+      difficulty: m?.difficulty ?? null,
+      multiplier: m?.multiplier ?? 1,
+    };
+  });
+}
+
+/** Count each rated entry as offered to a drawer. */
+async function recordOffered(entries) {
+  for (const e of entries.filter(hasKeyword)) {
+    try {
+      const stat = await findOrCreateStat(e.keywordId, e.languageCode);
+      await stat.increment("timesOffered");
+    } catch (err) {
+      console.error("Word stats (offered) error:", err?.message ?? err);
+    }
+  }
+}
+
+/** Count the drawer's pick. */
+async function recordChosen(entry) {
+  if (!hasKeyword(entry)) return;
+  try {
+    const stat = await findOrCreateStat(entry.keywordId, entry.languageCode);
+    await stat.increment("timesChosen");
+  } catch (err) {
+    console.error("Word stats (chosen) error:", err?.message ?? err);
+  }
+}
+
+/**
+ * Fold one finished drawing turn into the word's stats and recompute its difficulty.
+ * @param {{ keywordId: number, languageCode: string }} entry - the word that was drawn
+ * @param {{ eligibleGuessers: number, guessFractions: number[] }} turn - guessFractions: time to each correct guess / drawing time
+ */
+async function recordTurn(entry, { eligibleGuessers, guessFractions }) {
+  if (!hasKeyword(entry) || eligibleGuessers <= 0) return;
+  try {
+    const stat = await findOrCreateStat(entry.keywordId, entry.languageCode);
+    const fractions = guessFractions.map((f) => Math.min(1, Math.max(0, f)));
+    await stat.increment({
+      turnsPlayed: 1,
+      guessOpportunities: eligibleGuessers,
+      correctGuesses: fractions.length,
+      totalGuessTimeFraction: fractions.reduce((sum, f) => sum + f, 0),
+    });
+    await stat.reload();
+    const { difficultyScore, difficulty } = computeDifficulty(stat);
+    await stat.update({ difficultyScore, difficulty });
+  } catch (err) {
+    console.error("Word stats (turn) error:", err?.message ?? err);
+  }
+}
+
+module.exports = {
+  MIN_TURNS_FOR_RATING,
+  computeDifficulty,
+  rewardMultiplier,
+  withDifficulty,
+  describeWordOptions,
+  recordOffered,
+  recordChosen,
+  recordTurn,
+};